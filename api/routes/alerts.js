@@ -1,67 +1,174 @@
 // api/routes/alerts.js
 import express from 'express';
-import { DB } from '../../lib/db.js';
+import {
+  ALERT_RULES, ALERT_TYPES, CHANNEL_TYPES, validateRule, validateChannels, redactChannels, usesOperatorCredentials,
+} from '../../core/alert-rules.js';
+import {
+  listAlerts, getAlert, createAlert, updateAlert, deleteAlert, alertEvents, operatorChannelsAllowed,
+} from '../../core/alerts.js';
+import { checkChannelTarget } from '../../lib/notifiers/index.js';
 
 const router = express.Router();
 
+const isId = (v) => /^\d{1,20}$/.test(String(v ?? ''));
+const MAX_THROTTLE_SEC = 7 * 86400;
+
+function parseThrottle(v) {
+  if (v == null) return { value: undefined };
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_THROTTLE_SEC) {
+    return { error: `throttleSec must be an integer in [0, ${MAX_THROTTLE_SEC}]` };
+  }
+  return { value: n };
+}
+
+async function parseChannels(v) {
+  if (v == null) return { value: undefined };
+  const { channels, errors } = validateChannels(v);
+  if (errors.length) return { error: errors.join('; ') };
+  for (const [i, c] of channels.entries()) {
+    try {
+      await checkChannelTarget(c);
+    } catch {
+      return { error: `channels[${i}]: url must resolve to a public address` };
+    }
+  }
+  return { value: channels };
+}
+
+/**
+ * Channels the wallet may not use: the operator-credential ones (email,
+ * Telegram without bot_token) unless enabled for it (bin/alert-access.js).
+ */
+async function channelAccessError(walletId, channels) {
+  if (!channels?.some(usesOperatorCredentials)) return null;
+  if (await operatorChannelsAllowed(walletId)) return null;
+  return 'email and Telegram channels without bot_token are not enabled for this wallet';
+}
+
+/** The alert when it exists and belongs to `walletId`, else null. */
+async function ownedAlert(id, walletId) {
+  const alert = await getAlert(id);
+  return alert && alert.wallet_id === String(walletId) ? alert : null;
+}
+
+/** Alerts as returned by the API: channel credentials are never echoed back. */
+const publicAlert = (a) => (a ? { ...a, channels: redactChannels(a.channels) } : a);
+
+/** GET /alerts/types — rule schema per alert_type */
+router.get('/types', (req, res) => {
+  res.json({
+    success: true,
+    data: ALERT_TYPES.map(type => ({ type, fields: ALERT_RULES[type].fields })),
+    meta: { channels: CHANNEL_TYPES },
+  });
+});
+
 /** GET /alerts/:walletId */
 router.get('/:walletId', async (req, res) => {
   try {
-    const wid = parseInt(req.params.walletId,10);
-    const { rows } = await DB.query(`
-      SELECT alert_id, alert_type, params, is_active, throttle_sec, last_triggered, created_at
-      FROM alerts
-      WHERE wallet_id=$1
-      ORDER BY created_at DESC
-    `, [wid]);
-    res.json({ success:true, data: rows });
+    if (!isId(req.params.walletId)) return res.status(400).json({ success:false, error:'invalid walletId' });
+    const data = (await listAlerts({ walletId: req.params.walletId })).map(publicAlert);
+    res.json({ success:true, data });
   } catch (e) {
+    console.error('[alerts/list] error:', e);
     res.status(500).json({ success:false, error: e.message });
   }
 });
 
-/** POST /alerts  { walletId, type, params, throttleSec? } */
+/** GET /alerts/:id/events?walletId=&limit= — walletId must own the alert */
+router.get('/:id/events', async (req, res) => {
+  try {
+    if (!isId(req.params.id)) return res.status(400).json({ success:false, error:'invalid id' });
+    if (!isId(req.query.walletId)) return res.status(400).json({ success:false, error:'walletId required' });
+    const alert = await ownedAlert(req.params.id, req.query.walletId);
+    if (!alert) return res.status(404).json({ success:false, error:'alert not found' });
+    const data = await alertEvents(alert.alert_id, { limit: req.query.limit });
+    res.json({ success:true, data });
+  } catch (e) {
+    console.error('[alerts/events] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * POST /alerts  { walletId, type, params, throttleSec?, channels? }
+ * channels: [{ type:'webhook', url, secret? } | { type:'telegram', chat_id, bot_token? } | { type:'email', to }]
+ */
 router.post('/', async (req, res) => {
   try {
-    const { walletId, type, params, throttleSec } = req.body;
-    if (!walletId || !type || !params) return res.status(400).json({ success:false, error:'walletId, type, params required' });
-    const { rows } = await DB.query(`
-      INSERT INTO alerts(wallet_id, alert_type, params, throttle_sec, is_active)
-      VALUES ($1,$2,$3,$4,TRUE)
-      RETURNING *
-    `, [walletId, type, params, throttleSec || 300]);
-    res.json({ success:true, data: rows[0] });
+    const { walletId, type, params, throttleSec, channels } = req.body || {};
+    if (!isId(walletId) || !type || !params) {
+      return res.status(400).json({ success:false, error:'walletId, type, params required' });
+    }
+    const { rule, errors } = validateRule(String(type), params);
+    if (errors.length) return res.status(400).json({ success:false, error: errors.join('; ') });
+    const throttle = parseThrottle(throttleSec);
+    if (throttle.error) return res.status(400).json({ success:false, error: throttle.error });
+    const chans = await parseChannels(channels);
+    if (chans.error) return res.status(400).json({ success:false, error: chans.error });
+    const denied = await channelAccessError(walletId, chans.value);
+    if (denied) return res.status(403).json({ success:false, error: denied });
+
+    const data = await createAlert({
+      walletId, type: String(type), rule, channels: chans.value ?? [], throttleSec: throttle.value ?? 300,
+    });
+    res.json({ success:true, data: publicAlert(data) });
   } catch (e) {
+    console.error('[alerts/create] error:', e);
     res.status(500).json({ success:false, error: e.message });
   }
 });
 
-/** PATCH /alerts/:id  { is_active? , params? , throttle_sec? } */
+/**
+ * PATCH /alerts/:id  { walletId, is_active?, params?, throttle_sec?, channels? } — appends a new version;
+ * walletId must own the alert
+ */
 router.patch('/:id', async (req, res) => {
   try {
-    const id = parseInt(req.params.id,10);
-    const { is_active, params, throttle_sec } = req.body;
-    const { rows } = await DB.query(`
-      UPDATE alerts
-      SET is_active = COALESCE($2, is_active),
-          params = COALESCE($3, params),
-          throttle_sec = COALESCE($4, throttle_sec)
-      WHERE alert_id=$1
-      RETURNING *
-    `, [id, is_active, params, throttle_sec]);
-    res.json({ success:true, data: rows[0] || null });
+    const { walletId, is_active, params, throttle_sec, channels } = req.body || {};
+    if (!isId(req.params.id)) return res.status(400).json({ success:false, error:'invalid id' });
+    if (!isId(walletId)) return res.status(400).json({ success:false, error:'walletId required' });
+    const alert = await ownedAlert(req.params.id, walletId);
+    if (!alert) return res.status(404).json({ success:false, error:'alert not found' });
+
+    let rule;
+    if (params != null) {
+      const v = validateRule(alert.alert_type, params);
+      if (v.errors.length) return res.status(400).json({ success:false, error: v.errors.join('; ') });
+      rule = v.rule;
+    }
+    const throttle = parseThrottle(throttle_sec);
+    if (throttle.error) return res.status(400).json({ success:false, error: throttle.error });
+    const chans = await parseChannels(channels);
+    if (chans.error) return res.status(400).json({ success:false, error: chans.error });
+    const denied = await channelAccessError(alert.wallet_id, chans.value);
+    if (denied) return res.status(403).json({ success:false, error: denied });
+    if (is_active != null && typeof is_active !== 'boolean') {
+      return res.status(400).json({ success:false, error:'is_active must be a boolean' });
+    }
+
+    const data = await updateAlert(alert, {
+      rule, channels: chans.value, isActive: is_active ?? undefined, throttleSec: throttle.value,
+    });
+    res.json({ success:true, data: publicAlert(data) });
   } catch (e) {
+    console.error('[alerts/update] error:', e);
     res.status(500).json({ success:false, error: e.message });
   }
 });
 
-/** DELETE /alerts/:id */
+/** DELETE /alerts/:id?walletId= — tombstone version; events are kept */
 router.delete('/:id', async (req, res) => {
   try {
-    const id = parseInt(req.params.id,10);
-    await DB.query(`DELETE FROM alerts WHERE alert_id=$1`, [id]);
+    if (!isId(req.params.id)) return res.status(400).json({ success:false, error:'invalid id' });
+    if (!isId(req.query.walletId)) return res.status(400).json({ success:false, error:'walletId required' });
+    const alert = await ownedAlert(req.params.id, req.query.walletId);
+    if (!alert) return res.status(404).json({ success:false, error:'alert not found' });
+    await deleteAlert(alert);
     res.json({ success:true });
   } catch (e) {
+    console.error('[alerts/delete] error:', e);
     res.status(500).json({ success:false, error: e.message });
   }
 });
@@ -0,0 +1,454 @@
+// api/routes/pools.js
+import express from 'express';
+import { DB } from '../../lib/db.js';
+import { getZigUsd } from '../util/resolve-token.js';
+import { getCandles, ensureTf, TF_MAP } from '../util/ohlcv-agg.js';
+import { zigUsdAsOf } from '../util/fx.js';
+import { resolveOhlcvWindow } from '../util/ohlcv-series.js';
+import { poolFee } from '../../core/swap-sim.js';
+import { lpShareBalances, lpPoolContext, valueLpPositions, provideIl } from '../../core/lp.js';
+
+const router = express.Router();
+
+const toNum = x => (x == null ? null : Number(x));
+
+const SORTS = {
+  tvl: 'tvl_zig',
+  volume: 'vol_zig',
+  tx: 'tx',
+  created: 'created_at',
+  apr: 'fee_apr_pct',
+};
+
+const TOK = `(
+  SELECT token_id, any(denom) AS denom, any(symbol) AS symbol, any(name) AS name,
+         any(image_uri) AS image_uri, any(exponent) AS exponent,
+         any(total_supply_base) AS total_supply_base
+  FROM tokens
+  GROUP BY token_id
+)`;
+
+// pool row + tokens + latest base price in this pool + latest yield rollup
+const POOL_SELECT = `
+  SELECT
+    p.pool_id, p.pair_contract, p.pair_type, p.is_uzig_quote, p.lp_token_denom,
+    p.total_fee, p.protocol_fee,
+    p.created_at, p.created_height, p.created_tx_hash, p.signer,
+    p.base_token_id, b.denom AS base_denom, b.symbol AS base_symbol, b.name AS base_name,
+    b.image_uri AS base_image, coalesce(b.exponent, 6) AS base_exp,
+    b.total_supply_base AS base_supply_base,
+    p.quote_token_id, q.denom AS quote_denom, q.symbol AS quote_symbol, q.name AS quote_name,
+    q.image_uri AS quote_image, coalesce(q.exponent, 6) AS quote_exp,
+    pr.price_in_zig, y.fee_apr_pct
+  FROM pools AS p
+  LEFT JOIN ${TOK} AS b ON b.token_id = p.base_token_id
+  LEFT JOIN ${TOK} AS q ON q.token_id = p.quote_token_id
+  LEFT JOIN (
+    SELECT pool_id, token_id, argMax(price_in_zig, updated_at) AS price_in_zig
+    FROM prices
+    GROUP BY pool_id, token_id
+  ) AS pr ON pr.pool_id = p.pool_id AND pr.token_id = p.base_token_id
+  LEFT JOIN (
+    SELECT pool_id, argMax(fee_apr_pct, updated_at) AS fee_apr_pct
+    FROM pool_yield
+    GROUP BY pool_id
+  ) AS y ON y.pool_id = p.pool_id
+`;
+
+function shapePool(r, zigUsd) {
+  const price = toNum(r.price_in_zig);
+  const totalFee = toNum(r.total_fee);
+  return {
+    poolId: String(r.pool_id),
+    pairContract: r.pair_contract,
+    pairType: r.pair_type,
+    isUzigQuote: r.is_uzig_quote === 1 || r.is_uzig_quote === true,
+    lpDenom: r.lp_token_denom ?? null,
+    base: {
+      tokenId: String(r.base_token_id), denom: r.base_denom, symbol: r.base_symbol ?? null,
+      name: r.base_name ?? null, imageUri: r.base_image ?? null, exponent: toNum(r.base_exp),
+    },
+    quote: {
+      tokenId: String(r.quote_token_id), denom: r.quote_denom, symbol: r.quote_symbol ?? null,
+      name: r.quote_name ?? null, imageUri: r.quote_image ?? null, exponent: toNum(r.quote_exp),
+    },
+    fee: poolFee({ totalFee, pairType: r.pair_type }),
+    feeSource: totalFee != null ? 'chain' : 'pair_type',
+    protocolFee: toNum(r.protocol_fee),
+    priceNative: price,
+    priceUsd: price != null ? price * zigUsd : null,
+    feeAprPct: toNum(r.fee_apr_pct),
+    createdAt: r.created_at,
+  };
+}
+
+/** pool_id (digits) or pair contract address → pool_id string, null if unknown. */
+async function resolvePoolId(ref) {
+  const s = String(ref || '').trim();
+  if (!s) return null;
+  const { rows } = await DB.query(
+    /^\d+$/.test(s)
+      ? `SELECT toString(pool_id) AS pool_id FROM pools WHERE pool_id = toUInt64($1) LIMIT 1`
+      : `SELECT toString(pool_id) AS pool_id FROM pools WHERE pair_contract = $1 LIMIT 1`,
+    [s],
+  );
+  return rows[0]?.pool_id ?? null;
+}
+
+/**
+ * GET /pools?bucket=24h&sort=tvl|volume|tx|created|apr&dir=desc&pairType=&quote=&limit=&offset=
+ * Pools with pool_matrix stats for the bucket; `quote` is a quote denom
+ * (e.g. uzig), `pairType` matches pools.pair_type.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const bucket = String(req.query.bucket || '24h').toLowerCase();
+    const sortKey = String(req.query.sort || 'tvl').toLowerCase();
+    const sort = SORTS[sortKey] || SORTS.tvl;
+    const dir = String(req.query.dir || 'desc').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '50', 10) || 50, 200));
+    const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+    const includeTotal = ['1', 'true', 'yes'].includes(String(req.query.includeTotal || '').toLowerCase());
+
+    const params = [bucket];
+    const where = [];
+    if (req.query.pairType) { params.push(String(req.query.pairType)); where.push(`x.pair_type = $${params.length}`); }
+    if (req.query.quote) { params.push(String(req.query.quote)); where.push(`x.quote_denom = $${params.length}`); }
+
+    const [{ rows }, zigUsd] = await Promise.all([
+      DB.query(
+        `
+        SELECT
+          x.*,
+          coalesce(m.tvl_zig, 0) AS tvl_zig,
+          coalesce(m.vol_zig, 0) AS vol_zig,
+          coalesce(m.tx, 0) AS tx,
+          coalesce(m.unique_traders, 0) AS unique_traders
+          ${includeTotal ? ', count() OVER () AS total' : ''}
+        FROM (${POOL_SELECT}) AS x
+        LEFT JOIN (
+          SELECT
+            pool_id,
+            argMax(tvl_zig, updated_at) AS tvl_zig,
+            argMax(vol_buy_zig + vol_sell_zig, updated_at) AS vol_zig,
+            argMax(tx_buy + tx_sell, updated_at) AS tx,
+            argMax(unique_traders, updated_at) AS unique_traders
+          FROM pool_matrix
+          WHERE bucket = $1
+          GROUP BY pool_id
+        ) AS m ON m.pool_id = x.pool_id
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY ${sort} ${dir} NULLS LAST, x.pool_id ASC
+        LIMIT ${limit} OFFSET ${offset}
+        `,
+        params
+      ),
+      getZigUsd(),
+    ]);
+
+    const data = rows.map(r => {
+      const tvl = toNum(r.tvl_zig) || 0;
+      const vol = toNum(r.vol_zig) || 0;
+      return {
+        ...shapePool(r, zigUsd),
+        tvlNative: tvl, tvlUsd: tvl * zigUsd,
+        volumeNative: vol, volumeUsd: vol * zigUsd,
+        tx: toNum(r.tx) || 0,
+        uniqueTraders: toNum(r.unique_traders) || 0,
+      };
+    });
+    const total = includeTotal ? (rows[0]?.total != null ? Number(rows[0].total) : 0) : undefined;
+
+    res.json({
+      success: true,
+      data,
+      meta: { bucket, sort: SORTS[sortKey] ? sortKey : 'tvl', dir: dir.toLowerCase(), limit, offset, total, zigUsd },
+    });
+  } catch (e) {
+    console.error('[pools/list] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /pools/:ref  (pool_id or pair contract)
+ * Pool with tokens, fees, latest reserves from pool_state, every
+ * pool_matrix bucket, price and creation info.
+ */
+router.get('/:ref', async (req, res) => {
+  try {
+    const poolId = await resolvePoolId(req.params.ref);
+    if (!poolId) return res.status(404).json({ success:false, error:'pool not found' });
+
+    const [pool, state, matrix, zigUsd] = await Promise.all([
+      DB.query(`SELECT * FROM (${POOL_SELECT}) WHERE pool_id = toUInt64($1) LIMIT 1`, [poolId]),
+      DB.query(
+        `
+        SELECT
+          toString(argMax(reserve_base_base, updated_at))  AS reserve_base_base,
+          toString(argMax(reserve_quote_base, updated_at)) AS reserve_quote_base,
+          max(updated_at) AS updated_at
+        FROM pool_state
+        WHERE pool_id = toUInt64($1)
+        HAVING count() > 0
+        `,
+        [poolId]
+      ),
+      DB.query(
+        `
+        SELECT
+          bucket,
+          argMax(vol_buy_zig, updated_at)    AS vol_buy_zig,
+          argMax(vol_sell_zig, updated_at)   AS vol_sell_zig,
+          argMax(tx_buy, updated_at)         AS tx_buy,
+          argMax(tx_sell, updated_at)        AS tx_sell,
+          argMax(unique_traders, updated_at) AS unique_traders,
+          argMax(tvl_zig, updated_at)        AS tvl_zig
+        FROM pool_matrix
+        WHERE pool_id = toUInt64($1)
+        GROUP BY bucket
+        `,
+        [poolId]
+      ),
+      getZigUsd(),
+    ]);
+    const r = pool.rows[0];
+    if (!r) return res.status(404).json({ success:false, error:'pool not found' });
+
+    const s = state.rows[0] || null;
+    const reserves = s && {
+      base: Number(s.reserve_base_base) / 10 ** Number(r.base_exp),
+      quote: Number(s.reserve_quote_base) / 10 ** Number(r.quote_exp),
+      base_base: s.reserve_base_base,
+      quote_base: s.reserve_quote_base,
+      updatedAt: s.updated_at,
+    };
+
+    const buckets = {};
+    for (const m of matrix.rows) {
+      const vol = (toNum(m.vol_buy_zig) || 0) + (toNum(m.vol_sell_zig) || 0);
+      const tvl = toNum(m.tvl_zig);
+      buckets[m.bucket] = {
+        volumeNative: vol, volumeUsd: vol * zigUsd,
+        volBuyNative: toNum(m.vol_buy_zig) || 0,
+        volSellNative: toNum(m.vol_sell_zig) || 0,
+        txBuy: toNum(m.tx_buy) || 0,
+        txSell: toNum(m.tx_sell) || 0,
+        uniqueTraders: toNum(m.unique_traders) || 0,
+        tvlNative: tvl, tvlUsd: tvl != null ? tvl * zigUsd : null,
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...shapePool(r, zigUsd),
+        reserves,
+        buckets,
+        creation: {
+          createdAt: r.created_at,
+          height: toNum(r.created_height),
+          txHash: r.created_tx_hash ?? null,
+          signer: r.signer ?? null,
+        },
+      },
+      meta: { zigUsd },
+    });
+  } catch (e) {
+    console.error('[pools/detail] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /pools/:ref/ohlcv?tf=&from=&to=&span=&window=&unit=native|usd&mode=price|mcap&fill=prev|zero|none
+ * Candles of this pool via getCandles(); mcap scales by the base circulating supply,
+ * usd converts each bar at the ZIG rate in effect when it closed.
+ */
+router.get('/:ref/ohlcv', async (req, res) => {
+  try {
+    const poolId = await resolvePoolId(req.params.ref);
+    if (!poolId) return res.status(404).json({ success:false, error:'pool not found' });
+
+    const tf = ensureTf(req.query.tf);
+    const mode = String(req.query.mode || 'price').toLowerCase() === 'mcap' ? 'mcap' : 'price';
+    const unit = String(req.query.unit || 'native').toLowerCase() === 'usd' ? 'usd' : 'native';
+    const fill = ['prev', 'zero', 'none'].includes(String(req.query.fill)) ? String(req.query.fill) : 'none';
+    const { fromIso, toIso } = resolveOhlcvWindow({
+      tf, from: req.query.from, to: req.query.to, span: req.query.span, window: req.query.window,
+    });
+
+    let circ = null;
+    if (mode === 'mcap') {
+      const { rows } = await DB.query(
+        `
+        SELECT any(b.total_supply_base) AS supply, coalesce(any(b.exponent), 6) AS exp
+        FROM pools AS p
+        INNER JOIN tokens AS b ON b.token_id = p.base_token_id
+        WHERE p.pool_id = toUInt64($1)
+        `,
+        [poolId]
+      );
+      const t = rows[0];
+      circ = t?.supply != null ? Number(t.supply) / 10 ** Number(t.exp) : null;
+    }
+
+    const zigUsd = await getZigUsd();
+    const data = await getCandles({
+      mode, unit, tf, from: fromIso, to: toIso, poolId, circ, fill,
+      zigUsd: unit === 'usd' ? await zigUsdAsOf(fromIso, toIso, { stepSec: TF_MAP[tf] }) : zigUsd,
+    });
+
+    res.json({
+      success: true,
+      data,
+      meta: { poolId, tf, mode, unit, fill, from: fromIso, to: toIso, zigUsd, ...(mode === 'mcap' ? { circ } : {}) },
+    });
+  } catch (e) {
+    console.error('[pools/ohlcv] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /pools/:id/lps?limit=
+ * Liquidity providers of a pool by net shares (provide − withdraw), with
+ * their underlying base/quote amounts and current value.
+ */
+router.get('/:id/lps', async (req, res) => {
+  try {
+    const poolId = await resolvePoolId(req.params.id);
+    if (!poolId) return res.status(404).json({ success:false, error:'pool not found' });
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000));
+
+    const [balances, zigUsd] = await Promise.all([lpShareBalances({ poolId }), getZigUsd()]);
+    const valued = await valueLpPositions(balances.slice(0, limit));
+    const pool = valued[0]?.pool ?? (await lpPoolContext([poolId])).get(poolId) ?? null;
+
+    const data = valued.map(v => ({
+      address: v.address,
+      shares: v.shares,
+      shares_base: v.sharesBase,
+      share_pct: v.sharePct,
+      base_amount: v.baseAmount,
+      quote_amount: v.quoteAmount,
+      value_zig: v.valueZig,
+      value_usd: v.valueZig != null ? v.valueZig * zigUsd : null,
+      provides: v.provides,
+      withdraws: v.withdraws,
+      first_at: v.firstAt,
+      last_at: v.lastAt,
+    }));
+
+    res.json({
+      success: true,
+      data,
+      meta: {
+        pool: pool && {
+          poolId: pool.poolId,
+          pairContract: pool.pairContract,
+          pairType: pool.pairType,
+          lpDenom: pool.lpDenom,
+          base: pool.base,
+          quote: pool.quote,
+          reserve_base: pool.reserveBase,
+          reserve_quote: pool.reserveQuote,
+          total_shares_base: pool.totalSharesBase,
+          total_shares_source: pool.totalSharesSource,
+        },
+        providers: balances.length,
+        limit,
+        zigUsd,
+      },
+    });
+  } catch (e) {
+    console.error('[pools/lps] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /pools/:id/yield?tx=&address=
+ * Latest pool_yield rollup (LP fee APR, 7d/30d IL vs holding). With `tx`
+ * and/or `address`, also the IL of those individual provides.
+ */
+router.get('/:id/yield', async (req, res) => {
+  try {
+    const poolId = await resolvePoolId(req.params.id);
+    if (!poolId) return res.status(404).json({ success:false, error:'pool not found' });
+    const tx = req.query.tx ? String(req.query.tx).trim() : null;
+    const address = req.query.address ? String(req.query.address).trim() : null;
+
+    const [{ rows }, zigUsd] = await Promise.all([
+      DB.query(
+        `
+        SELECT
+          argMax(fee, updated_at)            AS fee,
+          argMax(lp_fee, updated_at)         AS lp_fee,
+          argMax(volume_24h_zig, updated_at) AS volume_24h_zig,
+          argMax(fees_24h_zig, updated_at)   AS fees_24h_zig,
+          argMax(tvl_zig, updated_at)        AS tvl_zig,
+          argMax(fee_apr_pct, updated_at)    AS fee_apr_pct,
+          argMax(price_now, updated_at)      AS price_now,
+          argMax(price_7d, updated_at)       AS price_7d,
+          argMax(price_30d, updated_at)      AS price_30d,
+          argMax(il_7d_pct, updated_at)      AS il_7d_pct,
+          argMax(il_30d_pct, updated_at)     AS il_30d_pct,
+          max(updated_at)                    AS updated_at
+        FROM pool_yield
+        WHERE pool_id = toUInt64($1)
+        HAVING count() > 0
+        `,
+        [poolId]
+      ),
+      getZigUsd(),
+    ]);
+    const y = rows[0] || null;
+    const n = (v) => (v != null ? Number(v) : null);
+
+    const positions = (tx || address)
+      ? (await provideIl({ poolId, txHash: tx, address })).map(p => ({
+          tx_hash: p.txHash,
+          msg_index: p.msgIndex,
+          address: p.address,
+          height: p.height,
+          created_at: p.createdAt,
+          shares: p.shares,
+          shares_base: p.sharesBase,
+          entry_price: p.entryPrice,
+          price_now: p.priceNow,
+          il_pct: p.ilPct,
+          value_zig: p.valueZig,
+          hold_value_zig: p.holdValueZig,
+          value_usd: p.valueZig != null ? p.valueZig * zigUsd : null,
+        }))
+      : undefined;
+
+    res.json({
+      success: true,
+      data: {
+        poolId,
+        fee: n(y?.fee),
+        lp_fee: n(y?.lp_fee),
+        volume_24h_zig: n(y?.volume_24h_zig),
+        fees_24h_zig: n(y?.fees_24h_zig),
+        fees_24h_usd: y?.fees_24h_zig != null ? Number(y.fees_24h_zig) * zigUsd : null,
+        tvl_zig: n(y?.tvl_zig),
+        fee_apr_pct: n(y?.fee_apr_pct),
+        price_now: n(y?.price_now),
+        price_7d: n(y?.price_7d),
+        price_30d: n(y?.price_30d),
+        il_7d_pct: n(y?.il_7d_pct),
+        il_30d_pct: n(y?.il_30d_pct),
+        updated_at: y?.updated_at ?? null,
+        ...(positions ? { positions } : {}),
+      },
+      meta: { zigUsd, rollup: y ? 'ok' : 'pending' },
+    });
+  } catch (e) {
+    console.error('[pools/yield] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
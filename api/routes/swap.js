@@ -1,7 +1,11 @@
 // api/routes/swap.js
 import express from 'express';
-import { DB } from '../../lib/db.js';
 import { resolveTokenId, getZigUsd } from '../util/resolve-token.js';
+import { findRoutes } from '../util/swap-route.js';
+import {
+  loadUzigPoolsForToken, pickBySimulation, pickByExactOut, defaultAmount, bestBuyPool, bestSellPool,
+  simulatePool, splitAmount,
+} from '../../core/swap-sim.js';
 
 const router = express.Router();
 
@@ -17,114 +21,6 @@ async function resolveRef(ref) {
   return { type: 'token', token: tok };
 }
 
-/** Oroswap pair type → taker fee fraction */
-function pairFee(pairType) {
-  if (!pairType) return 0.003;
-  const t = String(pairType).toLowerCase();
-  if (t === 'xyk') return 0.0001;
-  if (t === 'concentrated') return 0.01;
-  const m = t.match(/xyk[_-](\d+)/);
-  if (m) {
-    const bps = Number(m[1]);
-    if (Number.isFinite(bps)) return bps / 10_000;
-  }
-  return 0.003;
-}
-
-/** XYK simulation (fee-on-input). Rz = zig reserve, Rt = token reserve. */
-function simulateXYK({ fromIsZig, amountIn, Rz, Rt, fee }) {
-  if (!(Rz > 0 && Rt > 0) || !(amountIn > 0)) {
-    return { out: 0, price: 0, impact: 0 };
-  }
-  const mid = Rz / Rt; // zig per token
-  const xin = amountIn * (1 - fee);
-
-  if (fromIsZig) {
-    // ZIG -> Token
-    const outToken = (xin * Rt) / (Rz + xin);
-    const effZigPerToken = amountIn / Math.max(outToken, 1e-18);
-    const impact = mid > 0 ? (effZigPerToken / mid) - 1 : 0;
-    return { out: outToken, price: effZigPerToken, impact };
-  } else {
-    // Token -> ZIG
-    const outZig = (xin * Rz) / (Rt + xin);
-    const effZigPerToken = outZig / amountIn; // executable zig per 1 token
-    const impact = mid > 0 ? (mid / Math.max(effZigPerToken, 1e-18)) - 1 : 0;
-    return { out: outZig, price: effZigPerToken, impact };
-  }
-}
-
-/** Load all UZIG-quoted pools for a token, including mid price & reserves (display units). */
-async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0 } = {}) {
-  const { rows } = await DB.query(
-    `
-    SELECT
-      p.pool_id,
-      p.pair_contract,
-      p.pair_type,
-      pr.price_in_zig,           -- mid zig per token
-      ps.reserve_base_base   AS res_base_base,
-      ps.reserve_quote_base  AS res_quote_base,
-      tb.exponent            AS base_exp,
-      tq.exponent            AS quote_exp,
-      COALESCE(pm.tvl_zig,0) AS tvl_zig,
-      tb.denom               AS base_denom,
-      tq.denom               AS quote_denom
-    FROM pools p
-    JOIN prices pr           ON pr.pool_id = p.pool_id AND pr.token_id = $1
-    LEFT JOIN pool_state ps  ON ps.pool_id = p.pool_id
-    JOIN tokens tb           ON tb.token_id = p.base_token_id
-    JOIN tokens tq           ON tq.token_id = p.quote_token_id
-    LEFT JOIN pool_matrix pm ON pm.pool_id = p.pool_id AND pm.bucket = '24h'
-    WHERE p.is_uzig_quote = TRUE
-    `,
-    [tokenId]
-  );
-
-  return rows
-    .map(r => {
-      const Rt = Number(r.res_base_base  || 0) / Math.pow(10, Number(r.base_exp  || 0)); // token reserve
-      const Rz = Number(r.res_quote_base || 0) / Math.pow(10, Number(r.quote_exp || 0)); // zig reserve
-      return {
-        poolId:       String(r.pool_id),
-        pairContract: r.pair_contract,
-        pairType:     r.pair_type,
-        priceInZig:   Number(r.price_in_zig || 0), // **mid** zig per token
-        tokenReserve: Rt,
-        zigReserve:   Rz,
-        tvlZig:       Number(r.tvl_zig || 0),
-      };
-    })
-    .filter(p => p.tvlZig >= minTvlZig);
-}
-
-/** Pick best pool by sim (maximize out). */
-function pickBySimulation(pools, side, { fromIsZig, amountIn }) {
-  let best = null;
-  for (const p of pools) {
-    const fee = pairFee(p.pairType);
-    const hasRes = p.zigReserve > 0 && p.tokenReserve > 0;
-    const sim = hasRes
-      ? simulateXYK({ fromIsZig, amountIn, Rz: p.zigReserve, Rt: p.tokenReserve, fee })
-      : null;
-    const score = sim ? sim.out : 0;
-    const cand = { ...p, fee, sim, score };
-    if (!best || cand.score > best.score) best = cand;
-  }
-  return best;
-}
-
-/** Default notional (~$100) when amt not provided. */
-function defaultAmount(side, { zigUsd, pools }) {
-  const targetUsd = 100;
-  const zigAmt = targetUsd / Math.max(zigUsd, 1e-9);
-  if (side === 'buy') return zigAmt; // from ZIG
-  const avgMid = pools.length
-    ? pools.reduce((s, p) => s + (p.priceInZig || 0), 0) / pools.length
-    : 1;
-  return zigAmt / Math.max(avgMid, 1e-12); // from token
-}
-
 /** Render diagnostics block for one leg. Includes both EXEC (sim) and MID (DB) prices. */
 function makePairBlock({ side, pool, sim, fee, zigUsd, amountIn }) {
   const price_native_exec = sim ? sim.price : null; // executable zig per 1 token (for that amount)
@@ -152,28 +48,141 @@ function makePairBlock({ side, pool, sim, fee, zigUsd, amountIn }) {
   };
 }
 
-/* ─────────────────────── per-side selectors ─────────────────────── */
+/**
+ * split=1: spread amountIn over every pool of one leg so marginal prices
+ * equalize, compared with putting it all into the best single pool.
+ */
+function splitPlan(pools, { fromIsZig, amountIn, bestOut }) {
+  const legs = pools.map(p => {
+    const sim = simulatePool(p, { fromIsZig, amountIn });
+    return {
+      reserveIn:  fromIsZig ? p.zigReserve   : p.tokenReserve,
+      reserveOut: fromIsZig ? p.tokenReserve : p.zigReserve,
+      fee: sim.fee,
+      quote: p.pcl ? (x) => simulatePool(p, { fromIsZig, amountIn: x }).out : undefined,
+    };
+  });
+  const { amounts, outs, out } = splitAmount(legs, amountIn);
+  const allocations = pools
+    .map((p, i) => ({
+      poolId: p.poolId,
+      pairContract: p.pairContract,
+      pairType: p.pairType,
+      fee: legs[i].fee,
+      amount_in: amounts[i],
+      amount_out: outs[i],
+      share: amountIn > 0 ? amounts[i] / amountIn : 0,
+    }))
+    .filter(a => a.amount_in > 0)
+    .sort((a, b) => b.amount_in - a.amount_in);
+  return {
+    amount_in: amountIn,
+    amount_out: out,
+    ...improvement(out, bestOut),
+    allocations,
+  };
+}
+
+function improvement(out, bestOut) {
+  return {
+    best_single_out: bestOut ?? null,
+    improvement: bestOut != null ? out - bestOut : null,
+    improvement_pct: bestOut > 0 ? ((out / bestOut) - 1) * 100 : null,
+  };
+}
+
+const refDenom = (ref) => ref.type === 'uzig' ? 'uzig' : ref.token.denom;
 
-async function bestBuyPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
-  if (!pools.length) return null;
-  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('buy', { zigUsd, pools });
-  const pick = pickBySimulation(pools, 'buy', { fromIsZig: true, amountIn: amt });
-  if (!pick) return null;
-  return { ...pick, amtUsed: amt };
+/** amt, or ~$100 of `from` valued at its uzig mid (1 unit if it has no uzig pool). */
+async function routeAmount(from, amt, { zigUsd, minTvlZig }) {
+  if (Number.isFinite(amt)) return amt;
+  if (from.type === 'uzig') return defaultAmount('buy', { zigUsd, pools: [] });
+  const pools = await loadUzigPoolsForToken(from.token.token_id, { minTvlZig });
+  return pools.length ? defaultAmount('sell', { zigUsd, pools }) : 1;
 }
 
-async function bestSellPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
-  if (!pools.length) return null;
-  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('sell', { zigUsd, pools });
-  const pick = pickBySimulation(pools, 'sell', { fromIsZig: false, amountIn: amt });
-  if (!pick) return null;
-  return { ...pick, amtUsed: amt };
+/** Multi-hop response block (graph over every pool, up to SWAP_MAX_HOPS legs). */
+async function multiHopBlock(from, to, { amt, zigUsd, minTvlZig, maxHops, limit }) {
+  const amountIn = await routeAmount(from, amt, { zigUsd, minTvlZig });
+  const { best, alternatives, explored } = await findRoutes(refDenom(from), refDenom(to), amountIn, { maxHops, limit });
+  return { amount_in: amountIn, best, alternatives, explored };
+}
+
+/**
+ * amtOut → the `from` amount that buys exactly that much `to` through the
+ * uzig legs (null when no pool has enough liquidity).
+ */
+async function exactOutInput(from, to, amountOut, { minTvlZig }) {
+  if (from.type === 'uzig' && to.type === 'token') {
+    const pools = await loadUzigPoolsForToken(to.token.token_id, { minTvlZig });
+    return pickByExactOut(pools, { fromIsZig: true, amountOut })?.amountIn ?? null;
+  }
+  if (from.type === 'token' && to.type === 'uzig') {
+    const pools = await loadUzigPoolsForToken(from.token.token_id, { minTvlZig });
+    return pickByExactOut(pools, { fromIsZig: false, amountOut })?.amountIn ?? null;
+  }
+  if (from.type === 'token' && to.type === 'token') {
+    const zigNeeded = await exactOutInput({ type: 'uzig' }, to, amountOut, { minTvlZig });
+    return zigNeeded == null ? null : exactOutInput(from, { type: 'uzig' }, zigNeeded, { minTvlZig });
+  }
+  return null;
+}
+
+/** exact-in → min_received, exact-out → max_input, both at slippagePct tolerance. */
+function quoteBlock({ amtOut, amountIn, amountOut, slippagePct }) {
+  const s = slippagePct / 100;
+  const exactOut = amtOut != null;
+  return {
+    mode: exactOut ? 'exact_out' : 'exact_in',
+    amount_in: amountIn ?? null,
+    amount_out: exactOut ? amtOut : (amountOut ?? null),
+    slippage_pct: slippagePct,
+    ...(exactOut
+      ? { max_input: amountIn != null ? amountIn * (1 + s) : null }
+      : { min_received: amountOut != null ? amountOut * (1 - s) : null }),
+  };
 }
 
 /* ─────────────────────────── route API ─────────────────────────── */
 
+/**
+ * GET /swap/routes?from=&to=&amt=&maxHops=3&limit=5
+ * Best route plus alternatives through any pools (ZIG or not), each with
+ * per-leg output, fees and cumulative price impact.
+ */
+router.get('/routes', async (req, res) => {
+  try {
+    const fromRef = req.query.from;
+    const toRef   = req.query.to;
+    if (!fromRef || !toRef) return res.status(400).json({ success:false, error:'missing from/to' });
+
+    const zigUsd    = await getZigUsd();
+    const amt       = req.query.amt ? Number(req.query.amt) : undefined;
+    const minTvlZig = req.query.minTvl ? Number(req.query.minTvl) : 0;
+    const maxHops   = req.query.maxHops ? Number(req.query.maxHops) : undefined;
+    const limit     = req.query.limit ? Math.max(0, Math.min(Number(req.query.limit) || 5, 20)) : 5;
+
+    const from = await resolveRef(fromRef);
+    const to   = await resolveRef(toRef);
+    if (!from) return res.status(404).json({ success:false, error:'from token not found' });
+    if (!to)   return res.status(404).json({ success:false, error:'to token not found' });
+
+    const data = await multiHopBlock(from, to, { amt, zigUsd, minTvlZig, maxHops, limit });
+    res.json({ success:true, data, meta:{ from: refDenom(from), to: refDenom(to), zigUsd } });
+  } catch (e) {
+    console.error('[swap/routes] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+
+/**
+ * GET /swap?from=&to=&amt=            exact-input quote (min_received)
+ * GET /swap?from=&to=&amtOut=         exact-output quote (max_input)
+ *   &slippage=0.5 (percent)  &split=1  &minTvl=
+ *   &routes=1 [&maxHops=]   add the multi-hop `routing` block (same search as
+ *                           /swap/routes; off by default, it walks every pool)
+ */
 router.get('/', async (req, res) => {
   try {
     const fromRef = req.query.from;
@@ -181,14 +190,38 @@ router.get('/', async (req, res) => {
     if (!fromRef || !toRef) return res.status(400).json({ success:false, error:'missing from/to' });
 
     const zigUsd    = await getZigUsd();           // from exchange_rates
-    const amt       = req.query.amt ? Number(req.query.amt) : undefined;
+    let   amt       = req.query.amt ? Number(req.query.amt) : undefined;
+    const amtOut    = req.query.amtOut ? Number(req.query.amtOut) : undefined;
     const minTvlZig = req.query.minTvl ? Number(req.query.minTvl) : 0;
+    const split     = ['1','true'].includes(String(req.query.split || '').toLowerCase());
+    const withRoutes = ['1','true'].includes(String(req.query.routes || '').toLowerCase());
+    const slippagePct = req.query.slippage != null
+      ? Math.max(0, Math.min(Number(req.query.slippage) || 0, 50))
+      : 0.5;
+
+    if (amt != null && amtOut != null) return res.status(400).json({ success:false, error:'pass either amt or amtOut' });
+    if (amtOut != null && !(amtOut > 0)) return res.status(400).json({ success:false, error:'amtOut must be > 0' });
 
     const from = await resolveRef(fromRef);
     const to   = await resolveRef(toRef);
     if (!from) return res.status(404).json({ success:false, error:'from token not found' });
     if (!to)   return res.status(404).json({ success:false, error:'to token not found' });
 
+    // exact-output: solve for the input, then quote it like an exact-input swap
+    if (amtOut != null) {
+      amt = await exactOutInput(from, to, amtOut, { minTvlZig });
+      if (amt == null) return res.status(400).json({ success:false, error:'amtOut exceeds available liquidity' });
+    }
+
+    // multi-hop search over all pools (opt-in); the uzig legs below stay as-is
+    const routing = withRoutes
+      ? await multiHopBlock(from, to, {
+          amt, zigUsd, minTvlZig,
+          maxHops: req.query.maxHops ? Number(req.query.maxHops) : undefined,
+          limit: 3,
+        })
+      : undefined;
+
     /* ── ZIG → TOKEN (BUY) ─────────────────────────────────────── */
     if (from.type === 'uzig' && to.type === 'token') {
       const buy = await bestBuyPool(to.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
@@ -196,7 +229,7 @@ router.get('/', async (req, res) => {
         return res.json({ success:true, data:{
           route:['uzig', to.token.denom || to.token.symbol], pairs:[],
           price_native:null, price_usd:null, cross:{ zig_per_from:1, usd_per_from:zigUsd },
-          usd_baseline:{ from_usd: zigUsd, to_usd: null }, source:'direct_uzig'
+          usd_baseline:{ from_usd: zigUsd, to_usd: null }, source:'direct_uzig', routing
         }});
       }
 
@@ -212,9 +245,14 @@ router.get('/', async (req, res) => {
       const from_usd = zigUsd;
       const to_usd   = pairBlock.price_native_mid * zigUsd; // mid( token )
 
+      const splitBlock = split
+        ? splitPlan(buy.pools, { fromIsZig: true, amountIn: buy.amtUsed, bestOut: buy.sim?.out })
+        : undefined;
+
       return res.json({
         success: true,
         data: {
+          routing,
           route: ['uzig', to.token.denom || to.token.symbol || String(to.token.token_id)],
           pairs: [ pairBlock ],
           price_native,                      // exec zig per 1 token (diagnostic)
@@ -222,6 +260,8 @@ router.get('/', async (req, res) => {
           cross: { zig_per_from: 1, usd_per_from: zigUsd },
           usd_baseline: { from_usd, to_usd },// **UI should use these for $**
           source: 'direct_uzig',
+          quote: quoteBlock({ amtOut, amountIn: buy.amtUsed, amountOut: buy.sim?.out, slippagePct }),
+          split: splitBlock,
           diagnostics: {
             side: 'buy',
             poolId: buy.poolId,
@@ -229,7 +269,7 @@ router.get('/', async (req, res) => {
             tvl_zig: buy.tvlZig,
             reserves: { zig: buy.zigReserve, token: buy.tokenReserve },
             sim: buy.sim || null,
-            params: { amt: amt ?? null, minTvlZig }
+            params: { amt: amt ?? null, amtOut: amtOut ?? null, minTvlZig }
           }
         }
       });
@@ -243,7 +283,7 @@ router.get('/', async (req, res) => {
           route:[from.token.denom || from.token.symbol, 'uzig'], pairs:[],
           price_native:null, price_usd:null,
           cross:{ zig_per_from:null, usd_per_from:null },
-          usd_baseline:{ from_usd: null, to_usd: zigUsd }, source:'direct_uzig'
+          usd_baseline:{ from_usd: null, to_usd: zigUsd }, source:'direct_uzig', routing
         }});
       }
 
@@ -257,9 +297,14 @@ router.get('/', async (req, res) => {
       const from_usd = sell.priceInZig * zigUsd; // mid( token )
       const to_usd   = zigUsd;
 
+      const splitBlock = split
+        ? splitPlan(sell.pools, { fromIsZig: false, amountIn: sell.amtUsed, bestOut: sell.sim?.out })
+        : undefined;
+
       return res.json({
         success: true,
         data: {
+          routing,
           route: [from.token.denom || from.token.symbol || String(from.token.token_id), 'uzig'],
           pairs: [ pairBlock ],
           price_native,
@@ -267,6 +312,8 @@ router.get('/', async (req, res) => {
           cross: { zig_per_from: price_native, usd_per_from: from_usd },
           usd_baseline: { from_usd, to_usd },  // **UI should use these for $**
           source: 'direct_uzig',
+          quote: quoteBlock({ amtOut, amountIn: sell.amtUsed, amountOut: sell.sim?.out, slippagePct }),
+          split: splitBlock,
           diagnostics: {
             side: 'sell',
             poolId: sell.poolId,
@@ -274,7 +321,7 @@ router.get('/', async (req, res) => {
             tvl_zig: sell.tvlZig,
             reserves: { zig: sell.zigReserve, token: sell.tokenReserve },
             sim: sell.sim || null,
-            params: { amt: amt ?? null, minTvlZig }
+            params: { amt: amt ?? null, amtOut: amtOut ?? null, minTvlZig }
           }
         }
       });
@@ -290,6 +337,7 @@ router.get('/', async (req, res) => {
         return res.json({
           success: true,
           data: {
+          routing,
             route: [
               from.token.denom || from.token.symbol || String(from.token.token_id),
               'uzig',
@@ -320,9 +368,24 @@ router.get('/', async (req, res) => {
       const from_usd = sellA.priceInZig * zigUsd; // mid(A)
       const to_usd   = buyB.priceInZig  * zigUsd; // mid(B)
 
+      // split each leg independently; the buy leg spends whatever the split sell leg returned
+      let splitBlock;
+      if (split) {
+        const sellSplit = splitPlan(sellA.pools, { fromIsZig: false, amountIn: sellA.amtUsed, bestOut: sellA.sim?.out });
+        const buyBest   = pickBySimulation(buyB.pools, { fromIsZig: true, amountIn: sellSplit.amount_out });
+        const buySplit  = splitPlan(buyB.pools,  { fromIsZig: true,  amountIn: sellSplit.amount_out, bestOut: buyBest?.score });
+        splitBlock = {
+          amount_in: sellSplit.amount_in,
+          amount_out: buySplit.amount_out,
+          ...improvement(buySplit.amount_out, buyB.sim?.out),
+          legs: [ { side:'sell', ...sellSplit }, { side:'buy', ...buySplit } ],
+        };
+      }
+
       return res.json({
         success: true,
         data: {
+          routing,
           route: [
             from.token.denom || from.token.symbol || String(from.token.token_id),
             'uzig',
@@ -334,6 +397,8 @@ router.get('/', async (req, res) => {
           cross: { zig_per_from: sellA.priceInZig, usd_per_from: from_usd }, // exec sell-side rate
           usd_baseline: { from_usd, to_usd },      // **UI should use these for $**
           source: 'via_uzig',
+          quote: quoteBlock({ amtOut, amountIn: sellA.amtUsed, amountOut: buyB.sim?.out, slippagePct }),
+          split: splitBlock,
           diagnostics: {
             sell_leg: {
               side: 'sell',
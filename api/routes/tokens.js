@@ -5,6 +5,8 @@ import { resolveTokenId, getZigUsd } from '../util/resolve-token.js';
 // keep legacy utilities for optional paths
 import { resolvePoolSelection, changePctForMinutes } from '../util/pool-select.js';
 import { getCandles, ensureTf } from '../util/ohlcv-agg.js';
+import { bestSellPool } from '../../core/swap-sim.js';
+import { getTokenOhlcvSeries, resolveOhlcvWindow } from '../util/ohlcv-series.js';
 import e from 'express';
 import log from '../../lib/log.js';
 
@@ -14,165 +16,6 @@ const toNum = x => (x == null ? null : Number(x));
 const disp = (base, exp) => (base == null ? null : Number(base) / (10 ** (exp || 0)));
 const esc = v => `'${String(v).replace(/'/g, "''")}'`;
 
-/* ───────────────────────── helpers FROM /swap ───────────────────────── */
-
-// Oroswap pair type → taker fee fraction (same as /swap)
-function pairFee(pairType) {
-  if (!pairType) return 0.003;
-  const t = String(pairType).toLowerCase();
-  if (t === 'xyk') return 0.0001;
-  if (t === 'concentrated') return 0.01;
-  const m = t.match(/xyk[_-](\d+)/);
-  if (m) {
-    const bps = Number(m[1]);
-    if (Number.isFinite(bps)) return bps / 10_000;
-  }
-  return 0.003;
-}
-
-/** XYK simulation (fee-on-input). Rz = zig reserve, Rt = token reserve. (same as /swap) */
-function simulateXYK({ fromIsZig, amountIn, Rz, Rt, fee }) {
-  if (!(Rz > 0 && Rt > 0) || !(amountIn > 0)) {
-    return { out: 0, price: 0, impact: 0 };
-  }
-  const mid = Rz / Rt; // zig per token
-  const xin = amountIn * (1 - fee);
-
-  if (fromIsZig) {
-    // ZIG -> Token
-    const outToken = (xin * Rt) / (Rz + xin);
-    const effZigPerToken = amountIn / Math.max(outToken, 1e-18);
-    const impact = mid > 0 ? (effZigPerToken / mid) - 1 : 0;
-    return { out: outToken, price: effZigPerToken, impact };
-  } else {
-    // Token -> ZIG
-    const outZig = (xin * Rz) / (Rt + xin);
-    const effZigPerToken = outZig / amountIn; // executable zig per 1 token
-    const impact = mid > 0 ? (mid / Math.max(effZigPerToken, 1e-18)) - 1 : 0;
-    return { out: outZig, price: effZigPerToken, impact };
-  }
-}
-
-/**
- * Load all UZIG-quoted pools for a token, including mid price & reserves (display units). (ClickHouse version)
- * Uses argMax() for latest price per (pool, token).
- */
-/**
- * Load all UZIG-quoted pools for a token, including mid price & reserves (display units). (ClickHouse version)
- * Uses argMax() for latest price per (pool, token).
- */
-async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0 } = {}) {
-  // 🔒 Guard against bad tokenId so ClickHouse never sees '' / 'undefined'
-  const tid = Number(tokenId);
-  if (!Number.isFinite(tid) || tid <= 0) {
-    return []; // no valid pools
-  }
-
-  const { rows } = await DB.query(
-    `
-    WITH latest_prices AS (
-      SELECT
-        pool_id,
-        token_id,
-        argMax(price_in_zig, updated_at) AS price_in_zig
-      FROM prices
-      GROUP BY pool_id, token_id
-    )
-    SELECT
-      p.pool_id           AS pool_id,
-      p.pair_contract     AS pair_contract,
-      p.pair_type         AS pair_type,
-      lp.price_in_zig     AS price_in_zig,
-      ps.reserve_base_base   AS res_base_base,
-      ps.reserve_quote_base  AS res_quote_base,
-      tb.exponent            AS base_exp,
-      tq.exponent            AS quote_exp,
-      COALESCE(pm.tvl_zig, 0) AS tvl_zig
-    FROM pools AS p
-    INNER JOIN tokens AS tb ON tb.token_id = p.base_token_id
-    INNER JOIN tokens AS tq ON tq.token_id = p.quote_token_id
-    LEFT JOIN pool_state AS ps
-      ON ps.pool_id = p.pool_id
-    LEFT JOIN pool_matrix AS pm
-      ON pm.pool_id = p.pool_id
-     AND pm.bucket = '24h'
-    LEFT JOIN latest_prices AS lp
-      ON lp.pool_id  = p.pool_id
-     AND lp.token_id = p.base_token_id
-    WHERE p.is_uzig_quote = 1
-      AND p.base_token_id = $1
-    `,
-    [String(tid)]        // 👈 always a clean "29", never "", never "undefined"
-  );
-
-  return rows
-    .map((r) => {
-      const poolIdRaw = r.pool_id ?? r.POOL_ID ?? r.poolId ?? null;
-      if (poolIdRaw == null) return null;
-
-      const Rt = Number(r.res_base_base || 0) / Math.pow(10, Number(r.base_exp || 0));   // token reserve
-      const Rz = Number(r.res_quote_base || 0) / Math.pow(10, Number(r.quote_exp || 0)); // zig reserve
-
-      return {
-        poolId: String(poolIdRaw),
-        pairContract: r.pair_contract,
-        pairType: r.pair_type,
-        priceInZig: Number(r.price_in_zig || 0), // mid zig per token
-        tokenReserve: Rt,
-        zigReserve: Rz,
-        tvlZig: Number(r.tvl_zig || 0),
-      };
-    })
-    .filter((p) => p && p.tvlZig >= minTvlZig);
-}
-
-
-/** Pick best pool by sim (maximize out). (same as /swap) */
-function pickBySimulation(pools, { fromIsZig, amountIn }) {
-  let best = null;
-  for (const p of pools) {
-    const fee = pairFee(p.pairType);
-    const hasRes = p.zigReserve > 0 && p.tokenReserve > 0;
-    const sim = hasRes
-      ? simulateXYK({ fromIsZig, amountIn, Rz: p.zigReserve, Rt: p.tokenReserve, fee })
-      : null;
-    const score = sim ? sim.out : 0;
-    const cand = { ...p, fee, sim, score };
-    if (!best || cand.score > best.score) best = cand;
-  }
-  return best;
-}
-
-/** Default notional (~$100) when amt not provided. (same as /swap) */
-function defaultAmount(side, { zigUsd, pools }) {
-  const targetUsd = 100;
-  const zigAmt = targetUsd / Math.max(zigUsd, 1e-9);
-  if (side === 'buy') return zigAmt; // from ZIG
-  const avgMid = pools.length
-    ? pools.reduce((s, p) => s + (p.priceInZig || 0), 0) / pools.length
-    : 1;
-  return zigAmt / Math.max(avgMid, 1e-12); // from token
-}
-
-/** best pool for ZIG→TOKEN (buy) and TOKEN→ZIG (sell) — identical to /swap **/
-async function bestBuyPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
-  if (!pools.length) return null;
-  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('buy', { zigUsd, pools });
-  const pick = pickBySimulation(pools, { fromIsZig: true, amountIn: amt });
-  if (!pick) return null;
-  return { ...pick, amtUsed: amt };
-}
-
-async function bestSellPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
-  if (!pools.length) return null;
-  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('sell', { zigUsd, pools });
-  const pick = pickBySimulation(pools, { fromIsZig: false, amountIn: amt });
-  if (!pick) return null;
-  return { ...pick, amtUsed: amt };
-}
-
 /* ================================ LIST: GET /tokens ================================ */
 /* Now uses bestSellPool() for change% pool selection. Optional includeBest=1 returns the chosen pool. */
 router.get('/', async (req, res) => {
@@ -1197,399 +1040,34 @@ router.get('/:id/security', async (req, res) => {
   }
 });
 
-
-
 /* =============================== OHLCV: GET /tokens/:id/ohlcv =============================== */
-/* When priceSource=best, we use bestSellPool() (same as /swap). 'all' and explicit 'pool' still supported. */
-function tfToSec(tf) {
-  const m = { m:60, h:3600, d:86400, w:604800, M:2592000 };
-  const map = {
-    '1m':60, '5m':300, '15m':900, '30m':1800,
-    '1h':3600, '2h':7200, '4h':14400, '8h':28800, '12h':43200,
-    '1d':86400, '3d':259200, '5d':432000, '1w':604800,
-    '1M':2592000, '3M':7776000
-  };
-  if (map[tf]) return map[tf];
-  const g = /^(\d+)([mhdwM])$/.exec(tf || '');
-  if (!g) return 60;
-  return Number(g[1]) * (m[g[2]] || 60);
-}
-
+/* When priceSource=best, we use bestSellPool() (same as /swap). 'all' and explicit 'pool' still supported;
+   'weighted' reads the cross-pool TVL/volume-weighted series (weight=tvl|volume). */
 router.get('/:id/ohlcv', async (req, res) => {
   try {
     const tok = await resolveTokenId(req.params.id);
     if (!tok) return res.status(404).json({ success: false, error: 'token not found' });
 
     const tf = req.query.tf || '1m';
-    const stepSec = tfToSec(tf);
-    const mode = (req.query.mode || 'price').toLowerCase();
-    const unit = (req.query.unit || 'native').toLowerCase();
-    const priceSource = (req.query.priceSource || 'best').toLowerCase();
-    const poolIdParam = req.query.poolId;
-    const pairParam = req.query.pair;
-    const fill = (req.query.fill || 'none').toLowerCase(); // prev|zero|none
-    const minTvlZigBest = Number(req.query.minBestTvl || '0');
-    const amtParam = req.query.amt ? Number(req.query.amt) : undefined;
-
-    const now = new Date();
-    let toIso = req.query.to || now.toISOString();
-    let fromIso = req.query.from || null;
-
-    if (!fromIso) {
-      if (req.query.span) {
-        const spanSec = tfToSec(req.query.span);
-        const to = new Date(toIso);
-        fromIso = new Date(to.getTime() - spanSec * 1000).toISOString();
-      } else if (req.query.window) {
-        const bars = Math.max(1, Math.min(parseInt(req.query.window, 10) || 300, 5000));
-        const to = new Date(toIso);
-        fromIso = new Date(to.getTime() - bars * stepSec * 1000).toISOString();
-      } else {
-        const bars = tf === '1m' ? 1440 : 300;
-        fromIso = new Date(new Date(toIso).getTime() - bars * stepSec * 1000).toISOString();
-      }
-    }
-
-    const zigUsd = await getZigUsd();
-
-    // supply (for mcap)
-    const ss = await DB.query(
-      `SELECT total_supply_base, exponent FROM tokens WHERE token_id = $1`,
-      [tok.token_id]
-    );
-    const exp =
-      ss.rows[0]?.exponent != null ? Number(ss.rows[0].exponent) : 6;
-    const circ =
-      ss.rows[0]?.total_supply_base != null
-        ? Number(ss.rows[0].total_supply_base) / 10 ** exp
-        : null;
-
-    // Determine pool set + seed prevClose
-    let headerSQL = '';
-    let params = [];
-    let seedPrevClose = null;
-
-    if (priceSource === 'all') {
-      params = [tok.token_id, fromIso, toIso, stepSec];
-      headerSQL = `
-        WITH src AS (
-          SELECT
-            o.pool_id,
-            o.bucket_start,
-            o.open,
-            o.high,
-            o.low,
-            o.close,
-            o.volume_zig,
-            o.trade_count
-          FROM ohlcv_1m o
-          JOIN pools p ON p.pool_id = o.pool_id
-          WHERE p.base_token_id = $1
-            AND p.is_uzig_quote = 1
-            AND o.bucket_start >= parseDateTimeBestEffort($2)
-            AND o.bucket_start <  parseDateTimeBestEffort($3)
-        ),
-      `;
-      const q = await DB.query(
-        `
-        SELECT o.close
-        FROM ohlcv_1m o
-        JOIN pools p ON p.pool_id = o.pool_id
-        WHERE p.base_token_id = $1
-          AND p.is_uzig_quote = 1
-          AND o.bucket_start < parseDateTimeBestEffort($2)
-        ORDER BY o.bucket_start DESC
-        LIMIT 1
-        `,
-        [tok.token_id, fromIso]
-      );
-      seedPrevClose =
-        q.rows[0]?.close != null ? Number(q.rows[0].close) : null;
-    } else if (priceSource === 'pool') {
-      let poolRow = null;
-      if (poolIdParam || pairParam) {
-        const { rows } = await DB.query(
-          `
-          SELECT pool_id
-          FROM pools
-          WHERE (toString(pool_id) = $1 OR pair_contract = $1)
-            AND base_token_id = $2
-          LIMIT 1
-          `,
-          [poolIdParam || pairParam, tok.token_id]
-        );
-        poolRow = rows[0] || null;
-      }
-      if (!poolRow?.pool_id) {
-        return res.json({
-          success: true,
-          data: [],
-          meta: {
-            tf,
-            mode,
-            unit,
-            fill,
-            priceSource: 'pool',
-            poolId: null,
-          },
-        });
-      }
-      params = [poolRow.pool_id, fromIso, toIso, stepSec];
-      headerSQL = `
-        WITH src AS (
-          SELECT
-            o.pool_id,
-            o.bucket_start,
-            o.open,
-            o.high,
-            o.low,
-            o.close,
-            o.volume_zig,
-            o.trade_count
-          FROM ohlcv_1m o
-          WHERE o.pool_id = $1
-            AND o.bucket_start >= parseDateTimeBestEffort($2)
-            AND o.bucket_start <  parseDateTimeBestEffort($3)
-        ),
-      `;
-      const q = await DB.query(
-        `
-        SELECT close
-        FROM ohlcv_1m
-        WHERE pool_id = $1
-          AND bucket_start < parseDateTimeBestEffort($2)
-        ORDER BY bucket_start DESC
-        LIMIT 1
-        `,
-        [poolRow.pool_id, fromIso]
-      );
-      seedPrevClose =
-        q.rows[0]?.close != null ? Number(q.rows[0].close) : null;
-    } else {
-      // priceSource === 'best' (default): choose the same pool as /swap sell leg
-      const best = await bestSellPool(tok.token_id, {
-        amountIn: amtParam,
-        minTvlZig: minTvlZigBest,
-        zigUsd,
-      });
-
-      const bestPoolId =
-        best && best.poolId != null && best.poolId !== 'undefined'
-          ? best.poolId
-          : null;
-
-      if (!bestPoolId) {
-        return res.json({
-          success: true,
-          data: [],
-          meta: {
-            tf,
-            mode,
-            unit,
-            fill,
-            priceSource: 'best',
-            poolId: null,
-          },
-        });
-      }
-
-      params = [bestPoolId, fromIso, toIso, stepSec];
-      headerSQL = `
-        WITH src AS (
-          SELECT
-            o.pool_id,
-            o.bucket_start,
-            o.open,
-            o.high,
-            o.low,
-            o.close,
-            o.volume_zig,
-            o.trade_count
-          FROM ohlcv_1m o
-          WHERE o.pool_id = $1
-            AND o.bucket_start >= parseDateTimeBestEffort($2)
-            AND o.bucket_start <  parseDateTimeBestEffort($3)
-        ),
-      `;
-      const q = await DB.query(
-        `
-        SELECT close
-        FROM ohlcv_1m
-        WHERE pool_id = $1
-          AND bucket_start < parseDateTimeBestEffort($2)
-        ORDER BY bucket_start DESC
-        LIMIT 1
-        `,
-        [bestPoolId, fromIso]
-      );
-      seedPrevClose =
-        q.rows[0]?.close != null ? Number(q.rows[0].close) : null;
-    }
-
-    // Aggregate to requested TF (ClickHouse syntax)
-    const { rows } = await DB.query(
-      `
-      ${headerSQL}
-      tagged AS (
-        SELECT
-          bucket_start,
-          open,
-          high,
-          low,
-          close,
-          volume_zig,
-          trade_count,
-          toDateTime(
-            intDiv(
-              toUnixTimestamp(bucket_start),
-              CAST($4 AS Int64)
-            ) * CAST($4 AS Int64)
-          ) AS bucket_ts
-        FROM src
-      ),
-      sums AS (
-        SELECT
-          bucket_ts,
-          MIN(low)  AS low,
-          MAX(high) AS high,
-          SUM(volume_zig)  AS volume_native,
-          SUM(trade_count) AS trades
-        FROM tagged
-        GROUP BY bucket_ts
-      ),
-      firsts AS (
-        SELECT
-          bucket_ts,
-          argMin(open, bucket_start) AS open   -- ✅ earliest open in bucket
-        FROM tagged
-        GROUP BY bucket_ts
-      ),
-      lasts AS (
-        SELECT
-          bucket_ts,
-          argMax(close, bucket_start) AS close -- ✅ latest close in bucket
-        FROM tagged
-        GROUP BY bucket_ts
-      )
-      SELECT
-        toInt64(toUnixTimestamp(s.bucket_ts)) AS ts_sec,
-        f.open,
-        s.high,
-        s.low,
-        l.close,
-        s.volume_native,
-        s.trades
-      FROM sums s
-      LEFT JOIN firsts f USING (bucket_ts)
-      LEFT JOIN lasts  l USING (bucket_ts)
-      ORDER BY ts_sec ASC
-      `,
-      params
-    );
-
-    // JS gap fill
-    const start =
-      Math.floor(new Date(fromIso).getTime() / 1000 / stepSec) * stepSec;
-    const end =
-      Math.floor(new Date(toIso).getTime() / 1000 / stepSec) * stepSec;
-
-    const bySec = new Map(
-      rows.map((r) => [
-        Number(r.ts_sec),
-        {
-          sec: Number(r.ts_sec),
-          open: r.open != null ? Number(r.open) : null,
-          high: r.high != null ? Number(r.high) : null,
-          low: r.low != null ? Number(r.low) : null,
-          close: r.close != null ? Number(r.close) : null,
-          volume: r.volume_native != null ? Number(r.volume_native) : 0,
-          trades: r.trades != null ? Number(r.trades) : 0,
-        },
-      ])
-    );
-
-    let prevClose =
-      fill === 'prev' && Number.isFinite(seedPrevClose)
-        ? Number(seedPrevClose)
-        : null;
-    const out = [];
-
-    for (let ts = start; ts <= end; ts += stepSec) {
-      const r = bySec.get(ts);
-      if (r && r.open != null && r.high != null && r.low != null && r.close != null) {
-        const openAdj = prevClose != null ? prevClose : r.open;
-        const highAdj = Math.max(r.high, openAdj);
-        const lowAdj = Math.min(r.low, openAdj);
-        const base = {
-          ts_sec: ts,
-          open: openAdj,
-          high: highAdj,
-          low: lowAdj,
-          close: r.close,
-          volume: r.volume,
-          trades: r.trades,
-        };
-        out.push(base);
-        prevClose = base.close;
-      } else if (fill !== 'none') {
-        if (fill === 'prev' && prevClose != null) {
-          out.push({
-            ts_sec: ts,
-            open: prevClose,
-            high: prevClose,
-            low: prevClose,
-            close: prevClose,
-            volume: 0,
-            trades: 0,
-          });
-        } else if (fill === 'zero') {
-          out.push({
-            ts_sec: ts,
-            open: 0,
-            high: 0,
-            low: 0,
-            close: 0,
-            volume: 0,
-            trades: 0,
-          });
-          prevClose = 0;
-        }
-      }
-    }
-
-    const conv = out.map((b) => {
-      let o = { ...b };
-      if (mode === 'mcap' && circ != null) {
-        o.open *= circ;
-        o.high *= circ;
-        o.low *= circ;
-        o.close *= circ;
-      }
-      if (unit === 'usd') {
-        o.open *= zigUsd;
-        o.high *= zigUsd;
-        o.low *= zigUsd;
-        o.close *= zigUsd;
-        o.volume *= zigUsd;
-      }
-      return o;
+    const { fromIso, toIso } = resolveOhlcvWindow({
+      tf, from: req.query.from, to: req.query.to, span: req.query.span, window: req.query.window,
     });
 
-    res.json({
-      success: true,
-      data: conv,
-      meta: {
-        tf,
-        mode,
-        unit,
-        fill,
-        priceSource,
-        stepSec,
-        alignedFromSec: start,
-        alignedToSecExclusive: end + stepSec,
-        prevCloseSeed: Number.isFinite(seedPrevClose) ? seedPrevClose : null,
-      },
+    const { data, meta } = await getTokenOhlcvSeries(tok, {
+      tf,
+      mode: (req.query.mode || 'price').toLowerCase(),
+      unit: (req.query.unit || 'native').toLowerCase(),
+      priceSource: (req.query.priceSource || 'best').toLowerCase(),
+      poolRef: req.query.poolId || req.query.pair || null,
+      weight: (req.query.weight || 'tvl').toLowerCase(),
+      fill: (req.query.fill || 'none').toLowerCase(), // prev|zero|none
+      fromIso,
+      toIso,
+      amt: req.query.amt ? Number(req.query.amt) : undefined,
+      minBestTvl: Number(req.query.minBestTvl || '0'),
     });
+
+    res.json({ success: true, data, meta });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, error: e.message });
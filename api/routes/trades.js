@@ -1,7 +1,8 @@
 // api/routes/trades.js
 import express from 'express';
 import { DB } from '../../lib/db.js';
-import { getZigUsd, resolveTokenId } from '../util/resolve-token.js';
+import { resolveTokenId } from '../util/resolve-token.js';
+import { zigUsdForRows, zigUsdAsOfJoin, ZIG_USD_AT_SQL, rateAt } from '../util/fx.js';
 
 const router = express.Router();
 
@@ -126,8 +127,12 @@ function scale(base, exp, fallback = 6) {
   return Number(base) / 10 ** e;
 }
 
-/** shape one row into API response (keeps ZIG-leg + notional) */
-function shapeRow(r, unit, zigUsd) {
+/**
+ * shape one row into API response (keeps ZIG-leg + notional); zigUsd is a
+ * fixed rate or a zigUsdAsOf() lookup read at the trade's time
+ */
+export function shapeRow(r, unit, zigUsd) {
+  const fx = rateAt(zigUsd, r.created_at);
   const offerScaled = scale(
     r.offer_amount_base,
     (r.offer_asset_denom === 'uzig') ? 6 : (r.offer_exp ?? 6),
@@ -155,7 +160,7 @@ function shapeRow(r, unit, zigUsd) {
       : scale(r.return_amount_base, r.qexp ?? 6, 6);
     if (rawQuote != null) valueZig = rawQuote * Number(r.pq_price_in_zig);
   }
-  const valueUsd = valueZig != null ? valueZig * zigUsd : null;
+  const valueUsd = valueZig != null ? valueZig * fx : null;
 
   // ZIG-leg preferred for class
   const zigLegAmount =
@@ -182,7 +187,7 @@ function shapeRow(r, unit, zigUsd) {
       : null;
 
   const priceNative = (quoteAmtZig != null && baseAmt != null && baseAmt !== 0) ? (quoteAmtZig / baseAmt) : null;
-  const priceUsd = priceNative != null ? priceNative * zigUsd : null;
+  const priceUsd = priceNative != null ? priceNative * fx : null;
 
   return {
     time: r.created_at,
@@ -217,7 +222,7 @@ function shapeRow(r, unit, zigUsd) {
 function worthForClass(item, unit, zigUsd) {
   const zigBasis = (item.zigLegAmount != null) ? item.zigLegAmount : item.valueNative;
   if (zigBasis == null) return null;
-  return unit === 'usd' ? zigBasis * zigUsd : zigBasis;
+  return unit === 'usd' ? zigBasis * rateAt(zigUsd, item.time) : zigBasis;
 }
 function classifyByThreshold(x) {
   if (x < 1000) return 'shrimp';
@@ -329,28 +334,8 @@ function paginateArray(data, page, limit) {
   return { items: data.slice(start, end), total, page: p, pages, limit };
 }
 
-/**
- * CPU-friendly builder:
- * - LATERAL join to get latest quote price once per row via index
- * - optional totals (includeTotal=false by default) to avoid COUNT(*) OVER()
- */
-function buildWorthPagedSQL({
-  scope, scopeValue, direction, includeLiquidity,
-  windowOpts, page, limit, unit, klass, minValue, maxValue,
-  extraWhere = [], includeTotal = false
-}, params) {
-  // Base WHERE
-  const baseWhere = buildWhereBase({ scope, scopeValue, direction, includeLiquidity }, params, 't');
-
-  // extras
-  if (Array.isArray(extraWhere) && extraWhere.length) baseWhere.push(...extraWhere);
-
-  // time window
-  const { clause: timeClause } = buildWindow(windowOpts, params, 't');
-  baseWhere.push(timeClause);
-
-  // worthZig expression using base.*
-  const worthZig = `
+// ZIG value of a `base` row (trade + pool/token exponents + quote price)
+const WORTH_ZIG_SQL = `
     COALESCE(
       CASE WHEN base.offer_asset_denom='uzig'
            THEN base.offer_amount_base / POWER(10, COALESCE(base.offer_exp,6))
@@ -371,9 +356,29 @@ function buildWorthPagedSQL({
     )
   `;
 
-  const zigUsdIdx = params.length + 1;
-  params.push(0); // placeholder to be filled by caller
-  const worthUsd = `(${worthZig}) * $${zigUsdIdx}`;
+/**
+ * CPU-friendly builder:
+ * - LATERAL join to get latest quote price once per row via index
+ * - optional totals (includeTotal=false by default) to avoid COUNT(*) OVER()
+ */
+function buildWorthPagedSQL({
+  scope, scopeValue, direction, includeLiquidity,
+  windowOpts, page, limit, unit, klass, minValue, maxValue,
+  extraWhere = [], includeTotal = false
+}, params) {
+  // Base WHERE
+  const baseWhere = buildWhereBase({ scope, scopeValue, direction, includeLiquidity }, params, 't');
+
+  // extras
+  if (Array.isArray(extraWhere) && extraWhere.length) baseWhere.push(...extraWhere);
+
+  // time window
+  const { clause: timeClause } = buildWindow(windowOpts, params, 't');
+  baseWhere.push(timeClause);
+
+  const worthZig = WORTH_ZIG_SQL;
+  // USD at the rate in effect when each trade happened (fx from zigUsdAsOfJoin)
+  const worthUsd = `(${worthZig}) * ${ZIG_USD_AT_SQL}`;
 
   // filters on worth/class
   const filters = [];
@@ -400,7 +405,8 @@ function buildWorthPagedSQL({
         b.denom    AS base_denom,
         toff.exponent AS offer_exp,
         task.exponent AS ask_exp,
-        pr.price_in_zig AS pq_price_in_zig
+        pr.price_in_zig AS pq_price_in_zig,
+        toUInt8(1) AS fx_key
       FROM trades t
       JOIN pools  p ON p.pool_id = t.pool_id
       JOIN tokens q ON q.token_id = p.quote_token_id
@@ -420,8 +426,9 @@ function buildWorthPagedSQL({
       , counted AS (
         SELECT base.*,
                ${worthZig} AS worth_zig,
-               (${worthZig}) * $${zigUsdIdx} AS worth_usd
+               ${worthUsd} AS worth_usd
         FROM base
+        ${zigUsdAsOfJoin('base')}
         ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
       )
       SELECT *, (SELECT COUNT(*) FROM counted) AS total
@@ -432,8 +439,9 @@ function buildWorthPagedSQL({
       , ranked AS (
         SELECT base.*,
                ${worthZig} AS worth_zig,
-               (${worthZig}) * $${zigUsdIdx} AS worth_usd
+               ${worthUsd} AS worth_usd
         FROM base
+        ${zigUsdAsOfJoin('base')}
         ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
       )
       SELECT *
@@ -442,7 +450,7 @@ function buildWorthPagedSQL({
       LIMIT ${limit} OFFSET ${offset}
     `}
   `;
-  return { sql, params, zigUsdIdx };
+  return { sql, params };
 }
 
 /* ---------------- ROUTES ---------------- */
@@ -461,7 +469,6 @@ router.get('/', async (req, res) => {
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
 
-    const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
 
     if (combine === 'deep' || combine === '1' || combine === 'true') {
@@ -489,6 +496,7 @@ router.get('/', async (req, res) => {
         LIMIT ${sqlLimit}
       `;
       const { rows } = await DB.query(sql, params);
+      const zigUsd = await zigUsdForRows(rows);
       let shaped = rows.map(r => shapeRow(r, unit, zigUsd));
       if (combine === 'deep') shaped = await combineRouterTradesDeep(shaped, unit, windowOpts, zigUsd);
       else shaped = combineRouterTradesShallow(shaped, unit, zigUsd);
@@ -502,7 +510,7 @@ router.get('/', async (req, res) => {
 
     // DB-side worth/class/pagination
     const params = [];
-    const { sql, params: p2, zigUsdIdx } = buildWorthPagedSQL({
+    const { sql, params: p2 } = buildWorthPagedSQL({
       scope: 'all',
       scopeValue: null,
       direction: dir,
@@ -514,9 +522,9 @@ router.get('/', async (req, res) => {
       extraWhere: [],
       includeTotal
     }, params);
-    p2[zigUsdIdx - 1] = zigUsd;
 
     const { rows } = await DB.query(sql, p2);
+    const zigUsd = await zigUsdForRows(rows);
     const total = includeTotal ? (rows[0]?.total ? Number(rows[0].total) : 0) : undefined;
     const pages = total != null ? Math.max(1, Math.ceil(total / limit)) : undefined;
 
@@ -550,7 +558,6 @@ router.get('/token/:id', async (req, res) => {
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
 
-    const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
 
     if (combine === 'deep' || combine === '1' || combine === 'true') {
@@ -577,6 +584,7 @@ router.get('/token/:id', async (req, res) => {
         LIMIT ${sqlLimit}
       `;
       const { rows } = await DB.query(sql, params);
+      const zigUsd = await zigUsdForRows(rows);
       let shaped = rows.map(r => shapeRow(r, unit, zigUsd));
       if (combine === 'deep') shaped = await combineRouterTradesDeep(shaped, unit, windowOpts, zigUsd);
       else shaped = combineRouterTradesShallow(shaped, unit, zigUsd);
@@ -589,7 +597,7 @@ router.get('/token/:id', async (req, res) => {
     }
 
     const params = [];
-    const { sql, params: p2, zigUsdIdx } = buildWorthPagedSQL({
+    const { sql, params: p2 } = buildWorthPagedSQL({
       scope: 'token',
       scopeValue: tok.token_id,
       direction: dir,
@@ -601,9 +609,9 @@ router.get('/token/:id', async (req, res) => {
       extraWhere: [],
       includeTotal
     }, params);
-    p2[zigUsdIdx - 1] = zigUsd;
 
     const { rows } = await DB.query(sql, p2);
+    const zigUsd = await zigUsdForRows(rows);
     const total = includeTotal ? (rows[0]?.total ? Number(rows[0].total) : 0) : undefined;
     const pages = total != null ? Math.max(1, Math.ceil(total / limit)) : undefined;
 
@@ -642,7 +650,6 @@ router.get('/pool/:ref', async (req, res) => {
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
 
-    const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
 
     if (combine === 'deep' || combine === '1' || combine === 'true') {
@@ -669,6 +676,7 @@ router.get('/pool/:ref', async (req, res) => {
         LIMIT ${sqlLimit}
       `;
       const { rows } = await DB.query(sql, params);
+      const zigUsd = await zigUsdForRows(rows);
       let shaped = rows.map(r => shapeRow(r, unit, zigUsd));
       if (combine === 'deep') shaped = await combineRouterTradesDeep(shaped, unit, windowOpts, zigUsd);
       else shaped = combineRouterTradesShallow(shaped, unit, zigUsd);
@@ -681,7 +689,7 @@ router.get('/pool/:ref', async (req, res) => {
     }
 
     const params = [];
-    const { sql, params: p2, zigUsdIdx } = buildWorthPagedSQL({
+    const { sql, params: p2 } = buildWorthPagedSQL({
       scope: 'pool',
       scopeValue: { poolId },
       direction: dir,
@@ -693,9 +701,9 @@ router.get('/pool/:ref', async (req, res) => {
       extraWhere: [],
       includeTotal
     }, params);
-    p2[zigUsdIdx - 1] = zigUsd;
 
     const { rows } = await DB.query(sql, p2);
+    const zigUsd = await zigUsdForRows(rows);
     const total = includeTotal ? (rows[0]?.total ? Number(rows[0].total) : 0) : undefined;
     const pages = total != null ? Math.max(1, Math.ceil(total / limit)) : undefined;
 
@@ -727,7 +735,6 @@ router.get('/wallet/:address', async (req, res) => {
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
 
-    const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
 
     if (combine === 'deep' || combine === '1' || combine === 'true') {
@@ -761,6 +768,7 @@ router.get('/wallet/:address', async (req, res) => {
         LIMIT ${sqlLimit}
       `;
       const { rows } = await DB.query(sql, params);
+      const zigUsd = await zigUsdForRows(rows);
       let shaped = rows.map(r => shapeRow(r, unit, zigUsd));
       if (combine === 'deep') shaped = await combineRouterTradesDeep(shaped, unit, windowOpts, zigUsd);
       else shaped = combineRouterTradesShallow(shaped, unit, zigUsd);
@@ -785,7 +793,7 @@ router.get('/wallet/:address', async (req, res) => {
     }
 
     const params = [];
-    const { sql, params: p2, zigUsdIdx } = buildWorthPagedSQL({
+    const { sql, params: p2 } = buildWorthPagedSQL({
       scope: 'wallet',
       scopeValue: address,
       direction: dir,
@@ -797,9 +805,9 @@ router.get('/wallet/:address', async (req, res) => {
       extraWhere,
       includeTotal
     }, params);
-    p2[zigUsdIdx - 1] = zigUsd;
 
     const { rows } = await DB.query(sql, p2);
+    const zigUsd = await zigUsdForRows(rows);
     const total = includeTotal ? (rows[0]?.total ? Number(rows[0].total) : 0) : undefined;
     const pages = total != null ? Math.max(1, Math.ceil(total / limit)) : undefined;
 
@@ -829,37 +837,16 @@ router.get('/large', async (req, res) => {
     const minV   = req.query.minValue != null ? Number(req.query.minValue) : null;
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
 
-    const zigUsd = await getZigUsd();
 
     const params = [bucket];
     let dirClause = '';
     if (dir) { params.push(dir); dirClause = `AND lt.direction = $${params.length}`; }
 
     const offset = (page - 1) * limit;
-    const zigUsdIdx = params.length + 1;
-    params.push(zigUsd);
-
-    const worthZig = `
-      COALESCE(
-        CASE WHEN t.offer_asset_denom='uzig'
-             THEN t.offer_amount_base / POWER(10, COALESCE(toff.exponent,6))
-             WHEN t.ask_asset_denom='uzig'
-             THEN t.ask_amount_base   / POWER(10, COCOALESCE(task.exponent,6))
-        END,
-        CASE WHEN p.is_uzig_quote THEN
-               CASE WHEN t.direction='buy'
-                    THEN t.offer_amount_base  / POWER(10, COALESCE(q.exponent,6))
-                    ELSE t.return_amount_base / POWER(10, COALESCE(q.exponent,6))
-               END
-             ELSE
-               (CASE WHEN t.direction='buy'
-                     THEN t.offer_amount_base  / POWER(10, COALESCE(q.exponent,6))
-                     ELSE t.return_amount_base / POWER(10, COALESCE(q.exponent,6))
-                END) * (SELECT price_in_zig FROM prices WHERE token_id=p.quote_token_id ORDER BY updated_at DESC LIMIT 1)
-        END
-      )
-    `;
-    const worthUsd = `(${worthZig}) * $${zigUsdIdx}`;
+
+    const worthZig = WORTH_ZIG_SQL;
+    // USD at the rate in effect when each trade happened (fx from zigUsdAsOfJoin)
+    const worthUsd = `(${worthZig}) * ${ZIG_USD_AT_SQL}`;
 
     const filters = [];
     if (VALID_CLASS.has(klass)) {
@@ -888,7 +875,8 @@ router.get('/large', async (req, res) => {
           b.denom    AS base_denom,
           toff.exponent AS offer_exp,
           task.exponent AS ask_exp,
-          (SELECT price_in_zig FROM prices WHERE token_id = p.quote_token_id ORDER BY updated_at DESC LIMIT 1) AS pq_price_in_zig
+          (SELECT price_in_zig FROM prices WHERE token_id = p.quote_token_id ORDER BY updated_at DESC LIMIT 1) AS pq_price_in_zig,
+          toUInt8(1) AS fx_key
         FROM trades t
         JOIN pick k ON k.tx_hash = t.tx_hash AND k.pool_id = t.pool_id AND k.direction = t.direction
         JOIN pools  p ON p.pool_id = t.pool_id
@@ -899,13 +887,12 @@ router.get('/large', async (req, res) => {
       ),
       ranked AS (
         SELECT base.*,
-               ${worthZig.replaceAll('t.', 'base.').replaceAll('p.', 'p').replaceAll('q.', 'q') } AS worth_zig,
-               (${worthZig.replaceAll('t.', 'base.').replaceAll('p.', 'p').replaceAll('q.', 'q')}) * $${zigUsdIdx} AS worth_usd,
+               ${worthZig} AS worth_zig,
+               ${worthUsd} AS worth_usd,
                COUNT(*) OVER() AS total
         FROM base
-        JOIN pools p ON p.pool_id = base.pool_id
-        JOIN tokens q ON q.token_id = p.quote_token_id
-        ${filters.length ? `WHERE ${filters.map(f => f.replaceAll('t.', 'base.')).join(' AND ')}` : ''}
+        ${zigUsdAsOfJoin('base')}
+        ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
         ORDER BY base.created_at DESC
         LIMIT ${limit} OFFSET ${offset}
       )
@@ -913,6 +900,7 @@ router.get('/large', async (req, res) => {
     `;
 
     const { rows } = await DB.query(sql, params);
+    const zigUsd = await zigUsdForRows(rows);
 
     let shaped = rows.map(r => shapeRow(r, unit, zigUsd));
     if (combine === 'deep' || combine === '1' || combine === 'true') {
@@ -949,7 +937,6 @@ router.get('/recent', async (req, res) => {
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
 
-    const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
 
     if (combine === 'deep' || combine === '1' || combine === 'true') {
@@ -983,6 +970,7 @@ router.get('/recent', async (req, res) => {
         LIMIT ${sqlLimit}
       `;
       const { rows } = await DB.query(sql, params);
+      const zigUsd = await zigUsdForRows(rows);
       let shaped = rows.map(r => shapeRow(r, unit, zigUsd));
       if (combine === 'deep') shaped = await combineRouterTradesDeep(shaped, unit, windowOpts, zigUsd);
       else shaped = combineRouterTradesShallow(shaped, unit, zigUsd);
@@ -1007,7 +995,7 @@ router.get('/recent', async (req, res) => {
     }
 
     const params = [];
-    const { sql, params: p2, zigUsdIdx } = buildWorthPagedSQL({
+    const { sql, params: p2 } = buildWorthPagedSQL({
       scope: 'all',
       scopeValue: null,
       direction: dir,
@@ -1019,9 +1007,9 @@ router.get('/recent', async (req, res) => {
       extraWhere,
       includeTotal
     }, params);
-    p2[zigUsdIdx - 1] = zigUsd;
 
     const { rows } = await DB.query(sql, p2);
+    const zigUsd = await zigUsdForRows(rows);
     const total = includeTotal ? (rows[0]?.total ? Number(rows[0].total) : 0) : undefined;
     const pages = total != null ? Math.max(1, Math.ceil(total / limit)) : undefined;
 
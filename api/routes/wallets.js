@@ -0,0 +1,354 @@
+// api/routes/wallets.js
+import express from 'express';
+import { DB } from '../../lib/db.js';
+import { lcdBalances } from '../../lib/lcd.js';
+import { getZigUsd } from '../util/resolve-token.js';
+import {
+  loadWalletTrades,
+  loadPnlStates,
+  afterCursor,
+  latestTokenPrices,
+  replayPositions,
+  summarizePosition,
+} from '../../core/pnl.js';
+import { lpShareBalances, valueLpPositions } from '../../core/lp.js';
+
+const router = express.Router();
+
+const LCD_TIMEOUT_MS = parseInt(process.env.PORTFOLIO_LCD_TIMEOUT_MS || '4000', 10);
+const LCD_MAX_PAGES  = parseInt(process.env.PORTFOLIO_LCD_MAX_PAGES || '5', 10);
+
+const isAddress = (s) => /^[a-z]+1[0-9a-z]{20,90}$/.test(String(s || ''));
+
+const TOKEN_COLS = `
+  token_id, any(denom) AS denom, any(symbol) AS symbol, any(name) AS name,
+  any(image_uri) AS image_uri, any(exponent) AS exponent, any(total_supply_base) AS total_supply_base
+`;
+
+async function tokenMeta(tokenIds) {
+  if (!tokenIds.length) return new Map();
+  const { rows } = await DB.query(
+    `
+    SELECT ${TOKEN_COLS}
+    FROM tokens
+    WHERE has(splitByChar(',', $1), toString(token_id))
+    GROUP BY token_id
+    `,
+    [tokenIds.join(',')]
+  );
+  return new Map(rows.map(r => [String(r.token_id), r]));
+}
+
+async function tokenMetaByDenom(denoms) {
+  if (!denoms.length) return new Map();
+  const { rows } = await DB.query(
+    `
+    SELECT ${TOKEN_COLS}
+    FROM tokens
+    WHERE has(splitByChar(',', $1), denom)
+    GROUP BY token_id
+    `,
+    [denoms.join(',')]
+  );
+  return new Map(rows.map(r => [r.denom, r]));
+}
+
+/** All bank balances of an address via LCD ({ denom → amount_base }), paged. */
+async function bankBalances(address) {
+  const out = new Map();
+  let next = null;
+  for (let page = 0; page < LCD_MAX_PAGES; page++) {
+    const j = await lcdBalances(address, next, { timeoutMs: LCD_TIMEOUT_MS });
+    for (const b of j?.balances || []) {
+      if (/^\d+$/.test(String(b.amount))) out.set(b.denom, String(b.amount));
+    }
+    next = j?.pagination?.next_key || null;
+    if (!next) break;
+  }
+  return out;
+}
+
+/**
+ * GET /wallets/:address/pnl?method=fifo|avg&unit=zig|usd
+ * Per-token positions (core/pnl.js) from the replay state jobs/wallet-pnl.js
+ * stored for the wallet plus the swaps after its cursor (the full history for
+ * a wallet the job hasn't replayed), marked at the latest prices.
+ */
+router.get('/:address/pnl', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!isAddress(address)) return res.status(400).json({ success:false, error:'invalid address' });
+    const method = String(req.query.method || 'fifo').toLowerCase() === 'avg' ? 'avg' : 'fifo';
+    const unit   = String(req.query.unit || 'zig').toLowerCase() === 'usd' ? 'usd' : 'zig';
+
+    const [states, marks, zigUsd] = await Promise.all([
+      loadPnlStates([address]),
+      latestTokenPrices(),
+      getZigUsd(),
+    ]);
+    const state = states.get(address) || null;
+    const trades = (await loadWalletTrades([address], { fromHeight: state?.height ?? null }))
+      .filter(t => afterCursor(t, state));
+    const wallets = new Map(state ? [[address, state.positions]] : []);
+    const positions = replayPositions(trades, wallets).get(address) || new Map();
+    const meta = await tokenMeta([...positions.keys()]);
+    const k = unit === 'usd' ? zigUsd : 1;
+    const conv = (x) => x == null ? null : x * k;
+
+    const totals = { cost_basis: 0, value: 0, realized_pnl: 0, unrealized_pnl: 0 };
+    const data = [];
+    for (const pos of positions.values()) {
+      const s = summarizePosition(pos, marks.get(pos.tokenId) ?? null);
+      const m = meta.get(s.token_id) || {};
+      const costBasis = method === 'fifo' ? s.cost_basis_zig : s.qty * s.avg_cost_zig;
+      const realized  = method === 'fifo' ? s.realized_fifo_zig : s.realized_avg_zig;
+      const unrealized = method === 'fifo' ? s.unrealized_fifo_zig : s.unrealized_avg_zig;
+
+      totals.cost_basis += costBasis;
+      totals.value += s.value_zig ?? 0;
+      totals.realized_pnl += realized;
+      totals.unrealized_pnl += unrealized ?? 0;
+
+      data.push({
+        tokenId: s.token_id,
+        denom: m.denom ?? s.denom,
+        symbol: m.symbol ?? null,
+        name: m.name ?? null,
+        imageUri: m.image_uri ?? null,
+        qty: s.qty,
+        avg_cost: conv(s.avg_cost_zig),
+        cost_basis: conv(costBasis),
+        mark_price: conv(s.mark_price_zig),
+        value: conv(s.value_zig),
+        realized_pnl: conv(realized),
+        unrealized_pnl: conv(unrealized),
+        unmatched_qty: s.unmatched_qty,
+        trades: s.trades,
+        last_height: s.last_height,
+      });
+    }
+    data.sort((a, b) => (b.value ?? 0) - (a.value ?? 0) || Math.abs(b.realized_pnl) - Math.abs(a.realized_pnl));
+
+    res.json({
+      success: true,
+      data: {
+        address,
+        positions: data,
+        totals: {
+          cost_basis: conv(totals.cost_basis),
+          value: conv(totals.value),
+          realized_pnl: conv(totals.realized_pnl),
+          unrealized_pnl: conv(totals.unrealized_pnl),
+          total_pnl: conv(totals.realized_pnl + totals.unrealized_pnl),
+        },
+      },
+      meta: { method, unit, zigUsd, replayed_from_height: state?.height ?? null, replayed_trades: trades.length },
+    });
+  } catch (e) {
+    console.error('[wallets/pnl] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /wallets/:address/portfolio
+ * Balances from `holders` for swept tokens; tokens the holders job hasn't
+ * swept (no holders_count yet, IBC) and native uzig come from LCD bank
+ * balances. Valued at latest prices; 24h change from price_ticks.
+ */
+router.get('/:address/portfolio', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!isAddress(address)) return res.status(400).json({ success:false, error:'invalid address' });
+
+    const [held, swept, zigUsd] = await Promise.all([
+      DB.query(
+        `
+        SELECT token_id, argMax(balance_base, updated_at) AS balance_base
+        FROM holders
+        WHERE address = $1
+        GROUP BY token_id
+        `,
+        [address]
+      ),
+      DB.query(`
+        SELECT token_id
+        FROM token_holders_stats
+        GROUP BY token_id
+        HAVING argMax(holders_count, updated_at) IS NOT NULL
+      `),
+      getZigUsd(),
+    ]);
+    const sweptIds = new Set(swept.rows.map(r => String(r.token_id)));
+
+    // token_id → balance_base (string); holders only for swept tokens
+    const balances = new Map();
+    for (const r of held.rows) {
+      if (sweptIds.has(String(r.token_id)) && Number(r.balance_base) > 0) {
+        balances.set(String(r.token_id), { base: String(r.balance_base), source: 'holders' });
+      }
+    }
+
+    let lcdStatus = 'ok';
+    let zigBase = null;
+    try {
+      const bank = await bankBalances(address);
+      zigBase = bank.get('uzig') ?? null;
+      const byDenom = await tokenMetaByDenom([...bank.keys()].filter(d => d !== 'uzig'));
+      for (const [denom, amount] of bank) {
+        const t = byDenom.get(denom);
+        if (!t || sweptIds.has(String(t.token_id)) || !(Number(amount) > 0)) continue;
+        balances.set(String(t.token_id), { base: amount, source: 'lcd' });
+      }
+    } catch (e) {
+      lcdStatus = 'unavailable';
+      console.error('[wallets/portfolio] lcd balances:', e.message);
+    }
+
+    const ids = [...balances.keys()];
+    const [meta, px] = await Promise.all([
+      tokenMeta(ids),
+      ids.length
+        ? DB.query(
+            `
+            SELECT
+              l.token_id AS token_id,
+              l.price_in_zig AS price_now,
+              t.price_24h AS price_24h
+            FROM (
+              SELECT token_id, argMax(price_in_zig, updated_at) AS price_in_zig
+              FROM prices
+              WHERE has(splitByChar(',', $1), toString(token_id))
+              GROUP BY token_id
+            ) AS l
+            LEFT JOIN (
+              SELECT token_id, argMaxIf(price_in_zig, ts, ts <= now() - INTERVAL 24 HOUR) AS price_24h
+              FROM price_ticks
+              WHERE has(splitByChar(',', $1), toString(token_id))
+                AND ts >= now() - INTERVAL 8 DAY
+              GROUP BY token_id
+            ) AS t ON t.token_id = l.token_id
+            `,
+            [ids.join(',')]
+          )
+        : { rows: [] },
+    ]);
+    const prices = new Map(px.rows.map(r => [String(r.token_id), r]));
+
+    const items = [];
+    if (zigBase != null && Number(zigBase) > 0) {
+      const qty = Number(zigBase) / 1e6;
+      items.push({
+        tokenId: null, denom: 'uzig', symbol: 'ZIG', name: 'ZIG', imageUri: null,
+        balance: qty, balance_base: zigBase, source: 'lcd',
+        price_zig: 1, price_usd: zigUsd,
+        value_zig: qty, value_usd: qty * zigUsd,
+        change_24h_pct: null, supply_share_pct: null,
+      });
+    }
+    for (const [id, b] of balances) {
+      const m = meta.get(id) || {};
+      const exp = m.exponent != null ? Number(m.exponent) : 6;
+      const qty = Number(b.base) / 10 ** exp;
+      const p = prices.get(id);
+      const priceZig = p?.price_now != null ? Number(p.price_now) : null;
+      const price24h = p?.price_24h != null && Number(p.price_24h) > 0 ? Number(p.price_24h) : null;
+      const supply = m.total_supply_base != null ? Number(m.total_supply_base) : null;
+      items.push({
+        tokenId: id,
+        denom: m.denom ?? null,
+        symbol: m.symbol ?? null,
+        name: m.name ?? null,
+        imageUri: m.image_uri ?? null,
+        balance: qty,
+        balance_base: b.base,
+        source: b.source,
+        price_zig: priceZig,
+        price_usd: priceZig != null ? priceZig * zigUsd : null,
+        value_zig: priceZig != null ? qty * priceZig : null,
+        value_usd: priceZig != null ? qty * priceZig * zigUsd : null,
+        change_24h_pct: priceZig != null && price24h ? ((priceZig / price24h) - 1) * 100 : null,
+        supply_share_pct: supply > 0 ? (Number(b.base) / supply) * 100 : null,
+      });
+    }
+    items.sort((a, b) => (b.value_zig ?? -1) - (a.value_zig ?? -1));
+
+    // value-weighted 24h change over priced holdings with history
+    const valueZig = items.reduce((s, x) => s + (x.value_zig ?? 0), 0);
+    const prevZig = items.reduce((s, x) => {
+      if (x.value_zig == null) return s;
+      return s + (x.change_24h_pct != null ? x.value_zig / (1 + x.change_24h_pct / 100) : x.value_zig);
+    }, 0);
+
+    res.json({
+      success: true,
+      data: {
+        address,
+        items,
+        totals: {
+          value_zig: valueZig,
+          value_usd: valueZig * zigUsd,
+          change_24h_pct: prevZig > 0 ? ((valueZig / prevZig) - 1) * 100 : null,
+          tokens: items.length,
+          unpriced: items.filter(x => x.value_zig == null).length,
+        },
+      },
+      meta: { zigUsd, lcd: lcdStatus },
+    });
+  } catch (e) {
+    console.error('[wallets/portfolio] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /wallets/:address/lp
+ * LP positions from the wallet's own provide/withdraw events, with the
+ * underlying base/quote amounts and current value.
+ */
+router.get('/:address/lp', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!isAddress(address)) return res.status(400).json({ success:false, error:'invalid address' });
+
+    const [balances, zigUsd] = await Promise.all([lpShareBalances({ address }), getZigUsd()]);
+    const valued = await valueLpPositions(balances);
+
+    const data = valued.map(v => ({
+      poolId: v.poolId,
+      pairContract: v.pool?.pairContract ?? null,
+      pairType: v.pool?.pairType ?? null,
+      lpDenom: v.pool?.lpDenom ?? null,
+      base: v.pool?.base ?? null,
+      quote: v.pool?.quote ?? null,
+      shares: v.shares,
+      shares_base: v.sharesBase,
+      share_pct: v.sharePct,
+      base_amount: v.baseAmount,
+      quote_amount: v.quoteAmount,
+      value_zig: v.valueZig,
+      value_usd: v.valueZig != null ? v.valueZig * zigUsd : null,
+      provides: v.provides,
+      withdraws: v.withdraws,
+      first_at: v.firstAt,
+      last_at: v.lastAt,
+    }));
+    data.sort((a, b) => (b.value_zig ?? -1) - (a.value_zig ?? -1));
+    const valueZig = data.reduce((s, x) => s + (x.value_zig ?? 0), 0);
+
+    res.json({
+      success: true,
+      data: {
+        address,
+        positions: data,
+        totals: { value_zig: valueZig, value_usd: valueZig * zigUsd, pools: data.length },
+      },
+      meta: { zigUsd },
+    });
+  } catch (e) {
+    console.error('[wallets/lp] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
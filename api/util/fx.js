@@ -0,0 +1,110 @@
+// api/util/fx.js
+// Historical ZIG→USD: each bar / trade is converted at the exchange_rates
+// row effective at its time instead of today's rate (getZigUsd()).
+import { DB } from '../../lib/db.js';
+import { getZigUsd } from './resolve-token.js';
+
+/** Epoch seconds of a Date, ISO / ClickHouse DateTime string or seconds. */
+export function toEpochSec(t) {
+  if (typeof t === 'number') return t;
+  if (t instanceof Date) return Math.floor(t.getTime() / 1000);
+  const s = String(t);
+  // ClickHouse DateTime ("YYYY-MM-DD hh:mm:ss") is UTC here
+  const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(s) ? `${s.replace(' ', 'T')}Z` : s;
+  return Math.floor(new Date(iso).getTime() / 1000);
+}
+
+/**
+ * As-of ZIG→USD lookup for instants in [fromTs, toTs]: the last rate at or
+ * before the instant, filled forward across gaps (and past the newest rate).
+ * Instants older than the first stored rate take that first rate; with no
+ * rates at all every instant gets the latest getZigUsd().
+ *
+ * stepSec thins long windows to the last rate per step, which is exact for
+ * lookups at step boundaries (candle edges).
+ *
+ * @returns {Promise<(ts: number|string|Date) => number>}
+ */
+export async function zigUsdAsOf(fromTs, toTs, { stepSec = 60 } = {}) {
+  const fromSec = toEpochSec(fromTs);
+  const toSec = toEpochSec(toTs);
+  const step = Math.max(60, Math.floor(stepSec) || 60);
+  if (!Number.isFinite(fromSec) || !Number.isFinite(toSec)) {
+    const latest = await getZigUsd();
+    return () => latest;
+  }
+
+  const { rows } = await DB.query(`
+    SELECT
+      toInt64(toUnixTimestamp(max(ts))) AS ts_sec,
+      argMax(zig_usd, ts)               AS zig_usd
+    FROM exchange_rates
+    WHERE zig_usd > 0
+      AND ts <= toDateTime(${toSec})
+      AND ts >= (
+        SELECT max(ts) FROM exchange_rates
+        WHERE zig_usd > 0 AND ts <= toDateTime(${fromSec})
+      )
+    GROUP BY toStartOfInterval(ts, INTERVAL ${step} SECOND)
+    ORDER BY ts_sec ASC
+  `);
+
+  if (!rows.length) {
+    const latest = await getZigUsd();
+    return () => latest;
+  }
+  const times = rows.map(r => Number(r.ts_sec));
+  const rates = rows.map(r => Number(r.zig_usd));
+
+  return (ts) => {
+    const t = toEpochSec(ts);
+    if (!(t >= times[0])) return rates[0];
+    // last index with times[i] <= t
+    let lo = 0;
+    let hi = times.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (times[mid] <= t) lo = mid; else hi = mid - 1;
+    }
+    return rates[lo];
+  };
+}
+
+/** As-of lookup covering the created_at span of trade rows. */
+export async function zigUsdForRows(rows, key = 'created_at') {
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const r of rows) {
+    const t = toEpochSec(r[key]);
+    if (t < lo) lo = t;
+    if (t > hi) hi = t;
+  }
+  if (!Number.isFinite(lo)) {
+    const latest = await getZigUsd();
+    return () => latest;
+  }
+  return zigUsdAsOf(lo, hi);
+}
+
+/** Rate for `ts` from a number (fixed rate) or a zigUsdAsOf() lookup. */
+export function rateAt(zigUsd, ts) {
+  return typeof zigUsd === 'function' ? zigUsd(ts) : zigUsd;
+}
+
+/**
+ * ASOF join attaching the exchange_rates row in effect at `${alias}.${timeCol}`
+ * to a query that filters on USD values; read the rate with ZIG_USD_AT_SQL.
+ * ClickHouse ASOF joins need an equality key, so the left side must carry a
+ * constant `toUInt8(1) AS fx_key` column.
+ */
+export function zigUsdAsOfJoin(alias, timeCol = 'created_at') {
+  return `ASOF LEFT JOIN (
+    SELECT toUInt8(1) AS fx_key, ts AS fx_ts, zig_usd AS fx_zig_usd
+    FROM exchange_rates
+    WHERE zig_usd > 0
+  ) AS fx ON fx.fx_key = ${alias}.fx_key AND fx.fx_ts <= ${alias}.${timeCol}`;
+}
+
+/** Rate from zigUsdAsOfJoin(), same fill rules as zigUsdAsOf(). */
+export const ZIG_USD_AT_SQL = `if(fx.fx_zig_usd > 0, fx.fx_zig_usd,
+    ifNull((SELECT zig_usd FROM exchange_rates WHERE zig_usd > 0 ORDER BY ts ASC LIMIT 1), 0))`;
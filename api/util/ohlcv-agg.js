@@ -1,5 +1,12 @@
 // api/util/ohlcv-agg.js
+// Candle engine over ohlcv_1m and its rollups (ClickHouse), plus the
+// liquidity-weighted token_ohlcv_1m. Every OHLCV reader — token and pool
+// routes, the WS hub — aggregates through getCandleSeries().
 import { DB } from '../../lib/db.js';
+import { OHLCV_ROLLUPS } from '../../core/ohlcv.js';
+import { rateAt } from './fx.js';
+
+const USE_ROLLUPS = process.env.OHLCV_ROLLUPS !== '0';
 
 // Accepted timeframes -> seconds
 export const TF_MAP = {
@@ -20,67 +27,116 @@ export function alignToStep(tsISO, stepSec) {
   return new Date(aligned * 1000).toISOString();
 }
 
-async function getPrevClose({ useAll, tokenId, poolId, from }) {
-  if (useAll) {
-    const q = await DB.query(`
-      SELECT o.close
-      FROM ohlcv_1m o
-      JOIN pools p ON p.pool_id=o.pool_id
-      WHERE p.base_token_id=$1
-        AND p.is_uzig_quote=TRUE
-        AND o.bucket_start < $2::timestamptz
-      ORDER BY o.bucket_start DESC
-      LIMIT 1
-    `, [tokenId, from]);
-    return q.rows[0]?.close != null ? Number(q.rows[0].close) : null;
-  } else if (poolId) {
-    const q = await DB.query(`
-      SELECT close
-      FROM ohlcv_1m
-      WHERE pool_id=$1
-        AND bucket_start < $2::timestamptz
-      ORDER BY bucket_start DESC
-      LIMIT 1
-    `, [poolId, from]);
-    return q.rows[0]?.close != null ? Number(q.rows[0].close) : null;
+/**
+ * Coarsest candle table whose step divides stepSec (buckets are all
+ * epoch-aligned, so its buckets nest exactly in the requested ones).
+ * Rollups hold aggregate state, so open/close need the -Merge combinators.
+ */
+export function pickCandleSource(stepSec) {
+  let table = 'ohlcv_1m';
+  let tableStep = 60;
+  if (USE_ROLLUPS) {
+    for (const [t, step] of OHLCV_ROLLUPS) {
+      if (step <= stepSec && stepSec % step === 0) { table = t; tableStep = step; }
+    }
   }
-  return null;
+  const raw = table === 'ohlcv_1m';
+  return {
+    table,
+    stepSec: tableStep,
+    open: raw ? 'argMin(o.open, o.bucket_start)' : 'argMinMerge(o.open)',
+    close: raw ? 'argMax(o.close, o.bucket_start)' : 'argMaxMerge(o.close)',
+  };
+}
+
+/**
+ * token_ohlcv_1m minutes of one token and weighting ('tvl' | 'volume'), one
+ * row per minute (the job rewrites recent minutes; newest write wins).
+ */
+function weightedRows({ tokenId, weighted }, params) {
+  params.push(String(tokenId), weighted);
+  return `(
+    SELECT
+      w.bucket_start                      AS bucket_start,
+      argMax(w.open, w.updated_at)        AS open,
+      argMax(w.high, w.updated_at)        AS high,
+      argMax(w.low, w.updated_at)         AS low,
+      argMax(w.close, w.updated_at)       AS close,
+      argMax(w.volume_zig, w.updated_at)  AS volume_zig,
+      argMax(w.trade_count, w.updated_at) AS trade_count
+    FROM token_ohlcv_1m AS w
+    WHERE w.token_id = toUInt64($${params.length - 1}) AND w.weighting = $${params.length}
+    GROUP BY w.bucket_start
+  )`;
 }
 
-export async function hasRawBars({ useAll, tokenId, poolId, from, to }) {
+/** FROM target (aliased o) and filter for a candle source. */
+function candleSource(opts, params, table = 'ohlcv_1m') {
+  if (opts.weighted) return { from: `${weightedRows(opts, params)} AS o`, where: '1' };
+  return { from: `${table} AS o`, where: sourceWhere(opts, params) };
+}
+
+/** ohlcv_1m rows of one pool, or of every uzig-quoted pool of a token. */
+function sourceWhere({ useAll, tokenId, poolId }, params) {
   if (useAll) {
-    const r = await DB.query(`
-      SELECT 1
-      FROM ohlcv_1m o
-      JOIN pools p ON p.pool_id=o.pool_id
-      WHERE p.base_token_id=$1
-        AND p.is_uzig_quote=TRUE
-        AND o.bucket_start >= $2::timestamptz
-        AND o.bucket_start <  $3::timestamptz
-      LIMIT 1
-    `, [tokenId, from, to]);
-    return !!r.rows.length;
-  } else {
-    const r = await DB.query(`
-      SELECT 1
-      FROM ohlcv_1m
-      WHERE pool_id=$1
-        AND bucket_start >= $2::timestamptz
-        AND bucket_start <  $3::timestamptz
-      LIMIT 1
-    `, [poolId, from, to]);
-    return !!r.rows.length;
+    params.push(String(tokenId));
+    return `
+      o.pool_id IN (
+        SELECT pool_id FROM pools
+        WHERE base_token_id = toUInt64($${params.length}) AND is_uzig_quote = 1
+      )`;
   }
+  params.push(String(poolId));
+  return `o.pool_id = toUInt64($${params.length})`;
+}
+
+async function getPrevClose({ useAll, tokenId, poolId, weighted, from }) {
+  const params = [from];
+  const src = candleSource({ useAll, tokenId, poolId, weighted }, params);
+  const { rows } = await DB.query(`
+    SELECT toFloat64(o.close) AS close
+    FROM ${src.from}
+    WHERE ${src.where}
+      AND o.bucket_start < parseDateTimeBestEffort($1)
+    ORDER BY o.bucket_start DESC
+    LIMIT 1
+  `, params);
+  return rows[0]?.close != null ? Number(rows[0].close) : null;
+}
+
+export async function hasRawBars({ useAll, tokenId, poolId, weighted, from, to }) {
+  const params = [from, to];
+  const src = candleSource({ useAll, tokenId, poolId, weighted }, params);
+  const { rows } = await DB.query(`
+    SELECT 1
+    FROM ${src.from}
+    WHERE ${src.where}
+      AND o.bucket_start >= parseDateTimeBestEffort($1)
+      AND o.bucket_start <  parseDateTimeBestEffort($2)
+    LIMIT 1
+  `, params);
+  return rows.length > 0;
 }
 
 /**
  * Build OHLCV with a continuous series and optional fill:
- *  - Buckets by floor(epoch/step)*step
- *  - open/close from first/last minute inside each bucket
- *  - fill = prev | zero | none
+ *  - Buckets by toStartOfInterval(bucket_start, step) over [from, to), read
+ *    from the coarsest table that nests in the step (pickCandleSource)
+ *  - open/close = argMin/argMax over the minutes inside each bucket
+ *  - empty buckets come back from WITH FILL (has_bar = 0); fill = prev | zero | none
  *  - seeds prev-fill with the last close BEFORE `from`
+ *  - continuous: open of each bar = previous close (gap-free charts)
+ *
+ * unit=usd converts with zigUsd: a fixed rate, or a zigUsdAsOf() lookup that
+ * is read as of each bar's close (bucket end).
+ *
+ * tf is a TF_MAP key or a step in seconds. weighted ('tvl' | 'volume') reads
+ * the token's cross-pool series from token_ohlcv_1m instead (no rollups).
+ *
+ * @returns {Promise<{ data: object[], prevClose: number|null, stepSec: number,
+ *   fromSec: number, toSec: number }>}
  */
-export async function getCandles({
+export async function getCandleSeries({
   mode = 'price',
   unit = 'native',
   tf = '1m',
@@ -89,121 +145,98 @@ export async function getCandles({
   useAll = false,
   tokenId = null,
   poolId = null,
+  weighted = null,
   zigUsd = 1,
   circ = null,
   fill = 'prev',
+  continuous = false,
 }) {
-  const stepSec = TF_MAP[ensureTf(tf)];
-  const params = [from, to, stepSec];
-  let whereSql;
-
-  if (useAll) {
-    params.push(tokenId);
-    whereSql = `
-      FROM ohlcv_1m o
-      JOIN pools p ON p.pool_id=o.pool_id
-      WHERE p.base_token_id=$4 AND p.is_uzig_quote=TRUE
-        AND o.bucket_start >= $1::timestamptz
-        AND o.bucket_start <  $2::timestamptz
-    `;
-  } else {
-    params.push(poolId);
-    whereSql = `
-      FROM ohlcv_1m o
-      WHERE o.pool_id=$4
-        AND o.bucket_start >= $1::timestamptz
-        AND o.bucket_start <  $2::timestamptz
-    `;
-  }
-
-  const sql = `
-    WITH raw AS (
-      SELECT o.bucket_start, o.open, o.high, o.low, o.close, o.volume_zig, o.trade_count
-      ${whereSql}
-    ),
-    tagged AS (
-      SELECT
-        bucket_start,
-        open, high, low, close, volume_zig, trade_count,
-        to_timestamp(floor(extract(epoch from bucket_start)/$3)*$3) AT TIME ZONE 'UTC' AS bucket_ts
-      FROM raw
-    ),
-    agg AS (
-      SELECT
-        bucket_ts,
-        MIN(low) AS low,
-        MAX(high) AS high,
-        SUM(volume_zig) AS volume_native,
-        SUM(trade_count) AS trades,
-        MIN(bucket_start) AS ts_open,
-        MAX(bucket_start) AS ts_close
-      FROM tagged
-      GROUP BY bucket_ts
-    ),
-    o AS (
-      SELECT
-        a.bucket_ts AS ts,
-        (SELECT t.open  FROM tagged t WHERE t.bucket_start=a.ts_open  LIMIT 1) AS open,
-        (SELECT t.close FROM tagged t WHERE t.bucket_start=a.ts_close LIMIT 1) AS close,
-        a.low, a.high, a.volume_native, a.trades
-      FROM agg a
-    ),
-    series AS (
-      SELECT generate_series($1::timestamptz, $2::timestamptz - interval '1 second', make_interval(secs => $3)) AS ts
-    )
-    SELECT s.ts,
-           o.open, o.high, o.low, o.close, o.volume_native, o.trades
-    FROM series s
-    LEFT JOIN o ON o.ts = s.ts
-    ORDER BY s.ts;
-  `;
-
-  const { rows } = await DB.query(sql, params);
+  const stepSec = typeof tf === 'number' ? tf : TF_MAP[ensureTf(tf)];
+  const fromSec = Math.floor(new Date(from).getTime() / 1000 / stepSec) * stepSec;
+  const toSec = Math.floor(new Date(to).getTime() / 1000);
+
+  const params = [to];
+  const src = weighted
+    ? { table: 'token_ohlcv_1m', open: 'argMin(o.open, o.bucket_start)', close: 'argMax(o.close, o.bucket_start)' }
+    : pickCandleSource(stepSec);
+  const { from: fromSql, where } = candleSource({ useAll, tokenId, poolId, weighted }, params, src.table);
+
+  const { rows } = await DB.query(`
+    SELECT
+      toInt64(toUnixTimestamp(
+        toStartOfInterval(o.bucket_start, INTERVAL ${stepSec} SECOND)
+      ))                                AS ts_sec,
+      toFloat64(${src.open})            AS open,
+      toFloat64(max(o.high))            AS high,
+      toFloat64(min(o.low))             AS low,
+      toFloat64(${src.close})           AS close,
+      toFloat64(sum(o.volume_zig))      AS volume_native,
+      toInt64(sum(o.trade_count))       AS trades,
+      toUInt8(1)                        AS has_bar
+    FROM ${fromSql}
+    WHERE ${where}
+      AND o.bucket_start >= toDateTime(${fromSec})
+      AND o.bucket_start <  parseDateTimeBestEffort($1)
+    GROUP BY ts_sec
+    ORDER BY ts_sec ASC
+      WITH FILL FROM ${fromSec} TO ${toSec} STEP ${stepSec}
+  `, params);
 
   // seed lastClose from the last minute BEFORE `from`
-  let lastClose = null;
-  if (fill === 'prev') lastClose = await getPrevClose({ useAll, tokenId, poolId, from });
+  const seed = (fill === 'prev' || continuous)
+    ? await getPrevClose({ useAll, tokenId, poolId, weighted, from })
+    : null;
+  let lastClose = seed;
 
   const out = [];
   for (const r of rows) {
-    let open = r.open, high = r.high, low = r.low, close = r.close;
-    let vol = r.volume_native, trades = r.trades;
-
-    const empty = (open == null || high == null || low == null || close == null);
-    if (empty) {
-      if (fill === 'prev' && lastClose != null) {
-        open = high = low = close = lastClose;
-        vol = 0; trades = 0;
-      } else if (fill === 'zero') {
-        open = high = low = close = 0;
-        vol = 0; trades = 0;
-      } else {
-        continue;
+    const tsSec = Number(r.ts_sec);
+    let open, high, low, close, vol, trades;
+
+    if (Number(r.has_bar) === 1) {
+      open = Number(r.open); high = Number(r.high); low = Number(r.low); close = Number(r.close);
+      vol = Number(r.volume_native); trades = Number(r.trades);
+      if (continuous && lastClose != null) {
+        open = lastClose;
+        high = Math.max(high, open);
+        low = Math.min(low, open);
       }
+    } else if (fill === 'prev' && lastClose != null) {
+      open = high = low = close = lastClose;
+      vol = 0; trades = 0;
+    } else if (fill === 'zero') {
+      open = high = low = close = 0;
+      vol = 0; trades = 0;
+    } else {
+      continue;
     }
 
+    // update lastClose from native close
+    lastClose = close;
+
     // transforms
     if (mode === 'mcap' && circ != null) {
       open *= circ; high *= circ; low *= circ; close *= circ;
     }
     if (unit === 'usd') {
-      open *= zigUsd; high *= zigUsd; low *= zigUsd; close *= zigUsd;
-      vol = (vol ?? 0) * zigUsd;
+      const fx = rateAt(zigUsd, tsSec + stepSec - 1);
+      open *= fx; high *= fx; low *= fx; close *= fx;
+      vol *= fx;
     }
 
-    // update lastClose from native close if available
-    lastClose = (r.close != null ? Number(r.close) : lastClose);
-
     out.push({
-      ts: r.ts,
-      open: Number(open ?? 0),
-      high: Number(high ?? 0),
-      low: Number(low ?? 0),
-      close: Number(close ?? 0),
-      volume: Number(vol ?? 0),
-      trades: Number(trades ?? 0),
+      ts: new Date(tsSec * 1000).toISOString(),
+      ts_sec: tsSec,
+      open, high, low, close,
+      volume: vol,
+      trades,
     });
   }
 
-  return out;
+  return { data: out, prevClose: seed, stepSec, fromSec, toSec };
+}
+
+/** Candles only (see getCandleSeries). */
+export async function getCandles(opts) {
+  return (await getCandleSeries(opts)).data;
 }
@@ -0,0 +1,167 @@
+// api/util/ohlcv-series.js
+// Token OHLCV series (pool selection on top of the getCandleSeries() engine),
+// shared by GET /tokens/:id/ohlcv and the WS subscription hub.
+import { DB } from '../../lib/db.js';
+import { getZigUsd } from './resolve-token.js';
+import { zigUsdAsOf } from './fx.js';
+import { bestSellPool } from '../../core/swap-sim.js';
+import { getCandleSeries } from './ohlcv-agg.js';
+
+export function tfToSec(tf) {
+  const m = { m:60, h:3600, d:86400, w:604800, M:2592000 };
+  const map = {
+    '1m':60, '5m':300, '15m':900, '30m':1800,
+    '1h':3600, '2h':7200, '4h':14400, '8h':28800, '12h':43200,
+    '1d':86400, '3d':259200, '5d':432000, '1w':604800,
+    '1M':2592000, '3M':7776000
+  };
+  if (map[tf]) return map[tf];
+  const g = /^(\d+)([mhdwM])$/.exec(tf || '');
+  if (!g) return 60;
+  return Number(g[1]) * (m[g[2]] || 60);
+}
+
+/** from/to ISO window from explicit from/to, span=<tf>, or window=<bars>. */
+export function resolveOhlcvWindow({ tf = '1m', from, to, span, window }) {
+  const stepSec = tfToSec(tf);
+  const toIso = to || new Date().toISOString();
+  let fromIso = from || null;
+
+  if (!fromIso) {
+    if (span) {
+      const spanSec = tfToSec(span);
+      fromIso = new Date(new Date(toIso).getTime() - spanSec * 1000).toISOString();
+    } else if (window) {
+      const bars = Math.max(1, Math.min(parseInt(window, 10) || 300, 5000));
+      fromIso = new Date(new Date(toIso).getTime() - bars * stepSec * 1000).toISOString();
+    } else {
+      const bars = tf === '1m' ? 1440 : 300;
+      fromIso = new Date(new Date(toIso).getTime() - bars * stepSec * 1000).toISOString();
+    }
+  }
+  return { fromIso, toIso };
+}
+
+/**
+ * Candles for one token.
+ *
+ * priceSource:
+ *   best (default) → the pool bestSellPool() picks, same as /swap
+ *   all            → every uzig-quoted pool of the token
+ *   pool           → explicit poolRef (pool_id or pair contract)
+ *   weighted       → cross-pool series from token_ohlcv_1m (jobs/token-ohlcv.js),
+ *                    weight = tvl (default) | volume; includes non-ZIG quoted pools
+ *
+ * @returns {{ data: object[], meta: object }}
+ */
+export async function getTokenOhlcvSeries(tok, {
+  tf = '1m',
+  mode = 'price',
+  unit = 'native',
+  priceSource = 'best',
+  poolRef = null,
+  weight = 'tvl',
+  fill = 'none',
+  fromIso,
+  toIso,
+  amt,
+  minBestTvl = 0,
+} = {}) {
+  const stepSec = tfToSec(tf);
+  const zigUsd = await getZigUsd();
+
+  // supply (for mcap)
+  const ss = await DB.query(
+    `SELECT total_supply_base, exponent FROM tokens WHERE token_id = $1`,
+    [tok.token_id]
+  );
+  const exp =
+    ss.rows[0]?.exponent != null ? Number(ss.rows[0].exponent) : 6;
+  const circ =
+    ss.rows[0]?.total_supply_base != null
+      ? Number(ss.rows[0].total_supply_base) / 10 ** exp
+      : null;
+
+  // Determine pool set
+  let useAll = false;
+  let poolId = null;
+  let weighted = null;
+
+  if (priceSource === 'all') {
+    useAll = true;
+  } else if (priceSource === 'weighted') {
+    weighted = weight === 'volume' ? 'volume' : 'tvl';
+  } else {
+    if (priceSource === 'pool') {
+      if (poolRef) {
+        const { rows } = await DB.query(
+          `
+          SELECT pool_id
+          FROM pools
+          WHERE (toString(pool_id) = $1 OR pair_contract = $1)
+            AND base_token_id = $2
+          LIMIT 1
+          `,
+          [poolRef, tok.token_id]
+        );
+        poolId = rows[0]?.pool_id ?? null;
+      }
+    } else {
+      // priceSource === 'best' (default): choose the same pool as /swap sell leg
+      const best = await bestSellPool(tok.token_id, {
+        amountIn: amt,
+        minTvlZig: minBestTvl,
+        zigUsd,
+      });
+      poolId =
+        best && best.poolId != null && best.poolId !== 'undefined'
+          ? best.poolId
+          : null;
+    }
+
+    if (!poolId) {
+      return {
+        data: [],
+        meta: { tf, mode, unit, fill, priceSource, poolId: null },
+      };
+    }
+  }
+
+  // open = previous close so bars chain without gaps
+  const series = await getCandleSeries({
+    tf: stepSec,
+    from: fromIso,
+    to: toIso,
+    useAll,
+    tokenId: tok.token_id,
+    poolId,
+    weighted,
+    mode,
+    unit,
+    // each bar at the rate in effect when it closed
+    zigUsd: unit === 'usd' ? await zigUsdAsOf(fromIso, toIso, { stepSec }) : zigUsd,
+    circ,
+    fill,
+    continuous: true,
+  });
+  const conv = series.data;
+  const start = series.fromSec;
+  const end = Math.floor(series.toSec / stepSec) * stepSec;
+  const seedPrevClose = series.prevClose;
+
+  return {
+    data: conv,
+    meta: {
+      tf,
+      mode,
+      unit,
+      fill,
+      priceSource,
+      ...(weighted ? { weight: weighted } : {}),
+      stepSec,
+      alignedFromSec: start,
+      alignedToSecExclusive: end + stepSec,
+      prevCloseSeed: Number.isFinite(seedPrevClose) ? seedPrevClose : null,
+    },
+  };
+}
@@ -0,0 +1,183 @@
+// api/util/swap-route.js
+// Multi-hop route finder over every pool (not just uzig-quoted ones).
+import { DB } from '../../lib/db.js';
+import TTLCache from '../../lib/cache.js';
+import { pairFee, simulateXYKLeg, attachPoolParams } from '../../core/swap-sim.js';
+import { simulatePCL } from '../../core/concentrated.js';
+
+const MAX_HOPS  = parseInt(process.env.SWAP_MAX_HOPS || '3', 10);
+const MAX_PATHS = parseInt(process.env.SWAP_MAX_PATHS || '20000', 10);
+const graphCache = new TTLCache({ max: 1, ttlMs: parseInt(process.env.SWAP_GRAPH_TTL_MS || '5000', 10) });
+
+/**
+ * Pool graph: denom → edges. Every pool with both reserves > 0 adds one edge
+ * per direction; reserves are the latest pool_state row (display units).
+ *
+ * @returns {Promise<{ edges: Map<string, object[]>, tokens: Map<string, object> }>}
+ */
+export async function loadPoolGraph() {
+  const hit = graphCache.get('graph');
+  if (hit) return hit;
+
+  const { rows } = await DB.query(`
+    WITH ps AS (
+      SELECT
+        pool_id,
+        argMax(reserve_base_base,  updated_at) AS rb,
+        argMax(reserve_quote_base, updated_at) AS rq
+      FROM pool_state
+      GROUP BY pool_id
+    )
+    SELECT
+      p.pool_id       AS pool_id,
+      p.pair_contract AS pair_contract,
+      p.pair_type     AS pair_type,
+      p.total_fee     AS total_fee,
+      tb.token_id AS base_id,  tb.denom AS base_denom,  tb.symbol AS base_symbol,  tb.exponent AS base_exp,
+      tq.token_id AS quote_id, tq.denom AS quote_denom, tq.symbol AS quote_symbol, tq.exponent AS quote_exp,
+      ps.rb AS res_base_base,
+      ps.rq AS res_quote_base
+    FROM pools AS p
+    INNER JOIN tokens AS tb ON tb.token_id = p.base_token_id
+    INNER JOIN tokens AS tq ON tq.token_id = p.quote_token_id
+    INNER JOIN ps ON ps.pool_id = p.pool_id
+    WHERE ps.rb > 0 AND ps.rq > 0
+  `);
+
+  const edges = new Map();
+  const tokens = new Map();
+  const pools = new Map();
+  const addEdge = (from, e) => {
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push(e);
+  };
+
+  for (const r of rows) {
+    const poolId = String(r.pool_id);
+    if (pools.has(poolId)) continue; // unmerged ReplacingMergeTree duplicates
+
+    const bexp = r.base_exp != null ? Number(r.base_exp) : 6;
+    const qexp = r.quote_exp != null ? Number(r.quote_exp) : 6;
+    const Rb = Number(r.res_base_base) / 10 ** bexp;
+    const Rq = Number(r.res_quote_base) / 10 ** qexp;
+    if (!(Rb > 0 && Rq > 0)) continue;
+
+    tokens.set(r.base_denom,  { tokenId: String(r.base_id),  denom: r.base_denom,  symbol: r.base_symbol,  exponent: bexp });
+    tokens.set(r.quote_denom, { tokenId: String(r.quote_id), denom: r.quote_denom, symbol: r.quote_symbol, exponent: qexp });
+
+    const pool = {
+      poolId,
+      pairContract: r.pair_contract,
+      pairType: r.pair_type,
+      fee: r.total_fee != null ? Number(r.total_fee) : pairFee(r.pair_type),
+    };
+    pools.set(poolId, pool);
+    addEdge(r.base_denom,  { pool, from: r.base_denom,  to: r.quote_denom, reserveIn: Rb, reserveOut: Rq });
+    addEdge(r.quote_denom, { pool, from: r.quote_denom, to: r.base_denom,  reserveIn: Rq, reserveOut: Rb });
+  }
+
+  await attachPoolParams([...pools.values()]);
+
+  const graph = { edges, tokens };
+  graphCache.set('graph', graph);
+  return graph;
+}
+
+/** Simulate one directed edge for amountIn (display units of edge.from). */
+export function simulateEdge(edge, amountIn) {
+  const { pool } = edge;
+  const inIndex = pool.pcl ? pool.pcl.assets.indexOf(edge.from) : -1;
+  if (inIndex >= 0) {
+    return simulatePCL({ amountIn, reserveIn: edge.reserveIn, reserveOut: edge.reserveOut, inIndex, params: pool.pcl });
+  }
+  return {
+    ...simulateXYKLeg({ amountIn, reserveIn: edge.reserveIn, reserveOut: edge.reserveOut, fee: pool.fee }),
+    fee: pool.fee,
+  };
+}
+
+function shapeRoute(path, legs, amountIn, tokens) {
+  const amountOut = legs.at(-1).amount_out;
+  const midOut = legs.reduce((x, l) => x * l.mid, amountIn); // output with no fees and no slippage
+  return {
+    hops: legs.length,
+    path,
+    symbols: path.map(d => tokens.get(d)?.symbol ?? null),
+    amount_in: amountIn,
+    amount_out: amountOut,
+    mid_out: midOut,
+    price: amountOut / amountIn, // to per 1 from (exec)
+    price_impact: amountOut > 0 ? (midOut / amountOut) - 1 : null,
+    legs,
+  };
+}
+
+/**
+ * Enumerate simple paths fromDenom → toDenom (no token visited twice) of up
+ * to maxHops legs, simulating each leg on the previous leg's output.
+ *
+ * @returns {Promise<{ best: object|null, alternatives: object[], explored: number }>}
+ */
+export async function findRoutes(fromDenom, toDenom, amountIn, { maxHops = MAX_HOPS, limit = 5 } = {}) {
+  const { edges, tokens } = await loadPoolGraph();
+  if (!(amountIn > 0) || fromDenom === toDenom || !edges.has(fromDenom)) {
+    return { best: null, alternatives: [], explored: 0 };
+  }
+
+  const hops = Math.max(1, Math.min(Number(maxHops) || MAX_HOPS, MAX_HOPS));
+  const found = [];
+  let explored = 0;
+
+  const visited = new Set([fromDenom]);
+  const path = [fromDenom];
+  const legs = [];
+
+  (function walk(denom, amt, cumMid) {
+    for (const e of edges.get(denom) || []) {
+      if (explored >= MAX_PATHS) return;
+      if (visited.has(e.to)) continue;
+      const reachesTarget = e.to === toDenom;
+      if (!reachesTarget && legs.length + 1 >= hops) continue;
+
+      explored += 1;
+      const sim = simulateEdge(e, amt);
+      if (!(sim.out > 0)) continue;
+
+      const mid = cumMid * sim.mid;
+      legs.push({
+        poolId: e.pool.poolId,
+        pairContract: e.pool.pairContract,
+        pairType: e.pool.pairType,
+        from: e.from,
+        to: e.to,
+        amount_in: amt,
+        amount_out: sim.out,
+        fee: sim.fee,
+        fee_amount: sim.feeAmount, // in units of `from`
+        mid: sim.mid,
+        price_impact: sim.impact,
+        cumulative_impact: (mid / (sim.out / amountIn)) - 1,
+        reserves: { in: e.reserveIn, out: e.reserveOut },
+      });
+      path.push(e.to);
+
+      if (reachesTarget) {
+        found.push(shapeRoute([...path], legs.map(l => ({ ...l })), amountIn, tokens));
+      } else {
+        visited.add(e.to);
+        walk(e.to, sim.out, mid);
+        visited.delete(e.to);
+      }
+
+      path.pop();
+      legs.pop();
+    }
+  })(fromDenom, amountIn, 1);
+
+  found.sort((a, b) => b.amount_out - a.amount_out);
+  return {
+    best: found[0] || null,
+    alternatives: found.slice(1, 1 + Math.max(0, limit)),
+    explored,
+  };
+}
@@ -0,0 +1,294 @@
+// api/ws-hub.js
+import { DB } from '../lib/db.js';
+import { zigUsdForRows } from './util/fx.js';
+import { getTokenOhlcvSeries, tfToSec } from './util/ohlcv-series.js';
+import { ensureTf } from './util/ohlcv-agg.js';
+import { shapeRow } from './routes/trades.js';
+
+/**
+ * Shared subscription hub for the WS server.
+ *
+ * One producer per stream key (e.g. token + tf + mode + unit + priceSource)
+ * queries ClickHouse directly and fans every delta out to all sockets that
+ * subscribed to the same key. Producers are refcounted: the first
+ * subscriber starts one, the last unsubscribe stops it.
+ *
+ * A subscriber is { ws, streamId, seq }; messages carry the subscriber's
+ * own streamId/seq so clients see exactly what the per-socket streams sent.
+ */
+
+const OHLCV_TICK_MS  = parseInt(process.env.WS_OHLCV_TICK_MS || '1000', 10);
+const TRADES_TICK_MS = parseInt(process.env.WS_TRADES_TICK_MS || '2000', 10);
+const SNAPSHOT_BARS  = 200;
+const SNAPSHOT_TRADES = 200;
+
+const nowSec = () => Math.floor(Date.now()/1000);
+const floor  = (t, step) => Math.floor(t/step)*step;
+const toIso  = (s) => new Date(s*1000).toISOString();
+
+function send(ws, msg) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(msg));
+  }
+}
+
+/* ───────────────────────── base producer ───────────────────────── */
+
+class Producer {
+  constructor(key, tickMs) {
+    this.key = key;
+    this.tickMs = tickMs;
+    this.subs = new Set();
+    this.timer = null;
+    this.stopped = false;
+    this.ready = null; // Promise of the initial load
+  }
+
+  start() {
+    if (!this.ready) {
+      this.ready = this.load()
+        .catch(e => console.error(`[hub ${this.key}] initial load failed:`, e.message))
+        .finally(() => this.schedule());
+    }
+    return this.ready;
+  }
+
+  schedule() {
+    if (this.stopped) return;
+    clearTimeout(this.timer);
+    const ms = this.tickMs + Math.floor(Math.random() * 300);
+    this.timer = setTimeout(() => this.runTick(), ms);
+  }
+
+  async runTick() {
+    if (this.stopped) return;
+    try {
+      await this.tick();
+    } catch (e) {
+      console.error(`[hub ${this.key}] tick error:`, e.message);
+    } finally {
+      this.schedule();
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  /** Send to every subscriber; build(sub) returns the message body. */
+  broadcast(build) {
+    for (const sub of this.subs) {
+      sub.seq += 1;
+      send(sub.ws, { ...build(sub), streamId: sub.streamId, seq: sub.seq });
+    }
+  }
+
+  sendTo(sub, body) {
+    sub.seq += 1;
+    send(sub.ws, { ...body, streamId: sub.streamId, seq: sub.seq });
+  }
+
+  // subclasses: load(), tick(), snapshotFor(sub)
+}
+
+/* ───────────────────────── OHLCV ───────────────────────── */
+
+function toBar(b) {
+  return {
+    tsSec: Number(b.ts_sec),
+    open: Number(b.open), high: Number(b.high), low: Number(b.low), close: Number(b.close),
+    volume: Number(b.volume ?? 0),
+    trades: Number(b.trades ?? 0),
+  };
+}
+
+class OhlcvProducer extends Producer {
+  constructor(key, { tok, tf, mode, unit, priceSource, weight }) {
+    super(key, OHLCV_TICK_MS);
+    this.tok = tok;
+    this.opts = { tf, mode, unit, priceSource, weight, fill: 'prev' };
+    this.step = tfToSec(tf);
+    this.bars = [];      // last SNAPSHOT_BARS bars, ascending
+    this.lockSec = null; // last fully-closed TF bucket start
+  }
+
+  async fetchRange(fromSec, toSec) {
+    const { data } = await getTokenOhlcvSeries(this.tok, {
+      ...this.opts, fromIso: toIso(fromSec), toIso: toIso(toSec),
+    });
+    return data.map(toBar)
+      .filter(x => x.tsSec && [x.open,x.high,x.low,x.close].every(Number.isFinite));
+  }
+
+  async load() {
+    const end = nowSec();
+    this.bars = await this.fetchRange(end - SNAPSHOT_BARS * this.step, end);
+    this.lockSec = floor(end, this.step) - this.step;
+    console.log(`[hub ${this.key}] loaded ${this.bars.length} bars`);
+  }
+
+  snapshotFor(sub) {
+    this.sendTo(sub, {
+      type: 'snapshot.ohlcv',
+      meta: { stepSec: this.step, priceSource: this.opts.priceSource, lockSec: this.lockSec },
+      bars: this.bars,
+    });
+  }
+
+  async tick() {
+    const end = nowSec();
+    const lastClosedStart = floor(end, this.step) - this.step;
+    if (this.lockSec == null || lastClosedStart > this.lockSec) this.lockSec = lastClosedStart;
+
+    // recent TF tail (overlap) incl. the forming bucket; only changed bars go out
+    const tail = await this.fetchRange(end - 3 * this.step, end);
+    const byTs = new Map(this.bars.map(b => [b.tsSec, b]));
+    const upserts = tail.filter(b => JSON.stringify(byTs.get(b.tsSec)) !== JSON.stringify(b));
+    if (!upserts.length) return;
+
+    for (const b of upserts) byTs.set(b.tsSec, b);
+    this.bars = Array.from(byTs.values()).sort((a, b) => a.tsSec - b.tsSec).slice(-SNAPSHOT_BARS);
+
+    this.broadcast(() => ({ type: 'ohlcv.delta', upserts, lockSec: this.lockSec }));
+  }
+}
+
+/* ───────────────────────── trades ───────────────────────── */
+
+const TRADES_SQL = `
+  SELECT
+    t.*,
+    p.pair_contract AS pair_contract,
+    p.is_uzig_quote,
+    q.exponent AS qexp,
+    b.exponent AS bexp,
+    b.denom    AS base_denom,
+    toff.exponent AS offer_exp,
+    task.exponent AS ask_exp
+  FROM trades t
+  JOIN pools  p ON p.pool_id = t.pool_id
+  JOIN tokens q ON q.token_id = p.quote_token_id
+  JOIN tokens b ON b.token_id = p.base_token_id
+  LEFT JOIN tokens toff ON toff.denom = t.offer_asset_denom
+  LEFT JOIN tokens task ON task.denom = t.ask_asset_denom
+  WHERE t.action = 'swap'
+    AND p.base_token_id = $1
+    AND t.created_at >= parseDateTimeBestEffort($2)
+  ORDER BY t.created_at DESC, t.height DESC, t.msg_index DESC
+  LIMIT ${SNAPSHOT_TRADES}
+`;
+
+const tradeKey = (r) => `${r.tx_hash}:${r.msg_index}:${r.pool_id}`;
+
+class TradesProducer extends Producer {
+  constructor(key, { tok, unit }) {
+    super(key, TRADES_TICK_MS);
+    this.tok = tok;
+    this.unit = unit;
+    this.items = [];          // last SNAPSHOT_TRADES shaped trades, ascending
+    this.cursor = null;       // created_at of the newest trade seen
+    this.seenAtCursor = new Set(); // keys at `cursor` (second resolution)
+  }
+
+  async fetchSince(iso) {
+    const { rows } = await DB.query(TRADES_SQL, [this.tok.token_id, iso]);
+    rows.reverse(); // ascending
+    const fresh = rows.filter(r => !(r.created_at === this.cursor && this.seenAtCursor.has(tradeKey(r))));
+    for (const r of fresh) {
+      if (r.created_at !== this.cursor) { this.cursor = r.created_at; this.seenAtCursor = new Set(); }
+      this.seenAtCursor.add(tradeKey(r));
+    }
+    const zigUsd = await zigUsdForRows(fresh);
+    return fresh.map(r => shapeRow(r, this.unit, zigUsd));
+  }
+
+  async load() {
+    this.items = await this.fetchSince(new Date(Date.now() - 24*3600*1000).toISOString());
+  }
+
+  snapshotFor(sub) {
+    this.sendTo(sub, { type: 'snapshot.trades', items: this.items });
+  }
+
+  async tick() {
+    const since = this.cursor || new Date().toISOString();
+    const items = await this.fetchSince(since);
+    if (!items.length) return;
+    this.items = [...this.items, ...items].slice(-SNAPSHOT_TRADES);
+    this.broadcast(() => ({ type: 'trades.append', items }));
+  }
+}
+
+/* ───────────────────────── hub ───────────────────────── */
+
+const producers = new Map(); // key -> Producer
+
+// Accepted stream options; anything else falls back to the default, so a
+// client can't mint producers (and their ClickHouse polling) with junk keys.
+const MODES         = ['price', 'mcap'];
+const UNITS         = ['usd', 'native'];
+const PRICE_SOURCES = ['best', 'all', 'weighted'];
+const WEIGHTS       = ['tvl', 'volume'];
+
+const oneOf = (allowed, v) => {
+  const s = String(v ?? '').toLowerCase();
+  return allowed.includes(s) ? s : allowed[0];
+};
+
+/** Spec with every key component normalized to a known value. */
+export function normalizeSpec(kind, spec) {
+  if (kind === 'trades') return { tok: spec.tok, unit: oneOf(UNITS, spec.unit) };
+  const priceSource = oneOf(PRICE_SOURCES, spec.priceSource);
+  return {
+    tok: spec.tok,
+    tf: ensureTf(spec.tf),
+    mode: oneOf(MODES, spec.mode),
+    unit: oneOf(UNITS, spec.unit),
+    priceSource,
+    weight: priceSource === 'weighted' ? oneOf(WEIGHTS, spec.weight) : 'tvl',
+  };
+}
+
+export function ohlcvKey({ tok, tf, mode, unit, priceSource, weight }) {
+  const src = priceSource === 'weighted' ? `weighted-${weight}` : priceSource;
+  return `ohlcv:${tok.token_id}:${tf}:${mode}:${unit}:${src}`;
+}
+export function tradesKey({ tok, unit }) {
+  return `trades:${tok.token_id}:${unit}`;
+}
+
+/**
+ * Attach a subscriber to the producer for `spec`, starting it if needed.
+ * Sends the snapshot once the producer has its initial data.
+ */
+export async function subscribe(kind, rawSpec, sub) {
+  const spec = normalizeSpec(kind, rawSpec);
+  const key = kind === 'ohlcv' ? ohlcvKey(spec) : tradesKey(spec);
+  let p = producers.get(key);
+  if (!p) {
+    p = kind === 'ohlcv' ? new OhlcvProducer(key, spec) : new TradesProducer(key, spec);
+    producers.set(key, p);
+    console.log(`[hub] start ${key}`);
+  }
+  p.subs.add(sub);
+  await p.start();
+  if (p.subs.has(sub)) p.snapshotFor(sub);
+  return key;
+}
+
+/** Detach a subscriber; the producer stops when nobody is left. */
+export function unsubscribe(key, sub) {
+  const p = producers.get(key);
+  if (!p) return;
+  p.subs.delete(sub);
+  if (!p.subs.size) {
+    p.stop();
+    producers.delete(key);
+    console.log(`[hub] stop ${key}`);
+  }
+}
+
+export function hubStats() {
+  return Array.from(producers.values()).map(p => ({ key: p.key, subscribers: p.subs.size }));
+}
@@ -0,0 +1,32 @@
+// bin/alert-access.js
+//
+// Enables or disables the operator-credential alert channels (email, and
+// Telegram without the channel's own bot_token) for one wallet. They are off
+// by default because they send with this deployment's SMTP account and
+// TELEGRAM_BOT_TOKEN (migrations/0016).
+//
+// Usage:
+//   node bin/alert-access.js allow <walletId>
+//   node bin/alert-access.js deny <walletId>
+//   node bin/alert-access.js status <walletId>
+
+import 'dotenv/config';
+import { init, close } from '../lib/db.js';
+import { info, err } from '../lib/log.js';
+import { operatorChannelsAllowed, setOperatorChannels } from '../core/alerts.js';
+
+async function main() {
+  const [cmd, walletId] = process.argv.slice(2);
+  if (!['allow', 'deny', 'status'].includes(cmd) || !/^\d{1,20}$/.test(String(walletId ?? ''))) {
+    console.error('Usage: node bin/alert-access.js allow|deny|status <walletId>');
+    process.exit(2);
+  }
+
+  await init();
+  if (cmd !== 'status') await setOperatorChannels(walletId, cmd === 'allow');
+  const allowed = await operatorChannelsAllowed(walletId);
+  info(`[alert-access] wallet ${walletId}: operator channels ${allowed ? 'allowed' : 'not allowed'}`);
+  await close();
+}
+
+main().catch(async (e) => { err(e); await close(); process.exit(1); });
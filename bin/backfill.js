@@ -0,0 +1,143 @@
+// bin/backfill.js
+//
+// Historical backfill: indexes a fixed height range with N parallel workers,
+// independently of the live tip follower (bin/start-indexer.js).
+//
+// Usage:
+//   node bin/backfill.js --from 1000000 --to 1200000 [--workers 4] [--chunk 1000]
+//
+// Notes:
+// - The range is cut into chunks of --chunk heights; workers pull chunks off
+//   a shared queue and walk each one forward calling processHeight().
+// - Each chunk has its own checkpoint row in index_state
+//   (id = 'backfill:<start>-<end>'), so a crashed run resumes where every
+//   chunk stopped. The live follower only reads/writes id = 'block'.
+// - Only history is written: trades and ohlcv_1m (plus the rollups fed from
+//   it). pool_state / prices / price_ticks belong to the live follower, and
+//   candle opens are not chained across workers (processHeight backfill mode).
+// - Batch queues (trades/ohlcv) are drained before a chunk checkpoint is
+//   written, so a checkpoint never gets ahead of the data.
+// - A height that keeps failing parks its chunk right before it; re-running
+//   the same range (same --chunk) picks up there. Already-indexed heights
+//   are safe to repeat: each height is processed in replay mode, which
+//   seeds the trade seen-set from what is already stored.
+
+import 'dotenv/config';
+import { init, close } from '../lib/db.js';
+import { info, warn, err } from '../lib/log.js';
+import { readCheckpoint, writeCheckpoint, lowerCheckpoint } from '../core/checkpoint.js';
+import { processHeight } from '../core/block-processor.js';
+import { drainTrades } from '../core/trades.js';
+import { drainOHLCV } from '../core/ohlcv.js';
+import { drainPoolState } from '../core/pool_state.js';
+
+const BACKFILL_RETRIES = parseInt(process.env.BACKFILL_RETRIES || '3', 10);
+const CHECKPOINT_EVERY = parseInt(process.env.BACKFILL_CHECKPOINT_EVERY || '50', 10);
+
+function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
+
+function argOf(name, def = null) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 ? process.argv[i + 1] : def;
+}
+
+async function drainAll() {
+  await Promise.all([drainTrades(), drainOHLCV(), drainPoolState()]);
+}
+
+function makeChunks(from, to, size) {
+  const out = [];
+  for (let s = from; s <= to; s += size) {
+    const e = Math.min(s + size - 1, to);
+    out.push({ id: `backfill:${s}-${e}`, start: s, end: e });
+  }
+  return out;
+}
+
+async function processWithRetry(h) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await processHeight(h, { replay: true, backfill: true });
+      return true;
+    } catch (e) {
+      if (attempt >= BACKFILL_RETRIES) {
+        err(`[backfill] height ${h} failed after ${attempt} attempts:`, e.stack || e.message);
+        return false;
+      }
+      warn(`[backfill] height ${h} attempt ${attempt} failed:`, e.message);
+      await sleep(500 * attempt);
+    }
+  }
+}
+
+async function runChunk(chunk, failed) {
+  const saved = await readCheckpoint(chunk.id);
+  const resumeFrom = saved != null ? Number(saved) + 1 : chunk.start;
+  if (resumeFrom > chunk.end) return 0;
+  if (resumeFrom > chunk.start) info(`[backfill] ${chunk.id} resuming at ${resumeFrom}`);
+
+  let done = 0;
+  for (let h = resumeFrom; h <= chunk.end; h++) {
+    if (!(await processWithRetry(h))) {
+      // park the chunk just before the failing height; the next run retries it
+      failed.push(h);
+      await drainAll();
+      if (h > resumeFrom) await writeCheckpoint(h - 1, chunk.id);
+      warn(`[backfill] ${chunk.id} stopped at ${h}`);
+      return done;
+    }
+    done++;
+    if (h === chunk.end || done % CHECKPOINT_EVERY === 0) {
+      await drainAll();
+      await writeCheckpoint(h, chunk.id);
+    }
+  }
+  info(`[backfill] ${chunk.id} complete (+${done})`);
+  return done;
+}
+
+async function main() {
+  const from    = parseInt(argOf('from'), 10);
+  const to      = parseInt(argOf('to'), 10);
+  const workers = parseInt(argOf('workers', process.env.BACKFILL_WORKERS || '4'), 10);
+  const chunk   = parseInt(argOf('chunk', process.env.BACKFILL_CHUNK || '1000'), 10);
+
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+    throw new Error('usage: node bin/backfill.js --from <height> --to <height> [--workers N] [--chunk N]');
+  }
+  if (!(workers > 0) || !(chunk > 0)) throw new Error('--workers and --chunk must be positive');
+
+  await init();
+
+  const queue = makeChunks(from, to, chunk);
+  const failed = [];
+  let total = 0;
+  info('[backfill] start', { from, to, workers, chunks: queue.length, chunk });
+
+  const t0 = Date.now();
+  await Promise.all(
+    Array(Math.min(workers, queue.length)).fill(0).map(async () => {
+      while (queue.length) {
+        const c = queue.shift();
+        total += await runChunk(c, failed);
+      }
+    }),
+  );
+  await drainAll();
+  // token candles track indexed heights; have them fold in the older ones
+  await lowerCheckpoint(from - 1, 'token_ohlcv');
+
+  const secs = ((Date.now() - t0) / 1000).toFixed(1);
+  info(`[backfill] done. heights=${total} in ${secs}s failed=${failed.length}`);
+  if (failed.length) {
+    warn('[backfill] chunks stopped at heights (re-run the same range to resume):', failed.sort((a, b) => a - b).join(','));
+  }
+
+  await close();
+  if (failed.length) process.exit(1);
+}
+
+process.on('SIGINT', async () => { await drainAll().catch(()=>{}); await close(); process.exit(0); });
+process.on('SIGTERM', async () => { await drainAll().catch(()=>{}); await close(); process.exit(0); });
+
+main().catch(async (e) => { err(e); await close(); process.exit(1); });
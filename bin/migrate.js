@@ -0,0 +1,173 @@
+// bin/migrate.js
+//
+// Applies the ClickHouse schema in migrations/ in version order and records
+// what ran in schema_migrations, so a fresh database can be bootstrapped and
+// an existing one brought up to date with the same command.
+//
+// Usage:
+//   node bin/migrate.js up [--dry] [--to 0004]
+//   node bin/migrate.js status
+//
+// Notes:
+// - Files are named NNNN_description.sql; NNNN is the version.
+// - A file may hold several statements separated by ';' at end of line.
+//   ClickHouse runs one statement per command, so we split and run them
+//   in order. `--` line comments are stripped.
+// - Statements should be idempotent (IF NOT EXISTS / IF EXISTS): a file that
+//   fails half-way is not recorded and will be re-run from the top.
+// - Where that isn't expressible (EXCHANGE TABLES, copies), put a guard line
+//   right above the statement:
+//       -- @if SELECT count() AS n FROM system.tables WHERE …
+//   The statement only runs when the query's first column is non-zero.
+// - `status` flags applied migrations whose file checksum has changed since.
+
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { DB, init, close } from '../lib/db.js';
+import { info, warn, err } from '../lib/log.js';
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const FILE_RX = /^(\d{4})_([\w-]+)\.sql$/;
+
+const args = process.argv.slice(2);
+const cmd = args.find(a => !a.startsWith('--')) || 'status';
+const DRY = args.includes('--dry');
+const toIdx = args.indexOf('--to');
+const TO = toIdx >= 0 ? args[toIdx + 1] : null;
+
+async function ensureMigrationsTable() {
+  await DB.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     String,
+      name        String,
+      checksum    String,
+      applied_at  DateTime64(3) DEFAULT now64(3)
+    )
+    ENGINE = ReplacingMergeTree(applied_at)
+    ORDER BY (version)
+  `);
+}
+
+function loadMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => FILE_RX.test(f))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(FILE_RX);
+      const body = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      const checksum = crypto.createHash('sha256').update(body).digest('hex');
+      return { version, name, file, body, checksum };
+    });
+}
+
+const GUARD_RX = /^\s*--\s*@if\s+(.+?)\s*$/;
+
+/** @returns {{ sql: string, guard: string|null }[]} */
+function splitStatements(body) {
+  const stripped = body
+    .split('\n')
+    .map(line => {
+      const g = line.match(GUARD_RX);
+      return g ? `/*@if ${g[1]} @*/` : line.replace(/^\s*--.*$/, '');
+    })
+    .join('\n');
+  return stripped
+    .split(/;\s*$/m)
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(s => {
+      const g = s.match(/^\/\*@if (.+?) @\*\/\s*/);
+      return g ? { sql: s.slice(g[0].length).trim(), guard: g[1] } : { sql: s, guard: null };
+    });
+}
+
+async function guardPasses(guard) {
+  const { rows } = await DB.query(guard);
+  const first = rows[0] ? Object.values(rows[0])[0] : 0;
+  return Number(first) > 0;
+}
+
+async function appliedVersions() {
+  const exists = await DB.query(`
+    SELECT count() AS n FROM system.tables
+    WHERE database = currentDatabase() AND name = 'schema_migrations'
+  `);
+  if (!Number(exists.rows[0]?.n)) return new Map();
+  const { rows } = await DB.query(`
+    SELECT version, argMax(checksum, applied_at) AS checksum, max(applied_at) AS applied_at
+    FROM schema_migrations
+    GROUP BY version
+  `);
+  return new Map(rows.map(r => [r.version, r]));
+}
+
+async function up() {
+  const all = loadMigrations();
+  const applied = await appliedVersions();
+  const pending = all.filter(m => !applied.has(m.version) && (!TO || m.version <= TO));
+
+  if (!pending.length) {
+    info('[migrate] nothing to apply');
+    return;
+  }
+
+  for (const m of pending) {
+    const stmts = splitStatements(m.body);
+    info(`[migrate] ${DRY ? '[dry-run] ' : ''}${m.file} (${stmts.length} statements)`);
+
+    if (DRY) {
+      for (const s of stmts) info((s.guard ? `-- @if ${s.guard}\n` : '') + s.sql + ';\n');
+      continue;
+    }
+
+    for (const s of stmts) {
+      if (s.guard && !(await guardPasses(s.guard))) {
+        info(`[migrate]   skipped (guard): ${s.sql.split('\n')[0].slice(0, 80)}`);
+        continue;
+      }
+      await DB.query(s.sql);
+    }
+    await DB.query(
+      `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+      [m.version, m.name, m.checksum]
+    );
+    info(`[migrate] applied ${m.version}`);
+  }
+}
+
+async function status() {
+  const all = loadMigrations();
+  const applied = await appliedVersions();
+
+  for (const m of all) {
+    const a = applied.get(m.version);
+    if (!a) {
+      info(`[migrate] pending  ${m.file}`);
+    } else if (a.checksum !== m.checksum) {
+      warn(`[migrate] CHANGED  ${m.file} (applied ${a.applied_at}; file edited since)`);
+    } else {
+      info(`[migrate] applied  ${m.file} @ ${a.applied_at}`);
+    }
+  }
+  for (const v of applied.keys()) {
+    if (!all.some(m => m.version === v)) warn(`[migrate] MISSING  ${v} applied but no file on disk`);
+  }
+}
+
+async function main() {
+  await init();
+  // --dry must not touch the database, not even the bookkeeping table
+  if (!DRY) await ensureMigrationsTable();
+
+  if (cmd === 'up') await up();
+  else if (cmd === 'status') await status();
+  else throw new Error(`unknown command "${cmd}" (expected: up | status)`);
+
+  await close();
+}
+
+main().catch(async (e) => { err(e); await close(); process.exit(1); });
@@ -3,11 +3,13 @@ import 'dotenv/config';
 import { init } from '../lib/db.js';
 import { info } from '../lib/log.js';
 import { startAlertsEngine } from '../jobs/alerts.js';
+import { startAlertDelivery } from '../jobs/alert-delivery.js';
 
 async function main() {
   await init();
   info('alerts: starting…');
-  startAlertsEngine();
+  await startAlertsEngine();
+  startAlertDelivery();
   setInterval(()=>{}, 1<<30);
 }
 
@@ -0,0 +1,31 @@
+// bin/start-broker.js
+//
+// Runs the local event broker used by NOTIFY_TRANSPORT=broker.
+//
+// Usage:
+//   node bin/start-broker.js
+//
+// Notes:
+// - NOTIFY_BROKER_PATH=/tmp/degenter-bus.sock listens on a Unix socket,
+//   otherwise TCP on NOTIFY_BROKER_HOST:NOTIFY_BROKER_PORT (127.0.0.1:7070).
+// - Channel logs and consumer offsets live in NOTIFY_BROKER_DIR
+//   (./data/broker); keep it on persistent storage.
+import 'dotenv/config';
+import { info } from '../lib/log.js';
+import { startBroker } from '../lib/notify/broker-server.js';
+
+const broker = startBroker({
+  socketPath: process.env.NOTIFY_BROKER_PATH || null,
+  host: process.env.NOTIFY_BROKER_HOST || '127.0.0.1',
+  port: parseInt(process.env.NOTIFY_BROKER_PORT || '7070', 10),
+  dir: process.env.NOTIFY_BROKER_DIR || './data/broker',
+});
+
+function shutdown() {
+  info('broker: shutting down');
+  broker.close();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
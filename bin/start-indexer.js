@@ -2,10 +2,11 @@
 import 'dotenv/config';
 import { init, close } from '../lib/db.js';
 import { getStatus } from '../lib/rpc.js';
-import { info, err } from '../lib/log.js';
+import { info, warn, err } from '../lib/log.js';
 import { readCheckpoint, writeCheckpoint } from '../core/checkpoint.js';
+import { recordBlock, readBlockHash, linksTo, findCommonAncestor, rollbackAbove } from '../core/reorg.js';
 import { processHeight } from '../core/block-processor.js';
-import { drainTrades } from '../core/trades.js';
+import { drainTrades, notifyTradesCommitted } from '../core/trades.js';
 import { drainOHLCV } from '../core/ohlcv.js';
 import { drainPoolState } from '../core/pool_state.js';
 
@@ -41,6 +42,10 @@ async function main() {
 
   let processed = 0;
   const inflight = new Map(); // height -> Promise
+  let lastHash = await readBlockHash(current - 1); // hash the next committed block must link to
+  // Heights up to the checkpoint are indexed; the next PIPELINE_DEPTH ones
+  // may have been in flight (and partly flushed) when we stopped.
+  const replayUpTo = (saved !== null && saved !== undefined) ? Number(saved) + PIPELINE_DEPTH : -1;
 
   const commitInOrder = async () => {
     const keys = Array.from(inflight.keys()).sort((a,b)=>a-b);
@@ -49,16 +54,45 @@ async function main() {
       if (!p) continue;
       const r = await p.catch(e => ({ ok:false, error:e }));
       inflight.delete(h);
+
+      // fork check: this block must extend the last one we committed
+      if (r?.ok && !linksTo(r.block, lastHash)) {
+        warn('[reorg] height', h, 'does not link to stored', h - 1, { parent: r.block.parentHash, stored: lastHash });
+        return h;
+      }
+      if (r?.ok) await recordBlock(r.block);
+      lastHash = r?.ok ? r.block?.hash || null : null;
+
       await writeCheckpoint(h);
       processed++;
       const progress = IS_INFINITE_MODE ? `(${processed})` : `(${processed}/${BLOCK_CAP})`;
       info('done height', h, progress);
       await drainAll();
+      try {
+        await notifyTradesCommitted(h);
+      } catch (e) {
+        // the trades are stored; the next height's announcement covers these pools
+        warn(`trades_committed for height ${h} not published:`, e.message);
+      }
       if (r && r.ok === false && r.error) {
         // keep going, but show error
         err(`height ${h} error:`, r.error.stack || r.error);
       }
     }
+    return null;
+  };
+
+  // Roll back to the common ancestor of our stored chain and the node's,
+  // then re-index from the block after it.
+  const rewind = async (forkHeight) => {
+    await Promise.all(inflight.values()); // tasks never reject, see fill loop
+    inflight.clear();
+    await drainAll();
+    const ancestor = await findCommonAncestor(forkHeight - 1);
+    await rollbackAbove(ancestor);
+    await writeCheckpoint(ancestor);
+    lastHash = await readBlockHash(ancestor);
+    current = ancestor + 1;
   };
 
   while (processed < BLOCK_CAP) {
@@ -68,12 +102,13 @@ async function main() {
     while (inflight.size < PIPELINE_DEPTH && current <= tipNow && processed + inflight.size < BLOCK_CAP) {
       const h = current++;
       inflight.set(h, (async () => {
-        try { await processHeight(h); return { ok: true }; }
+        try { const block = await processHeight(h, { replay: h <= replayUpTo }); return { ok: true, block }; }
         catch (e) { return { ok:false, error:e }; }
       })());
     }
 
-    await commitInOrder();
+    const forkAt = await commitInOrder();
+    if (forkAt !== null) { await rewind(forkAt); continue; }
 
     if (current > tipNow) await sleep(POLL_SLEEP_MS);
   }
@@ -13,6 +13,10 @@ import { startFx } from '../jobs/fx-zig.js';
 import matrix from '../jobs/matrix-rollups.js';
 import { startIbcMetaRefresher } from '../jobs/ibc-meta-refresher.js';
 import { startFasttrackListener } from '../jobs/fasttrack-listener.js';
+import { startPoolFeeDiscovery } from '../jobs/pool-fees.js';
+import { startWalletPnl } from '../jobs/wallet-pnl.js';
+import { startPoolYield } from '../jobs/pool-yield.js';
+import { startTokenOhlcv } from '../jobs/token-ohlcv.js';
 
 async function main() {
   console.log('start-jobs from:', import.meta.url);
@@ -24,11 +28,15 @@ async function main() {
   startMetaRefresher();
   startHoldersRefresher();
   startPriceFromReserves();
+  startWalletPnl();
   startLeaderboards();
   startPartitionsMaintainer();
   startTokenSecurityScanner();
   startFx();
   startIbcMetaRefresher();
+  startPoolFeeDiscovery();
+  startPoolYield();
+  startTokenOhlcv();
 
   // 🔔 fast-track listener
   startFasttrackListener();
@@ -0,0 +1,33 @@
+// bin/start-notify-stub.js
+//
+// Runs the local alert-channel stub (lib/notifiers/stub-server.js) for
+// offline testing of alert delivery.
+//
+// Usage:
+//   node bin/start-notify-stub.js
+//   ALERT_NOTIFY_STUB=1 node bin/start-alerts.js   # in another shell
+//
+// Notes:
+// - HTTP (webhooks, fake Telegram Bot API) on NOTIFY_STUB_HTTP_PORT (8787),
+//   SMTP on NOTIFY_STUB_SMTP_PORT (2525), both on NOTIFY_STUB_HOST (127.0.0.1).
+// - NOTIFY_STUB_WEBHOOK_SECRET makes the stub verify X-Alert-Signature.
+// - GET /messages lists what was captured.
+import 'dotenv/config';
+import { info } from '../lib/log.js';
+import { startNotifyStub } from '../lib/notifiers/stub-server.js';
+
+const stub = startNotifyStub({
+  host: process.env.NOTIFY_STUB_HOST || '127.0.0.1',
+  httpPort: parseInt(process.env.NOTIFY_STUB_HTTP_PORT || '8787', 10),
+  smtpPort: parseInt(process.env.NOTIFY_STUB_SMTP_PORT || '2525', 10),
+  webhookSecret: process.env.NOTIFY_STUB_WEBHOOK_SECRET || '',
+});
+
+function shutdown() {
+  info('notify-stub: shutting down');
+  stub.close();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
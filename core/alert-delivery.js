@@ -0,0 +1,162 @@
+// core/alert-delivery.js
+// Delivery queue for alert triggers (migrations/0016). Every trigger
+// gets one alert_deliveries row per channel of its alert; each attempt
+// appends the next state of the delivery, readers take the newest row per
+// delivery_id. Rows only reference the channel (type + target, credentials
+// masked in `config`); the sender looks it up on the alert (deliveryChannel).
+import crypto from 'node:crypto';
+import { DB } from '../lib/db.js';
+import { channelTarget } from '../lib/notifiers/index.js';
+import { parseParams, redactChannels } from './alert-rules.js';
+
+/**
+ * Channel-independent rendering of a trigger: `payload` is the webhook body,
+ * `subject` / `text` are used for email and Telegram.
+ */
+export function formatAlertMessage(alert, event) {
+  const data = { ...(event.payload || {}) };
+  delete data.params;
+
+  const payload = {
+    event_id: event.eventId,
+    alert_id: alert.alert_id,
+    wallet_id: alert.wallet_id,
+    alert_type: alert.alert_type,
+    kind: event.kind,
+    triggered_at: event.triggeredAt,
+    params: alert.params,
+    data,
+  };
+  const subject = `[alert] ${alert.alert_type} #${alert.alert_id}`;
+  const text = [
+    `${alert.alert_type} alert #${alert.alert_id} triggered (${event.kind})`,
+    ...Object.entries(data).map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`),
+    `rule: ${JSON.stringify(alert.params)}`,
+    `at: ${event.triggeredAt} UTC`,
+  ].join('\n');
+
+  return { subject, text, payload };
+}
+
+/**
+ * Queue the trigger `event` (recordTrigger() result) on every channel of
+ * `alert`; the first attempt is due immediately.
+ * @returns {Promise<number>} deliveries queued
+ */
+export async function enqueueDeliveries(alert, event) {
+  const channels = alert.channels || [];
+  if (!channels.length) return 0;
+
+  const message = JSON.stringify(formatAlertMessage(alert, event));
+  const vals = [];
+  const args = [];
+  let i = 1;
+  for (const ch of channels) {
+    vals.push(`($${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++}, $${i++}, 'pending', 0, now(), '', now(), now64(3))`);
+    args.push(
+      crypto.randomUUID(), event.eventId, alert.alert_id,
+      ch.type, channelTarget(ch), JSON.stringify(redactChannels([ch])[0]), message,
+    );
+  }
+  await DB.query(
+    `
+    INSERT INTO alert_deliveries
+      (delivery_id, event_id, alert_id, channel, target, config, message,
+       status, attempts, next_attempt_at, last_error, created_at, updated_at)
+    VALUES ${vals.join(', ')}
+    `,
+    args,
+  );
+  return channels.length;
+}
+
+/**
+ * The channel of `alert` (a getAlert() result, null when deleted) that
+ * delivery `d` was queued for, with its credentials; null when the alert
+ * or the channel is gone.
+ */
+export function deliveryChannel(alert, d) {
+  return alert?.channels.find(c => c.type === d.channel && channelTarget(c) === d.target) ?? null;
+}
+
+/**
+ * Pending deliveries whose next attempt is due, oldest first.
+ * @param {{ limit?: number, maxAgeDays?: number }} opts
+ */
+export async function dueDeliveries({ limit = 50, maxAgeDays = 7 } = {}) {
+  const { rows } = await DB.query(
+    `
+    SELECT
+      delivery_id,
+      argMax(event_id, updated_at)        AS d_event_id,
+      argMax(alert_id, updated_at)        AS d_alert_id,
+      argMax(channel, updated_at)         AS d_channel,
+      argMax(target, updated_at)          AS d_target,
+      argMax(config, updated_at)          AS d_config,
+      argMax(message, updated_at)         AS d_message,
+      argMax(status, updated_at)          AS d_status,
+      argMax(attempts, updated_at)        AS d_attempts,
+      argMax(next_attempt_at, updated_at) AS d_next_at,
+      min(created_at)                     AS d_created_at
+    FROM alert_deliveries
+    WHERE created_at >= now() - toIntervalDay(toUInt32($1))
+    GROUP BY delivery_id
+    HAVING d_status = 'pending' AND d_next_at <= now()
+    ORDER BY d_next_at ASC
+    LIMIT ${Math.max(1, Math.min(Number(limit) || 50, 1000))}
+    `,
+    [maxAgeDays],
+  );
+  return rows.map(r => ({
+    delivery_id: r.delivery_id,
+    event_id: r.d_event_id,
+    alert_id: String(r.d_alert_id),
+    channel: r.d_channel,
+    target: r.d_target,
+    config: parseParams(r.d_config) ?? {},
+    message: parseParams(r.d_message) ?? {},
+    attempts: Number(r.d_attempts),
+    created_at: r.d_created_at,
+  }));
+}
+
+async function appendState(d, { status, attempts, delaySec = 0, lastError = '' }) {
+  await DB.query(
+    `
+    INSERT INTO alert_deliveries
+      (delivery_id, event_id, alert_id, channel, target, config, message,
+       status, attempts, next_attempt_at, last_error, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, now() + toIntervalSecond(toUInt32($10)), $11, $12, now64(3))
+    `,
+    [
+      d.delivery_id, d.event_id, d.alert_id, d.channel, d.target,
+      JSON.stringify(d.config), JSON.stringify(d.message),
+      status, attempts, Math.max(0, Math.round(delaySec)), String(lastError).slice(0, 1000), d.created_at,
+    ],
+  );
+}
+
+export async function markSent(d, { attempts }) {
+  await appendState(d, { status: 'sent', attempts });
+}
+
+/** Keep the delivery pending, next attempt in `delaySec`. */
+export async function markRetry(d, { attempts, delaySec, error }) {
+  await appendState(d, { status: 'pending', attempts, delaySec, lastError: error });
+}
+
+/** Give up on the delivery and copy it to alert_dead_letters. */
+export async function markDead(d, { attempts, error }) {
+  await appendState(d, { status: 'dead', attempts, lastError: error });
+  await DB.query(
+    `
+    INSERT INTO alert_dead_letters
+      (delivery_id, event_id, alert_id, channel, target, message, attempts, last_error, failed_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now())
+    `,
+    [
+      d.delivery_id, d.event_id, d.alert_id, d.channel, d.target,
+      JSON.stringify(d.message), attempts, String(error).slice(0, 1000),
+    ],
+  );
+}
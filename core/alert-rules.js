@@ -0,0 +1,267 @@
+// core/alert-rules.js
+// Rule schema per alert_type. Alert params are validated and normalized here
+// before they are stored, so evaluators (jobs/alerts.js) can rely on the
+// field types and defaults and never see unknown keys.
+//
+// Field kinds:
+//   id      UInt64 as a decimal string (token_id, pool_id)
+//   int     integer within [min, max]
+//   number  finite number within [min, max]
+//   address bech32 account address
+//   enum    one of `values`
+//
+// since_min on height-driven alerts only bounds the first evaluation of a new
+// alert; after that jobs/alerts.js reads forward from the alert's cursor.
+
+const LARGE_TRADE_MIN_ZIG = Number(process.env.LARGE_TRADE_MIN_ZIG || '1000');
+
+const ADDRESS_RE = /^[a-z]+1[0-9a-z]{20,90}$/;
+
+export const ALERT_RULES = {
+  price_cross: {
+    fields: {
+      token_id: { kind: 'id' },
+      pool_id:  { kind: 'id' },
+      above:    { kind: 'number', min: 0 },
+      below:    { kind: 'number', min: 0 },
+    },
+    check: (r) => [
+      r.token_id == null && r.pool_id == null && 'token_id or pool_id is required',
+      r.above == null && r.below == null && 'above or below is required',
+    ],
+  },
+
+  wallet_trade: {
+    fields: {
+      address:   { kind: 'address', required: true },
+      direction: { kind: 'enum', values: ['buy', 'sell', 'provide', 'withdraw'] },
+      pool_id:   { kind: 'id' },
+      token_id:  { kind: 'id' },
+      since_min: { kind: 'int', min: 1, max: 1440, default: 10 },
+    },
+  },
+
+  large_trade: {
+    fields: {
+      pool_id:   { kind: 'id' },
+      min_zig:   { kind: 'number', min: 0, default: LARGE_TRADE_MIN_ZIG },
+      since_min: { kind: 'int', min: 1, max: 1440, default: 10 },
+    },
+  },
+
+  tvl_change: {
+    fields: {
+      pool_id:    { kind: 'id', required: true },
+      window_min: { kind: 'int', min: 1, max: 10080, default: 60 },
+      delta_pct:  { kind: 'number', min: 0.01, max: 1000, default: 10 },
+    },
+  },
+
+  liquidity_withdraw: {
+    fields: {
+      pool_id:   { kind: 'id' },
+      token_id:  { kind: 'id' },
+      min_pct:   { kind: 'number', min: 0.1, max: 100, default: 20 },
+      since_min: { kind: 'int', min: 1, max: 1440, default: 10 },
+    },
+    check: (r) => [r.token_id == null && r.pool_id == null && 'token_id or pool_id is required'],
+  },
+
+  new_pool: {
+    fields: {
+      token_id:  { kind: 'id', required: true },
+      since_min: { kind: 'int', min: 1, max: 1440, default: 60 },
+    },
+  },
+
+  holder_concentration: {
+    fields: {
+      token_id:      { kind: 'id', required: true },
+      threshold_pct: { kind: 'number', min: 0.1, max: 100, default: 50 },
+      direction:     { kind: 'enum', values: ['up', 'down', 'both'], default: 'up' },
+    },
+  },
+
+  security_change: {
+    fields: {
+      token_id: { kind: 'id', required: true },
+    },
+  },
+
+  price_change_pct: {
+    fields: {
+      pool_id:    { kind: 'id' },
+      token_id:   { kind: 'id' },
+      window_min: { kind: 'int', min: 1, max: 1440, default: 60 },
+      change_pct: { kind: 'number', min: 0.1, max: 10000, default: 10 },
+      direction:  { kind: 'enum', values: ['up', 'down', 'both'], default: 'both' },
+    },
+    check: (r) => [r.token_id == null && r.pool_id == null && 'token_id or pool_id is required'],
+  },
+
+  volume_spike: {
+    fields: {
+      pool_id:        { kind: 'id' },
+      token_id:       { kind: 'id' },
+      window_min:     { kind: 'int', min: 5, max: 1440, default: 60 },
+      baseline_min:   { kind: 'int', min: 60, max: 10080, default: 1440 },
+      multiple:       { kind: 'number', min: 1.1, max: 1000, default: 3 },
+      min_volume_zig: { kind: 'number', min: 0, default: 0 },
+    },
+    check: (r) => [
+      r.token_id == null && r.pool_id == null && 'token_id or pool_id is required',
+      r.baseline_min < r.window_min && 'baseline_min must be >= window_min',
+    ],
+  },
+};
+
+export const ALERT_TYPES = Object.keys(ALERT_RULES);
+
+function coerce(spec, v) {
+  switch (spec.kind) {
+    case 'id': {
+      const s = String(v).trim();
+      return /^\d{1,20}$/.test(s) ? { value: s } : { error: 'must be a numeric id' };
+    }
+    case 'int':
+    case 'number': {
+      const n = Number(v);
+      if (typeof v === 'boolean' || v === '' || !Number.isFinite(n)) return { error: 'must be a number' };
+      if (spec.kind === 'int' && !Number.isInteger(n)) return { error: 'must be an integer' };
+      if (spec.min != null && n < spec.min) return { error: `must be >= ${spec.min}` };
+      if (spec.max != null && n > spec.max) return { error: `must be <= ${spec.max}` };
+      return { value: n };
+    }
+    case 'address': {
+      const s = String(v).trim();
+      return ADDRESS_RE.test(s) ? { value: s } : { error: 'must be an account address' };
+    }
+    case 'enum': {
+      const s = String(v).toLowerCase();
+      return spec.values.includes(s) ? { value: s } : { error: `must be one of ${spec.values.join(', ')}` };
+    }
+    default:
+      return { error: `unsupported field kind ${spec.kind}` };
+  }
+}
+
+/** Params as stored (JSON text) or as sent (object) → object, or null. */
+export function parseParams(params) {
+  if (params == null) return null;
+  if (typeof params === 'object') return params;
+  try {
+    const v = JSON.parse(params);
+    return v && typeof v === 'object' ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate `params` against the schema of `type`.
+ * @returns {{ rule: object|null, errors: string[] }} rule holds the
+ *   normalized params (defaults applied) when errors is empty.
+ */
+export function validateRule(type, params) {
+  const def = ALERT_RULES[type];
+  if (!def) return { rule: null, errors: [`unknown alert type '${type}' (expected ${ALERT_TYPES.join(', ')})`] };
+
+  const input = parseParams(params);
+  if (!input || Array.isArray(input)) return { rule: null, errors: ['params must be a JSON object'] };
+
+  const errors = [];
+  for (const k of Object.keys(input)) {
+    if (!def.fields[k]) errors.push(`${k}: unknown field for ${type}`);
+  }
+
+  const rule = {};
+  for (const [name, spec] of Object.entries(def.fields)) {
+    const v = input[name];
+    if (v == null || v === '') {
+      if (spec.required) errors.push(`${name}: required`);
+      else if (spec.default !== undefined) rule[name] = spec.default;
+      continue;
+    }
+    const { value, error } = coerce(spec, v);
+    if (error) errors.push(`${name}: ${error}`);
+    else rule[name] = value;
+  }
+
+  if (!errors.length && def.check) errors.push(...def.check(rule).filter(Boolean));
+  return errors.length ? { rule: null, errors } : { rule, errors };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// delivery channels (alerts.channels, delivered by jobs/alert-delivery.js)
+
+const MAX_CHANNELS = 5;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const CHANNEL_TYPES = ['webhook', 'telegram', 'email'];
+
+function checkChannel(c) {
+  switch (c.type) {
+    case 'webhook': {
+      let u = null;
+      try { u = new URL(String(c.url)); } catch { /* invalid */ }
+      if (!u || !['http:', 'https:'].includes(u.protocol)) return { error: 'url must be an http(s) URL' };
+      if (c.secret != null && (typeof c.secret !== 'string' || c.secret.length > 256)) {
+        return { error: 'secret must be a string of at most 256 chars' };
+      }
+      return { value: { type: 'webhook', url: u.toString(), ...(c.secret ? { secret: c.secret } : {}) } };
+    }
+    case 'telegram': {
+      const chat = String(c.chat_id ?? '').trim();
+      if (!/^(-?\d{1,20}|@[A-Za-z0-9_]{5,64})$/.test(chat)) return { error: 'chat_id must be a numeric id or @channel' };
+      if (c.bot_token != null && !/^\d+:[A-Za-z0-9_-]{20,}$/.test(String(c.bot_token))) {
+        return { error: 'bot_token is not a Telegram bot token' };
+      }
+      return { value: { type: 'telegram', chat_id: chat, ...(c.bot_token ? { bot_token: String(c.bot_token) } : {}) } };
+    }
+    case 'email': {
+      const to = String(c.to ?? '').trim();
+      return EMAIL_RE.test(to) ? { value: { type: 'email', to } } : { error: 'to must be an email address' };
+    }
+    default:
+      return { error: `type must be one of ${CHANNEL_TYPES.join(', ')}` };
+  }
+}
+
+/**
+ * Validate a channel list ([{ type: 'webhook', url, secret? } |
+ * { type: 'telegram', chat_id, bot_token? } | { type: 'email', to }]).
+ * @returns {{ channels: object[]|null, errors: string[] }}
+ */
+export function validateChannels(list) {
+  const input = typeof list === 'string' ? parseParams(list) : list;
+  if (!Array.isArray(input)) return { channels: null, errors: ['channels must be an array'] };
+  if (input.length > MAX_CHANNELS) return { channels: null, errors: [`at most ${MAX_CHANNELS} channels`] };
+
+  const channels = [];
+  const errors = [];
+  input.forEach((c, i) => {
+    if (!c || typeof c !== 'object') { errors.push(`channels[${i}]: must be an object`); return; }
+    const { value, error } = checkChannel(c);
+    if (error) errors.push(`channels[${i}]: ${error}`);
+    else channels.push(value);
+  });
+  return errors.length ? { channels: null, errors } : { channels, errors };
+}
+
+/**
+ * Is the channel sent with the operator's credentials (SMTP account,
+ * TELEGRAM_BOT_TOKEN) rather than its own? Those need the wallet's opt-in
+ * (core/alerts.js operatorChannelsAllowed).
+ */
+export function usesOperatorCredentials(c) {
+  return c?.type === 'email' || (c?.type === 'telegram' && !c.bot_token);
+}
+
+/** Channels with their credentials masked, for API responses. */
+export function redactChannels(channels) {
+  return (channels || []).map(c => ({
+    ...c,
+    ...(c.secret ? { secret: '***' } : {}),
+    ...(c.bot_token ? { bot_token: '***' } : {}),
+  }));
+}
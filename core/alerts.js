@@ -0,0 +1,248 @@
+// core/alerts.js
+// Alert storage (migrations/0006, 0015, 0016, 0017, 0018).
+// Definitions are versioned rows in `alerts`, trigger state lives in
+// `alert_state`, cursors and evaluator state in `alert_cursors`, per-wallet
+// settings in `wallet_alert_settings`; all append-only, readers take the
+// newest row per key.
+import crypto from 'node:crypto';
+import { DB } from '../lib/db.js';
+import { parseParams } from './alert-rules.js';
+
+// Concurrent edits can append the same version twice (migrations/0015); the
+// later write wins.
+const ALERT_SELECT = `
+  SELECT
+    a.alert_id                                        AS alert_id,
+    argMax(a.wallet_id, (a.version, a.updated_at))    AS wallet_id,
+    argMax(a.alert_type, (a.version, a.updated_at))   AS alert_type,
+    argMax(a.params, (a.version, a.updated_at))       AS params,
+    argMax(a.channels, (a.version, a.updated_at))     AS channels,
+    argMax(a.is_active, (a.version, a.updated_at))    AS is_active,
+    argMax(a.is_deleted, (a.version, a.updated_at))   AS is_deleted,
+    argMax(a.throttle_sec, (a.version, a.updated_at)) AS throttle_sec,
+    min(a.created_at)                                 AS created_at,
+    max(a.version)                                    AS latest_version,
+    s.last_triggered                                  AS last_triggered,
+    s.trigger_count                                   AS trigger_count
+  FROM alerts AS a
+  LEFT JOIN (
+    SELECT alert_id,
+           argMax(last_triggered, updated_at) AS last_triggered,
+           argMax(trigger_count, updated_at)  AS trigger_count
+    FROM alert_state
+    GROUP BY alert_id
+  ) AS s ON s.alert_id = a.alert_id
+`;
+
+function shapeAlert(r) {
+  return {
+    alert_id: String(r.alert_id),
+    wallet_id: String(r.wallet_id),
+    alert_type: r.alert_type,
+    params: parseParams(r.params) ?? {},
+    channels: Array.isArray(parseParams(r.channels)) ? parseParams(r.channels) : [],
+    is_active: Number(r.is_active) === 1,
+    throttle_sec: Number(r.throttle_sec),
+    version: Number(r.latest_version),
+    last_triggered: r.last_triggered ?? null,
+    trigger_count: Number(r.trigger_count || 0),
+    created_at: r.created_at,
+  };
+}
+
+/**
+ * Current (non-deleted) alerts, optionally of one wallet and/or only active.
+ * @param {{ walletId?: string|number, activeOnly?: boolean }} filter
+ */
+export async function listAlerts({ walletId = null, activeOnly = false } = {}) {
+  const having = ['is_deleted = 0'];
+  const args = [];
+  if (walletId != null) { args.push(String(walletId)); having.push(`wallet_id = toUInt64($${args.length})`); }
+  if (activeOnly) having.push('is_active = 1');
+
+  const { rows } = await DB.query(
+    `
+    ${ALERT_SELECT}
+    GROUP BY a.alert_id, s.last_triggered, s.trigger_count
+    HAVING ${having.join(' AND ')}
+    ORDER BY created_at DESC
+    `,
+    args,
+  );
+  return rows.map(shapeAlert);
+}
+
+/** One alert by id, or null when it doesn't exist or was deleted. */
+export async function getAlert(alertId) {
+  const { rows } = await DB.query(
+    `
+    ${ALERT_SELECT}
+    WHERE a.alert_id = toUInt64($1)
+    GROUP BY a.alert_id, s.last_triggered, s.trigger_count
+    HAVING is_deleted = 0
+    `,
+    [String(alertId)],
+  );
+  return rows[0] ? shapeAlert(rows[0]) : null;
+}
+
+async function insertVersion({
+  alertId, walletId, type, rule, channels = [], isActive, isDeleted = false, throttleSec, version, createdAt = null,
+}) {
+  await DB.query(
+    `
+    INSERT INTO alerts
+      (alert_id, wallet_id, alert_type, params, channels, is_active, is_deleted, throttle_sec, version, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, coalesce(parseDateTimeBestEffortOrNull($10), now()), now64(3))
+    `,
+    [alertId, walletId, type, JSON.stringify(rule), JSON.stringify(channels), isActive ? 1 : 0, isDeleted ? 1 : 0,
+      throttleSec, version, createdAt ?? ''],
+  );
+}
+
+/** Store a new alert (rule already validated); returns it. */
+export async function createAlert({ walletId, type, rule, channels = [], throttleSec = 300 }) {
+  const alertId = crypto.randomBytes(8).readBigUInt64BE().toString();
+  await insertVersion({ alertId, walletId: String(walletId), type, rule, channels, isActive: true, throttleSec, version: 1 });
+  return getAlert(alertId);
+}
+
+/**
+ * Append the next version of `alert` (a getAlert() result) with the given
+ * fields replaced; returns the new state.
+ */
+export async function updateAlert(alert, { rule, channels, isActive, throttleSec } = {}) {
+  await insertVersion({
+    alertId: alert.alert_id,
+    walletId: alert.wallet_id,
+    type: alert.alert_type,
+    rule: rule ?? alert.params,
+    channels: channels ?? alert.channels,
+    isActive: isActive ?? alert.is_active,
+    throttleSec: throttleSec ?? alert.throttle_sec,
+    version: alert.version + 1,
+    createdAt: alert.created_at,
+  });
+  return getAlert(alert.alert_id);
+}
+
+/** Soft delete: a tombstone version that readers skip. */
+export async function deleteAlert(alert) {
+  await insertVersion({
+    alertId: alert.alert_id,
+    walletId: alert.wallet_id,
+    type: alert.alert_type,
+    rule: alert.params,
+    channels: alert.channels,
+    isActive: false,
+    isDeleted: true,
+    throttleSec: alert.throttle_sec,
+    version: alert.version + 1,
+    createdAt: alert.created_at,
+  });
+}
+
+/** Is `alert` still inside its throttle window since the last trigger? */
+export function isThrottled(alert, now = Date.now()) {
+  if (!alert.last_triggered || !(alert.throttle_sec > 0)) return false;
+  const last = new Date(`${String(alert.last_triggered).replace(' ', 'T')}Z`).getTime();
+  return now < last + alert.throttle_sec * 1000;
+}
+
+/**
+ * Record a trigger: the event row plus the next alert_state row.
+ * @returns {{ eventId: string, kind: string, payload: object, triggeredAt: string }}
+ */
+export async function recordTrigger(alert, { kind, payload }) {
+  const eventId = crypto.randomUUID();
+  const triggeredAt = new Date().toISOString().slice(0, 19);
+  await DB.query(
+    `
+    INSERT INTO alert_events (id, alert_id, wallet_id, kind, payload, triggered_at)
+    VALUES (toUUID($1), $2, $3, $4, $5, $6)
+    `,
+    [eventId, alert.alert_id, alert.wallet_id, kind, JSON.stringify(payload ?? null), triggeredAt],
+  );
+  await DB.query(
+    `
+    INSERT INTO alert_state (alert_id, last_triggered, trigger_count, updated_at)
+    VALUES ($1, now(), $2, now64(3))
+    `,
+    [alert.alert_id, alert.trigger_count + 1],
+  );
+  return { eventId, kind, payload, triggeredAt };
+}
+
+/** Latest trigger events of an alert. */
+export async function alertEvents(alertId, { limit = 50 } = {}) {
+  const { rows } = await DB.query(
+    `
+    SELECT toString(id) AS id, kind, payload, triggered_at
+    FROM alert_events
+    WHERE alert_id = toUInt64($1)
+    ORDER BY triggered_at DESC
+    LIMIT ${Math.max(1, Math.min(Number(limit) || 50, 500))}
+    `,
+    [String(alertId)],
+  );
+  return rows.map(r => ({ ...r, payload: parseParams(r.payload) }));
+}
+
+/**
+ * Cursors (migrations/0017, 0018) of all alerts:
+ * alert_id -> { last_height, last_trade, state } (state: evaluator JSON or null).
+ */
+export async function readCursors() {
+  const { rows } = await DB.query(`
+    SELECT
+      alert_id,
+      argMax(last_height, updated_at) AS height,
+      argMax(last_trade, updated_at)  AS trade,
+      argMax(state, updated_at)       AS st
+    FROM alert_cursors
+    GROUP BY alert_id
+  `);
+  return new Map(rows.map(r => [
+    String(r.alert_id),
+    { last_height: Number(r.height), last_trade: r.trade, state: parseParams(r.st) },
+  ]));
+}
+
+/** Append the next cursor of each alert: [{ alertId, height, trade?, state? }]. */
+export async function writeCursors(list) {
+  if (!list.length) return;
+  const vals = [];
+  const args = [];
+  let i = 1;
+  for (const c of list) {
+    vals.push(`($${i++}, $${i++}, $${i++}, $${i++}, now64(3))`);
+    args.push(c.alertId, c.height, c.trade ?? '', c.state == null ? '' : JSON.stringify(c.state));
+  }
+  await DB.query(
+    `INSERT INTO alert_cursors (alert_id, last_height, last_trade, state, updated_at) VALUES ${vals.join(', ')}`,
+    args,
+  );
+}
+
+/**
+ * May the wallet's alerts use the operator-credential channels (email,
+ * Telegram without bot_token)? Off until the operator enables it.
+ */
+export async function operatorChannelsAllowed(walletId) {
+  const { rows } = await DB.query(
+    `
+    SELECT argMax(operator_channels, updated_at) AS allowed
+    FROM wallet_alert_settings
+    WHERE wallet_id = toUInt64($1)
+    `,
+    [String(walletId)],
+  );
+  return Number(rows[0]?.allowed || 0) === 1;
+}
+
+export async function setOperatorChannels(walletId, allowed) {
+  await DB.query(
+    `INSERT INTO wallet_alert_settings (wallet_id, operator_channels, updated_at) VALUES ($1, $2, now64(3))`,
+    [String(walletId), allowed ? 1 : 0],
+  );
+}
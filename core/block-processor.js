@@ -3,23 +3,24 @@ import { getBlock, getBlockResults, unwrapBlock, unwrapBlockResults } from '../l
 import { info, warn, debug } from '../lib/log.js';
 import { upsertPool, poolWithTokens } from './pools.js';
 import { setTokenMetaFromLCD } from './tokens.js';
-import { insertTrade } from './trades.js';
+import { insertTrade, seedSeenTrades } from './trades.js';
 import { upsertPoolState } from './pool_state.js';
 import { upsertOHLCV1m } from './ohlcv.js';
-import { pgNotify } from '../lib/pg_notify.js';
+import { pgNotify, notifyTransport } from '../lib/pg_notify.js';
 import { startFasttrackListener } from '../jobs/fasttrack-listener.js';
 import { DB } from '../lib/db.js';
 import {
   digitsOrNull, wasmByAction, byType, buildMsgSenderMap, normalizePair,
-  classifyDirection, parseReservesKV, parseAssetsList, sha256hex
+  classifyDirection, parseReservesKV, parseAssetsList, sha256hex, lpDenomFromEvents
 } from './parse.js';
 import { BlockTimer } from './timing.js';
 
 // price helpers
 import { upsertPrice, fetchPoolReserves, priceFromReserves_UZIGQuote } from './prices.js';
 
-// Start fast-track ONCE
-startFasttrackListener();
+// Start fast-track ONCE. With a cross-process transport `start:jobs` runs
+// the listener; starting it here too would handle every pair twice.
+if (notifyTransport() === 'memory') startFasttrackListener();
 
 const FACTORY_ADDR = process.env.FACTORY_ADDR || '';
 const ROUTER_ADDR = process.env.ROUTER_ADDR || null;
@@ -61,26 +62,27 @@ function rememberMeta(denom, lowPrioTasks) {
   lowPrioTasks.push(() => setTokenMetaFromLCD(denom));
 }
 
-// helper: check if this trade (pool + tx_hash + msg_index) already exists
-async function tradeExists(poolId, txHash, msgIndex) {
-  const { rows } = await DB.query(
-    `SELECT 1
-     FROM trades
-     WHERE pool_id = $1
-       AND tx_hash = $2
-       AND msg_index = $3
-     LIMIT 1`,
-    [poolId, txHash, msgIndex]
-  );
-  return rows.length > 0;
-}
-
-export async function processHeight(h) {
+/**
+ * Index one height. Pass `replay: true` when the height may already be in
+ * ClickHouse (restart at the checkpoint, backfill): the trades stored for it
+ * are loaded into the seen-set once, so nothing is inserted twice.
+ *
+ * Pass `backfill: true` for historical heights (bin/backfill.js): trades and
+ * candles are written, but live state (pool_state, prices, price_ticks) is
+ * not — those are stamped now() and would override the tip with old values —
+ * and candles don't take their open from the previous close, which parallel
+ * workers would read out of order.
+ */
+export async function processHeight(h, { replay = false, backfill = false } = {}) {
   const T = new BlockTimer(h, debug);
   info('PROCESS BLOCK →', h);
 
   T.mark('rpc');
-  const [blkJson, resJson] = await Promise.all([getBlock(h), getBlockResults(h)]);
+  const [blkJson, resJson] = await Promise.all([
+    getBlock(h),
+    getBlockResults(h),
+    replay ? seedSeenTrades(h) : null,
+  ]);
   T.endMark('rpc');
 
   T.mark('unwrap');
@@ -126,18 +128,20 @@ export async function processHeight(h) {
       const poolAddr = reg?.m.get('pair_contract_addr') || insts.at(-1)?.m.get('_contract_address');
       if (!poolAddr) { warn('create_pair: could not find pool addr'); continue; }
       const signer = msgSenderByIndex.get(Number(cp.m.get('msg_index'))) || null;
+      const lpDenom = lpDenomFromEvents(txr.events, poolAddr);
 
       poolTasks.push(async () => {
         await upsertPool({
           pairContract: poolAddr, baseDenom: base, quoteDenom: quote, pairType,
-          createdAt: timestamp, height: h, txHash: tx_hash, signer
+          createdAt: timestamp, height: h, txHash: tx_hash, signer, lpDenom
         });
 
         // refresh cache
         const p = await poolWithTokens(poolAddr);
         if (p) poolsByContract.set(poolAddr, p);
 
-        // notify
+        // notify; the pool is stored either way, so a failed publish only
+        // skips the fasttrack and leaves the pool to the periodic refreshers
         if (p) {
           await pgNotify('pair_created', {
             pool_id: p.pool_id,
@@ -147,8 +151,10 @@ export async function processHeight(h) {
             base_token_id: p.base_id,
             quote_token_id: p.quote_id,
             is_uzig_quote: p.is_uzig_quote === true
-          });
-          debug('[notify] pair_created', poolAddr);
+          }).then(
+            () => debug('[notify] pair_created', poolAddr),
+            (e) => warn('[notify] pair_created not published:', poolAddr, e.message),
+          );
         }
       });
 
@@ -195,17 +201,8 @@ export async function processHeight(h) {
         const pool = await getPoolCached(pairContract);
         if (!pool) { warn(`[swap] unknown pool ${pairContract}`); return; }
 
-        // 🔒 dedupe: skip if this trade already exists (restart-safe)
-        if (await tradeExists(pool.pool_id, tx_hash, msgIndex)) {
-          debug('[swap] duplicate trade, skipping', {
-            pool_id: pool.pool_id,
-            tx_hash,
-            msg_index: msgIndex,
-          });
-          return;
-        }
-
-        await insertTrade({
+        // 🔒 dedupe: insertTrade refuses events already seen at this height
+        const inserted = await insertTrade({
           pool_id: pool.pool_id, pair_contract: pairContract,
           action: 'swap', direction: classifyDirection(offer, pool.quote_denom),
           offer_asset_denom: offer, offer_amount_base: offerAmt,
@@ -215,10 +212,20 @@ export async function processHeight(h) {
           reserve_asset2_denom: res2d, reserve_asset2_amount_base: res2a,
           height: h, tx_hash, signer: signerEOA, msg_index: msgIndex, created_at: timestamp
         });
+        if (!inserted) {
+          debug('[swap] duplicate trade, skipping', {
+            pool_id: pool.pool_id,
+            tx_hash,
+            msg_index: msgIndex,
+          });
+          return;
+        }
 
-        await upsertPoolState(
-          pool.pool_id, pool.base_denom, pool.quote_denom, res1d, res1a, res2d, res2a
-        );
+        if (!backfill) {
+          await upsertPoolState(
+            pool.pool_id, pool.base_denom, pool.quote_denom, res1d, res1a, res2d, res2a
+          );
+        }
 
         // OHLCV & live price — compute from **event reserves** (no LCD drift)
         if (pool.is_uzig_quote) {
@@ -288,9 +295,10 @@ export async function processHeight(h) {
                 price,
                 vol_zig: volZig,
                 trade_inc: 1,
+                continuity: !backfill,
               });
 
-              await upsertPrice(pool.base_id, pool.pool_id, price, true);
+              if (!backfill) await upsertPrice(pool.base_id, pool.pool_id, price, true);
             }
           } catch (e) {
             warn('[swap price/event_reserves]', pairContract, e.message);
@@ -358,17 +366,7 @@ export async function processHeight(h) {
         if (!pool) return;
 
         // 🔒 dedupe for liquidity events too
-        if (await tradeExists(pool.pool_id, tx_hash, msgIndex)) {
-          debug('[liq] duplicate trade, skipping', {
-            pool_id: pool.pool_id,
-            tx_hash,
-            msg_index: msgIndex,
-            action,
-          });
-          return;
-        }
-
-        await insertTrade({
+        const inserted = await insertTrade({
           pool_id: pool.pool_id, pair_contract: pairContract,
           action, direction: action,
           offer_asset_denom: null, offer_amount_base: null,
@@ -379,9 +377,18 @@ export async function processHeight(h) {
           reserve_asset2_denom: res2d, reserve_asset2_amount_base: res2a,
           height: h, tx_hash, signer: signerEOA, msg_index: msgIndex, created_at: timestamp
         });
+        if (!inserted) {
+          debug('[liq] duplicate trade, skipping', {
+            pool_id: pool.pool_id,
+            tx_hash,
+            msg_index: msgIndex,
+            action,
+          });
+          return;
+        }
 
         // live price (no OHLCV on liq)
-        if (pool.is_uzig_quote) {
+        if (pool.is_uzig_quote && !backfill) {
           try {
             const { rows: rExp } = await DB.query(
               'SELECT exponent AS exp FROM tokens WHERE token_id = $1',
@@ -455,4 +462,7 @@ export async function processHeight(h) {
   const S = T.summary();
   debug(`[block ${h}] metrics`, JSON.stringify(S));
   info('done height', h, `(+${nSwap} swaps, ${nLiq} liq)`, `${S.total_ms} ms`);
+
+  // header linkage for the reorg check in bin/start-indexer.js
+  return { height: h, hash: blk.hash, parentHash: blk.parentHash, time: timestamp };
 }
@@ -1,23 +1,40 @@
 // core/checkpoint.js
 import { DB } from '../lib/db.js';
 
-export async function readCheckpoint() {
-  const { rows } = await DB.query(`
+// id 'block' is the live tip follower (bin/start-indexer.js); other ids
+// (e.g. 'backfill:1000-1999' from bin/backfill.js, 'token_ohlcv' from
+// jobs/token-ohlcv.js) track their own progress.
+
+export async function readCheckpoint(id = 'block') {
+  const { rows } = await DB.query(
+    `
     SELECT last_height
     FROM index_state
-    WHERE id = 'block'
+    WHERE id = $1
     ORDER BY updated_at DESC
     LIMIT 1
-  `);
+  `,
+    [id],
+  );
   return rows[0]?.last_height ?? null;
 }
 
-export async function writeCheckpoint(h) {
+export async function writeCheckpoint(h, id = 'block') {
   await DB.query(
     `
     INSERT INTO index_state (id, last_height, updated_at)
-    VALUES ('block', $1, now())
+    VALUES ($2, $1, now64(3))
   `,
-    [h],
+    [h, id],
   );
 }
+
+/**
+ * Move checkpoint `id` back to `h` if it is past it, so its owner redoes the
+ * heights above (reorg rollback, backfill). Never moves it forward, and
+ * leaves a checkpoint that was never written alone.
+ */
+export async function lowerCheckpoint(h, id) {
+  const cur = await readCheckpoint(id);
+  if (cur != null && Number(cur) > h) await writeCheckpoint(Math.max(0, h), id);
+}
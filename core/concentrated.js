@@ -0,0 +1,145 @@
+// core/concentrated.js
+// Oroswap concentrated-liquidity pairs (Astroport PCL, Curve v2 invariant):
+// on-chain params via lcdSmart (cached) + swap simulation in display units.
+import { lcdSmart } from '../lib/lcd.js';
+import TTLCache from '../lib/cache.js';
+import { warn } from '../lib/log.js';
+
+const PARAMS_TTL_MS  = parseInt(process.env.CL_PARAMS_TTL_MS || '60000', 10);
+const LCD_TIMEOUT_MS = parseInt(process.env.CL_LCD_TIMEOUT_MS || '3000', 10);
+
+const paramsCache = new TTLCache({ max: 2000, ttlMs: PARAMS_TTL_MS });
+const inflight = new Map(); // pair_contract -> Promise
+
+export const isConcentrated = (pairType) => /concentrated/i.test(String(pairType || ''));
+
+const assetDenom = (info) => info?.native_token?.denom ?? info?.token?.contract_addr ?? null;
+
+/**
+ * Pair params from `{ config: {} }` (base64 JSON in `params`) and the asset
+ * order from `{ pair: {} }`. Cached per contract; null when the pair can't be
+ * queried (callers fall back to XYK with poolFee()).
+ *
+ * @returns {Promise<{ assets: string[], amp: number, gamma: number, midFee: number,
+ *   outFee: number, feeGamma: number, priceScale: number } | null>}
+ */
+export async function loadPclParams(pairContract) {
+  if (!pairContract) return null;
+  const cached = paramsCache.get(pairContract);
+  if (cached !== undefined) return cached;
+  if (inflight.has(pairContract)) return inflight.get(pairContract);
+
+  const p = (async () => {
+    try {
+      const [cfg, pair] = await Promise.all([
+        lcdSmart(pairContract, { config: {} }, { timeoutMs: LCD_TIMEOUT_MS }),
+        lcdSmart(pairContract, { pair: {} }, { timeoutMs: LCD_TIMEOUT_MS }),
+      ]);
+      const raw = (cfg?.data ?? cfg)?.params;
+      const infos = (pair?.data ?? pair)?.asset_infos || [];
+      if (!raw || infos.length !== 2) throw new Error('no concentrated params');
+
+      const j = JSON.parse(Buffer.from(raw, 'base64').toString('utf8'));
+      const out = {
+        assets: infos.map(assetDenom),
+        amp: Number(j.amp),
+        gamma: Number(j.gamma),
+        midFee: Number(j.mid_fee),
+        outFee: Number(j.out_fee),
+        feeGamma: Number(j.fee_gamma),
+        priceScale: Number(j.price_scale),
+      };
+      const ok = ['amp', 'gamma', 'midFee', 'outFee', 'feeGamma', 'priceScale'].every(k => Number.isFinite(out[k]))
+        && out.priceScale > 0 && out.assets.every(Boolean);
+      paramsCache.set(pairContract, ok ? out : null);
+      return ok ? out : null;
+    } catch (e) {
+      warn('[concentrated] params', pairContract, e.message);
+      paramsCache.set(pairContract, null, 10_000); // don't hammer a pair that fails
+      return null;
+    } finally {
+      inflight.delete(pairContract);
+    }
+  })();
+
+  inflight.set(pairContract, p);
+  return p;
+}
+
+/* ───────────────────────── math ───────────────────────── */
+
+// Invariant F(D, x) = K·D·(x0+x1) + x0·x1 − K·D² − D²/4,
+// K0 = 4·x0·x1/D², K = A·γ²·K0 / (γ + 1 − K0)²  (N = 2, same as the pair contract).
+function invariant(D, x0, x1, A, gamma) {
+  const mul = x0 * x1;
+  const d2 = D * D;
+  const k0 = 4 * mul / d2;
+  const k = A * gamma * gamma * k0 / ((gamma + 1 - k0) ** 2);
+  return k * D * (x0 + x1) + mul - k * d2 - d2 / 4;
+}
+
+/** D lies between the product bound 2√(x0·x1) (F ≥ 0) and the sum x0+x1 (F ≤ 0). */
+function calcD(x0, x1, A, gamma) {
+  let lo = 2 * Math.sqrt(x0 * x1);
+  let hi = x0 + x1;
+  for (let i = 0; i < 200 && hi - lo > hi * 1e-15; i++) {
+    const mid = (lo + hi) / 2;
+    if (invariant(mid, x0, x1, A, gamma) > 0) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/** y such that F(D, [x, y]) = 0; F < 0 at y → 0 and F ≥ 0 at x·y = D²/4. */
+function calcY(x, D, A, gamma) {
+  let lo = 0;
+  let hi = D * D / (4 * x);
+  for (let i = 0; i < 200 && hi - lo > hi * 1e-15; i++) {
+    const mid = (lo + hi) / 2;
+    if (invariant(D, x, mid, A, gamma) > 0) hi = mid; else lo = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/** Dynamic fee: mid_fee near balance, drifting to out_fee as the pool skews. */
+function dynamicFee(x0, x1, { midFee, outFee, feeGamma }) {
+  const k = 4 * x0 * x1 / ((x0 + x1) ** 2);
+  const g = feeGamma / (feeGamma + 1 - k);
+  return g * midFee + (1 - g) * outFee;
+}
+
+/** Raw (pre-fee) output and post-swap scaled balances. */
+function swapRaw(amountIn, balances, inIndex, { amp, gamma, priceScale }) {
+  const askIndex = 1 - inIndex;
+  const xs = [balances[0], balances[1] * priceScale];
+  const D = calcD(xs[0], xs[1], amp, gamma);
+  xs[inIndex] += inIndex === 1 ? amountIn * priceScale : amountIn;
+  const y = calcY(xs[inIndex], D, amp, gamma);
+  let dy = xs[askIndex] - y;
+  xs[askIndex] = y;
+  if (askIndex === 1) dy /= priceScale;
+  return { dy: Math.max(dy, 0), xs };
+}
+
+/**
+ * Swap simulation for a concentrated pair (fee taken from the output).
+ * Reserves are display units; inIndex is the offer asset's position in
+ * params.assets. Returns the same shape as simulateXYKLeg():
+ * mid/exec are "out per 1 in", impact = mid/exec − 1, feeAmount in input units.
+ */
+export function simulatePCL({ amountIn, reserveIn, reserveOut, inIndex, params }) {
+  if (!(reserveIn > 0 && reserveOut > 0) || !(amountIn > 0) || !params) {
+    return { out: 0, feeAmount: 0, fee: 0, mid: 0, exec: 0, impact: 0 };
+  }
+  const balances = inIndex === 0 ? [reserveIn, reserveOut] : [reserveOut, reserveIn];
+
+  // mid = marginal rate at ~zero size, fee-free
+  const eps = reserveIn * 1e-7;
+  const mid = swapRaw(eps, balances, inIndex, params).dy / eps;
+
+  const { dy, xs } = swapRaw(amountIn, balances, inIndex, params);
+  const fee = dynamicFee(xs[0], xs[1], params);
+  const out = dy * (1 - fee);
+  const exec = out / amountIn;
+  const impact = exec > 0 ? (mid / exec) - 1 : 0;
+  return { out, feeAmount: amountIn * fee, fee, mid, exec, impact };
+}
@@ -0,0 +1,265 @@
+// core/lp.js
+// LP positions from provide/withdraw trades. For those actions
+// return_amount_base holds the shares minted (provide) or burnt (withdraw),
+// so a wallet's LP balance is the net of its own events. Computed on read
+// from `trades`, so reorg rollbacks and backfills need no extra bookkeeping;
+// LP tokens moved by plain bank transfers are not visible here.
+import { DB } from '../lib/db.js';
+import { lcdSmart } from '../lib/lcd.js';
+import TTLCache from '../lib/cache.js';
+import { warn } from '../lib/log.js';
+import { latestTokenPrices } from './pnl.js';
+
+const LP_SUPPLY_TTL_MS  = parseInt(process.env.LP_SUPPLY_TTL_MS || '30000', 10);
+const LP_LCD_TIMEOUT_MS = parseInt(process.env.LP_LCD_TIMEOUT_MS || '3000', 10);
+
+const supplyCache = new TTLCache({ max: 5000, ttlMs: LP_SUPPLY_TTL_MS });
+
+/** Oroswap LP shares are minted with 6 decimals. */
+export const LP_EXPONENT = 6;
+
+/**
+ * Net LP shares per (pool, wallet) with a positive balance.
+ * @param {{ poolId?: string|number, address?: string }} filter
+ */
+export async function lpShareBalances({ poolId = null, address = null } = {}) {
+  const where = [`action IN ('provide', 'withdraw')`, `signer != ''`];
+  const args = [];
+  if (poolId != null) { args.push(String(poolId)); where.push(`pool_id = toUInt64($${args.length})`); }
+  if (address) { args.push(address); where.push(`signer = $${args.length}`); }
+
+  const { rows } = await DB.query(
+    `
+    SELECT
+      pool_id,
+      signer AS address,
+      sumIf(return_amount_base, action = 'provide')
+        - sumIf(return_amount_base, action = 'withdraw') AS net,
+      toString(net) AS shares_base,
+      countIf(action = 'provide')  AS provides,
+      countIf(action = 'withdraw') AS withdraws,
+      min(created_at) AS first_at,
+      max(created_at) AS last_at
+    FROM trades
+    WHERE ${where.join(' AND ')}
+    GROUP BY pool_id, signer
+    HAVING net > 0
+    ORDER BY net DESC
+    `,
+    args,
+  );
+  return rows.map(r => ({
+    poolId: String(r.pool_id),
+    address: r.address,
+    sharesBase: r.shares_base,
+    provides: Number(r.provides),
+    withdraws: Number(r.withdraws),
+    firstAt: r.first_at,
+    lastAt: r.last_at,
+  }));
+}
+
+/**
+ * Total LP supply from the pair's `{ pool: {} }` (cached), falling back to
+ * the net shares minted in `trades` when the LCD doesn't answer in time.
+ */
+async function totalShares(pairContract, netMinted) {
+  const cached = supplyCache.get(pairContract);
+  if (cached !== undefined) return cached;
+  try {
+    const j = await lcdSmart(pairContract, { pool: {} }, { timeoutMs: LP_LCD_TIMEOUT_MS });
+    const v = Number((j?.data ?? j)?.total_share);
+    if (v > 0) {
+      supplyCache.set(pairContract, { value: v, source: 'lcd' });
+      return { value: v, source: 'lcd' };
+    }
+  } catch (e) {
+    warn('[lp] total_share', pairContract, e.message);
+  }
+  const fallback = { value: Number(netMinted) > 0 ? Number(netMinted) : null, source: 'trades' };
+  supplyCache.set(pairContract, fallback, 5_000);
+  return fallback;
+}
+
+/**
+ * Pool side of LP valuation: tokens, latest reserves (display units) and
+ * total share supply, keyed by pool_id.
+ */
+export async function lpPoolContext(poolIds) {
+  if (!poolIds.length) return new Map();
+  const { rows } = await DB.query(
+    `
+    WITH tok AS (
+      SELECT token_id, any(denom) AS denom, any(symbol) AS symbol, any(exponent) AS exponent
+      FROM tokens
+      GROUP BY token_id
+    )
+    SELECT
+      p.pool_id AS pool_id,
+      any(p.pair_contract)  AS pair_contract,
+      any(p.pair_type)      AS pair_type,
+      any(p.lp_token_denom) AS lp_token_denom,
+      any(p.base_token_id)  AS base_token_id,
+      any(p.quote_token_id) AS quote_token_id,
+      any(b.denom)  AS base_denom,
+      any(b.symbol) AS base_symbol,
+      coalesce(any(b.exponent), 6) AS base_exp,
+      any(q.denom)  AS quote_denom,
+      any(q.symbol) AS quote_symbol,
+      coalesce(any(q.exponent), 6) AS quote_exp,
+      any(s.reserve_base_base)  AS reserve_base_base,
+      any(s.reserve_quote_base) AS reserve_quote_base,
+      any(m.net_minted)         AS net_minted
+    FROM pools AS p
+    LEFT JOIN tok AS b ON b.token_id = p.base_token_id
+    LEFT JOIN tok AS q ON q.token_id = p.quote_token_id
+    LEFT JOIN (
+      SELECT pool_id,
+             argMax(reserve_base_base, updated_at)  AS reserve_base_base,
+             argMax(reserve_quote_base, updated_at) AS reserve_quote_base
+      FROM pool_state
+      GROUP BY pool_id
+    ) AS s ON s.pool_id = p.pool_id
+    LEFT JOIN (
+      SELECT pool_id,
+             toString(sumIf(return_amount_base, action = 'provide')
+               - sumIf(return_amount_base, action = 'withdraw')) AS net_minted
+      FROM trades
+      WHERE action IN ('provide', 'withdraw')
+        AND has(splitByChar(',', $1), toString(pool_id))
+      GROUP BY pool_id
+    ) AS m ON m.pool_id = p.pool_id
+    WHERE has(splitByChar(',', $1), toString(p.pool_id))
+    GROUP BY p.pool_id
+    `,
+    [poolIds.join(',')],
+  );
+
+  const out = new Map();
+  await Promise.all(rows.map(async (r) => {
+    const supply = await totalShares(r.pair_contract, r.net_minted);
+    out.set(String(r.pool_id), {
+      poolId: String(r.pool_id),
+      pairContract: r.pair_contract,
+      pairType: r.pair_type,
+      lpDenom: r.lp_token_denom ?? null,
+      base: { tokenId: String(r.base_token_id), denom: r.base_denom, symbol: r.base_symbol ?? null },
+      quote: { tokenId: String(r.quote_token_id), denom: r.quote_denom, symbol: r.quote_symbol ?? null },
+      reserveBase: Number(r.reserve_base_base || 0) / 10 ** Number(r.base_exp),
+      reserveQuote: Number(r.reserve_quote_base || 0) / 10 ** Number(r.quote_exp),
+      totalSharesBase: supply.value,
+      totalSharesSource: supply.source,
+    });
+  }));
+  return out;
+}
+
+/**
+ * Underlying amounts and value of share positions (lpShareBalances() rows).
+ * Values are in ZIG; when only one side is priced the pool is valued at
+ * twice that side.
+ */
+export async function valueLpPositions(positions) {
+  const pools = await lpPoolContext([...new Set(positions.map(p => p.poolId))]);
+  const prices = await latestTokenPrices();
+  const px = (t) => t.denom === 'uzig' ? 1 : (prices.get(t.tokenId) ?? null);
+
+  return positions.map((pos) => {
+    const pool = pools.get(pos.poolId) || null;
+    const shares = Number(pos.sharesBase);
+    const frac = pool?.totalSharesBase > 0 ? Math.min(shares / pool.totalSharesBase, 1) : null;
+    const baseAmt = frac != null ? frac * pool.reserveBase : null;
+    const quoteAmt = frac != null ? frac * pool.reserveQuote : null;
+
+    let valueZig = null;
+    if (pool && frac != null) {
+      const pb = px(pool.base);
+      const pq = px(pool.quote);
+      if (pb != null && pq != null) valueZig = baseAmt * pb + quoteAmt * pq;
+      else if (pq != null) valueZig = 2 * quoteAmt * pq;
+      else if (pb != null) valueZig = 2 * baseAmt * pb;
+    }
+
+    return {
+      ...pos,
+      pool,
+      shares: shares / 10 ** LP_EXPONENT,
+      sharePct: frac != null ? frac * 100 : null,
+      baseAmount: baseAmt,
+      quoteAmount: quoteAmt,
+      valueZig,
+    };
+  });
+}
+
+/**
+ * Impermanent loss of a constant-product position after the pool price moved
+ * by ratio r (now / entry), vs holding: 2·√r / (1 + r) − 1 (≤ 0).
+ */
+export function impermanentLoss(r) {
+  if (!(r > 0) || !Number.isFinite(r)) return null;
+  return (2 * Math.sqrt(r)) / (1 + r) - 1;
+}
+
+/**
+ * Individual provides of a pool (by tx hash and/or wallet) with the pool
+ * price at entry vs now (ohlcv_1m closes) and the IL of their shares. The
+ * hold value backs IL out of the current value, so it excludes earned fees.
+ */
+export async function provideIl({ poolId, txHash = null, address = null, limit = 100 }) {
+  const where = [`t.action = 'provide'`, `t.pool_id = toUInt64($1)`];
+  const args = [String(poolId)];
+  if (txHash) { args.push(String(txHash).toUpperCase()); where.push(`t.tx_hash = $${args.length}`); }
+  if (address) { args.push(address); where.push(`t.signer = $${args.length}`); }
+
+  const { rows } = await DB.query(
+    `
+    SELECT
+      t.tx_hash AS tx_hash, t.msg_index AS msg_index, t.signer AS address,
+      t.height AS height, t.created_at AS created_at,
+      toString(t.return_amount_base) AS shares_base,
+      toFloat64(px.close) AS entry_price
+    FROM (
+      SELECT * FROM trades AS t
+      WHERE ${where.join(' AND ')}
+      ORDER BY t.created_at DESC
+      LIMIT ${Math.max(1, Math.min(Number(limit) || 100, 1000))}
+    ) AS t
+    ASOF LEFT JOIN (
+      SELECT pool_id, bucket_start, close
+      FROM ohlcv_1m
+      WHERE pool_id = toUInt64($1)
+    ) AS px ON px.pool_id = t.pool_id AND px.bucket_start <= t.created_at
+    ORDER BY t.created_at DESC
+    `,
+    args,
+  );
+  if (!rows.length) return [];
+
+  const { rows: last } = await DB.query(
+    `SELECT toFloat64(argMax(close, bucket_start)) AS price FROM ohlcv_1m WHERE pool_id = toUInt64($1)`,
+    [String(poolId)],
+  );
+  const priceNow = last[0]?.price != null && Number(last[0].price) > 0 ? Number(last[0].price) : null;
+
+  const valued = await valueLpPositions(rows.map(r => ({ poolId: String(poolId), sharesBase: r.shares_base })));
+  return rows.map((r, i) => {
+    const entry = Number(r.entry_price) > 0 ? Number(r.entry_price) : null;
+    const il = entry && priceNow ? impermanentLoss(priceNow / entry) : null;
+    const valueNow = valued[i].valueZig;
+    return {
+      txHash: r.tx_hash,
+      msgIndex: Number(r.msg_index),
+      address: r.address,
+      height: Number(r.height),
+      createdAt: r.created_at,
+      shares: valued[i].shares,
+      sharesBase: r.shares_base,
+      entryPrice: entry,
+      priceNow,
+      ilPct: il != null ? il * 100 : null,
+      valueZig: valueNow,
+      holdValueZig: valueNow != null && il != null ? valueNow / (1 + il) : null,
+    };
+  });
+}
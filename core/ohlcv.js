@@ -14,7 +14,7 @@ function normalizeBucketStart(bucket_start) {
     // toISOString() -> "YYYY-MM-DDTHH:MM:SS.sssZ"
     return bucket_start.toISOString().slice(0, 19);
   }
-  const s = String(bucket_start);
+  const s = String(bucket_start).replace(' ', 'T'); // ClickHouse "YYYY-MM-DD HH:MM:SS"
   if (s.length >= 19) return s.slice(0, 19);
   return s;
 }
@@ -46,6 +46,7 @@ function aggregateBatch(items) {
         volume_zig: it.vol_zig || 0,
         trade_count: it.trade_inc || 0,
         liquidity_zig: it.liquidity_zig ?? null,
+        continuity: it.continuity !== false,
       };
       map.set(key, row);
     } else {
@@ -61,6 +62,43 @@ function aggregateBatch(items) {
   return Array.from(map.values());
 }
 
+// Cross-bucket continuity: for each pool, sort by bucket_start and make
+// next bucket's open = previous bucket's close.
+function applyContinuity(agg) {
+  if (!agg.length) return;
+  agg.sort((a, b) => {
+    const ap = String(a.pool_id ?? '');
+    const bp = String(b.pool_id ?? '');
+    if (ap < bp) return -1;
+    if (ap > bp) return 1;
+    const as = String(a.bucket_start ?? '');
+    const bs = String(b.bucket_start ?? '');
+    if (as < bs) return -1;
+    if (as > bs) return 1;
+    return 0;
+  });
+
+  for (const r of agg) {
+    if (r.continuity === false) continue; // backfill: open = first trade
+    const key = String(r.pool_id ?? '');
+    const prev = lastCloseByPool.get(key);
+
+    const curTs = String(r.bucket_start ?? '');
+    if (prev && curTs > prev.bucket_start) {
+      // Make this bucket's open = previous bucket's close
+      r.open = prev.close;
+      // We leave high/low as actual trade extremes inside this bucket.
+      // It's fine if open is slightly outside [low, high].
+    }
+
+    // Update last close for this pool
+    lastCloseByPool.set(key, {
+      bucket_start: curTs,
+      close: r.close,
+    });
+  }
+}
+
 function buildInsertSQL(rows) {
   if (!rows.length) return { sql: null, args: [] };
 
@@ -117,41 +155,8 @@ const ohlcvQueue = new BatchQueue({
     // 1) aggregate inside this batch to 1 row per (pool_id, bucket_start)
     const agg = aggregateBatch(items);
 
-    // 1.5) ensure cross-bucket continuity:
-    // for each pool, sort by bucket_start and make
-    // next bucket's open = previous bucket's close.
-    if (agg.length) {
-      agg.sort((a, b) => {
-        const ap = String(a.pool_id ?? '');
-        const bp = String(b.pool_id ?? '');
-        if (ap < bp) return -1;
-        if (ap > bp) return 1;
-        const as = String(a.bucket_start ?? '');
-        const bs = String(b.bucket_start ?? '');
-        if (as < bs) return -1;
-        if (as > bs) return 1;
-        return 0;
-      });
-
-      for (const r of agg) {
-        const key = String(r.pool_id ?? '');
-        const prev = lastCloseByPool.get(key);
-
-        const curTs = String(r.bucket_start ?? '');
-        if (prev && curTs > prev.bucket_start) {
-          // Make this bucket's open = previous bucket's close
-          r.open = prev.close;
-          // We leave high/low as actual trade extremes inside this bucket.
-          // It's fine if open is slightly outside [low, high].
-        }
-
-        // Update last close for this pool
-        lastCloseByPool.set(key, {
-          bucket_start: curTs,
-          close: r.close,
-        });
-      }
-    }
+    // 1.5) ensure cross-bucket continuity
+    applyContinuity(agg);
 
     // 2) build and run INSERT
     const { sql, args } = buildInsertSQL(agg);
@@ -171,6 +176,7 @@ export async function upsertOHLCV1m({
   vol_zig,
   trade_inc,
   liquidity_zig = null,
+  continuity = true,
 }) {
   const bs = normalizeBucketStart(bucket_start);
   ohlcvQueue.push({
@@ -180,9 +186,98 @@ export async function upsertOHLCV1m({
     vol_zig: vol_zig || 0,
     trade_inc: trade_inc || 0,
     liquidity_zig,
+    continuity,
   });
 }
 
 export async function drainOHLCV() {
   await ohlcvQueue.drain();
 }
+
+/**
+ * Forget remembered closes (used after a reorg rollback, where the last
+ * close we saw may belong to an orphaned block).
+ */
+export function resetOHLCVContinuity() {
+  lastCloseByPool.clear();
+}
+
+/**
+ * Remember `close` as the last close of each pool's `bucket_start` candle,
+ * so the next candle written for it opens there.
+ * @param {{ pool_id, bucket_start, close }[]} bars
+ */
+export function seedOHLCVContinuity(bars) {
+  for (const b of bars) {
+    lastCloseByPool.set(String(b.pool_id), {
+      bucket_start: normalizeBucketStart(b.bucket_start),
+      close: Number(b.close),
+    });
+  }
+}
+
+/**
+ * Write already-aggregated candles straight to ohlcv_1m (reorg rebuild),
+ * with the same open = previous close rule as the live queue.
+ * @param {{ pool_id, bucket_start, open, high, low, close, volume_zig, trade_count, liquidity_zig }[]} bars
+ */
+export async function writeOHLCVBars(bars) {
+  const rows = bars.map(b => ({ ...b, bucket_start: normalizeBucketStart(b.bucket_start) }));
+  applyContinuity(rows);
+  const { sql, args } = buildInsertSQL(rows);
+  if (!sql) return;
+  await DB.query(sql, args);
+}
+
+/**
+ * Pre-aggregated candle tables (migrations/0013), finest first, with their
+ * step in seconds. Filled by materialized views on ohlcv_1m inserts.
+ */
+export const OHLCV_ROLLUPS = [
+  ['ohlcv_5m', 300],
+  ['ohlcv_15m', 900],
+  ['ohlcv_1h', 3600],
+  ['ohlcv_4h', 14400],
+  ['ohlcv_1d', 86400],
+];
+
+/**
+ * Re-derive the rollups of `poolIds` from ohlcv_1m for every bucket at or
+ * after `since`. Needed after ALTER ... DELETE on ohlcv_1m (reorg), which
+ * the materialized views never see.
+ */
+export async function rebuildOhlcvRollups(poolIds, since) {
+  const ids = poolIds.map(String).filter(id => /^\d+$/.test(id));
+  if (!ids.length || !since) return;
+  const inPools = `(${ids.join(',')})`;
+
+  for (const [table, step] of OHLCV_ROLLUPS) {
+    await DB.query(
+      `
+      ALTER TABLE ${table} DELETE
+      WHERE pool_id IN ${inPools}
+        AND bucket_start >= toStartOfInterval(toDateTime($1), INTERVAL ${step} SECOND)
+      SETTINGS mutations_sync = 2
+    `,
+      [since],
+    );
+    await DB.query(
+      `
+      INSERT INTO ${table}
+      SELECT
+        pool_id,
+        toStartOfInterval(ts, INTERVAL ${step} SECOND) AS bucket_start,
+        argMinState(o, ts), max(h), min(l), argMaxState(c, ts), sum(v), sum(n)
+      FROM (
+        SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+               volume_zig AS v, toInt64(trade_count) AS n
+        FROM ohlcv_1m
+        WHERE pool_id IN ${inPools}
+          AND bucket_start >= toStartOfInterval(toDateTime($1), INTERVAL ${step} SECOND)
+      )
+      GROUP BY pool_id, bucket_start
+    `,
+      [since],
+    );
+  }
+}
@@ -74,3 +74,25 @@ export function normalizePair(pairStr) {
   if (y === 'uzig' && x) return { base: x, quote: 'uzig' };
   return { base: x, quote: y };
 }
+
+/**
+ * LP share denom minted for a new pair: the pair's own `lp_denom` /
+ * `liquidity_token` attribute, else any tokenfactory denom under the pair
+ * (`factory/<pair>/…`) seen in the tx events.
+ */
+export function lpDenomFromEvents(events, pairContract) {
+  if (!pairContract) return null;
+  const evs = (events || []).map(kvmap);
+  for (const e of evs) {
+    if (e.type !== 'wasm' || e.m.get('_contract_address') !== pairContract) continue;
+    const d = e.m.get('lp_denom') || e.m.get('liquidity_token') || e.m.get('liquidity_token_addr');
+    if (d) return String(d);
+  }
+  const prefix = `factory/${pairContract}/`;
+  for (const e of evs) {
+    for (const v of e.m.values()) {
+      if (typeof v === 'string' && v.startsWith(prefix)) return v;
+    }
+  }
+  return null;
+}
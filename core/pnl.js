@@ -0,0 +1,265 @@
+// core/pnl.js
+// Wallet positions + cost basis from replaying swaps in height order.
+//
+// Every swap is a sell of the offered token and a buy of the returned one
+// (uzig legs are the numeraire and not tracked as positions). The ZIG value
+// of a swap is its uzig leg, or for token/token pools the offered amount at
+// that token's last price tick before the trade. When there is no tick the
+// sold lots' cost basis carries over to the bought token (no PnL realized).
+//
+// Cost basis is tracked both FIFO (lots) and average cost. Selling more than
+// the replayed history holds (tokens that arrived by transfer) realizes PnL
+// only on the covered part; the rest is counted in unmatched_qty.
+import { DB } from '../lib/db.js';
+
+const DUST = 1e-12;
+
+const TOKENS = `(
+  SELECT denom, any(token_id) AS token_id, any(exponent) AS exponent
+  FROM tokens
+  GROUP BY denom
+)`;
+
+/**
+ * Swaps signed by any of `addresses`, ordered by signer, height, msg_index.
+ * Legs are in display units; offer_px is the ZIG price tick as of the trade.
+ * `fromHeight` / `toHeight` (inclusive) narrow the height range.
+ */
+export async function loadWalletTrades(addresses, { fromHeight = null, toHeight = null } = {}) {
+  if (!addresses.length) return [];
+  const args = [...addresses];
+  const inList = addresses.map((_, i) => `$${i + 1}`).join(',');
+  let range = '';
+  if (fromHeight != null) { args.push(fromHeight); range += ` AND t.height >= toUInt64($${args.length})`; }
+  if (toHeight != null)   { args.push(toHeight);   range += ` AND t.height <= toUInt64($${args.length})`; }
+  const { rows } = await DB.query(
+    `
+    SELECT
+      x.signer, x.height, x.msg_index, x.ts,
+      x.offer_denom, x.ask_denom, x.offer_token_id, x.ask_token_id,
+      x.offer_qty, x.ask_qty,
+      px.price_in_zig AS offer_px
+    FROM (
+      SELECT
+        t.signer                 AS signer,
+        t.height                 AS height,
+        t.msg_index              AS msg_index,
+        t.created_at             AS created_at,
+        toUnixTimestamp(t.created_at) AS ts,
+        t.offer_asset_denom      AS offer_denom,
+        t.ask_asset_denom        AS ask_denom,
+        toff.token_id            AS offer_token_id,
+        task.token_id            AS ask_token_id,
+        toFloat64(t.offer_amount_base)  / pow(10, coalesce(toff.exponent, 6)) AS offer_qty,
+        toFloat64(t.return_amount_base) / pow(10, coalesce(task.exponent, 6)) AS ask_qty
+      FROM trades AS t
+      LEFT JOIN ${TOKENS} AS toff ON toff.denom = t.offer_asset_denom
+      LEFT JOIN ${TOKENS} AS task ON task.denom = t.ask_asset_denom
+      WHERE t.action = 'swap'
+        AND t.signer IN (${inList})${range}
+    ) AS x
+    ASOF LEFT JOIN (
+      SELECT token_id, ts, price_in_zig FROM price_ticks
+    ) AS px ON px.token_id = x.offer_token_id AND px.ts <= x.created_at
+    ORDER BY x.signer, x.height, x.msg_index
+    `,
+    args,
+  );
+  return rows;
+}
+
+/**
+ * Stored replay state per address (wallet_pnl_state, written by
+ * jobs/wallet-pnl.js): address → { height, msgIndex, positions }, where
+ * height/msgIndex is the last swap folded into positions. Addresses without
+ * a readable state are left out and need a full replay.
+ */
+export async function loadPnlStates(addresses) {
+  if (!addresses.length) return new Map();
+  const { rows } = await DB.query(
+    `
+    SELECT
+      address,
+      argMax(last_height, updated_at)    AS s_height,
+      argMax(last_msg_index, updated_at) AS s_msg_index,
+      argMax(positions, updated_at)      AS s_positions
+    FROM wallet_pnl_state
+    WHERE address IN (${addresses.map((_, i) => `$${i + 1}`).join(',')})
+    GROUP BY address
+    `,
+    addresses,
+  );
+  const out = new Map();
+  for (const r of rows) {
+    const positions = positionsFromJSON(r.s_positions);
+    if (!positions) continue;
+    out.set(r.address, { height: Number(r.s_height), msgIndex: Number(r.s_msg_index), positions });
+  }
+  return out;
+}
+
+/** True when trade `t` comes after the state cursor `c` (always without one). */
+export const afterCursor = (t, c) =>
+  !c || Number(t.height) > c.height || (Number(t.height) === c.height && Number(t.msg_index) > c.msgIndex);
+
+/** Latest price_in_zig per token across its pools. */
+export async function latestTokenPrices() {
+  const { rows } = await DB.query(`
+    SELECT token_id, argMax(price_in_zig, updated_at) AS price_in_zig
+    FROM prices
+    GROUP BY token_id
+  `);
+  return new Map(rows.map(r => [String(r.token_id), Number(r.price_in_zig)]));
+}
+
+function newPosition(tokenId, denom) {
+  return {
+    tokenId, denom,
+    qty: 0,
+    lots: [],          // FIFO: { qty, cost (ZIG per unit), ts }
+    avgCost: 0,        // ZIG per unit
+    realizedFifo: 0,
+    realizedAvg: 0,
+    events: [],        // { ts, fifo, avg } realized per sell, for windowed PnL
+    unmatchedQty: 0,
+    trades: 0,
+    lastHeight: 0,
+  };
+}
+
+/** Remove qty; returns the FIFO cost basis that left the position. */
+function sell(pos, qty, proceeds, ts) {
+  let left = qty;
+  let costOut = 0;
+  while (left > DUST && pos.lots.length) {
+    const lot = pos.lots[0];
+    const m = Math.min(lot.qty, left);
+    costOut += m * lot.cost;
+    lot.qty -= m;
+    left -= m;
+    if (lot.qty <= DUST) pos.lots.shift();
+  }
+  const matched = qty - Math.max(left, 0);
+  pos.unmatchedQty += Math.max(left, 0);
+
+  if (proceeds != null && matched > DUST) {
+    const p = proceeds * (matched / qty);
+    const fifo = p - costOut;
+    const avg = p - matched * pos.avgCost;
+    pos.realizedFifo += fifo;
+    pos.realizedAvg += avg;
+    pos.events.push({ ts, fifo, avg });
+  }
+
+  pos.qty = Math.max(pos.qty - matched, 0);
+  if (pos.qty <= DUST) { pos.qty = 0; pos.avgCost = 0; pos.lots = []; }
+  return costOut;
+}
+
+function buy(pos, qty, cost, ts) {
+  if (!(qty > DUST)) return;
+  pos.lots.push({ qty, cost: cost / qty, ts });
+  pos.avgCost = (pos.avgCost * pos.qty + cost) / (pos.qty + qty);
+  pos.qty += qty;
+}
+
+/**
+ * Replay loadWalletTrades() rows, continuing from `wallets` when given
+ * (positions restored with positionsFromJSON()).
+ * @returns {Map<string, Map<string, object>>} address → token_id → position
+ */
+export function replayPositions(trades, wallets = new Map()) {
+  const position = (addr, tokenId, denom) => {
+    if (!wallets.has(addr)) wallets.set(addr, new Map());
+    const m = wallets.get(addr);
+    const k = String(tokenId);
+    if (!m.has(k)) m.set(k, newPosition(k, denom));
+    return m.get(k);
+  };
+
+  for (const t of trades) {
+    const offerQty = Number(t.offer_qty);
+    const askQty = Number(t.ask_qty);
+    if (!(offerQty > 0) || !(askQty > 0)) continue;
+
+    const offerIsZig = t.offer_denom === 'uzig';
+    const askIsZig = t.ask_denom === 'uzig';
+    const px = Number(t.offer_px);
+    let value = offerIsZig ? offerQty
+      : askIsZig ? askQty
+      : px > 0 ? offerQty * px
+      : null;
+
+    if (!offerIsZig && t.offer_token_id != null) {
+      const pos = position(t.signer, t.offer_token_id, t.offer_denom);
+      const costOut = sell(pos, offerQty, value, Number(t.ts));
+      if (value == null) value = costOut; // carry basis into the bought token
+      pos.trades += 1;
+      pos.lastHeight = Number(t.height);
+    }
+    if (!askIsZig && t.ask_token_id != null) {
+      const pos = position(t.signer, t.ask_token_id, t.ask_denom);
+      buy(pos, askQty, value ?? 0, Number(t.ts));
+      pos.trades += 1;
+      pos.lastHeight = Number(t.height);
+    }
+  }
+  return wallets;
+}
+
+/**
+ * Serialize one wallet's positions for later replay. Realized events older
+ * than `eventsSinceSec` are dropped: they only feed windowPnl().
+ */
+export function positionsToJSON(positions, { eventsSinceSec = 0 } = {}) {
+  return JSON.stringify(Array.from(positions.values(), pos => ({
+    ...pos,
+    events: pos.events.filter(e => e.ts >= eventsSinceSec),
+  })));
+}
+
+/** Inverse of positionsToJSON(): token_id → position, null if unreadable. */
+export function positionsFromJSON(json) {
+  let list;
+  try { list = JSON.parse(json || '[]'); } catch { return null; }
+  if (!Array.isArray(list)) return null;
+  const out = new Map();
+  for (const pos of list) {
+    out.set(String(pos.tokenId), { ...newPosition(String(pos.tokenId), pos.denom), ...pos });
+  }
+  return out;
+}
+
+/** Totals for one position marked at `mark` (ZIG per unit; null = unpriced). */
+export function summarizePosition(pos, mark) {
+  const costBasis = pos.lots.reduce((s, l) => s + l.qty * l.cost, 0);
+  const value = mark != null ? pos.qty * mark : null;
+  return {
+    token_id: pos.tokenId,
+    denom: pos.denom,
+    qty: pos.qty,
+    avg_cost_zig: pos.avgCost,
+    cost_basis_zig: costBasis,
+    mark_price_zig: mark,
+    value_zig: value,
+    realized_fifo_zig: pos.realizedFifo,
+    realized_avg_zig: pos.realizedAvg,
+    unrealized_fifo_zig: value != null ? value - costBasis : null,
+    unrealized_avg_zig: value != null ? value - pos.qty * pos.avgCost : null,
+    unmatched_qty: pos.unmatchedQty,
+    trades: pos.trades,
+    last_height: pos.lastHeight,
+  };
+}
+
+/**
+ * FIFO PnL attributable to [sinceSec, now): realized on sells inside the
+ * window plus unrealized on lots still held that were bought inside it.
+ */
+export function windowPnl(pos, sinceSec, mark) {
+  const realized = pos.events.reduce((s, e) => s + (e.ts >= sinceSec ? e.fifo : 0), 0);
+  const unrealized = mark != null
+    ? pos.lots.reduce((s, l) => s + (l.ts >= sinceSec ? l.qty * (mark - l.cost) : 0), 0)
+    : 0;
+  return { realized, unrealized };
+}
@@ -39,6 +39,7 @@ export async function upsertPool({
   height,
   txHash,
   signer,
+  lpDenom = null,
 }) {
   const baseId = await upsertTokenMinimal(baseDenom);
   const quoteId = await upsertTokenMinimal(quoteDenom);
@@ -55,14 +56,14 @@ export async function upsertPool({
       base_token_id, quote_token_id,
       pair_type, is_uzig_quote,
       created_at, created_height, created_tx_hash,
-      signer
+      signer, lp_token_denom
     )
     SELECT
       $1, $2,
       $3, $4,
       $5, $6,
       $7, $8, $9,
-      $10
+      $10, nullIf($11, '')
     WHERE NOT EXISTS (
       SELECT 1 FROM pools WHERE pair_contract = $2
     )
@@ -78,8 +79,11 @@ export async function upsertPool({
       height,
       txHash,
       signer,
+      lpDenom ?? '',
     ],
   );
+  // pool existed without one (CSV import, pre-capture history)
+  if (lpDenom) await setPoolLpDenom(pairContract, lpDenom);
 
   info(
     'POOL UPSERT:',
@@ -92,6 +96,24 @@ export async function upsertPool({
   return poolId;
 }
 
+/** Fill pools.lp_token_denom when it is still missing. */
+export async function setPoolLpDenom(pairContract, lpDenom) {
+  if (!pairContract || !lpDenom) return;
+  const { rows } = await DB.query(
+    `SELECT count() AS n FROM pools WHERE pair_contract = $1 AND lp_token_denom IS NULL`,
+    [pairContract],
+  );
+  if (!Number(rows[0]?.n)) return; // avoid a mutation when nothing to fill
+  await DB.query(
+    `
+    ALTER TABLE pools
+    UPDATE lp_token_denom = $2
+    WHERE pair_contract = $1 AND lp_token_denom IS NULL
+  `,
+    [pairContract, lpDenom],
+  );
+}
+
 export async function poolWithTokens(pairContract) {
   const { rows } = await DB.query(
     `
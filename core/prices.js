@@ -2,11 +2,32 @@
 import { DB } from '../lib/db.js';
 import { lcdSmart } from '../lib/lcd.js';
 import TTLCache from '../lib/cache.js';
+import BatchQueue from '../lib/batch.js';
+import { pgNotify } from '../lib/pg_notify.js';
+import { warn } from '../lib/log.js';
 
 // ---- small, safe caches to avoid LCD spam ---------------------------------
 const reservesCache = new TTLCache({ max: 1000, ttlMs: 2000 }); // 2s is enough per block
 const inflight = new Map(); // pair_contract -> Promise
 
+// price writes are announced on 'prices_updated' in small batches (newest
+// price per pool) for event-driven alert evaluation (jobs/alerts.js). A batch
+// that can't be published is not re-queued: the prices are stored, and the
+// alerts sweep evaluates price_cross on stored prices every ALERTS_SEC.
+const priceEvents = new BatchQueue({
+  maxItems: Number(process.env.PRICE_NOTIFY_BATCH_MAX || 500),
+  maxWaitMs: Number(process.env.PRICE_NOTIFY_WAIT_MS || 250),
+  flushFn: async (items) => {
+    const byPool = new Map();
+    for (const p of items) byPool.set(p.pool_id, p);
+    try {
+      await pgNotify('prices_updated', { prices: Array.from(byPool.values()) });
+    } catch (e) {
+      warn('[prices] prices_updated not published, left to the alerts sweep:', e.message);
+    }
+  },
+});
+
 export async function upsertPrice(token_id, pool_id, price_in_zig, is_native) {
   console.log('the price being updated', price_in_zig);
 
@@ -25,6 +46,13 @@ export async function upsertPrice(token_id, pool_id, price_in_zig, is_native) {
   `,
     [pool_id, token_id, price_in_zig],
   );
+
+  priceEvents.push({
+    token_id: String(token_id),
+    pool_id: String(pool_id),
+    price_in_zig: Number(price_in_zig),
+    is_pair_native: Boolean(is_native),
+  });
 }
 
 /**
@@ -0,0 +1,277 @@
+// core/reorg.js
+//
+// Fork safety for the block pipeline.
+//
+// Every committed height is recorded in `blocks` with its hash and parent
+// hash. When the next block's last_block_id does not match what we stored,
+// the RPC served us (or is now serving) a different fork: we walk back until
+// our stored hash agrees with the node again (common ancestor), delete what
+// the orphaned heights wrote and let the indexer re-process from there.
+//
+// What gets rolled back:
+//   trades      → rows with height > ancestor
+//   ohlcv_1m    → candles of touched uzig-quoted pools from the first orphaned
+//                 minute on; that minute is rebuilt from the trades that
+//                 survived, opening at the previous candle's close
+//   ohlcv_5m…1d → rolled-up buckets of those pools re-derived from ohlcv_1m
+//   token_ohlcv_1m → every token minute from the cutoff on; the job's height
+//                 cursor is moved before the cutoff so it recomputes them
+//   pool_state  → touched pools restored from their last surviving swap
+//   prices      → touched uzig-quoted pools restored from their last
+//                 surviving swap (other pools never get a pair price)
+//   blocks      → headers above the ancestor
+//   wallet_pnl_state → replay cursors above the ancestor (full replay next run)
+//   alert_cursors → cursors above the ancestor moved back to it, so the
+//                 alerts see the replacement trades
+
+import { DB } from '../lib/db.js';
+import { getBlock, unwrapBlock } from '../lib/rpc.js';
+import { info, warn } from '../lib/log.js';
+import { resetOHLCVContinuity, seedOHLCVContinuity, writeOHLCVBars, rebuildOhlcvRollups } from './ohlcv.js';
+import { forgetSeenTradesAbove } from './trades.js';
+import { lowerCheckpoint } from './checkpoint.js';
+
+const REORG_MAX_DEPTH = parseInt(process.env.REORG_MAX_DEPTH || '100', 10);
+
+// ClickHouse DateTime only supports seconds.
+function toChTime(t) {
+  if (!t) return null;
+  return new Date(t).toISOString().slice(0, 19);
+}
+
+export async function recordBlock({ height, hash, parentHash, time }) {
+  if (!hash) return;
+  await DB.query(
+    `
+    INSERT INTO blocks (height, hash, parent_hash, block_time, indexed_at)
+    VALUES ($1, $2, $3, $4, now64(3))
+  `,
+    [height, hash, parentHash || '', toChTime(time)],
+  );
+}
+
+export async function readBlockHash(height) {
+  const { rows } = await DB.query(
+    `
+    SELECT argMax(hash, indexed_at) AS hash
+    FROM blocks
+    WHERE height = $1
+    GROUP BY height
+  `,
+    [height],
+  );
+  return rows[0]?.hash || null;
+}
+
+/**
+ * Does `block` (as returned by processHeight) extend the stored chain?
+ * Unknown parent (first run, or a height that failed) counts as linked.
+ */
+export function linksTo(block, parentHash) {
+  if (!block?.parentHash || !parentHash) return true;
+  return block.parentHash === parentHash;
+}
+
+/**
+ * Walk back from `fromHeight` until our stored hash equals the node's.
+ * Heights we never recorded are treated as the ancestor (nothing to compare).
+ */
+export async function findCommonAncestor(fromHeight) {
+  const floor = Math.max(0, fromHeight - REORG_MAX_DEPTH);
+  for (let h = fromHeight; h > floor; h--) {
+    const stored = await readBlockHash(h);
+    if (!stored) return h;
+    const blk = unwrapBlock(await getBlock(h));
+    if (blk?.hash && blk.hash === stored) return h;
+    warn('[reorg] hash mismatch at', h, { stored, node: blk?.hash });
+  }
+  throw new Error(`reorg deeper than REORG_MAX_DEPTH=${REORG_MAX_DEPTH} below ${fromHeight}`);
+}
+
+// Mutations must be visible before we rebuild from what is left.
+const SYNC = 'SETTINGS mutations_sync = 2';
+
+// uzig-quoted swaps priced from their event reserves, same formula as the
+// block processor: (Rq / 10^6) / (Rb / 10^baseExp)
+const PRICED_SWAPS_SQL = `
+  SELECT
+    t.pool_id,
+    p.base_token_id AS token_id,
+    t.created_at,
+    t.height,
+    t.msg_index,
+    (toFloat64(if(t.reserve_asset1_denom = 'uzig', t.reserve_asset1_amount_base, t.reserve_asset2_amount_base)) / 1e6)
+      / (toFloat64(if(t.reserve_asset1_denom = 'uzig', t.reserve_asset2_amount_base, t.reserve_asset1_amount_base)) / pow(10, tk.exp))
+      AS price,
+    toFloat64(if(t.offer_asset_denom = 'uzig', t.offer_amount_base, t.return_amount_base)) / 1e6 AS vol_zig
+  FROM trades t
+  INNER JOIN (
+    SELECT pool_id, any(base_token_id) AS base_token_id, max(is_uzig_quote) AS is_uzig_quote
+    FROM pools GROUP BY pool_id
+  ) p ON p.pool_id = t.pool_id
+  INNER JOIN (
+    SELECT token_id, any(exponent) AS exp FROM tokens WHERE exponent IS NOT NULL GROUP BY token_id
+  ) tk ON tk.token_id = p.base_token_id
+  WHERE t.action = 'swap'
+    AND p.is_uzig_quote = 1
+    AND t.reserve_asset1_amount_base > 0
+    AND t.reserve_asset2_amount_base > 0
+`;
+
+/**
+ * Delete everything the heights above `ancestor` produced and restore the
+ * derived per-pool state from what survives. Callers must have drained the
+ * batch queues first so no orphaned rows are still in flight.
+ */
+export async function rollbackAbove(ancestor) {
+  const { rows } = await DB.query(
+    `
+    SELECT pool_id, toStartOfMinute(min(created_at)) AS first_minute
+    FROM trades
+    WHERE height > $1
+    GROUP BY pool_id
+  `,
+    [ancestor],
+  );
+
+  // pool ids are UInt64 straight from ClickHouse; inline them as literals
+  const poolIds = rows.map(r => String(r.pool_id)).filter(id => /^\d+$/.test(id));
+  const cutoff = rows.map(r => r.first_minute).sort()[0] || null;
+  info('[reorg] rolling back above', ancestor, { pools: poolIds.length, cutoff });
+
+  await DB.query(`ALTER TABLE trades DELETE WHERE height > $1 ${SYNC}`, [ancestor]);
+  await DB.query(`ALTER TABLE blocks DELETE WHERE height > $1 ${SYNC}`, [ancestor]);
+  // wallets whose PnL replay got past the ancestor start over (jobs/wallet-pnl.js)
+  await DB.query(`ALTER TABLE wallet_pnl_state DELETE WHERE last_height > $1 ${SYNC}`, [ancestor]);
+  // alert cursors are append-only (core/alerts.js): add a clamped row, keeping
+  // last_trade and the evaluator state
+  await DB.query(
+    `
+    INSERT INTO alert_cursors (alert_id, last_height, last_trade, state, updated_at)
+    SELECT alert_id, toUInt64($1), argMax(last_trade, updated_at), argMax(state, updated_at), now64(3)
+    FROM alert_cursors
+    GROUP BY alert_id
+    HAVING argMax(last_height, updated_at) > toUInt64($1)
+    `,
+    [ancestor],
+  );
+
+  if (poolIds.length) {
+    const inPools = `(${poolIds.join(',')})`;
+
+    // only uzig-quoted pools get candles and prices (block processor and
+    // jobs/price-from-reserves.js), so those are the ones rebuilt below
+    const { rows: uzigRows } = await DB.query(`
+      SELECT pool_id FROM pools
+      WHERE pool_id IN ${inPools}
+      GROUP BY pool_id
+      HAVING max(is_uzig_quote) = 1
+    `);
+    const uzigIds = uzigRows.map(r => String(r.pool_id));
+    const inUzig = `(${uzigIds.length ? uzigIds.join(',') : '0'})`;
+
+    // ohlcv_1m: drop from the first orphaned minute, rebuild that minute from
+    // the trades that are still there (later minutes only had orphaned trades).
+    // Like core/ohlcv.js, a candle opens at the previous candle's close and
+    // carries the pool's last known liquidity.
+    await DB.query(
+      `ALTER TABLE ohlcv_1m DELETE WHERE pool_id IN ${inUzig} AND bucket_start >= $1 ${SYNC}`,
+      [cutoff],
+    );
+    const { rows: prevBars } = await DB.query(
+      `
+      SELECT
+        pool_id,
+        max(bucket_start)                    AS last_bucket,
+        argMax(close, bucket_start)          AS last_close,
+        argMax(liquidity_zig, bucket_start)  AS last_liquidity
+      FROM ohlcv_1m
+      WHERE pool_id IN ${inUzig}
+        AND bucket_start < toDateTime($1)
+      GROUP BY pool_id
+    `,
+      [cutoff],
+    );
+    const { rows: rebuilt } = await DB.query(
+      `
+      SELECT
+        pool_id,
+        toStartOfMinute(created_at)          AS minute,
+        argMin(price, (height, msg_index))   AS first_px,
+        max(price)                           AS high_px,
+        min(price)                           AS low_px,
+        argMax(price, (height, msg_index))   AS last_px,
+        sum(vol_zig)                         AS vol,
+        count()                              AS n
+      FROM (${PRICED_SWAPS_SQL}) s
+      WHERE pool_id IN ${inUzig}
+        AND created_at >= toDateTime($1)
+      GROUP BY pool_id, minute
+    `,
+      [cutoff],
+    );
+    const liquidityByPool = new Map(prevBars.map(r => [String(r.pool_id), r.last_liquidity]));
+    resetOHLCVContinuity();
+    seedOHLCVContinuity(prevBars.map(r => ({ pool_id: r.pool_id, bucket_start: r.last_bucket, close: r.last_close })));
+    await writeOHLCVBars(rebuilt.map(r => ({
+      pool_id: String(r.pool_id),
+      bucket_start: r.minute,
+      open: Number(r.first_px),
+      high: Number(r.high_px),
+      low: Number(r.low_px),
+      close: Number(r.last_px),
+      volume_zig: Number(r.vol),
+      trade_count: Number(r.n),
+      liquidity_zig: liquidityByPool.get(String(r.pool_id)) ?? null,
+    })));
+    // rollup tables only follow inserts; rebuild after the rebuilt minute landed
+    await rebuildOhlcvRollups(poolIds, cutoff);
+    await DB.query(`ALTER TABLE token_ohlcv_1m DELETE WHERE bucket_start >= $1 ${SYNC}`, [cutoff]);
+    // jobs/token-ohlcv.js recomputes from the minute of the first trade above
+    // its cursor: put the cursor before every trade left in the cutoff minute
+    const { rows: before } = await DB.query(
+      `SELECT max(height) AS h, count() AS n FROM trades WHERE created_at < toDateTime($1)`,
+      [cutoff],
+    );
+    await lowerCheckpoint(Number(before[0]?.n) > 0 ? Number(before[0].h) : 0, 'token_ohlcv');
+
+    // pool_state: reserves after the last surviving swap per pool, oriented
+    // base/quote (provide/withdraw rows carry the user's amounts, not reserves)
+    await DB.query(`ALTER TABLE pool_state DELETE WHERE pool_id IN ${inPools} ${SYNC}`);
+    await DB.query(`
+      INSERT INTO pool_state (pool_id, reserve_base_base, reserve_quote_base, updated_at)
+      SELECT
+        t.pool_id,
+        argMax(if(t.reserve_asset1_denom = b.denom, t.reserve_asset1_amount_base, t.reserve_asset2_amount_base), (t.height, t.msg_index)),
+        argMax(if(t.reserve_asset1_denom = b.denom, t.reserve_asset2_amount_base, t.reserve_asset1_amount_base), (t.height, t.msg_index)),
+        now()
+      FROM trades t
+      INNER JOIN (SELECT pool_id, any(base_token_id) AS base_token_id FROM pools GROUP BY pool_id) p
+        ON p.pool_id = t.pool_id
+      INNER JOIN (SELECT token_id, any(denom) AS denom FROM tokens GROUP BY token_id) b
+        ON b.token_id = p.base_token_id
+      WHERE t.pool_id IN ${inPools}
+        AND t.action = 'swap'
+        AND t.reserve_asset1_amount_base > 0
+        AND t.reserve_asset2_amount_base > 0
+      GROUP BY t.pool_id
+    `);
+
+    // prices: last surviving swap price per uzig-quoted pool
+    await DB.query(`ALTER TABLE prices DELETE WHERE pool_id IN ${inUzig} ${SYNC}`);
+    await DB.query(`
+      INSERT INTO prices (token_id, pool_id, price_in_zig, is_pair_native, updated_at)
+      SELECT token_id, pool_id, argMax(price, (height, msg_index)), 1, now()
+      FROM (${PRICED_SWAPS_SQL}) s
+      WHERE pool_id IN ${inUzig}
+      GROUP BY token_id, pool_id
+    `);
+  }
+
+  // with no touched pools nothing was reseeded above; either way no orphaned
+  // close may carry over. The canonical blocks may carry the same txs as the
+  // orphaned ones.
+  if (!poolIds.length) resetOHLCVContinuity();
+  forgetSeenTradesAbove(ancestor);
+  info('[reorg] rollback complete; resuming from', ancestor + 1);
+}
@@ -0,0 +1,316 @@
+// core/swap-sim.js
+// Pool selection + swap simulation (XYK and concentrated) shared by /swap,
+// /tokens, swap routing, the WS hub and jobs/pool-yield.js.
+import { DB } from '../lib/db.js';
+import { isConcentrated, loadPclParams, simulatePCL } from './concentrated.js';
+
+// Oroswap pair type → taker fee fraction; only a fallback until
+// jobs/pool-fees.js has stored the pair's real fee (see poolFee()).
+export function pairFee(pairType) {
+  if (!pairType) return 0.003;
+  const t = String(pairType).toLowerCase();
+  if (t === 'xyk') return 0.0001;
+  if (t === 'concentrated') return 0.01;
+  const m = t.match(/xyk[_-](\d+)/);
+  if (m) {
+    const bps = Number(m[1]);
+    if (Number.isFinite(bps)) return bps / 10_000;
+  }
+  return 0.003;
+}
+
+/** Fee for a loaded pool: discovered pools.total_fee, else the pair_type guess. */
+export function poolFee(p) {
+  return p.totalFee != null ? p.totalFee : pairFee(p.pairType);
+}
+
+/** XYK simulation (fee-on-input). Rz = zig reserve, Rt = token reserve. */
+export function simulateXYK({ fromIsZig, amountIn, Rz, Rt, fee }) {
+  if (!(Rz > 0 && Rt > 0) || !(amountIn > 0)) {
+    return { out: 0, price: 0, impact: 0 };
+  }
+  const mid = Rz / Rt; // zig per token
+  const xin = amountIn * (1 - fee);
+
+  if (fromIsZig) {
+    // ZIG -> Token
+    const outToken = (xin * Rt) / (Rz + xin);
+    const effZigPerToken = amountIn / Math.max(outToken, 1e-18);
+    const impact = mid > 0 ? (effZigPerToken / mid) - 1 : 0;
+    return { out: outToken, price: effZigPerToken, impact };
+  } else {
+    // Token -> ZIG
+    const outZig = (xin * Rz) / (Rt + xin);
+    const effZigPerToken = outZig / amountIn; // executable zig per 1 token
+    const impact = mid > 0 ? (mid / Math.max(effZigPerToken, 1e-18)) - 1 : 0;
+    return { out: outZig, price: effZigPerToken, impact };
+  }
+}
+
+/**
+ * Load all UZIG-quoted pools for a token, including mid price & reserves (display units). (ClickHouse version)
+ * Uses argMax() for latest price per (pool, token).
+ */
+export async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0 } = {}) {
+  // 🔒 Guard against bad tokenId so ClickHouse never sees '' / 'undefined'
+  const tid = Number(tokenId);
+  if (!Number.isFinite(tid) || tid <= 0) {
+    return []; // no valid pools
+  }
+
+  const { rows } = await DB.query(
+    `
+    WITH latest_prices AS (
+      SELECT
+        pool_id,
+        token_id,
+        argMax(price_in_zig, updated_at) AS price_in_zig
+      FROM prices
+      GROUP BY pool_id, token_id
+    )
+    SELECT
+      p.pool_id           AS pool_id,
+      p.pair_contract     AS pair_contract,
+      p.pair_type         AS pair_type,
+      lp.price_in_zig     AS price_in_zig,
+      ps.reserve_base_base   AS res_base_base,
+      ps.reserve_quote_base  AS res_quote_base,
+      tb.exponent            AS base_exp,
+      tq.exponent            AS quote_exp,
+      tb.denom               AS base_denom,
+      p.total_fee            AS total_fee,
+      COALESCE(pm.tvl_zig, 0) AS tvl_zig
+    FROM pools AS p
+    INNER JOIN tokens AS tb ON tb.token_id = p.base_token_id
+    INNER JOIN tokens AS tq ON tq.token_id = p.quote_token_id
+    LEFT JOIN pool_state AS ps
+      ON ps.pool_id = p.pool_id
+    LEFT JOIN pool_matrix AS pm
+      ON pm.pool_id = p.pool_id
+     AND pm.bucket = '24h'
+    LEFT JOIN latest_prices AS lp
+      ON lp.pool_id  = p.pool_id
+     AND lp.token_id = p.base_token_id
+    WHERE p.is_uzig_quote = 1
+      AND p.base_token_id = $1
+    `,
+    [String(tid)]        // 👈 always a clean "29", never "", never "undefined"
+  );
+
+  const pools = rows
+    .map((r) => {
+      const poolIdRaw = r.pool_id ?? r.POOL_ID ?? r.poolId ?? null;
+      if (poolIdRaw == null) return null;
+
+      const Rt = Number(r.res_base_base || 0) / Math.pow(10, Number(r.base_exp || 0));   // token reserve
+      const Rz = Number(r.res_quote_base || 0) / Math.pow(10, Number(r.quote_exp || 0)); // zig reserve
+
+      return {
+        poolId: String(poolIdRaw),
+        pairContract: r.pair_contract,
+        pairType: r.pair_type,
+        baseDenom: r.base_denom,
+        totalFee: r.total_fee != null ? Number(r.total_fee) : null,
+        priceInZig: Number(r.price_in_zig || 0), // mid zig per token
+        tokenReserve: Rt,
+        zigReserve: Rz,
+        tvlZig: Number(r.tvl_zig || 0),
+      };
+    })
+    .filter((p) => p && p.tvlZig >= minTvlZig);
+
+  await attachPoolParams(pools);
+  return pools;
+}
+
+/** Concentrated pairs get their on-chain params as `pcl` (null → XYK fallback). */
+export async function attachPoolParams(pools) {
+  await Promise.all(pools.map(async (p) => {
+    p.pcl = isConcentrated(p.pairType) ? await loadPclParams(p.pairContract) : null;
+  }));
+  return pools;
+}
+
+/**
+ * Simulate one uzig pool in the simulateXYK() shape ({ out, price, impact })
+ * plus the fee actually charged: PCL math when the pair's params are known,
+ * XYK with poolFee() otherwise.
+ */
+export function simulatePool(p, { fromIsZig, amountIn }) {
+  const inIndex = p.pcl ? p.pcl.assets.indexOf(fromIsZig ? 'uzig' : p.baseDenom) : -1;
+  if (inIndex < 0) {
+    const fee = poolFee(p);
+    return { ...simulateXYK({ fromIsZig, amountIn, Rz: p.zigReserve, Rt: p.tokenReserve, fee }), fee };
+  }
+  const r = simulatePCL({
+    amountIn,
+    reserveIn:  fromIsZig ? p.zigReserve : p.tokenReserve,
+    reserveOut: fromIsZig ? p.tokenReserve : p.zigReserve,
+    inIndex,
+    params: p.pcl,
+  });
+  const price = fromIsZig ? amountIn / Math.max(r.out, 1e-18) : r.out / amountIn; // zig per token
+  return { out: r.out, price, impact: r.impact, fee: r.fee };
+}
+
+
+/**
+ * Exact-output: input needed for `amountOut` from one uzig pool. XYK is the
+ * reverse formula (fee-on-input): in = Ri·y / ((Ro − y)·(1 − f)); concentrated
+ * pairs bisect simulatePool(). null when the pool can't pay that much out.
+ */
+export function simulatePoolExactOut(p, { fromIsZig, amountOut }) {
+  const Ri = fromIsZig ? p.zigReserve : p.tokenReserve;
+  const Ro = fromIsZig ? p.tokenReserve : p.zigReserve;
+  if (!(Ri > 0 && Ro > 0) || !(amountOut > 0) || amountOut >= Ro) return null;
+
+  let amountIn;
+  if (!p.pcl) {
+    amountIn = (Ri * amountOut) / ((Ro - amountOut) * (1 - poolFee(p)));
+  } else {
+    let lo = 0, hi = Ri;
+    while (simulatePool(p, { fromIsZig, amountIn: hi }).out < amountOut) {
+      hi *= 2;
+      if (hi > Ri * 1e6) return null;
+    }
+    for (let k = 0; k < 100 && hi - lo > hi * 1e-12; k++) {
+      const mid = (lo + hi) / 2;
+      if (simulatePool(p, { fromIsZig, amountIn: mid }).out >= amountOut) hi = mid; else lo = mid;
+    }
+    amountIn = hi;
+  }
+  return { amountIn, sim: simulatePool(p, { fromIsZig, amountIn }) };
+}
+
+/** Pool that needs the least input for amountOut (same pick as max-out at that input). */
+export function pickByExactOut(pools, { fromIsZig, amountOut }) {
+  let best = null;
+  for (const p of pools) {
+    const r = simulatePoolExactOut(p, { fromIsZig, amountOut });
+    if (r && (!best || r.amountIn < best.amountIn)) best = { ...p, fee: r.sim.fee, sim: r.sim, amountIn: r.amountIn };
+  }
+  return best;
+}
+
+/** Pick best pool by sim (maximize out). */
+export function pickBySimulation(pools, { fromIsZig, amountIn }) {
+  let best = null;
+  for (const p of pools) {
+    const hasRes = p.zigReserve > 0 && p.tokenReserve > 0;
+    const sim = hasRes ? simulatePool(p, { fromIsZig, amountIn }) : null;
+    const fee = sim ? sim.fee : poolFee(p);
+    const score = sim ? sim.out : 0;
+    const cand = { ...p, fee, sim, score };
+    if (!best || cand.score > best.score) best = cand;
+  }
+  return best;
+}
+
+/** Default notional (~$100) when amt not provided. */
+export function defaultAmount(side, { zigUsd, pools }) {
+  const targetUsd = 100;
+  const zigAmt = targetUsd / Math.max(zigUsd, 1e-9);
+  if (side === 'buy') return zigAmt; // from ZIG
+  const avgMid = pools.length
+    ? pools.reduce((s, p) => s + (p.priceInZig || 0), 0) / pools.length
+    : 1;
+  return zigAmt / Math.max(avgMid, 1e-12); // from token
+}
+
+/** best pool for ZIG→TOKEN (buy) and TOKEN→ZIG (sell) **/
+export async function bestBuyPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
+  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
+  if (!pools.length) return null;
+  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('buy', { zigUsd, pools });
+  const pick = pickBySimulation(pools, { fromIsZig: true, amountIn: amt });
+  if (!pick) return null;
+  return { ...pick, amtUsed: amt, pools };
+}
+
+export async function bestSellPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
+  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
+  if (!pools.length) return null;
+  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('sell', { zigUsd, pools });
+  const pick = pickBySimulation(pools, { fromIsZig: false, amountIn: amt });
+  if (!pick) return null;
+  return { ...pick, amtUsed: amt, pools };
+}
+
+/**
+ * Direction-agnostic XYK leg (fee-on-input), reserves in display units.
+ * mid/exec are "out per 1 in"; impact is mid/exec - 1 like simulateXYK.
+ */
+export function simulateXYKLeg({ amountIn, reserveIn, reserveOut, fee }) {
+  if (!(reserveIn > 0 && reserveOut > 0) || !(amountIn > 0)) {
+    return { out: 0, feeAmount: 0, mid: 0, exec: 0, impact: 0 };
+  }
+  const mid = reserveOut / reserveIn;
+  const feeAmount = amountIn * fee;
+  const xin = amountIn - feeAmount;
+  const out = (xin * reserveOut) / (reserveIn + xin);
+  const exec = out / amountIn;
+  const impact = exec > 0 ? (mid / exec) - 1 : 0;
+  return { out, feeAmount, mid, exec, impact };
+}
+
+/**
+ * Optimal split of amountIn across parallel legs. A leg is either XYK
+ * ({ reserveIn, reserveOut, fee }) or anything with quote(x) → out (e.g. a
+ * concentrated pair). XYK marginal output is (1-f)·Ri·Ro / (Ri + (1-f)·x)²,
+ * quote() legs use a numeric derivative; we bisect on the common marginal
+ * price λ so that Σx = amountIn, and legs whose marginal at x=0 is already
+ * below λ get nothing.
+ *
+ * @returns {{ amounts: number[], outs: number[], out: number }}
+ */
+export function splitAmount(legs, amountIn) {
+  const n = legs.length;
+  const zeros = () => ({ amounts: new Array(n).fill(0), outs: new Array(n).fill(0), out: 0 });
+  const ok = legs.map(l => l.reserveIn > 0 && l.reserveOut > 0);
+  if (!(amountIn > 0) || !ok.some(Boolean)) return zeros();
+
+  const quote = (l, x) => l.quote ? l.quote(x) : simulateXYKLeg({ amountIn: x, ...l }).out;
+  const h = amountIn * 1e-6;
+  const marginal = (l, x) => (quote(l, x + h) - quote(l, x)) / h;
+
+  const alloc = (lambda) => legs.map((l, i) => {
+    if (!ok[i]) return 0;
+    if (l.quote) {
+      // marginal output falls with size: bisect x ∈ [0, amountIn]
+      if (marginal(l, 0) <= lambda) return 0;
+      let a = 0, b = amountIn;
+      if (marginal(l, b) >= lambda) return b;
+      for (let k = 0; k < 50; k++) {
+        const m = (a + b) / 2;
+        if (marginal(l, m) > lambda) a = m; else b = m;
+      }
+      return a;
+    }
+    const g = 1 - l.fee;
+    const x = (Math.sqrt((g * l.reserveIn * l.reserveOut) / lambda) - l.reserveIn) / g;
+    return x > 0 ? x : 0;
+  });
+  const sum = (xs) => xs.reduce((s, x) => s + x, 0);
+  const marginal0 = legs.map((l, i) => !ok[i] ? 0
+    : l.quote ? marginal(l, 0)
+    : (1 - l.fee) * l.reserveOut / l.reserveIn);
+
+  // λ between "everything in one pool" and the best marginal at zero
+  let hi = Math.max(...marginal0);
+  let lo = hi;
+  while (sum(alloc(lo)) < amountIn && lo > 1e-300) lo /= 4;
+  for (let k = 0; k < 200; k++) {
+    const mid = Math.sqrt(lo * hi); // reserves span many orders of magnitude
+    if (sum(alloc(mid)) > amountIn) lo = mid; else hi = mid;
+    if (hi / lo - 1 < 1e-9) break;
+  }
+
+  const raw = alloc(hi);
+  if (!(sum(raw) > 0)) { // amount below the bisection resolution: best marginal pool takes it all
+    raw[marginal0.indexOf(Math.max(...marginal0))] = amountIn;
+  }
+  const total = sum(raw);
+  const amounts = raw.map(x => total > 0 ? x * (amountIn / total) : 0); // absorb bisection residue
+  const outs = amounts.map((x, i) => ok[i] && x > 0 ? quote(legs[i], x) : 0);
+  return { amounts, outs, out: sum(outs) };
+}
@@ -1,6 +1,7 @@
 // core/trades.js
 import { DB } from '../lib/db.js';
 import BatchQueue from '../lib/batch.js';
+import { pgNotify } from '../lib/pg_notify.js';
 
 const INSERT_SQL = `
   INSERT INTO trades
@@ -78,6 +79,9 @@ function sqlValues(rows) {
   return { text: INSERT_SQL.replace('%VALUES%', vals.join(',')), args };
 }
 
+// height -> pool ids with stored trades, until announced by notifyTradesCommitted()
+const flushedPools = new Map();
+
 const tradesQueue = new BatchQueue({
   maxItems: Number(process.env.TRADES_BATCH_MAX || 800),
   maxWaitMs: Number(process.env.TRADES_BATCH_WAIT_MS || 120),
@@ -85,11 +89,98 @@ const tradesQueue = new BatchQueue({
     if (!items.length) return;
     const { text, args } = sqlValues(items);
     await DB.query(text, args);
+    for (const t of items) {
+      const h = Number(t.height ?? 0);
+      if (!flushedPools.has(h)) flushedPools.set(h, new Set());
+      flushedPools.get(h).add(String(t.pool_id ?? 0));
+    }
   },
 });
 
+/**
+ * Announce on 'trades_committed' that every trade at or below `height` is
+ * stored, with the pools that got trades since the last announcement. Call
+ * after drainTrades(); alert evaluation (jobs/alerts.js) reads forward from
+ * its per-alert cursors up to `height`, so when the publish fails (it
+ * throws) the pools are kept and the next announcement covers this one.
+ */
+export async function notifyTradesCommitted(height) {
+  const h = Number(height);
+  const pools = new Set();
+  const heights = [];
+  for (const [ph, ids] of flushedPools) {
+    if (ph > h) continue;
+    for (const id of ids) pools.add(id);
+    heights.push(ph);
+  }
+  await pgNotify('trades_committed', { height: h, pool_ids: Array.from(pools) });
+  for (const ph of heights) flushedPools.delete(ph);
+}
+
+// ───────────────────────────────────────────────────────────
+// height-scoped seen-set
+//
+// trades is a ReplacingMergeTree on (pool_id, tx_hash, msg_index), so a
+// duplicate insert is harmless once merged; this set keeps them out of the
+// table in the first place without a read per event.
+// ───────────────────────────────────────────────────────────
+const SEEN_KEEP_HEIGHTS = Number(process.env.TRADES_SEEN_HEIGHTS || 256);
+const seenByHeight = new Map(); // height -> Set("pool_id:tx_hash:msg_index")
+
+function tradeKey(pool_id, tx_hash, msg_index) {
+  return `${pool_id}:${tx_hash || ''}:${msg_index ?? 0}`;
+}
+
+function seenFor(height) {
+  const h = Number(height ?? 0);
+  let s = seenByHeight.get(h);
+  if (!s) {
+    s = new Set();
+    seenByHeight.set(h, s);
+    // Map keeps insertion order → drop the oldest heights first
+    while (seenByHeight.size > SEEN_KEEP_HEIGHTS) {
+      seenByHeight.delete(seenByHeight.keys().next().value);
+    }
+  }
+  return s;
+}
+
+/**
+ * Load the trades already stored for a height into the seen-set.
+ * One read per height; only needed when a height may be replayed
+ * (restart at the checkpoint, backfill over indexed ranges).
+ */
+export async function seedSeenTrades(height) {
+  const { rows } = await DB.query(
+    `SELECT pool_id, tx_hash, msg_index FROM trades WHERE height = $1`,
+    [height],
+  );
+  const s = seenFor(height);
+  for (const r of rows) s.add(tradeKey(r.pool_id, r.tx_hash, r.msg_index));
+  return rows.length;
+}
+
+/** Forget seen trades above `height` (their rows were rolled back). */
+export function forgetSeenTradesAbove(height) {
+  for (const h of Array.from(seenByHeight.keys())) {
+    if (h > height) seenByHeight.delete(h);
+  }
+  for (const h of Array.from(flushedPools.keys())) {
+    if (h > height) flushedPools.delete(h);
+  }
+}
+
+/**
+ * Queue a trade for insert. Returns false (and queues nothing) when the
+ * same (pool_id, tx_hash, msg_index) was already seen at this height.
+ */
 export async function insertTrade(t) {
+  const seen = seenFor(t.height);
+  const key = tradeKey(t.pool_id, t.tx_hash, t.msg_index);
+  if (seen.has(key)) return false;
+  seen.add(key);
   tradesQueue.push(t);
+  return true;
 }
 
 export async function drainTrades() {
@@ -0,0 +1,103 @@
+// jobs/alert-delivery.js
+// Sends queued alert deliveries (core/alert-delivery.js) through the
+// channel notifiers. The channel (and its credentials) is read from the
+// alert at send time; deliveries whose alert or channel is gone, or that
+// need operator channels the wallet may no longer use, are dead-lettered
+// right away. Send failures are retried with exponential backoff and
+// jitter; after ALERT_DELIVERY_MAX_ATTEMPTS the delivery is dead-lettered.
+import { info, warn, debug } from '../lib/log.js';
+import { notify } from '../lib/notifiers/index.js';
+import { getAlert, operatorChannelsAllowed } from '../core/alerts.js';
+import { usesOperatorCredentials } from '../core/alert-rules.js';
+import {
+  dueDeliveries, deliveryChannel, markSent, markRetry, markDead,
+} from '../core/alert-delivery.js';
+
+const DELIVERY_POLL_MS     = parseInt(process.env.ALERT_DELIVERY_POLL_MS || '2000', 10);
+const DELIVERY_BATCH       = parseInt(process.env.ALERT_DELIVERY_BATCH || '50', 10);
+const DELIVERY_MAX_ATTEMPTS = parseInt(process.env.ALERT_DELIVERY_MAX_ATTEMPTS || '6', 10);
+const BACKOFF_BASE_SEC     = parseInt(process.env.ALERT_DELIVERY_BACKOFF_BASE_SEC || '10', 10);
+const BACKOFF_MAX_SEC      = parseInt(process.env.ALERT_DELIVERY_BACKOFF_MAX_SEC || '3600', 10);
+
+/** Delay before attempt `attempts + 1`: base·2^(attempts-1), capped, ±20% jitter. */
+export function backoffSec(attempts) {
+  const raw = Math.min(BACKOFF_MAX_SEC, BACKOFF_BASE_SEC * 2 ** Math.max(0, attempts - 1));
+  return Math.round(raw * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Per-batch lookups of the channel a delivery goes to:
+ * d → { channel } or { error } when it can't be sent any more.
+ */
+function channelResolver() {
+  const alerts = new Map();
+  const allowed = new Map();
+  const cached = async (map, key, load) => {
+    if (!map.has(key)) map.set(key, await load(key));
+    return map.get(key);
+  };
+  return async (d) => {
+    const alert = await cached(alerts, d.alert_id, getAlert);
+    const channel = deliveryChannel(alert, d);
+    if (!channel) return { error: 'alert or channel no longer exists' };
+    if (usesOperatorCredentials(channel) && !(await cached(allowed, alert.wallet_id, operatorChannelsAllowed))) {
+      return { error: 'operator channels are not enabled for this wallet' };
+    }
+    return { channel };
+  };
+}
+
+async function deliver(d, resolve) {
+  const attempts = d.attempts + 1;
+  const { channel, error } = await resolve(d);
+  if (error) {
+    await markDead(d, { attempts, error });
+    warn('[alert-delivery] dead-lettered', d.delivery_id, d.channel, d.target, error);
+    return 'dead';
+  }
+  try {
+    await notify(channel, d.message);
+    await markSent(d, { attempts });
+    debug('[alert-delivery] sent', d.alert_id, d.channel, d.target);
+    return 'sent';
+  } catch (e) {
+    if (attempts >= DELIVERY_MAX_ATTEMPTS) {
+      await markDead(d, { attempts, error: e.message });
+      warn('[alert-delivery] dead-lettered', d.delivery_id, d.channel, d.target, e.message);
+      return 'dead';
+    }
+    const delaySec = backoffSec(attempts);
+    await markRetry(d, { attempts, delaySec, error: e.message });
+    info('[alert-delivery] retry', d.delivery_id, d.channel, `#${attempts} in ${delaySec}s:`, e.message);
+    return 'retry';
+  }
+}
+
+export async function runDeliveriesOnce() {
+  const due = await dueDeliveries({ limit: DELIVERY_BATCH });
+  const out = { sent: 0, retry: 0, dead: 0 };
+  const resolve = channelResolver();
+  for (const d of due) {
+    try {
+      out[await deliver(d, resolve)]++;
+    } catch (e) {
+      // lookup or state write failed; the delivery stays due and is picked up again
+      warn('[alert-delivery]', d.delivery_id, e.message);
+    }
+  }
+  return out;
+}
+
+export function startAlertDelivery() {
+  (async function loop() {
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      try {
+        await runDeliveriesOnce();
+      } catch (e) {
+        warn('[alert-delivery]', e.message);
+      }
+      await new Promise(r => setTimeout(r, DELIVERY_POLL_MS));
+    }
+  })().catch(() => {});
+}
@@ -1,135 +1,676 @@
 // jobs/alerts.js
+// Alert evaluation. Rules come validated and normalized from
+// core/alert-rules.js; every query is parameterized and triggers are
+// appended through core/alerts.js (no in-place updates), then queued for
+// delivery on the alert's channels (jobs/alert-delivery.js sends them).
+//
+// Evaluation follows the indexer: 'trades_committed' (core/trades.js, after
+// each height is stored) drives the trade and new_pool alerts, which read
+// the heights between their cursor (alert_cursors) and the announced height
+// so a trade or pool is looked at once per alert; 'prices_updated'
+// (core/prices.js) drives price_cross. A sweep every ALERTS_SEC covers the
+// same ground from the indexer checkpoint and evaluates the alerts no event
+// drives (holder_concentration, security_change). Alerts that fire on a
+// change or re-arm once their condition clears (price_change_pct,
+// volume_spike) compare against the state kept on their cursor. The sweep
+// is the only driver with NOTIFY_TRANSPORT=memory, where events don't leave
+// the indexer.
 import { DB } from '../lib/db.js';
 import { info, warn } from '../lib/log.js';
+import { pgListen, notifyTransport } from '../lib/pg_notify.js';
+import { readCheckpoint } from '../core/checkpoint.js';
+import { listAlerts, isThrottled, recordTrigger, readCursors, writeCursors } from '../core/alerts.js';
+import { validateRule, parseParams } from '../core/alert-rules.js';
+import { enqueueDeliveries } from '../core/alert-delivery.js';
 
-const ALERTS_SEC = parseInt(process.env.ALERTS_SEC || '10', 10);
-const LARGE_TRADE_MIN_ZIG = Number(process.env.LARGE_TRADE_MIN_ZIG || '1000');
-
-function throttled(lastTriggered, throttleSec){
-  if (!lastTriggered) return false;
-  const next = new Date(new Date(lastTriggered).getTime() + throttleSec*1000);
-  return new Date() < next;
-}
-
-async function evalAlert(a) {
-  const p = a.params || {};
-  if (throttled(a.last_triggered, a.throttle_sec)) return null;
-
-  if (a.alert_type === 'price_cross') {
-    // prefer pool-specific price; else any UZIG-quoted pool for token
-    let priceRow = null;
-    if (p.pool_id) {
-      const { rows } = await DB.query(
-        `SELECT price_in_zig FROM prices WHERE pool_id=$1 ORDER BY updated_at DESC LIMIT 1`,
-        [p.pool_id]
-      );
-      priceRow = rows[0] || null;
-    } else if (p.token_id) {
-      const { rows } = await DB.query(`
-        SELECT pr.price_in_zig
-        FROM prices pr
-        JOIN pools po ON po.pool_id=pr.pool_id
-        WHERE pr.token_id=$1 AND po.is_uzig_quote=TRUE
-        ORDER BY pr.updated_at DESC LIMIT 1
-      `,[p.token_id]);
-      priceRow = rows[0] || null;
-    }
-    const px = priceRow?.price_in_zig ? Number(priceRow.price_in_zig) : null;
-    if (px == null) return null;
-    const aboveHit = (p.above != null && px >= Number(p.above));
-    const belowHit = (p.below != null && px <= Number(p.below));
-    if (aboveHit || belowHit) {
-      return { triggered: true, kind: 'price_cross', payload: { price_in_zig: px, params: p } };
-    }
-    return null;
+const ALERTS_SEC = parseInt(process.env.ALERTS_SEC || (notifyTransport() === 'memory' ? '10' : '60'), 10);
+const ALERTS_CONSUMER = process.env.ALERTS_NOTIFY_CONSUMER || 'alerts';
+
+const hit = (kind, payload, state) => ({ triggered: true, kind, payload, state });
+// not triggered, but remember `state` for the next evaluation
+const quiet = (state) => ({ triggered: false, state });
+
+/**
+ * Level conditions that re-arm: fire when `met` while armed, then stay quiet
+ * until an evaluation finds the condition cleared (throttle_sec still applies
+ * on top).
+ */
+function rearming(met, state, kind, payload) {
+  if (!met) return quiet({ armed: true });
+  return state?.armed === false ? quiet({ armed: false }) : hit(kind, payload, { armed: false });
+}
+
+/**
+ * Height window of a trade evaluation as WHERE terms on `trades AS t`:
+ * (fromHeight, toHeight], or the last `sinceMin` minutes up to toHeight for
+ * an alert that has no cursor yet.
+ */
+function rangeWhere({ fromHeight, toHeight }, sinceMin, args) {
+  args.push(toHeight);
+  const where = [`t.height <= toUInt64($${args.length})`];
+  if (fromHeight != null) {
+    args.push(fromHeight);
+    where.push(`t.height > toUInt64($${args.length})`);
+  } else {
+    args.push(sinceMin);
+    where.push(`t.created_at >= now() - toIntervalMinute(toUInt32($${args.length}))`);
   }
+  return where;
+}
 
-  if (a.alert_type === 'wallet_trade') {
-    const sinceMin = Number(p.since_min || 10);
-    const args = [p.address, sinceMin];
-    let where = `t.signer=$1 AND t.created_at >= now() - ($2 || ' minutes')::interval`;
-    if (p.direction) { where += ` AND t.direction='${p.direction}'`; }
-    if (p.pool_id) { args.push(p.pool_id); where += ` AND t.pool_id=$${args.length}`; }
-    if (p.token_id) {
-      args.push(p.token_id);
-      where += ` AND EXISTS (SELECT 1 FROM pools px WHERE px.pool_id=t.pool_id AND px.base_token_id=$${args.length})`;
-    }
-    const { rows } = await DB.query(`SELECT count(*)::int AS c FROM trades t WHERE ${where}`, args);
-    if ((rows[0]?.c || 0) > 0) {
-      return { triggered: true, kind: 'wallet_trade', payload: { count: rows[0].c, params: p } };
-    }
+/** Announced price of the pool, or of one of the token's uzig-quoted pools. */
+function announcedPrice(r, prices) {
+  const p = r.pool_id
+    ? prices.find(x => x.pool_id === r.pool_id)
+    : prices.find(x => x.token_id === r.token_id && x.is_pair_native);
+  return Number(p?.price_in_zig) > 0 ? Number(p.price_in_zig) : null;
+}
+
+/** Latest ZIG price of the pool, or of the token's freshest uzig-quoted pool. */
+async function latestPrice(r) {
+  const { rows } = r.pool_id
+    ? await DB.query(
+      `SELECT argMax(price_in_zig, updated_at) AS px FROM prices WHERE pool_id = toUInt64($1)`,
+      [r.pool_id],
+    )
+    : await DB.query(
+      `
+      SELECT argMax(pr.price_in_zig, pr.updated_at) AS px
+      FROM prices AS pr
+      WHERE pr.token_id = toUInt64($1)
+        AND pr.pool_id IN (SELECT pool_id FROM pools WHERE is_uzig_quote = 1)
+      `,
+      [r.token_id],
+    );
+  return Number(rows[0]?.px) > 0 ? Number(rows[0].px) : null;
+}
+
+/**
+ * Announced price (event) or latest ZIG price of the pool / the token's
+ * freshest uzig-quoted pool (sweep).
+ */
+async function priceCross(r, { prices } = {}) {
+  const px = prices ? announcedPrice(r, prices) : await latestPrice(r);
+  if (px == null) return null;
+  const above = r.above != null && px >= r.above;
+  const below = r.below != null && px <= r.below;
+  return above || below ? hit('price_cross', { price_in_zig: px, side: above ? 'above' : 'below', params: r }) : null;
+}
+
+async function walletTrade(r, { range }) {
+  const args = [r.address];
+  const where = [`t.signer = $1`, ...rangeWhere(range, r.since_min, args)];
+  if (r.direction) { args.push(r.direction); where.push(`t.direction = $${args.length}`); }
+  if (r.pool_id) { args.push(r.pool_id); where.push(`t.pool_id = toUInt64($${args.length})`); }
+  if (r.token_id) {
+    args.push(r.token_id);
+    where.push(`t.pool_id IN (SELECT pool_id FROM pools WHERE base_token_id = toUInt64($${args.length}))`);
+  }
+  const { rows } = await DB.query(
+    `
+    SELECT
+      uniqExact(t.pool_id, t.tx_hash, t.msg_index)                            AS c,
+      max(t.created_at)                                                       AS last_at,
+      argMax(concat(t.tx_hash, ':', toString(t.msg_index)), (t.height, t.msg_index)) AS last_trade
+    FROM trades AS t
+    WHERE ${where.join(' AND ')}
+    `,
+    args,
+  );
+  const c = Number(rows[0]?.c || 0);
+  return c > 0
+    ? hit('wallet_trade', { count: c, last_at: rows[0].last_at, last_trade: rows[0].last_trade, params: r })
+    : null;
+}
+
+/**
+ * Swaps worth at least `min_zig`, valued on the quote leg: 1:1 for uzig
+ * quotes, otherwise at the quote token's latest price in a uzig pool.
+ */
+async function largeTrade(r, { range }) {
+  const args = [];
+  const where = [`t.action = 'swap'`, ...rangeWhere(range, r.since_min, args)];
+  if (r.pool_id) { args.push(r.pool_id); where.push(`t.pool_id = toUInt64($${args.length})`); }
+  args.push(r.min_zig);
+  const minIdx = args.length;
+  const { rows } = await DB.query(
+    `
+    SELECT
+      uniqExact(pool_id, tx_hash, msg_index)                        AS c,
+      max(value_zig)                                                AS max_zig,
+      argMax(concat(tx_hash, ':', toString(msg_index)), value_zig)  AS top_trade
+    FROM (
+      SELECT
+        t.pool_id AS pool_id,
+        t.tx_hash AS tx_hash,
+        t.msg_index AS msg_index,
+        toFloat64(multiIf(t.direction = 'buy', t.offer_amount_base, t.direction = 'sell', t.return_amount_base, 0))
+          / pow(10, coalesce(q.exponent, 6))
+          * if(p.is_uzig_quote = 1, 1, coalesce(qp.px, 0)) AS value_zig
+      FROM trades AS t
+      INNER JOIN (
+        SELECT pool_id, any(quote_token_id) AS quote_token_id, any(is_uzig_quote) AS is_uzig_quote
+        FROM pools GROUP BY pool_id
+      ) AS p ON p.pool_id = t.pool_id
+      LEFT JOIN (SELECT token_id, any(exponent) AS exponent FROM tokens GROUP BY token_id) AS q
+        ON q.token_id = p.quote_token_id
+      LEFT JOIN (
+        SELECT token_id, argMax(price_in_zig, updated_at) AS px
+        FROM prices
+        WHERE pool_id IN (SELECT pool_id FROM pools WHERE is_uzig_quote = 1)
+        GROUP BY token_id
+      ) AS qp ON qp.token_id = p.quote_token_id
+      WHERE ${where.join(' AND ')}
+    )
+    WHERE value_zig >= toFloat64($${minIdx})
+    `,
+    args,
+  );
+  const c = Number(rows[0]?.c || 0);
+  return c > 0
+    ? hit('large_trade', { count: c, max_zig: Number(rows[0].max_zig), last_trade: rows[0].top_trade, params: r })
+    : null;
+}
+
+/**
+ * Pool liquidity now vs `window_min` ago, from the reserves swaps record
+ * (provide/withdraw rows carry the user's amounts instead), looking back up
+ * to a day before the window. Measured in quote units (2 × quote reserve),
+ * so moves of the quote's own price don't count as liquidity changes.
+ */
+async function tvlChange(r) {
+  const { rows } = await DB.query(
+    `
+    SELECT
+      argMax(q, created_at) AS tvl_now,
+      argMaxIf(q, created_at, created_at <= now() - toIntervalMinute(toUInt32($2))) AS tvl_past,
+      countIf(created_at <= now() - toIntervalMinute(toUInt32($2))) AS n_past
+    FROM (
+      SELECT
+        t.created_at AS created_at,
+        2 * toFloat64(if(t.reserve_asset1_denom = b.denom, t.reserve_asset2_amount_base, t.reserve_asset1_amount_base)) AS q
+      FROM trades AS t
+      INNER JOIN (SELECT pool_id, any(base_token_id) AS base_token_id FROM pools GROUP BY pool_id) AS p
+        ON p.pool_id = t.pool_id
+      INNER JOIN (SELECT token_id, any(denom) AS denom FROM tokens GROUP BY token_id) AS b
+        ON b.token_id = p.base_token_id
+      WHERE t.pool_id = toUInt64($1)
+        AND t.action = 'swap'
+        AND t.created_at >= now() - toIntervalMinute(toUInt32($2) + 1440)
+        AND t.reserve_asset1_amount_base > 0
+        AND t.reserve_asset2_amount_base > 0
+    )
+    `,
+    [r.pool_id, r.window_min],
+  );
+  const now = Number(rows[0]?.tvl_now);
+  const past = Number(rows[0]?.tvl_past);
+  if (!Number(rows[0]?.n_past) || !(now > 0) || !(past > 0)) return null;
+  const chg = ((now - past) / past) * 100;
+  return Math.abs(chg) >= r.delta_pct
+    ? hit('tvl_change', { tvl_now_quote_base: now, tvl_past_quote_base: past, delta_pct: Number(chg.toFixed(4)), params: r })
+    : null;
+}
+
+/**
+ * Withdrawals of more than `min_pct` of a pool's liquidity, measured on the
+ * quote side: the refunded quote amount of the withdraw row against the quote
+ * reserve recorded by the pool's last swap before it.
+ */
+async function liquidityWithdraw(r, { range }) {
+  const args = [];
+  const poolWhere = [];
+  if (r.pool_id) { args.push(r.pool_id); poolWhere.push(`p.pool_id = toUInt64($${args.length})`); }
+  if (r.token_id) { args.push(r.token_id); poolWhere.push(`p.base_token_id = toUInt64($${args.length})`); }
+  const where = [`t.action = 'withdraw'`, ...rangeWhere(range, r.since_min, args)];
+  args.push(range.toHeight);
+  const toIdx = args.length;
+  args.push(r.min_pct);
+  const minIdx = args.length;
+
+  const { rows } = await DB.query(
+    `
+    WITH pl AS (
+      SELECT p.pool_id AS pool_id, b.denom AS base_denom
+      FROM (SELECT pool_id, any(base_token_id) AS base_token_id FROM pools GROUP BY pool_id) AS p
+      INNER JOIN (SELECT token_id, any(denom) AS denom FROM tokens GROUP BY token_id) AS b
+        ON b.token_id = p.base_token_id
+      WHERE ${poolWhere.join(' AND ')}
+    )
+    SELECT
+      w.pool_id   AS pool_id,
+      w.tx_hash   AS tx_hash,
+      w.msg_index AS msg_index,
+      w.signer    AS signer,
+      w.q         AS withdrawn_quote_base,
+      s.q         AS reserve_quote_base,
+      100 * w.q / s.q AS pct
+    FROM (
+      SELECT
+        t.pool_id AS pool_id, t.height AS height, t.tx_hash AS tx_hash, t.msg_index AS msg_index, t.signer AS signer,
+        toFloat64(if(t.reserve_asset1_denom = pl.base_denom, t.reserve_asset2_amount_base, t.reserve_asset1_amount_base)) AS q
+      FROM trades AS t
+      INNER JOIN pl ON pl.pool_id = t.pool_id
+      WHERE ${where.join(' AND ')}
+    ) AS w
+    ASOF INNER JOIN (
+      SELECT
+        t.pool_id AS pool_id, t.height AS height,
+        toFloat64(if(t.reserve_asset1_denom = pl.base_denom, t.reserve_asset2_amount_base, t.reserve_asset1_amount_base)) AS q
+      FROM trades AS t
+      INNER JOIN pl ON pl.pool_id = t.pool_id
+      WHERE t.action = 'swap'
+        AND t.height <= toUInt64($${toIdx})
+        AND t.reserve_asset1_amount_base > 0
+        AND t.reserve_asset2_amount_base > 0
+    ) AS s ON s.pool_id = w.pool_id AND w.height > s.height
+    WHERE s.q > 0 AND 100 * w.q / s.q >= toFloat64($${minIdx})
+    ORDER BY pct DESC
+    `,
+    args,
+  );
+
+  // the same withdraw can appear twice until trades merges
+  const seen = new Map();
+  for (const x of rows) seen.set(`${x.tx_hash}:${x.msg_index}`, x);
+  const hits = Array.from(seen.values());
+  if (!hits.length) return null;
+  return hit('liquidity_withdraw', {
+    count: hits.length,
+    max_pct: Number(Number(hits[0].pct).toFixed(4)),
+    withdrawals: hits.slice(0, 5).map(x => ({
+      pool_id: String(x.pool_id),
+      tx_hash: x.tx_hash,
+      signer: x.signer,
+      pct: Number(Number(x.pct).toFixed(4)),
+      withdrawn_quote_base: Number(x.withdrawn_quote_base),
+      reserve_quote_base: Number(x.reserve_quote_base),
+    })),
+    last_trade: `${hits[0].tx_hash}:${hits[0].msg_index}`,
+    params: r,
+  });
+}
+
+/** Pools created (pair_created) with the token on either side in the height range. */
+async function newPool(r, { range }) {
+  const args = [r.token_id];
+  const where = [`(base_token_id = toUInt64($1) OR quote_token_id = toUInt64($1))`];
+  args.push(range.toHeight);
+  where.push(`created_height <= toUInt64($${args.length})`);
+  if (range.fromHeight != null) {
+    args.push(range.fromHeight);
+    where.push(`created_height > toUInt64($${args.length})`);
+  } else {
+    args.push(r.since_min);
+    where.push(`created_at >= now() - toIntervalMinute(toUInt32($${args.length}))`);
+  }
+  const { rows } = await DB.query(
+    `
+    SELECT
+      pool_id,
+      any(pair_contract)   AS pair_contract,
+      any(base_token_id)   AS base_token_id,
+      any(quote_token_id)  AS quote_token_id,
+      any(created_height)  AS created_height,
+      any(created_tx_hash) AS created_tx_hash,
+      any(signer)          AS creator
+    FROM pools
+    WHERE ${where.join(' AND ')}
+    GROUP BY pool_id
+    ORDER BY created_height ASC
+    `,
+    args,
+  );
+  if (!rows.length) return null;
+  return hit('new_pool', {
+    count: rows.length,
+    pools: rows.slice(0, 10).map(x => ({
+      pool_id: String(x.pool_id),
+      pair_contract: x.pair_contract,
+      base_token_id: String(x.base_token_id),
+      quote_token_id: String(x.quote_token_id),
+      created_height: Number(x.created_height),
+      creator: x.creator,
+    })),
+    last_trade: rows.at(-1).created_tx_hash || '',
+    params: r,
+  });
+}
+
+/**
+ * Share of the ten largest holders (holders, newest balance per address)
+ * in max supply (total supply when uncapped), as token_security computes
+ * top10_pct_of_max. Fires when the share crosses `threshold_pct` in
+ * `direction` since the last evaluation; the first one only records the side.
+ */
+async function holderConcentration(r, { state }) {
+  const { rows } = await DB.query(
+    `
+    SELECT
+      (
+        SELECT sum(bal) FROM (
+          SELECT address, argMax(balance_base, updated_at) AS bal
+          FROM holders
+          WHERE token_id = toUInt64($1)
+          GROUP BY address
+          HAVING bal > 0
+          ORDER BY bal DESC
+          LIMIT 10
+        )
+      ) AS top10_base,
+      (
+        SELECT coalesce(nullIf(toFloat64(any(max_supply_base)), 0), toFloat64(any(total_supply_base)))
+        FROM tokens
+        WHERE token_id = toUInt64($1)
+      ) AS supply_base
+    `,
+    [r.token_id],
+  );
+  const top10 = Number(rows[0]?.top10_base || 0);
+  const supply = Number(rows[0]?.supply_base || 0);
+  if (!(supply > 0)) return null;
+
+  const pct = (top10 / supply) * 100;
+  const side = pct >= r.threshold_pct ? 'above' : 'below';
+  const prev = state?.side;
+  const next = { side, top10_pct: Number(pct.toFixed(4)) };
+  const crossed = prev && prev !== side
+    && (r.direction === 'both' || (r.direction === 'up') === (side === 'above'));
+  return crossed
+    ? hit('holder_concentration', { top10_pct: next.top10_pct, prev_top10_pct: state.top10_pct ?? null, side, params: r }, next)
+    : quiet(next);
+}
+
+/**
+ * Any flip of the token's risk_flags (newest token_security row) since the
+ * last evaluation; the first one only records the flags.
+ */
+async function securityChange(r, { state }) {
+  const { rows } = await DB.query(
+    `
+    SELECT argMax(risk_flags, checked_at) AS flags, max(checked_at) AS checked
+    FROM token_security
+    WHERE token_id = toUInt64($1)
+    `,
+    [r.token_id],
+  );
+  const flags = parseParams(rows[0]?.flags);
+  if (!flags || Array.isArray(flags)) return null;
+
+  const next = { flags };
+  const prev = state?.flags;
+  if (!prev) return quiet(next);
+  const changes = Array.from(new Set([...Object.keys(prev), ...Object.keys(flags)]))
+    .filter(k => Boolean(prev[k]) !== Boolean(flags[k]))
+    .map(k => ({ flag: k, from: Boolean(prev[k]), to: Boolean(flags[k]) }));
+  return changes.length
+    ? hit('security_change', { changes, flags, checked_at: rows[0].checked, params: r }, next)
+    : quiet(next);
+}
+
+/**
+ * Closes (b, px) of the pool's 1m candles, or of the token's TVL-weighted
+ * candles across its pools (token_ohlcv_1m), covering `spanArg` minutes.
+ */
+function closesSource(r, spanArg) {
+  return r.pool_id
+    ? `
+      SELECT bucket_start AS b, close AS px
+      FROM ohlcv_1m
+      WHERE pool_id = toUInt64($1)
+        AND bucket_start >= now() - toIntervalMinute(${spanArg})
+      `
+    : `
+      SELECT bucket_start AS b, argMax(close, updated_at) AS px
+      FROM token_ohlcv_1m
+      WHERE token_id = toUInt64($1) AND weighting = 'tvl'
+        AND bucket_start >= now() - toIntervalMinute(${spanArg})
+      GROUP BY bucket_start
+      `;
+}
+
+/**
+ * Close-to-close move over the last `window_min` minutes: the latest close
+ * against the last close before the window (looking back up to a day more).
+ */
+async function priceChangePct(r, { state }) {
+  const { rows } = await DB.query(
+    `
+    SELECT
+      toFloat64(argMaxIf(px, b, b < now() - toIntervalMinute(toUInt32($2)))) AS px_then,
+      countIf(b < now() - toIntervalMinute(toUInt32($2)))                    AS n_then,
+      toFloat64(argMax(px, b))                                               AS px_now
+    FROM (${closesSource(r, 'toUInt32($2) + 1440')})
+    `,
+    [r.pool_id ?? r.token_id, r.window_min],
+  );
+  const then = Number(rows[0]?.px_then);
+  const now = Number(rows[0]?.px_now);
+  if (!Number(rows[0]?.n_then) || !(then > 0) || !(now > 0)) return null;
+
+  const chg = ((now - then) / then) * 100;
+  const met = (r.direction !== 'down' && chg >= r.change_pct) || (r.direction !== 'up' && chg <= -r.change_pct);
+  return rearming(met, state, 'price_change_pct', {
+    price_then: then, price_now: now, change_pct: Number(chg.toFixed(4)), params: r,
+  });
+}
+
+/**
+ * Volume (ohlcv_1m, ZIG) of the last `window_min` minutes against the
+ * average window over the `baseline_min` minutes before it; for a token,
+ * summed over all pools with it as base.
+ */
+async function volumeSpike(r, { state }) {
+  const pools = r.pool_id
+    ? `pool_id = toUInt64($1)`
+    : `pool_id IN (SELECT pool_id FROM pools WHERE base_token_id = toUInt64($1))`;
+  const { rows } = await DB.query(
+    `
+    SELECT
+      sumIf(v, b >= now() - toIntervalMinute(toUInt32($2))) AS vol_now,
+      sumIf(v, b <  now() - toIntervalMinute(toUInt32($2))) AS vol_base
+    FROM (
+      SELECT bucket_start AS b, toFloat64(volume_zig) AS v
+      FROM ohlcv_1m
+      WHERE ${pools}
+        AND bucket_start >= now() - toIntervalMinute(toUInt32($2) + toUInt32($3))
+    )
+    `,
+    [r.pool_id ?? r.token_id, r.window_min, r.baseline_min],
+  );
+  const volNow = Number(rows[0]?.vol_now || 0);
+  const avg = Number(rows[0]?.vol_base || 0) / (r.baseline_min / r.window_min);
+  if (!(avg > 0)) return quiet({ armed: state?.armed ?? true });
+
+  const ratio = volNow / avg;
+  const met = ratio >= r.multiple && volNow >= r.min_volume_zig;
+  return rearming(met, state, 'volume_spike', {
+    volume_zig: volNow, baseline_avg_zig: Number(avg.toFixed(8)), ratio: Number(ratio.toFixed(4)), params: r,
+  });
+}
+
+export const EVALUATORS = {
+  price_cross: priceCross,
+  wallet_trade: walletTrade,
+  large_trade: largeTrade,
+  tvl_change: tvlChange,
+  liquidity_withdraw: liquidityWithdraw,
+  new_pool: newPool,
+  holder_concentration: holderConcentration,
+  security_change: securityChange,
+  price_change_pct: priceChangePct,
+  volume_spike: volumeSpike,
+};
+
+/**
+ * What drives each alert_type: 'trades' (trades_committed with new trades,
+ * per-alert height cursor), 'heights' (every trades_committed, cursor),
+ * 'prices' (prices_updated); anything else is only swept.
+ */
+export const ALERT_SOURCES = {
+  price_cross: 'prices',
+  wallet_trade: 'trades',
+  large_trade: 'trades',
+  tvl_change: 'trades',
+  liquidity_withdraw: 'trades',
+  new_pool: 'heights',
+  price_change_pct: 'trades',
+  volume_spike: 'trades',
+};
+
+/**
+ * Evaluate one alert (a core/alerts.js row). Params are re-validated so rows
+ * written before the rule schema existed can't reach the queries unchecked.
+ * A throttled alert is still evaluated, so its state follows the condition
+ * (a level that clears re-arms); only the trigger is dropped, and the state
+ * it would have moved to with it, so it fires once the throttle ends if the
+ * condition still holds.
+ * @param {object} ctx  { range } for height-driven alerts, { prices } for
+ *   announced prices, { state } with what the alert remembered last time
+ */
+export async function evalAlert(a, ctx = {}) {
+  const evaluate = EVALUATORS[a.alert_type];
+  if (!evaluate) return null;
+  const { rule, errors } = validateRule(a.alert_type, a.params);
+  if (errors.length) {
+    warn('[alert-eval]', a.alert_id, 'invalid params:', errors.join('; '));
     return null;
   }
+  const res = await evaluate(rule, ctx);
+  return res?.triggered && isThrottled(a) ? quiet(ctx.state ?? null) : res;
+}
 
-  if (a.alert_type === 'large_trade') {
-    const sinceMin = Number(p.since_min || 10);
-    const minZig = Number(p.min_zig || LARGE_TRADE_MIN_ZIG);
-    const args = [sinceMin, minZig];
-    let where = `created_at >= now() - ($1 || ' minutes')::interval AND value_zig >= $2`;
-    if (p.pool_id) { args.push(p.pool_id); where += ` AND pool_id=$${args.length}`; }
-    const { rows } = await DB.query(`SELECT count(*)::int AS c FROM large_trades WHERE ${where}`, args);
-    if ((rows[0]?.c || 0) > 0) {
-      return { triggered: true, kind: 'large_trade', payload: { count: rows[0].c, params: p } };
+async function fire(a, res) {
+  const event = await recordTrigger(a, res);
+  await enqueueDeliveries(a, event);
+  info('[alert]', a.alert_id, res.kind);
+}
+
+const activeOf = async (...sources) =>
+  (await listAlerts({ activeOnly: true })).filter(a => sources.includes(ALERT_SOURCES[a.alert_type] || 'sweep'));
+
+/**
+ * Evaluate `alerts` with their cursor and state. ctxFor(alert, cursor)
+ * returns the evaluation context or null to skip the alert. With toHeight
+ * every evaluated alert's cursor moves there; state is written when the
+ * evaluator returns a changed one. A failed evaluation moves neither. The
+ * cursor of an alert that fired is written right after the trigger, so a
+ * failure later in the loop can't make it fire on the same trades again;
+ * the others are written together at the end.
+ */
+async function runWithCursors(alerts, ctxFor, { toHeight = null } = {}) {
+  if (!alerts.length) return 0;
+  const cursors = await readCursors();
+  const next = [];
+  let fired = 0;
+  for (const a of alerts) {
+    const cur = cursors.get(a.alert_id) ?? null;
+    const ctx = ctxFor(a, cur);
+    if (!ctx) continue;
+    try {
+      const res = await evalAlert(a, { ...ctx, state: cur?.state ?? null });
+      const state = res?.state !== undefined ? res.state : cur?.state ?? null;
+      const cursor = {
+        alertId: a.alert_id,
+        height: toHeight ?? cur?.last_height ?? 0,
+        trade: res?.payload?.last_trade ?? cur?.last_trade ?? '',
+        state,
+      };
+      if (res?.triggered) {
+        await fire(a, res);
+        fired++;
+        await writeCursors([cursor]);
+      } else if (toHeight != null || JSON.stringify(state) !== JSON.stringify(cur?.state ?? null)) {
+        next.push(cursor);
+      }
+    } catch (e) {
+      warn('[alert-eval]', a.alert_id, e.message);
     }
-    return null;
   }
+  await writeCursors(next);
+  return fired;
+}
 
-  if (a.alert_type === 'tvl_change') {
-    const poolId = Number(p.pool_id);
-    const windowMin = Number(p.window_min || 60);
-    const deltaPct = Number(p.delta_pct || 10);
-
-    const { rows: nowRows } = await DB.query(`
-      SELECT tvl_zig FROM pool_matrix WHERE pool_id=$1 AND bucket='1h' ORDER BY updated_at DESC LIMIT 1
-    `, [poolId]);
-    const tvlNow = nowRows[0]?.tvl_zig ? Number(nowRows[0].tvl_zig) : null;
-
-    const { rows: pastRows } = await DB.query(`
-      SELECT tvl_zig FROM pool_matrix
-      WHERE pool_id=$1 AND bucket='1h' AND updated_at <= now() - ($2 || ' minutes')::interval
-      ORDER BY updated_at DESC LIMIT 1
-    `, [poolId, windowMin]);
-    const tvlPast = pastRows[0]?.tvl_zig ? Number(pastRows[0].tvl_zig) : null;
-
-    if (tvlNow == null || tvlPast == null || tvlPast === 0) return null;
-    const chg = ((tvlNow - tvlPast) / Math.abs(tvlPast)) * 100;
-    if (Math.abs(chg) >= deltaPct) {
-      return { triggered: true, kind: 'tvl_change', payload: { tvl_now: tvlNow, tvl_past: tvlPast, delta_pct: Number(chg.toFixed(4)), params: p } };
+/**
+ * Height-driven alerts over the heights after their cursor, up to
+ * `toHeight`. `poolIds` (from trades_committed) skips trade alerts pinned to
+ * pools without new trades; their cursor stays put, so a later range still
+ * covers them.
+ */
+export async function evaluateTrades({ toHeight, poolIds = null }) {
+  if (!(toHeight > 0)) return 0;
+  const pools = poolIds ? new Set(poolIds.map(String)) : null;
+  return runWithCursors(await activeOf('trades', 'heights'), (a, cur) => {
+    if (cur && cur.last_height >= toHeight) return null;
+    if (pools && ALERT_SOURCES[a.alert_type] === 'trades') {
+      const pinned = a.params?.pool_id != null ? String(a.params.pool_id) : null;
+      if (!pools.size || (pinned ? !pools.has(pinned) : a.alert_type === 'tvl_change')) return null;
+    }
+    return { range: { fromHeight: cur?.last_height ?? null, toHeight } };
+  }, { toHeight });
+}
+
+/** price_cross alerts against announced prices, or the latest stored ones (prices = null). */
+export async function evaluatePrices(prices = null) {
+  if (prices && !prices.length) return 0;
+  let fired = 0;
+  for (const a of await activeOf('prices')) {
+    try {
+      const res = await evalAlert(a, prices ? { prices } : {});
+      if (res?.triggered) {
+        await fire(a, res);
+        fired++;
+      }
+    } catch (e) {
+      warn('[alert-eval]', a.alert_id, e.message);
     }
-    return null;
   }
+  return fired;
+}
 
-  return null;
+/**
+ * One sweep: height-driven alerts up to the last fully stored height (the
+ * checkpoint is written before its height's trades are drained), price
+ * alerts on stored prices, and the alert types no event drives.
+ */
+export async function runAlertsOnce() {
+  const checkpoint = await readCheckpoint();
+  let fired = 0;
+  if (checkpoint != null) fired += await evaluateTrades({ toHeight: Number(checkpoint) - 1 });
+  fired += await evaluatePrices();
+  fired += await runWithCursors(await activeOf('sweep'), () => ({}));
+  return fired;
 }
 
-export function startAlertsEngine() {
-  (async function loop(){
+// events and sweeps share alert state (throttle, cursors): run one at a time
+let chain = Promise.resolve();
+function serial(fn) {
+  const p = chain.then(fn);
+  chain = p.catch(() => {});
+  return p;
+}
+
+export async function startAlertsEngine() {
+  await pgListen(
+    'trades_committed',
+    (m) => serial(() => evaluateTrades({ toHeight: Number(m?.height), poolIds: m?.pool_ids ?? null })),
+    { consumer: ALERTS_CONSUMER },
+  );
+  await pgListen(
+    'prices_updated',
+    (m) => serial(() => evaluatePrices(m?.prices ?? [])),
+    { consumer: ALERTS_CONSUMER },
+  );
+
+  (async function loop() {
+    // eslint-disable-next-line no-constant-condition
     while (true) {
       try {
-        const { rows: alerts } = await DB.query(`
-          SELECT a.alert_id, a.wallet_id, a.alert_type, a.params, a.throttle_sec, a.last_triggered
-          FROM alerts a
-          WHERE a.is_active = TRUE
-        `);
-        for (const a of alerts) {
-          try {
-            const ok = await evalAlert(a);
-            if (ok?.triggered) {
-              await DB.query(`UPDATE alerts SET last_triggered = now() WHERE alert_id=$1`, [a.alert_id]);
-              await DB.query(`
-                INSERT INTO alert_events(alert_id, wallet_id, kind, payload)
-                VALUES ($1,$2,$3,$4)
-              `, [a.alert_id, a.wallet_id, ok.kind, ok.payload]);
-              info('[alert]', a.alert_id, ok.kind);
-            }
-          } catch (e) {
-            warn('[alert-eval]', a.alert_id, e.message);
-          }
-        }
+        await serial(runAlertsOnce);
       } catch (e) {
         warn('[alerts]', e.message);
       }
       await new Promise(r => setTimeout(r, ALERTS_SEC * 1000));
     }
-  })().catch(()=>{});
+  })().catch(() => {});
 }
@@ -6,6 +6,7 @@ import { pgListen } from '../lib/pg_notify.js';
 import { refreshMetaOnce } from './meta-refresher.js';
 import { refreshHoldersOnce } from './holders-refresher.js';
 import { scanTokenOnce } from './token-security.js';
+import { refreshPoolFeeOnce } from './pool-fees.js';
 import {
   refreshPoolMatrixOnce,
   refreshTokenMatrixOnce,
@@ -19,6 +20,8 @@ import {
 } from '../core/prices.js';
 import { upsertOHLCV1m } from '../core/ohlcv.js';
 
+const FASTTRACK_CONSUMER = process.env.FASTTRACK_NOTIFY_CONSUMER || 'fasttrack';
+
 /* -------------------------- helpers -------------------------- */
 
 // minute-floor helper
@@ -291,10 +294,11 @@ export function startFasttrackListener() {
         quote: ctx.quote_denom,
       });
 
-      // 2) metadata (both legs, in parallel; errors tolerated)
+      // 2) metadata (both legs) + on-chain fees, in parallel; errors tolerated
       await Promise.allSettled([
         refreshMetaOnce(ctx.base_denom),
         refreshMetaOnce(ctx.quote_denom),
+        refreshPoolFeeOnce(ctx.pair_contract),
       ]);
 
       // 3) holders for base token (and optionally quote if non-uzig)
@@ -359,5 +363,5 @@ export function startFasttrackListener() {
     } catch (e) {
       warn('[fasttrack]', e.message);
     }
-  });
+  }, { consumer: FASTTRACK_CONSUMER });
 }
@@ -64,22 +64,31 @@ export function startLeaderboards() {
               SELECT
                 signer,
                 count()                                 AS trades_count,
-                sum(offer_zig + return_zig)            AS volume_zig,
-                sum(return_zig - offer_zig)            AS gross_pnl_zig
+                sum(offer_zig + return_zig)            AS volume_zig
               FROM priced
               GROUP BY signer
+            ),
+            -- cost-basis PnL from jobs/wallet-pnl.js (realized + unrealized in this window)
+            pnl AS (
+              SELECT
+                address,
+                argMax(realized_pnl_zig + unrealized_pnl_zig, updated_at) AS pnl_zig
+              FROM wallet_pnl
+              WHERE bucket = '${label}'
+              GROUP BY address
             )
             INSERT INTO leaderboard_traders(
               bucket, address, trades_count, volume_zig, gross_pnl_zig, updated_at
             )
             SELECT
               '${label}'       AS bucket,
-              signer           AS address,
-              trades_count,
-              volume_zig,
-              gross_pnl_zig,
+              a.signer         AS address,
+              a.trades_count,
+              a.volume_zig,
+              coalesce(pn.pnl_zig, 0) AS gross_pnl_zig,
               now()            AS updated_at
-            FROM agg
+            FROM agg AS a
+            LEFT JOIN pnl AS pn ON pn.address = a.signer
           `);
 
           /* ───────────── large trades table ───────────── */
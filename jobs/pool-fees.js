@@ -0,0 +1,99 @@
+// jobs/pool-fees.js
+import { DB } from '../lib/db.js';
+import { lcdSmart } from '../lib/lcd.js';
+import { setPoolLpDenom } from '../core/pools.js';
+import { info, warn, debug } from '../lib/log.js';
+
+const POOL_FEE_REFRESH_SEC = parseInt(process.env.POOL_FEE_REFRESH_SEC || '3600', 10);
+const FACTORY_ADDR = process.env.FACTORY_ADDR || '';
+
+const unwrap = (j) => j?.data ?? j;
+
+/**
+ * Real fee of one pair:
+ *  - `{ pair: {} }`   → pair_type ({ xyk:{} } | { concentrated:{} } | { custom:'xyk_30' } …)
+ *  - `{ config: {} }` → factory_addr, and params for concentrated pairs
+ *  - factory `{ fee_info: { pair_type } }` → total_fee_bps, maker_fee_bps
+ *
+ * Concentrated pairs charge a dynamic fee from their own params; we store
+ * their mid_fee (the floor) as total_fee. protocol_fee is the maker share.
+ * lpDenom is the pair's liquidity_token, used to backfill pools.lp_token_denom.
+ *
+ * @returns {Promise<{ totalFee: number, protocolFee: number|null, lpDenom: string|null }>}
+ */
+export async function discoverPoolFee(pairContract) {
+  const [pair, cfg] = await Promise.all([
+    lcdSmart(pairContract, { pair: {} }).then(unwrap),
+    lcdSmart(pairContract, { config: {} }).then(unwrap),
+  ]);
+  if (!pair?.pair_type) throw new Error('pair query returned no pair_type');
+
+  const factory = cfg?.factory_addr || FACTORY_ADDR;
+  const fi = factory
+    ? unwrap(await lcdSmart(factory, { fee_info: { pair_type: pair.pair_type } }))
+    : null;
+
+  let totalFee = fi?.total_fee_bps != null ? Number(fi.total_fee_bps) / 10_000 : null;
+  if (cfg?.params) {
+    try {
+      const p = JSON.parse(Buffer.from(cfg.params, 'base64').toString('utf8'));
+      if (p?.mid_fee != null) totalFee = Number(p.mid_fee);
+    } catch { /* xyk params aren't always JSON we care about */ }
+  }
+  if (!Number.isFinite(totalFee)) throw new Error('no fee in pair config / factory fee_info');
+
+  const makerBps = fi?.maker_fee_bps != null ? Number(fi.maker_fee_bps) : NaN;
+  const protocolFee = Number.isFinite(makerBps) ? totalFee * makerBps / 10_000 : null;
+  return { totalFee, protocolFee, lpDenom: pair.liquidity_token || null };
+}
+
+/** Discover + store fees (and a missing LP denom) for one pair; only writes on change. */
+export async function refreshPoolFeeOnce(pairContract) {
+  try {
+    const { totalFee, protocolFee, lpDenom } = await discoverPoolFee(pairContract);
+    const { rows } = await DB.query(
+      `SELECT total_fee, protocol_fee, lp_token_denom FROM pools WHERE pair_contract = $1 LIMIT 1`,
+      [pairContract],
+    );
+    const cur = rows[0];
+    if (!cur) return;
+    if (lpDenom && cur.lp_token_denom == null) await setPoolLpDenom(pairContract, lpDenom);
+    if (cur.total_fee != null && Number(cur.total_fee) === totalFee &&
+        (cur.protocol_fee == null ? protocolFee == null : Number(cur.protocol_fee) === protocolFee)) {
+      return;
+    }
+
+    await DB.query(
+      `
+      ALTER TABLE pools
+      UPDATE
+        total_fee      = toFloat64OrNull($2),
+        protocol_fee   = toFloat64OrNull($3),
+        fee_updated_at = now()
+      WHERE pair_contract = $1
+    `,
+      [pairContract, totalFee, protocolFee ?? ''],
+    );
+    info('[pool-fees]', pairContract, 'total', totalFee, 'protocol', protocolFee);
+  } catch (e) {
+    warn('[pool-fees]', pairContract, e.message);
+  }
+}
+
+export function startPoolFeeDiscovery() {
+  (async function loop() {
+    while (true) {
+      try {
+        // undiscovered pools first
+        const { rows } = await DB.query(`
+          SELECT pair_contract
+          FROM pools
+          ORDER BY (total_fee IS NULL) DESC, pool_id DESC
+        `);
+        debug('[pool-fees] checking', rows.length, 'pools');
+        for (const r of rows) await refreshPoolFeeOnce(r.pair_contract);
+      } catch (e) { warn('[pool-fees]', e.message); }
+      await new Promise(r => setTimeout(r, POOL_FEE_REFRESH_SEC * 1000));
+    }
+  })().catch(() => {});
+}
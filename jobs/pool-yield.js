@@ -0,0 +1,108 @@
+// jobs/pool-yield.js
+import { DB } from '../lib/db.js';
+import { warn, debug } from '../lib/log.js';
+import { poolFee } from '../core/swap-sim.js';
+import { impermanentLoss } from '../core/lp.js';
+
+const POOL_YIELD_SEC = parseInt(process.env.POOL_YIELD_SEC || '300', 10);
+const INSERT_ROWS    = 100; // rows per INSERT (params travel in the URL)
+
+const COLS = [
+  'pool_id', 'fee', 'lp_fee', 'volume_24h_zig', 'fees_24h_zig', 'tvl_zig', 'fee_apr_pct',
+  'price_now', 'price_7d', 'price_30d', 'il_7d_pct', 'il_30d_pct',
+];
+
+const num = (v) => (v != null && Number(v) > 0 ? Number(v) : null);
+const ilPct = (now, then) => (now && then ? impermanentLoss(now / then) * 100 : null);
+
+/**
+ * Per pool: LP fee APR from the 24h pool_matrix volume and TVL, and IL vs
+ * holding for positions opened 7d / 30d ago from ohlcv_1m closes.
+ */
+export async function refreshPoolYieldOnce() {
+  const { rows } = await DB.query(`
+    SELECT
+      p.pool_id                  AS pool_id,
+      any(p.pair_type)           AS pair_type,
+      any(p.total_fee)           AS total_fee,
+      any(p.protocol_fee)        AS protocol_fee,
+      any(m.volume_zig)          AS volume_zig,
+      any(m.tvl_zig)             AS tvl_zig,
+      any(o.price_now)           AS price_now,
+      any(o.price_7d)            AS price_7d,
+      any(o.price_30d)           AS price_30d
+    FROM pools AS p
+    LEFT JOIN (
+      SELECT
+        pool_id,
+        argMax(vol_buy_zig + vol_sell_zig, updated_at) AS volume_zig,
+        argMax(tvl_zig, updated_at)                    AS tvl_zig
+      FROM pool_matrix
+      WHERE bucket = '24h'
+      GROUP BY pool_id
+    ) AS m ON m.pool_id = p.pool_id
+    LEFT JOIN (
+      SELECT
+        pool_id,
+        toFloat64(argMax(close, bucket_start)) AS price_now,
+        toFloat64(argMaxIf(close, bucket_start, bucket_start <= now() - INTERVAL 7 DAY))  AS price_7d,
+        toFloat64(argMaxIf(close, bucket_start, bucket_start <= now() - INTERVAL 30 DAY)) AS price_30d
+      FROM ohlcv_1m
+      WHERE bucket_start >= now() - INTERVAL 31 DAY
+      GROUP BY pool_id
+    ) AS o ON o.pool_id = p.pool_id
+    GROUP BY p.pool_id
+  `);
+
+  const out = [];
+  for (const r of rows) {
+    const fee = poolFee({
+      totalFee: r.total_fee != null ? Number(r.total_fee) : null,
+      pairType: r.pair_type,
+    });
+    const lpFee = Math.max(fee - (r.protocol_fee != null ? Number(r.protocol_fee) : 0), 0);
+    const volume = Number(r.volume_zig || 0);
+    const fees = volume * lpFee;
+    const tvl = num(r.tvl_zig);
+    const now = num(r.price_now);
+    const p7 = num(r.price_7d);
+    const p30 = num(r.price_30d);
+
+    out.push([
+      r.pool_id, fee, lpFee, volume, fees,
+      tvl ?? '', tvl ? (fees / tvl) * 365 * 100 : '',
+      now ?? '', p7 ?? '', p30 ?? '',
+      ilPct(now, p7) ?? '', ilPct(now, p30) ?? '',
+    ]);
+  }
+
+  // '' → NULL for the Nullable columns
+  const nullable = new Set(['tvl_zig', 'fee_apr_pct', 'price_now', 'price_7d', 'price_30d', 'il_7d_pct', 'il_30d_pct']);
+  for (let i = 0; i < out.length; i += INSERT_ROWS) {
+    const part = out.slice(i, i + INSERT_ROWS);
+    const vals = [];
+    const args = [];
+    let p = 1;
+    for (const row of part) {
+      vals.push(`(${COLS.map(c => (nullable.has(c) ? `toFloat64OrNull($${p++})` : `$${p++}`)).join(',')}, now())`);
+      args.push(...row);
+    }
+    await DB.query(`INSERT INTO pool_yield (${COLS.join(', ')}, updated_at) VALUES ${vals.join(',')}`, args);
+  }
+  return out.length;
+}
+
+export function startPoolYield() {
+  (async function loop() {
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      try {
+        const n = await refreshPoolYieldOnce();
+        debug('[pool-yield] updated', n, 'pools');
+      } catch (e) {
+        warn('[pool-yield]', e.message);
+      }
+      await new Promise((r) => setTimeout(r, POOL_YIELD_SEC * 1000));
+    }
+  })().catch(() => {});
+}
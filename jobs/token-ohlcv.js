@@ -0,0 +1,295 @@
+// jobs/token-ohlcv.js
+// Token-level 1m candles across every pool the token is base of, written to
+// token_ohlcv_1m (migrations/0014). Pool prices come from swap event
+// reserves; pools quoted in anything but uzig are converted with the quote
+// token's price tick as of the swap.
+//
+// Progress is tracked by indexed height (index_state id 'token_ohlcv'): each
+// run finds the earliest minute touched by trades stored since then, up to
+// the indexer checkpoint, and recomputes from there on. A trade that lands
+// late, however far back its minute, is folded in on the next run; reorg
+// rollbacks and backfills lower the cursor so their minutes are redone.
+import { DB } from '../lib/db.js';
+import { warn, debug } from '../lib/log.js';
+import { readCheckpoint, writeCheckpoint } from '../core/checkpoint.js';
+
+const TOKEN_OHLCV_SEC           = parseInt(process.env.TOKEN_OHLCV_SEC || '60', 10);
+const TOKEN_OHLCV_BACKFILL_DAYS = parseInt(process.env.TOKEN_OHLCV_BACKFILL_DAYS || '30', 10);
+// pools idle for longer than this drop out of the TVL weighting
+const TOKEN_OHLCV_STALE_DAYS    = parseInt(process.env.TOKEN_OHLCV_STALE_DAYS || '7', 10);
+const CHUNK_SEC   = 86400; // minutes read per query
+const TOKEN_OHLCV_CURSOR = 'token_ohlcv'; // index_state id: last trade height folded in
+const INSERT_ROWS = 100;   // rows per INSERT (params travel in the URL)
+
+// ClickHouse DateTime literal for epoch seconds
+const chTime = (sec) => new Date(sec * 1000).toISOString().slice(0, 19);
+
+const COLS = [
+  'token_id', 'weighting', 'bucket_start', 'open', 'high', 'low', 'close',
+  'volume_zig', 'trade_count', 'pools',
+];
+
+// Swaps of every non-ZIG-based pool with the pool price in ZIG per display
+// unit of the base token, the swap's quote-side volume in ZIG and the pool
+// TVL (both sides valued at the quote side). $1/$2 bound created_at.
+const PRICED_SWAPS_SQL = `
+  SELECT
+    x.token_id AS token_id,
+    x.pool_id AS pool_id,
+    x.created_at AS created_at,
+    x.height AS height,
+    x.msg_index AS msg_index,
+    x.px_quote * qpx AS price,
+    x.vol_quote * qpx AS vol_zig,
+    2 * x.res_quote * qpx AS tvl_zig,
+    if(x.quote_denom = 'uzig', 1, px.price_in_zig) AS qpx
+  FROM (
+    SELECT
+      p.base_token_id AS token_id,
+      p.quote_token_id AS quote_token_id,
+      q.denom AS quote_denom,
+      t.pool_id AS pool_id,
+      t.created_at AS created_at,
+      t.height AS height,
+      t.msg_index AS msg_index,
+      toFloat64(if(t.reserve_asset1_denom = b.denom, t.reserve_asset1_amount_base, t.reserve_asset2_amount_base))
+        / pow(10, b.exp) AS res_base,
+      toFloat64(if(t.reserve_asset1_denom = b.denom, t.reserve_asset2_amount_base, t.reserve_asset1_amount_base))
+        / pow(10, q.exp) AS res_quote,
+      res_quote / res_base AS px_quote,
+      toFloat64(if(t.offer_asset_denom = q.denom, t.offer_amount_base, t.return_amount_base))
+        / pow(10, q.exp) AS vol_quote
+    FROM trades AS t
+    INNER JOIN (
+      SELECT pool_id, any(base_token_id) AS base_token_id, any(quote_token_id) AS quote_token_id
+      FROM pools GROUP BY pool_id
+    ) AS p ON p.pool_id = t.pool_id
+    INNER JOIN (
+      SELECT token_id, any(denom) AS denom, any(exponent) AS exp
+      FROM tokens WHERE exponent IS NOT NULL GROUP BY token_id
+    ) AS b ON b.token_id = p.base_token_id
+    INNER JOIN (
+      SELECT token_id, any(denom) AS denom, any(exponent) AS exp
+      FROM tokens WHERE exponent IS NOT NULL GROUP BY token_id
+    ) AS q ON q.token_id = p.quote_token_id
+    WHERE t.action = 'swap'
+      AND b.denom != 'uzig'
+      AND t.reserve_asset1_amount_base > 0
+      AND t.reserve_asset2_amount_base > 0
+      AND t.created_at >= toDateTime($1)
+      AND t.created_at <  toDateTime($2)
+  ) AS x
+  ASOF LEFT JOIN (
+    SELECT token_id, ts, price_in_zig FROM price_ticks WHERE ts < toDateTime($2)
+  ) AS px ON px.token_id = x.quote_token_id AND px.ts <= x.created_at
+`;
+
+/** Last price and TVL of every pool that traded in [fromSec - stale, fromSec). */
+async function poolSeed(fromSec) {
+  const { rows } = await DB.query(
+    `
+    SELECT
+      token_id, pool_id,
+      argMax(price, (height, msg_index))   AS close,
+      argMax(tvl_zig, (height, msg_index)) AS tvl_zig,
+      toUnixTimestamp(max(created_at))     AS last_sec
+    FROM (${PRICED_SWAPS_SQL})
+    WHERE qpx > 0
+    GROUP BY token_id, pool_id
+    `,
+    [chTime(fromSec - TOKEN_OHLCV_STALE_DAYS * 86400), chTime(fromSec)],
+  );
+  return rows;
+}
+
+/** Per-pool 1m bars in [fromSec, toSec), ascending by minute. */
+async function poolBars(fromSec, toSec) {
+  const { rows } = await DB.query(
+    `
+    SELECT
+      token_id, pool_id,
+      toUnixTimestamp(toStartOfMinute(created_at)) AS ts_sec,
+      argMin(price, (height, msg_index))   AS open,
+      max(price)                           AS high,
+      min(price)                           AS low,
+      argMax(price, (height, msg_index))   AS close,
+      sum(vol_zig)                         AS vol_zig,
+      count()                              AS trades,
+      argMax(tvl_zig, (height, msg_index)) AS tvl_zig
+    FROM (${PRICED_SWAPS_SQL})
+    WHERE qpx > 0
+    GROUP BY token_id, pool_id, ts_sec
+    ORDER BY ts_sec ASC
+    `,
+    [chTime(fromSec), chTime(toSec)],
+  );
+  return rows;
+}
+
+function weightedBar(parts, weightOf) {
+  let w = 0;
+  let n = 0;
+  const acc = { open: 0, high: 0, low: 0, close: 0 };
+  for (const p of parts) {
+    const pw = weightOf(p);
+    if (!(pw > 0)) continue;
+    w += pw;
+    n += 1;
+    acc.open += pw * p.open;
+    acc.high += pw * p.high;
+    acc.low += pw * p.low;
+    acc.close += pw * p.close;
+  }
+  if (!(w > 0)) return null;
+  return {
+    open: acc.open / w, high: acc.high / w, low: acc.low / w, close: acc.close / w,
+    pools: n,
+  };
+}
+
+/**
+ * Fold per-pool bars into token rows. TVL weighting spans every pool of the
+ * token with a known state, idle pools contributing a flat bar at their last
+ * close; volume weighting only counts the pools that traded that minute.
+ * Rows are only produced for minutes in which the token traded somewhere.
+ */
+function foldMinutes(bars, state) {
+  const out = [];
+  let i = 0;
+  while (i < bars.length) {
+    const ts = Number(bars[i].ts_sec);
+    const traded = new Map(); // token_id -> bars of that minute
+    for (; i < bars.length && Number(bars[i].ts_sec) === ts; i++) {
+      const b = bars[i];
+      const bar = {
+        poolId: String(b.pool_id),
+        open: Number(b.open), high: Number(b.high), low: Number(b.low), close: Number(b.close),
+        vol: Number(b.vol_zig) || 0,
+        trades: Number(b.trades) || 0,
+        tvl: Number(b.tvl_zig) || 0,
+      };
+      const tokenId = String(b.token_id);
+      if (!traded.has(tokenId)) traded.set(tokenId, []);
+      traded.get(tokenId).push(bar);
+    }
+
+    for (const [tokenId, live] of traded) {
+      const pools = state.get(tokenId) || new Map();
+      state.set(tokenId, pools);
+      for (const b of live) pools.set(b.poolId, { close: b.close, tvl: b.tvl, lastSec: ts });
+
+      const all = [...live];
+      for (const [poolId, s] of pools) {
+        if (live.some(b => b.poolId === poolId)) continue;
+        if (ts - s.lastSec > TOKEN_OHLCV_STALE_DAYS * 86400) continue;
+        all.push({ poolId, open: s.close, high: s.close, low: s.close, close: s.close, vol: 0, trades: 0, tvl: s.tvl });
+      }
+
+      const vol = live.reduce((a, b) => a + b.vol, 0);
+      const trades = live.reduce((a, b) => a + b.trades, 0);
+      const byTvl = weightedBar(all, p => p.tvl);
+      const byVol = weightedBar(live, p => p.vol);
+      if (byTvl) out.push([tokenId, 'tvl', ts, byTvl, vol, trades]);
+      if (byVol) out.push([tokenId, 'volume', ts, byVol, vol, trades]);
+    }
+  }
+  return out;
+}
+
+async function insertRows(rows) {
+  for (let i = 0; i < rows.length; i += INSERT_ROWS) {
+    const part = rows.slice(i, i + INSERT_ROWS);
+    const vals = [];
+    const args = [];
+    let p = 1;
+    for (const [tokenId, weighting, ts, bar, vol, trades] of part) {
+      vals.push(`(${COLS.map(() => `$${p++}`).join(',')}, now())`);
+      args.push(tokenId, weighting, chTime(ts), bar.open, bar.high, bar.low, bar.close, vol, trades, bar.pools);
+    }
+    await DB.query(`INSERT INTO token_ohlcv_1m (${COLS.join(', ')}, updated_at) VALUES ${vals.join(',')}`, args);
+  }
+}
+
+/** Earliest swap minute among trades with height in (afterHeight, toHeight]. */
+async function firstTouchedSec(afterHeight, toHeight) {
+  const { rows } = await DB.query(
+    `
+    SELECT toUnixTimestamp(min(created_at)) AS first_sec, count() AS n
+    FROM trades
+    WHERE action = 'swap'
+      AND height > toUInt64($1)
+      AND height <= toUInt64($2)
+    `,
+    [afterHeight, toHeight],
+  );
+  return Number(rows[0]?.n) > 0 ? Math.floor(Number(rows[0].first_sec) / 60) * 60 : null;
+}
+
+// A reorg or backfill may have lowered the cursor while we ran
+// (lowerCheckpoint); keep their rewind rather than overwrite it.
+async function advanceCursor(startedAt, toHeight) {
+  const now = await readCheckpoint(TOKEN_OHLCV_CURSOR);
+  if (startedAt != null && (now == null || Number(now) < Number(startedAt))) return;
+  await writeCheckpoint(toHeight, TOKEN_OHLCV_CURSOR);
+}
+
+/**
+ * Recompute token candles from the earliest minute touched by trades indexed
+ * since the last run (the backfill window on the first run) to now.
+ */
+export async function refreshTokenOhlcvOnce() {
+  // the indexer writes the checkpoint before draining that height's trades,
+  // so the cursor only advances over the heights below it
+  const tip = await readCheckpoint();
+  if (tip == null) return 0;
+  const toHeight = Number(tip) - 1;
+  const cursor = await readCheckpoint(TOKEN_OHLCV_CURSOR);
+  const nowSec = Math.floor(Date.now() / 1000);
+
+  let fromSec;
+  if (cursor == null) {
+    fromSec = Math.floor((nowSec - TOKEN_OHLCV_BACKFILL_DAYS * 86400) / 60) * 60;
+  } else {
+    if (Number(cursor) >= toHeight) return 0;
+    fromSec = await firstTouchedSec(Number(cursor), toHeight);
+    if (fromSec == null) {
+      await advanceCursor(cursor, toHeight);
+      return 0;
+    }
+  }
+
+  // token_id -> pool_id -> { close, tvl, lastSec }
+  const state = new Map();
+  for (const r of await poolSeed(fromSec)) {
+    const tokenId = String(r.token_id);
+    if (!state.has(tokenId)) state.set(tokenId, new Map());
+    state.get(tokenId).set(String(r.pool_id), {
+      close: Number(r.close), tvl: Number(r.tvl_zig) || 0, lastSec: Number(r.last_sec),
+    });
+  }
+
+  let written = 0;
+  for (let from = fromSec; from <= nowSec; from += CHUNK_SEC) {
+    const to = Math.min(from + CHUNK_SEC, nowSec + 1);
+    const out = foldMinutes(await poolBars(from, to), state);
+    await insertRows(out);
+    written += out.length;
+  }
+  await advanceCursor(cursor, toHeight);
+  return written;
+}
+
+export function startTokenOhlcv() {
+  (async function loop() {
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      try {
+        const n = await refreshTokenOhlcvOnce();
+        debug('[token-ohlcv] wrote', n, 'rows');
+      } catch (e) {
+        warn('[token-ohlcv]', e.message);
+      }
+      await new Promise((r) => setTimeout(r, TOKEN_OHLCV_SEC * 1000));
+    }
+  })().catch(() => {});
+}
@@ -0,0 +1,147 @@
+// jobs/wallet-pnl.js
+import { DB } from '../lib/db.js';
+import { warn, debug } from '../lib/log.js';
+import { readCheckpoint } from '../core/checkpoint.js';
+import {
+  loadWalletTrades,
+  loadPnlStates,
+  afterCursor,
+  latestTokenPrices,
+  replayPositions,
+  positionsToJSON,
+  windowPnl,
+} from '../core/pnl.js';
+
+const WALLET_PNL_SEC   = parseInt(process.env.WALLET_PNL_SEC || '300', 10);
+const WALLET_PNL_CHUNK = parseInt(process.env.WALLET_PNL_CHUNK || '100', 10);
+const INSERT_ROWS      = 100; // rows per INSERT (params travel in the URL)
+
+// same windows as jobs/leaderboards.js
+export const PNL_BUCKETS = [
+  ['30m', 30],
+  ['1h', 60],
+  ['4h', 240],
+  ['24h', 1440],
+];
+
+async function insertRows(table, cols, rows) {
+  for (let i = 0; i < rows.length; i += INSERT_ROWS) {
+    const part = rows.slice(i, i + INSERT_ROWS);
+    const vals = [];
+    const args = [];
+    let p = 1;
+    for (const r of part) {
+      vals.push(`(${r.map(() => `$${p++}`).join(',')}, now())`);
+      args.push(...r);
+    }
+    await DB.query(`INSERT INTO ${table} (${cols.join(', ')}, updated_at) VALUES ${vals.join(',')}`, args);
+  }
+}
+
+async function insertStateRows(rows) {
+  for (let i = 0; i < rows.length; i += INSERT_ROWS) {
+    const part = rows.slice(i, i + INSERT_ROWS);
+    const vals = [];
+    const args = [];
+    let p = 1;
+    for (const r of part) {
+      vals.push(`($${p++}, toUInt64($${p++}), toUInt32($${p++}), $${p++}, now64(3))`);
+      args.push(...r);
+    }
+    await DB.query(
+      `INSERT INTO wallet_pnl_state (address, last_height, last_msg_index, positions, updated_at) VALUES ${vals.join(',')}`,
+      args,
+    );
+  }
+}
+
+/**
+ * Bring every wallet that traded in the widest bucket up to date: replay its
+ * swaps since its stored cursor (everything on the first run) up to the
+ * indexer checkpoint, then store its per-bucket PnL (read by
+ * jobs/leaderboards.js) and its positions with the new cursor (read back
+ * here and by GET /wallets/:address/pnl).
+ */
+export async function refreshWalletPnlOnce() {
+  const maxMins = Math.max(...PNL_BUCKETS.map(([, m]) => m));
+  const { rows } = await DB.query(`
+    SELECT DISTINCT signer
+    FROM trades
+    WHERE action = 'swap'
+      AND signer != ''
+      AND created_at >= (now() - toIntervalMinute(${maxMins}))
+  `);
+  const addresses = rows.map(r => r.signer);
+  if (!addresses.length) return 0;
+
+  // the indexer writes the checkpoint before draining that height's batched
+  // trades, so only heights below it are known to be complete
+  const checkpoint = await readCheckpoint();
+  if (checkpoint == null) return 0;
+  const toHeight = Number(checkpoint) - 1;
+
+  const marks = await latestTokenPrices();
+  const nowSec = Math.floor(Date.now() / 1000);
+  const eventsSinceSec = nowSec - maxMins * 60;
+
+  for (let i = 0; i < addresses.length; i += WALLET_PNL_CHUNK) {
+    const chunk = addresses.slice(i, i + WALLET_PNL_CHUNK);
+    const states = await loadPnlStates(chunk);
+
+    const fresh = chunk.filter(a => !states.has(a));
+    const known = chunk.filter(a => states.has(a));
+    const fromHeight = known.length ? Math.min(...known.map(a => states.get(a).height)) : null;
+    const trades = [
+      ...await loadWalletTrades(fresh, { toHeight }),
+      ...(await loadWalletTrades(known, { fromHeight, toHeight })).filter(t => afterCursor(t, states.get(t.signer))),
+    ];
+
+    const wallets = new Map(known.map(a => [a, states.get(a).positions]));
+    replayPositions(trades, wallets);
+
+    const cursors = new Map(known.map(a => [a, states.get(a)]));
+    for (const t of trades) cursors.set(t.signer, { height: Number(t.height), msgIndex: Number(t.msg_index) });
+
+    const pnlRows = [];
+    for (const [address, positions] of wallets) {
+      const sums = PNL_BUCKETS.map(() => ({ realized: 0, unrealized: 0 }));
+      for (const pos of positions.values()) {
+        const mark = marks.get(pos.tokenId) ?? null;
+        PNL_BUCKETS.forEach(([, mins], k) => {
+          const w = windowPnl(pos, nowSec - mins * 60, mark);
+          sums[k].realized += w.realized;
+          sums[k].unrealized += w.unrealized;
+        });
+      }
+      PNL_BUCKETS.forEach(([label], k) => {
+        pnlRows.push([label, address, sums[k].realized, sums[k].unrealized]);
+      });
+    }
+
+    await insertRows('wallet_pnl', ['bucket', 'address', 'realized_pnl_zig', 'unrealized_pnl_zig'], pnlRows);
+
+    // cursor last, so a failed run replays the same swaps again
+    const stateRows = [];
+    for (const address of new Set(trades.map(t => t.signer))) {
+      const c = cursors.get(address);
+      stateRows.push([address, c.height, c.msgIndex, positionsToJSON(wallets.get(address), { eventsSinceSec })]);
+    }
+    await insertStateRows(stateRows);
+  }
+  return addresses.length;
+}
+
+export function startWalletPnl() {
+  (async function loop() {
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      try {
+        const n = await refreshWalletPnlOnce();
+        debug('[wallet-pnl] updated', n, 'wallets');
+      } catch (e) {
+        warn('[wallet-pnl]', e.message);
+      }
+      await new Promise((r) => setTimeout(r, WALLET_PNL_SEC * 1000));
+    }
+  })().catch(() => {});
+}
@@ -11,6 +11,7 @@ export class BatchQueue {
     this.queue = [];
     this.timer = null;
     this.flushing = false;
+    this.current = null; // promise of the flush in progress
   }
 
   push(item) {
@@ -22,8 +23,10 @@ export class BatchQueue {
     }
   }
 
+  /** Flush everything pushed so far, including a flush already in progress. */
   async drain() {
     if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+    if (this.current) await this.current.catch(() => {});
     if (this.queue.length) await this._flush();
   }
 
@@ -39,10 +42,12 @@ export class BatchQueue {
     this.flushing = true;
     const items = this.queue;
     this.queue = [];
+    this.current = Promise.resolve().then(() => this.flushFn(items));
     try {
-      await this.flushFn(items);
+      await this.current;
     } finally {
       this.flushing = false;
+      this.current = null;
     }
   }
 }
@@ -6,25 +6,36 @@ import { debug, warn } from './log.js';
 const LCDS = [process.env.LCD_PRIMARY, process.env.LCD_BACKUP].filter(Boolean);
 let lcdIndex = 0;
 
-async function httpJSON(baseList, idxRef, path) {
+/**
+ * GET `path` from the LCDs, rotating endpoints and backing off between
+ * attempts. Without `timeoutMs` it retries until one answers (indexer and
+ * jobs); with it the request and any pending retry are aborted once the
+ * budget is spent and the call rejects (request paths that must answer).
+ */
+async function httpJSON(baseList, idxRef, path, { timeoutMs = 0 } = {}) {
   if (!baseList.length) throw new Error('no LCD endpoints configured');
+  const signal = timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : undefined;
+  const timedOut = () => new Error(`lcd timeout after ${timeoutMs}ms: ${path}`);
   for (let attempt = 0;; attempt++) {
     const base = baseList[(idxRef + attempt) % baseList.length];
     try {
       const url = `${base}${path}`;
       debug('LCD →', url);
-      const r = await fetch(url, { headers: { accept: 'application/json' } });
+      const r = await fetch(url, { headers: { accept: 'application/json' }, signal });
       if (r.status === 429 || r.status >= 500) throw new Error(`HTTP ${r.status}`);
       return await r.json();
     } catch (e) {
+      if (signal?.aborted) throw timedOut();
       const backoff = Math.min(1000 * Math.pow(1.5, attempt), 10_000) + Math.floor(Math.random()*250);
       warn(`lcd ${e.message} ${base}${path} → retry in ${backoff}ms`);
-      await sleep(backoff);
+      try { await sleep(backoff, undefined, { signal }); }
+      catch { throw timedOut(); }
     }
   }
 }
 
-export const lcd = (path) => httpJSON(LCDS, lcdIndex++, path);
+/** `opts.timeoutMs` bounds the whole call, retries included. */
+export const lcd = (path, opts) => httpJSON(LCDS, lcdIndex++, path, opts);
 
 // Helpers used throughout the app
 export const lcdDenomsMetadata = (denom) =>
@@ -38,9 +49,14 @@ export const lcdDenomOwners = (denom, nextKey) => {
   return lcd(`/cosmos/bank/v1beta1/denom_owners/${encodeURIComponent(denom)}${q}`);
 };
 
-export const lcdSmart = (contract, msgObj) => {
+export const lcdBalances = (address, nextKey, opts) => {
+  const q = nextKey ? `?pagination.key=${encodeURIComponent(nextKey)}` : '';
+  return lcd(`/cosmos/bank/v1beta1/balances/${encodeURIComponent(address)}${q}`, opts);
+};
+
+export const lcdSmart = (contract, msgObj, opts) => {
   const msg = Buffer.from(JSON.stringify(msgObj)).toString('base64');
-  return lcd(`/cosmwasm/wasm/v1/contract/${contract}/smart/${msg}`);
+  return lcd(`/cosmwasm/wasm/v1/contract/${contract}/smart/${msg}`, opts);
 };
 
 /** NEW: IBC denom trace (accepts 'ibc/<HASH>' or just '<HASH>') */
@@ -55,6 +71,7 @@ export default {
   lcdDenomsMetadata,
   lcdFactoryDenom,
   lcdDenomOwners,
+  lcdBalances,
   lcdSmart,
   lcdIbcDenomTrace,  // <-- export
 };
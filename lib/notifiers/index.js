@@ -0,0 +1,70 @@
+// lib/notifiers/index.js
+// Pluggable alert notifiers, one per channel type. Each notifier takes the
+// validated channel (core/alert-rules.js validateChannels) and a formatted
+// message { subject, text, payload } and throws on failure; retries and
+// dead-lettering are the caller's job (jobs/alert-delivery.js).
+//
+// ALERT_NOTIFY_STUB=1 routes every channel to the local stub server
+// (`node bin/start-notify-stub.js`) so delivery can be exercised offline:
+// webhooks go to http://127.0.0.1:<NOTIFY_STUB_HTTP_PORT>/webhook/<original
+// path> (paths containing /fail get a 500, to exercise retries), Telegram to
+// the stub's fake Bot API, email to its SMTP port.
+import { sendWebhook, assertPublicUrl } from './webhook.js';
+import { sendTelegram } from './telegram.js';
+import { sendEmail } from './smtp.js';
+
+const STUB = process.env.ALERT_NOTIFY_STUB === '1';
+const STUB_HOST = process.env.NOTIFY_STUB_HOST || '127.0.0.1';
+const STUB_HTTP_PORT = parseInt(process.env.NOTIFY_STUB_HTTP_PORT || '8787', 10);
+const STUB_SMTP_PORT = parseInt(process.env.NOTIFY_STUB_SMTP_PORT || '2525', 10);
+
+const STUB_BOT_TOKEN = '0:stub';
+
+function stubWebhookUrl(url) {
+  const u = new URL(url);
+  return `http://${STUB_HOST}:${STUB_HTTP_PORT}/webhook${u.pathname}${u.search}`;
+}
+
+export const NOTIFIERS = {
+  webhook: (channel, msg) => sendWebhook(
+    STUB ? { ...channel, url: stubWebhookUrl(channel.url) } : channel,
+    msg.payload,
+    { allowPrivate: STUB },
+  ),
+  telegram: (channel, msg) => sendTelegram(
+    STUB ? { ...channel, bot_token: STUB_BOT_TOKEN } : channel,
+    msg.text,
+    STUB ? { apiBase: `http://${STUB_HOST}:${STUB_HTTP_PORT}/telegram` } : undefined,
+  ),
+  email: (channel, msg) => sendEmail(
+    channel,
+    msg,
+    STUB ? { host: STUB_HOST, port: STUB_SMTP_PORT, secure: false, user: '' } : undefined,
+  ),
+};
+
+/** Deliver `msg` over `channel`; throws when the channel type is unknown or the send fails. */
+export async function notify(channel, msg) {
+  const send = NOTIFIERS[channel?.type];
+  if (!send) throw new Error(`no notifier for channel type '${channel?.type}'`);
+  await send(channel, msg);
+}
+
+/**
+ * Throws when the channel's target may not be delivered to: webhook URLs
+ * that don't resolve to public addresses (not checked under the stub, which
+ * never sends to them).
+ */
+export async function checkChannelTarget(channel) {
+  if (channel?.type === 'webhook' && !STUB) await assertPublicUrl(channel.url);
+}
+
+/** Human-readable target of a channel (for logs and alert_deliveries.target). */
+export function channelTarget(channel) {
+  switch (channel?.type) {
+    case 'webhook': return channel.url;
+    case 'telegram': return String(channel.chat_id);
+    case 'email': return channel.to;
+    default: return '';
+  }
+}
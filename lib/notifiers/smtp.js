@@ -0,0 +1,162 @@
+// lib/notifiers/smtp.js
+// Minimal SMTP submission client (no extra dependency): implicit TLS when
+// SMTP_SECURE=1 (port 465), otherwise plain with STARTTLS when the server
+// offers it; AUTH PLAIN/LOGIN when SMTP_USER is set. One connection per
+// message — alert volume doesn't warrant pooling.
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+
+const SMTP_HOST    = process.env.SMTP_HOST || '127.0.0.1';
+const SMTP_PORT    = parseInt(process.env.SMTP_PORT || '587', 10);
+const SMTP_SECURE  = process.env.SMTP_SECURE === '1';
+const SMTP_USER    = process.env.SMTP_USER || '';
+const SMTP_PASS    = process.env.SMTP_PASS || '';
+const SMTP_FROM    = process.env.SMTP_FROM || 'alerts@localhost';
+const SMTP_TIMEOUT_MS = parseInt(process.env.SMTP_TIMEOUT_MS || '15000', 10);
+
+/** Reads SMTP replies (multi-line "250-…" continuations folded into one). */
+function replyReader(sock) {
+  let buf = '';
+  let lines = [];
+  const queue = [];
+  const waiters = [];
+
+  function onData(chunk) {
+    buf += chunk.toString('utf8');
+    let i;
+    while ((i = buf.indexOf('\r\n')) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines: lines.map(l => l.slice(4)) };
+        lines = [];
+        const w = waiters.shift();
+        if (w) w.resolve(reply); else queue.push(reply);
+      }
+    }
+  }
+  function onEnd(err) {
+    const e = err || new Error('smtp: connection closed');
+    while (waiters.length) waiters.shift().reject(e);
+  }
+
+  return {
+    attach(s) {
+      s.on('data', onData);
+      s.on('error', onEnd);
+      s.on('close', () => onEnd());
+    },
+    detach(s) {
+      s.removeListener('data', onData);
+    },
+    next() {
+      if (queue.length) return Promise.resolve(queue.shift());
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+  };
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const sock = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    sock.setTimeout(SMTP_TIMEOUT_MS, () => sock.destroy(new Error('smtp: timeout')));
+    sock.once(secure ? 'secureConnect' : 'connect', () => resolve(sock));
+    sock.once('error', reject);
+  });
+}
+
+function upgrade(sock, host) {
+  return new Promise((resolve, reject) => {
+    const s = tls.connect({ socket: sock, servername: host });
+    s.setTimeout(SMTP_TIMEOUT_MS, () => s.destroy(new Error('smtp: timeout')));
+    s.once('secureConnect', () => resolve(s));
+    s.once('error', reject);
+  });
+}
+
+const headerSafe = (s) => String(s).replace(/[\r\n]+/g, ' ');
+
+function buildMessage({ from, to, subject, text }) {
+  const body = String(text)
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map(l => (l.startsWith('.') ? `.${l}` : l)) // dot-stuffing
+    .join('\r\n');
+  return [
+    `From: ${headerSafe(from)}`,
+    `To: ${headerSafe(to)}`,
+    `Subject: ${headerSafe(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+/**
+ * Send one plain-text email. Throws on any non-2xx/3xx reply.
+ * @param {{ to: string }} channel
+ * @param {{ subject: string, text: string }} message
+ */
+export async function sendEmail(channel, { subject, text }, opts = {}) {
+  const host = opts.host ?? SMTP_HOST;
+  const port = opts.port ?? SMTP_PORT;
+  const secure = opts.secure ?? SMTP_SECURE;
+  const user = opts.user ?? SMTP_USER;
+  const pass = opts.pass ?? SMTP_PASS;
+  const from = opts.from ?? SMTP_FROM;
+
+  let sock = await connect({ host, port, secure });
+  let reader = replyReader(sock);
+  reader.attach(sock);
+
+  async function cmd(line, expect) {
+    if (line != null) sock.write(`${line}\r\n`);
+    const r = await reader.next();
+    if (!expect.includes(r.code)) {
+      throw new Error(`smtp ${line?.split(' ')[0] ?? 'greeting'}: ${r.code} ${r.lines.join(' ')}`);
+    }
+    return r;
+  }
+
+  try {
+    await cmd(null, [220]);
+    const ehloName = os.hostname() || 'localhost';
+    let ehlo = await cmd(`EHLO ${ehloName}`, [250]);
+
+    if (!secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+      await cmd('STARTTLS', [220]);
+      reader.detach(sock);
+      sock = await upgrade(sock, host);
+      reader = replyReader(sock);
+      reader.attach(sock);
+      ehlo = await cmd(`EHLO ${ehloName}`, [250]);
+    }
+
+    if (user) {
+      const auth = ehlo.lines.find(l => /^AUTH\b/i.test(l)) || '';
+      if (/\bPLAIN\b/i.test(auth)) {
+        await cmd(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString('base64')}`, [235]);
+      } else {
+        await cmd('AUTH LOGIN', [334]);
+        await cmd(Buffer.from(user).toString('base64'), [334]);
+        await cmd(Buffer.from(pass).toString('base64'), [235]);
+      }
+    }
+
+    const addr = (s) => String(s).match(/<([^>]+)>/)?.[1] ?? String(s).trim();
+    await cmd(`MAIL FROM:<${addr(from)}>`, [250]);
+    await cmd(`RCPT TO:<${addr(channel.to)}>`, [250, 251]);
+    await cmd('DATA', [354]);
+    await cmd(`${buildMessage({ from, to: channel.to, subject, text })}\r\n.`, [250]);
+    await cmd('QUIT', [221]).catch(() => {});
+  } finally {
+    sock.destroy();
+  }
+}
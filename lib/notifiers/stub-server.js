@@ -0,0 +1,130 @@
+// lib/notifiers/stub-server.js
+//
+// Local stand-in for every alert channel, used with ALERT_NOTIFY_STUB=1 (run
+// it with `node bin/start-notify-stub.js`). Nothing leaves the machine:
+//
+//   POST /webhook/…                     logged; signature checked against
+//                                       NOTIFY_STUB_WEBHOOK_SECRET when set
+//   POST /webhook/…/fail…               500, to exercise retry/dead-letter
+//   POST /telegram/bot<token>/sendMessage  fake Bot API reply { ok:true }
+//   GET  /messages                      last captured deliveries (JSON)
+//
+// plus a minimal SMTP server that accepts any message and logs it.
+import http from 'node:http';
+import net from 'node:net';
+import { info, warn } from '../log.js';
+import { verifyWebhook } from './webhook.js';
+
+const KEEP = 200;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+export function startNotifyStub({ host = '127.0.0.1', httpPort = 8787, smtpPort = 2525, webhookSecret = '' } = {}) {
+  const captured = [];
+  function capture(kind, entry) {
+    captured.push({ kind, at: new Date().toISOString(), ...entry });
+    if (captured.length > KEEP) captured.shift();
+    info(`[notify-stub] ${kind}`, JSON.stringify(entry).slice(0, 500));
+  }
+
+  /* ───────────── HTTP: webhooks + fake Telegram ───────────── */
+
+  const httpServer = http.createServer(async (req, res) => {
+    const send = (status, obj) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(obj));
+    };
+    try {
+      const url = new URL(req.url, `http://${host}`);
+
+      if (req.method === 'GET' && url.pathname === '/messages') return send(200, captured);
+      if (req.method !== 'POST') return send(404, { error: 'not found' });
+
+      const body = await readBody(req);
+
+      if (url.pathname.startsWith('/webhook')) {
+        const ts = req.headers['x-alert-timestamp'];
+        const sig = req.headers['x-alert-signature'];
+        const verified = webhookSecret ? verifyWebhook(webhookSecret, ts, body, sig) : null;
+        capture('webhook', { path: url.pathname, signed: Boolean(sig), verified, body });
+        if (url.pathname.includes('/fail')) return send(500, { error: 'stub failure' });
+        if (verified === false) return send(401, { error: 'bad signature' });
+        return send(200, { ok: true });
+      }
+
+      const tg = url.pathname.match(/^\/telegram\/bot([^/]+)\/sendMessage$/);
+      if (tg) {
+        let msg = null;
+        try { msg = JSON.parse(body); } catch { /* handled below */ }
+        if (!msg?.chat_id || !msg?.text) return send(400, { ok: false, description: 'chat_id and text required' });
+        capture('telegram', { chat_id: msg.chat_id, text: msg.text });
+        return send(200, { ok: true, result: { message_id: captured.length, chat: { id: msg.chat_id } } });
+      }
+
+      send(404, { error: 'not found' });
+    } catch (e) {
+      warn('[notify-stub] http', e.message);
+      send(500, { error: e.message });
+    }
+  });
+  httpServer.listen(httpPort, host, () => info(`[notify-stub] http on ${host}:${httpPort}`));
+
+  /* ───────────── SMTP ───────────── */
+
+  const smtpServer = net.createServer((sock) => {
+    let buf = '';
+    let inData = false;
+    let data = [];
+    let env = { from: null, to: [] };
+    const reply = (line) => sock.write(`${line}\r\n`);
+
+    reply('220 notify-stub ESMTP');
+    sock.on('data', (chunk) => {
+      buf += chunk.toString('utf8');
+      let i;
+      while ((i = buf.indexOf('\r\n')) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            capture('email', { from: env.from, to: env.to, message: data.join('\n') });
+            env = { from: null, to: [] };
+            data = [];
+            reply('250 OK queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO' || verb === 'HELO') { reply('250-notify-stub'); reply('250 8BITMIME'); }
+        else if (verb === 'MAIL') { env.from = line.slice(10).trim(); reply('250 OK'); }
+        else if (verb === 'RCPT') { env.to.push(line.slice(8).trim()); reply('250 OK'); }
+        else if (verb === 'DATA') { inData = true; reply('354 end with <CRLF>.<CRLF>'); }
+        else if (verb === 'RSET' || verb === 'NOOP') reply('250 OK');
+        else if (verb === 'QUIT') { reply('221 bye'); sock.end(); }
+        else reply('502 not implemented');
+      }
+    });
+    sock.on('error', () => {});
+  });
+  smtpServer.listen(smtpPort, host, () => info(`[notify-stub] smtp on ${host}:${smtpPort}`));
+
+  return {
+    captured,
+    close() {
+      httpServer.close();
+      smtpServer.close();
+    },
+  };
+}
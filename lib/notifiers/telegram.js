@@ -0,0 +1,24 @@
+// lib/notifiers/telegram.js
+// Telegram Bot API sendMessage. The channel may carry its own bot_token,
+// otherwise TELEGRAM_BOT_TOKEN is used.
+import { fetch } from 'undici';
+
+const TELEGRAM_API_BASE = (process.env.TELEGRAM_API_BASE || 'https://api.telegram.org').replace(/\/+$/, '');
+const TELEGRAM_TIMEOUT_MS = parseInt(process.env.ALERT_TELEGRAM_TIMEOUT_MS || '10000', 10);
+
+/** @param {{ chat_id: string, bot_token?: string }} channel */
+export async function sendTelegram(channel, text, { apiBase = TELEGRAM_API_BASE } = {}) {
+  const token = channel.bot_token || process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) throw new Error('telegram: no bot token (channel.bot_token or TELEGRAM_BOT_TOKEN)');
+
+  const res = await fetch(`${apiBase}/bot${token}/sendMessage`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ chat_id: channel.chat_id, text, disable_web_page_preview: true }),
+    signal: AbortSignal.timeout(TELEGRAM_TIMEOUT_MS),
+  });
+  const j = await res.json().catch(() => null);
+  if (!res.ok || !j?.ok) {
+    throw new Error(`telegram HTTP ${res.status}: ${j?.description || 'sendMessage failed'}`);
+  }
+}
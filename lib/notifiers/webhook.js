@@ -0,0 +1,107 @@
+// lib/notifiers/webhook.js
+// HTTP webhook: POSTs the JSON body and, when the channel has a secret, signs
+// it so receivers can verify origin and freshness:
+//
+//   X-Alert-Timestamp: <unix seconds>
+//   X-Alert-Signature: sha256=<hex hmac_sha256(secret, `${timestamp}.${body}`)>
+//
+// Targets must resolve to public addresses: loopback, private, link-local and
+// other non-routable ranges are refused when the channel is validated and
+// again on every connect (the check runs in the socket's DNS lookup, so a
+// name re-pointed after validation doesn't get through). Redirects are not
+// followed.
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import net from 'node:net';
+import { fetch, Agent } from 'undici';
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+const BLOCKED = new net.BlockList();
+for (const [addr, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) BLOCKED.addSubnet(addr, prefix, 'ipv4');
+for (const [addr, prefix] of [
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) BLOCKED.addSubnet(addr, prefix, 'ipv6');
+
+/** Is `ip` a publicly routable address? IPv4-mapped IPv6 is judged as IPv4. */
+export function isPublicAddress(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return !BLOCKED.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedError(host, address) {
+  return Object.assign(new Error(`webhook: ${host} resolves to non-public address ${address}`), { code: 'EBLOCKED' });
+}
+
+/** dns.lookup that fails when any resolved address is not public. */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (e, addrs) => {
+    if (e) return callback(e);
+    const bad = addrs.find(a => !isPublicAddress(a.address));
+    if (bad) return callback(blockedError(hostname, bad.address));
+    if (options?.all) return callback(null, addrs);
+    callback(null, addrs[0].address, addrs[0].family);
+  });
+}
+
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Throws unless `url` is http(s) and its host (literal or every resolved
+ * address) is public.
+ */
+export async function assertPublicUrl(url) {
+  const u = new URL(url);
+  if (!['http:', 'https:'].includes(u.protocol)) throw new Error('webhook: url must be http(s)');
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    if (!isPublicAddress(host)) throw blockedError(host, host);
+    return;
+  }
+  const addrs = await dns.promises.lookup(host, { all: true });
+  const bad = addrs.find(a => !isPublicAddress(a.address));
+  if (bad) throw blockedError(host, bad.address);
+}
+
+export function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** Constant-time check of an X-Alert-Signature header. */
+export function verifyWebhook(secret, timestamp, body, signature) {
+  const want = Buffer.from(signWebhook(secret, timestamp, body));
+  const got = Buffer.from(String(signature || ''));
+  return want.length === got.length && crypto.timingSafeEqual(want, got);
+}
+
+/**
+ * @param {{ url: string, secret?: string }} channel
+ * @param {{ allowPrivate?: boolean }} opts  allowPrivate skips the address
+ *   checks (local stub only)
+ */
+export async function sendWebhook(channel, payload, { allowPrivate = false } = {}) {
+  if (!allowPrivate) await assertPublicUrl(channel.url);
+
+  const body = JSON.stringify(payload);
+  const ts = Math.floor(Date.now() / 1000);
+  const headers = { 'content-type': 'application/json', 'x-alert-timestamp': String(ts) };
+  if (channel.secret) headers['x-alert-signature'] = signWebhook(channel.secret, ts, body);
+
+  const res = await fetch(channel.url, {
+    method: 'POST',
+    headers,
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    ...(allowPrivate ? {} : { dispatcher: publicAgent }),
+  });
+  // the receiver's body is not kept: it ends up in alert_deliveries.last_error
+  await res.body?.cancel?.().catch(() => {});
+  if (!res.ok) throw new Error(`webhook HTTP ${res.status}`);
+}
@@ -0,0 +1,171 @@
+// lib/notify/broker-server.js
+//
+// Small local event broker for NOTIFY_TRANSPORT=broker (run it with
+// `node bin/start-broker.js`). Clients speak newline-delimited JSON over a
+// Unix socket or TCP:
+//
+//   → { op:'pub',  ref, channel, payload }      ← { op:'ok', ref, seq }
+//   → { op:'sub',  channel, consumer }           ← { op:'msg', channel, consumer, seq, payload } …
+//   → { op:'ack',  channel, consumer, seq }
+//   → { op:'dead', channel, consumer, seq, attempts, error }
+//
+// Every channel is an append-only JSONL log in NOTIFY_BROKER_DIR with a
+// monotonically increasing seq. Each (consumer, channel) has a committed
+// offset (highest acked seq) persisted to offsets.json; a subscriber gets
+// everything after its offset, so missed and unacked events are replayed
+// when it reconnects (at-least-once). A brand-new consumer starts at the head.
+// Events a consumer gave up on ('dead', sent before its ack) are appended
+// with their payload to dead-letters.log in the same directory.
+import fs from 'node:fs';
+import path from 'node:path';
+import net from 'node:net';
+import { info, warn, debug } from '../log.js';
+
+const KEEP_PER_CHANNEL = parseInt(process.env.NOTIFY_BROKER_KEEP || '10000', 10);
+const OFFSETS_FLUSH_MS = parseInt(process.env.NOTIFY_BROKER_OFFSETS_FLUSH_MS || '500', 10);
+
+const CHAN_RX = /^[a-z_][a-z0-9_]*$/i;
+
+export function startBroker({ socketPath = null, port = null, host = '127.0.0.1', dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  /* ───────────── storage ───────────── */
+
+  const channels = new Map(); // channel -> { seq, log: [{ seq, payload }] }
+  const offsetsFile = path.join(dir, 'offsets.json');
+  const offsets = fs.existsSync(offsetsFile) ? JSON.parse(fs.readFileSync(offsetsFile, 'utf8')) : {};
+  let offsetsDirty = false;
+
+  const logFile = (channel) => path.join(dir, `${channel}.log`);
+  const deadFile = path.join(dir, 'dead-letters.log');
+  const offsetKey = (consumer, channel) => `${consumer}/${channel}`;
+
+  function loadChannel(channel) {
+    let ch = channels.get(channel);
+    if (ch) return ch;
+    ch = { seq: 0, log: [] };
+    const f = logFile(channel);
+    if (fs.existsSync(f)) {
+      for (const line of fs.readFileSync(f, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try { ch.log.push(JSON.parse(line)); } catch { /* torn last line */ }
+      }
+      ch.log = ch.log.slice(-KEEP_PER_CHANNEL);
+      ch.seq = ch.log.at(-1)?.seq ?? 0;
+      // compact on load so the file doesn't grow forever
+      fs.writeFileSync(f, ch.log.map(e => JSON.stringify(e)).join('\n') + (ch.log.length ? '\n' : ''));
+    }
+    channels.set(channel, ch);
+    return ch;
+  }
+
+  function append(channel, payload) {
+    const ch = loadChannel(channel);
+    const ev = { seq: ++ch.seq, payload };
+    fs.appendFileSync(logFile(channel), JSON.stringify(ev) + '\n');
+    ch.log.push(ev);
+    if (ch.log.length > KEEP_PER_CHANNEL) ch.log.shift();
+    return ev;
+  }
+
+  function commit(consumer, channel, seq) {
+    const k = offsetKey(consumer, channel);
+    if ((offsets[k] || 0) < seq) { offsets[k] = seq; offsetsDirty = true; }
+  }
+
+  const flushTimer = setInterval(() => {
+    if (!offsetsDirty) return;
+    offsetsDirty = false;
+    fs.writeFile(offsetsFile, JSON.stringify(offsets), (e) => {
+      if (e) { offsetsDirty = true; warn('[broker] offsets write', e.message); }
+    });
+  }, OFFSETS_FLUSH_MS);
+
+  /* ───────────── connections ───────────── */
+
+  const subs = new Set(); // { sock, channel, consumer, sent }
+
+  function send(sock, obj) {
+    if (!sock.destroyed) sock.write(JSON.stringify(obj) + '\n');
+  }
+
+  function deliver(sub) {
+    const ch = loadChannel(sub.channel);
+    for (const ev of ch.log) {
+      if (ev.seq <= sub.sent) continue;
+      send(sub.sock, { op: 'msg', channel: sub.channel, consumer: sub.consumer, seq: ev.seq, payload: ev.payload });
+      sub.sent = ev.seq;
+    }
+  }
+
+  function onFrame(sock, m) {
+    if (!m || !CHAN_RX.test(m.channel || '')) {
+      return send(sock, { op: 'error', ref: m?.ref, error: 'invalid channel' });
+    }
+    if (m.op === 'pub') {
+      const ev = append(m.channel, m.payload ?? null);
+      send(sock, { op: 'ok', ref: m.ref, seq: ev.seq });
+      for (const s of subs) if (s.channel === m.channel) deliver(s);
+    } else if (m.op === 'sub') {
+      if (!m.consumer) return send(sock, { op: 'error', ref: m.ref, error: 'consumer required' });
+      const consumer = String(m.consumer);
+      const k = offsetKey(consumer, m.channel);
+      // a consumer we've never seen starts at the head, like the clickhouse transport
+      if (!(k in offsets)) { offsets[k] = loadChannel(m.channel).seq; offsetsDirty = true; }
+      const sub = { sock, channel: m.channel, consumer, sent: offsets[k] };
+      subs.add(sub);
+      debug('[broker] sub', consumer, m.channel, 'from', sub.sent);
+      deliver(sub);
+    } else if (m.op === 'dead') {
+      const seq = Number(m.seq) || 0;
+      const ev = loadChannel(m.channel).log.find(e => e.seq === seq);
+      fs.appendFileSync(deadFile, JSON.stringify({
+        consumer: String(m.consumer || ''), channel: m.channel, seq,
+        payload: ev ? ev.payload : null, attempts: Number(m.attempts) || 0,
+        error: String(m.error || ''), failed_at: new Date().toISOString(),
+      }) + '\n');
+      warn('[broker] dead letter', m.consumer, m.channel, seq);
+    } else if (m.op === 'ack') {
+      if (m.consumer) commit(String(m.consumer), m.channel, Number(m.seq) || 0);
+    } else {
+      send(sock, { op: 'error', ref: m.ref, error: `unknown op ${m.op}` });
+    }
+  }
+
+  const server = net.createServer((sock) => {
+    sock.setEncoding('utf8');
+    let buf = '';
+    sock.on('data', (chunk) => {
+      buf += chunk;
+      let i;
+      while ((i = buf.indexOf('\n')) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 1);
+        if (!line.trim()) continue;
+        try { onFrame(sock, JSON.parse(line)); }
+        catch (e) { warn('[broker] bad frame', e.message); }
+      }
+    });
+    sock.on('error', () => {});
+    sock.on('close', () => {
+      for (const s of subs) if (s.sock === sock) subs.delete(s);
+    });
+  });
+
+  if (socketPath) {
+    if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath); // stale socket from a crash
+    server.listen(socketPath, () => info('[broker] listening on', socketPath, 'dir', dir));
+  } else {
+    server.listen(port, host, () => info(`[broker] listening on ${host}:${port}`, 'dir', dir));
+  }
+
+  return {
+    server,
+    close() {
+      clearInterval(flushTimer);
+      if (offsetsDirty) fs.writeFileSync(offsetsFile, JSON.stringify(offsets));
+      server.close();
+      for (const s of subs) s.sock.destroy();
+    },
+  };
+}
@@ -0,0 +1,114 @@
+// lib/notify/broker.js
+// Client for the local broker (lib/notify/broker-server.js). One connection
+// per process, re-established with backoff; publishes are buffered until the
+// broker confirms them and subscriptions are re-sent on every reconnect, so
+// the broker replays whatever this consumer hasn't acked yet.
+import net from 'node:net';
+import { info, warn } from '../log.js';
+
+const SOCKET_PATH  = process.env.NOTIFY_BROKER_PATH || '';
+const BROKER_HOST  = process.env.NOTIFY_BROKER_HOST || '127.0.0.1';
+const BROKER_PORT  = parseInt(process.env.NOTIFY_BROKER_PORT || '7070', 10);
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '5', 10);
+
+function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
+
+let sock = null;
+let connected = false;
+let attempt = 0;
+let nextRef = 1;
+
+const pendingPubs = new Map(); // ref -> frame (until 'ok')
+const subs = new Map();        // `${consumer}/${channel}` -> { channel, consumer, onMessage, chain }
+
+function write(obj) {
+  if (connected) sock.write(JSON.stringify(obj) + '\n');
+}
+
+function onFrame(m) {
+  if (m.op === 'ok') {
+    pendingPubs.delete(m.ref);
+  } else if (m.op === 'msg') {
+    const sub = subs.get(`${m.consumer}/${m.channel}`);
+    if (!sub) return;
+    // handle strictly in order per subscription; ack only after the handler
+    sub.chain = sub.chain.then(() => handle(sub, m));
+  } else if (m.op === 'error') {
+    warn('[notify/broker] broker error', m.error);
+  }
+}
+
+async function handle(sub, m) {
+  for (let n = 1; ; n++) {
+    try {
+      await sub.onMessage(m.payload);
+      break;
+    } catch (e) {
+      if (n >= MAX_ATTEMPTS) {
+        // the broker files it in dead-letters.log before we ack past it
+        write({ op: 'dead', channel: m.channel, consumer: m.consumer, seq: m.seq, attempts: n, error: String(e.message).slice(0, 1000) });
+        warn('[notify/broker] dead-lettered event', { channel: m.channel, seq: m.seq, attempts: n }, e.message);
+        break;
+      }
+      warn('[notify/broker] handler failed, retrying', { channel: m.channel, seq: m.seq, attempt: n }, e.message);
+      await sleep(500 * n);
+    }
+  }
+  if (!sub.closed) write({ op: 'ack', channel: m.channel, consumer: m.consumer, seq: m.seq });
+}
+
+function connect() {
+  if (sock) return;
+  sock = SOCKET_PATH ? net.createConnection(SOCKET_PATH) : net.createConnection(BROKER_PORT, BROKER_HOST);
+  sock.setEncoding('utf8');
+
+  let buf = '';
+  sock.on('connect', () => {
+    connected = true;
+    attempt = 0;
+    info('[notify/broker] connected', SOCKET_PATH || `${BROKER_HOST}:${BROKER_PORT}`);
+    for (const s of subs.values()) write({ op: 'sub', channel: s.channel, consumer: s.consumer });
+    for (const f of pendingPubs.values()) write(f);
+  });
+  sock.on('data', (chunk) => {
+    buf += chunk;
+    let i;
+    while ((i = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 1);
+      if (!line.trim()) continue;
+      try { onFrame(JSON.parse(line)); }
+      catch (e) { warn('[notify/broker] bad frame', e.message); }
+    }
+  });
+  sock.on('error', (e) => {
+    if (attempt === 0) warn('[notify/broker]', e.message);
+  });
+  sock.on('close', () => {
+    connected = false;
+    sock = null;
+    const backoff = Math.min(250 * Math.pow(2, attempt++), 10_000);
+    setTimeout(connect, backoff).unref?.();
+  });
+}
+
+export async function notify(channel, payload) {
+  connect();
+  const frame = { op: 'pub', ref: nextRef++, channel, payload: payload ?? null };
+  pendingPubs.set(frame.ref, frame);
+  write(frame);
+}
+
+export async function listen(channel, onMessage, { consumer }) {
+  connect();
+  const key = `${consumer}/${channel}`;
+  if (subs.has(key)) throw new Error(`consumer "${consumer}" already listens on ${channel}`);
+  const sub = { channel, consumer, onMessage, chain: Promise.resolve(), closed: false };
+  subs.set(key, sub);
+  write({ op: 'sub', channel, consumer });
+  return {
+    close() { sub.closed = true; subs.delete(key); },
+  };
+}
+
+export default { name: 'broker', notify, listen };
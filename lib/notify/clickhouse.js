@@ -0,0 +1,131 @@
+// lib/notify/clickhouse.js
+// ClickHouse-table transport: producers INSERT into notify_events, listeners
+// poll their channel and persist a (created_at, id) cursor per consumer in
+// notify_offsets. Works across any number of processes/hosts that share the
+// database; see migrations/0009_notify_bus.sql. Events a handler keeps
+// failing on are moved to notify_dead_letters.
+import crypto from 'node:crypto';
+import { DB } from '../db.js';
+import { warn, debug } from '../log.js';
+
+const POLL_MS      = parseInt(process.env.NOTIFY_POLL_MS || '1000', 10);
+const BATCH        = parseInt(process.env.NOTIFY_POLL_BATCH || '200', 10);
+// rows become visible slightly after their server-side created_at; stay this
+// far behind now() so a late insert can't land behind an advanced cursor
+const SETTLE_MS    = parseInt(process.env.NOTIFY_SETTLE_MS || '1500', 10);
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '5', 10);
+
+function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
+
+export async function notify(channel, payload) {
+  await DB.query(
+    `INSERT INTO notify_events (channel, id, payload, created_at) VALUES ($1, $2, $3, now64(3))`,
+    [channel, crypto.randomUUID(), JSON.stringify(payload ?? null)],
+  );
+}
+
+async function deadLetter(consumer, channel, r, attempts, error) {
+  await DB.query(
+    `
+    INSERT INTO notify_dead_letters (consumer, channel, id, payload, attempts, last_error, failed_at)
+    VALUES ($1, $2, $3, $4, $5, $6, now64(3))
+  `,
+    [consumer, channel, r.id, r.payload, attempts, String(error).slice(0, 1000)],
+  );
+}
+
+async function readOffset(consumer, channel) {
+  const { rows } = await DB.query(
+    `
+    SELECT
+      toString(argMax(last_ts, updated_at)) AS last_ts,
+      argMax(last_id, updated_at)           AS last_id
+    FROM notify_offsets
+    WHERE consumer = $1 AND channel = $2
+    GROUP BY consumer, channel
+  `,
+    [consumer, channel],
+  );
+  return rows[0] || null;
+}
+
+async function writeOffset(consumer, channel, ts, id) {
+  await DB.query(
+    `
+    INSERT INTO notify_offsets (consumer, channel, last_ts, last_id, updated_at)
+    VALUES ($1, $2, toDateTime64($3, 3), $4, now64(3))
+  `,
+    [consumer, channel, ts, id],
+  );
+}
+
+/**
+ * Poll `channel` for `consumer`. A consumer that has never committed starts
+ * at the current time; afterwards it resumes exactly after its last commit,
+ * so events published while it was down are replayed on start.
+ */
+export async function listen(channel, onMessage, { consumer }) {
+  let stopped = false;
+
+  let cursor = await readOffset(consumer, channel);
+  if (!cursor) {
+    const { rows } = await DB.query(`SELECT toString(now64(3)) AS ts`);
+    cursor = { last_ts: rows[0].ts, last_id: '' };
+    await writeOffset(consumer, channel, cursor.last_ts, cursor.last_id);
+  }
+
+  const attempts = new Map(); // event id -> failed deliveries
+
+  (async function loop() {
+    while (!stopped) {
+      try {
+        const { rows } = await DB.query(
+          `
+          SELECT id, payload, toString(created_at) AS ts
+          FROM notify_events
+          WHERE channel = $1
+            AND (created_at, id) > (toDateTime64($2, 3), $3)
+            AND created_at <= now64(3) - toIntervalMillisecond(${SETTLE_MS})
+          ORDER BY created_at, id
+          LIMIT ${BATCH}
+        `,
+          [channel, cursor.last_ts, cursor.last_id],
+        );
+
+        let blocked = false;
+        for (const r of rows) {
+          if (stopped) break;
+          try {
+            await onMessage(JSON.parse(r.payload));
+          } catch (e) {
+            const n = (attempts.get(r.id) || 0) + 1;
+            if (n < MAX_ATTEMPTS) {
+              attempts.set(r.id, n);
+              warn('[notify/ch] handler failed, will redeliver', { channel, id: r.id, attempt: n }, e.message);
+              blocked = true;
+              break; // cursor stays before this event
+            }
+            // stays before the cursor (and is retried) until it is dead-lettered
+            await deadLetter(consumer, channel, r, n, e.message);
+            attempts.delete(r.id);
+            warn('[notify/ch] dead-lettered event', { channel, id: r.id, attempts: n }, e.message);
+          }
+          cursor = { last_ts: r.ts, last_id: r.id };
+          await writeOffset(consumer, channel, cursor.last_ts, cursor.last_id);
+        }
+
+        if (rows.length) debug('[notify/ch]', channel, consumer, `+${rows.length}`);
+        if (rows.length >= BATCH && !blocked) continue;
+      } catch (e) {
+        warn('[notify/ch]', channel, e.message);
+      }
+      await sleep(POLL_MS);
+    }
+  })().catch(()=>{});
+
+  return {
+    close() { stopped = true; },
+  };
+}
+
+export default { name: 'clickhouse', notify, listen };
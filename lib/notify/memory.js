@@ -0,0 +1,23 @@
+// lib/notify/memory.js
+// In-process transport: an EventEmitter. Only reaches listeners inside the
+// same Node process, nothing is persisted.
+import { EventEmitter } from 'events';
+
+// simple in-memory event bus
+const bus = new EventEmitter();
+// just in case we ever have many listeners
+bus.setMaxListeners(100);
+
+export async function notify(channel, payload) {
+  // fire and forget — handlers run asynchronously
+  bus.emit(channel, payload);
+}
+
+export async function listen(channel, onMessage) {
+  bus.on(channel, onMessage);
+  return {
+    close() { bus.off(channel, onMessage); },
+  };
+}
+
+export default { name: 'memory', notify, listen };
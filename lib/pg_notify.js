@@ -1,72 +1,109 @@
 // lib/pg_notify.js
-import { EventEmitter } from 'events';
 import { info, warn } from './log.js';
+import memory from './notify/memory.js';
+import clickhouse from './notify/clickhouse.js';
+import broker from './notify/broker.js';
 
 // allow only simple channel names (identifiers) to avoid silly mistakes
 const CHAN_RX = /^[a-z_][a-z0-9_]*$/i;
 
-// simple in-memory event bus
-const bus = new EventEmitter();
-// just in case we ever have many listeners
-bus.setMaxListeners(100);
+/**
+ * Transport behind pgNotify/pgListen, picked by NOTIFY_TRANSPORT:
+ *
+ * - memory     (default) in-process EventEmitter. Only reaches listeners in
+ *              the same Node process, nothing survives a restart.
+ * - clickhouse producers insert into notify_events, listeners poll it and
+ *              keep a per-consumer cursor in notify_offsets.
+ * - broker     local broker over a Unix socket (NOTIFY_BROKER_PATH) or TCP
+ *              (NOTIFY_BROKER_HOST/PORT); start it with bin/start-broker.js.
+ *
+ * clickhouse and broker cross process boundaries (`start:indexer` →
+ * `start:jobs`), deliver at-least-once and persist each consumer's offset,
+ * so a listener replays what it missed while it was down. Handlers must be
+ * idempotent.
+ */
+const TRANSPORTS = { memory, clickhouse, broker };
+const TRANSPORT = TRANSPORTS[(process.env.NOTIFY_TRANSPORT || 'memory').toLowerCase()];
+if (!TRANSPORT) throw new Error(`unknown NOTIFY_TRANSPORT: ${process.env.NOTIFY_TRANSPORT}`);
+
+/** Name of the active transport ('memory' | 'clickhouse' | 'broker'). */
+export function notifyTransport() {
+  return TRANSPORT.name;
+}
+
+const PUBLISH_ATTEMPTS = parseInt(process.env.NOTIFY_PUBLISH_ATTEMPTS || '5', 10);
+const PUBLISH_BACKOFF_MS = parseInt(process.env.NOTIFY_PUBLISH_BACKOFF_MS || '200', 10);
 
 /**
  * pgNotify(channel, payload)
  *
  * In the old Postgres setup this would send NOTIFY via LISTEN/NOTIFY.
- * For the ClickHouse backend we don't have Postgres, so we provide a
- * local in-process event bus.
- *
- * IMPORTANT:
- * - This works when the *notifier* and the *listener* are in the same
- *   Node process (e.g. your indexer process).
- * - If you run `start:indexer` and `start:jobs` as two separate OS
- *   processes, notifications won't cross between them with this
- *   implementation. In that case, rely on the listener started from
- *   `core/block-processor.js` (which is in the indexer process).
+ * payload must be JSON-serialisable for the cross-process transports.
+ * A failed publish is retried NOTIFY_PUBLISH_ATTEMPTS times with backoff,
+ * then the last error is thrown: the event was not published and the
+ * caller has to decide what covers it.
  */
 export async function pgNotify(channel, payload) {
   if (!CHAN_RX.test(channel)) {
     throw new Error(`invalid channel: ${channel}`);
   }
 
-  try {
-    // fire and forget — handlers run asynchronously
-    bus.emit(channel, payload);
-    info('[pgNotify]', { channel });
-  } catch (e) {
-    warn('[pgNotify error]', e.message);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await TRANSPORT.notify(channel, payload);
+      info('[pgNotify]', { channel, transport: TRANSPORT.name });
+      return;
+    } catch (e) {
+      if (attempt >= PUBLISH_ATTEMPTS) throw e;
+      warn('[pgNotify error]', channel, `attempt ${attempt}/${PUBLISH_ATTEMPTS}:`, e.message);
+      await new Promise(r => setTimeout(r, PUBLISH_BACKOFF_MS * 2 ** (attempt - 1)));
+    }
   }
 }
 
 /**
- * pgListen(channel, onMessage)
+ * pgListen(channel, onMessage, { consumer })
+ *
+ * Register an async handler for a channel. onMessage gets whatever object
+ * was passed to pgNotify. On the persistent transports an event counts as
+ * delivered once onMessage resolves; a rejection gets it redelivered, and
+ * after NOTIFY_MAX_ATTEMPTS it is dead-lettered.
  *
- * Register an async handler for a channel on the local bus.
- * onMessage gets whatever object was passed to pgNotify.
+ * `consumer` is required: offsets are tracked per (consumer, channel), so
+ * every role listening on a channel needs its own name or the roles would
+ * share (and steal each other's) cursor.
  */
-export async function pgListen(channel, onMessage) {
+export async function pgListen(channel, onMessage, { consumer } = {}) {
   if (!CHAN_RX.test(channel)) {
     throw new Error(`invalid channel: ${channel}`);
   }
+  if (!consumer) {
+    throw new Error(`pgListen(${channel}): a consumer name is required`);
+  }
 
-  const handler = (payload) => {
-    Promise.resolve(onMessage(payload)).catch((e) => {
-      warn('[pgListen handler error]', e.message);
-    });
-  };
+  let handler;
+  if (TRANSPORT === memory) {
+    // fire and forget, as before
+    handler = (payload) => {
+      Promise.resolve(onMessage(payload)).catch((e) => {
+        warn('[pgListen handler error]', e.message);
+      });
+    };
+  } else {
+    handler = onMessage;
+  }
 
-  bus.on(channel, handler);
-  info(`[pgListen] registered in-memory listener for "${channel}"`);
+  const sub = await TRANSPORT.listen(channel, handler, { consumer });
+  info(`[pgListen] registered ${TRANSPORT.name} listener for "${channel}"`, { consumer });
 
   // mimic the old Postgres client API a bit
   return {
     close() {
-      bus.off(channel, handler);
+      sub.close();
       info(`[pgListen] removed listener for "${channel}"`);
     },
     release() {
-      bus.off(channel, handler);
+      sub.close();
       info(`[pgListen] released listener for "${channel}"`);
     },
   };
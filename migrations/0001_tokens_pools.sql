@@ -0,0 +1,46 @@
+-- 0001: token + pool registry
+--
+-- token_id / pool_id are cityHash64(denom) / cityHash64(pair_contract),
+-- computed by core/tokens.js and core/pools.js. Metadata is filled later via
+-- ALTER TABLE ... UPDATE, so the mutable columns are Nullable.
+
+CREATE TABLE IF NOT EXISTS tokens (
+  token_id           UInt64,
+  denom              String,
+  type               LowCardinality(String) DEFAULT 'factory',
+  name               Nullable(String),
+  symbol             Nullable(String),
+  display            Nullable(String),
+  exponent           Nullable(Int16),
+  image_uri          Nullable(String),
+  website            Nullable(String),
+  twitter            Nullable(String),
+  telegram           Nullable(String),
+  description        Nullable(String),
+  max_supply_base    Nullable(Decimal(38, 0)),
+  total_supply_base  Nullable(Decimal(38, 0)),
+  created_at         DateTime DEFAULT now(),
+  INDEX idx_denom denom TYPE bloom_filter GRANULARITY 1
+)
+ENGINE = ReplacingMergeTree(created_at)
+ORDER BY (token_id);
+
+CREATE TABLE IF NOT EXISTS pools (
+  pool_id            UInt64,
+  pair_contract      String,
+  base_token_id      UInt64,
+  quote_token_id     UInt64,
+  lp_token_denom     Nullable(String),
+  pair_type          LowCardinality(String),
+  is_uzig_quote      UInt8 DEFAULT 0,
+  factory_contract   Nullable(String),
+  router_contract    Nullable(String),
+  created_at         Nullable(DateTime),
+  created_height     Nullable(UInt64),
+  created_tx_hash    Nullable(String),
+  signer             Nullable(String),
+  INDEX idx_pair_contract pair_contract TYPE bloom_filter GRANULARITY 1,
+  INDEX idx_base_token base_token_id TYPE minmax GRANULARITY 1
+)
+ENGINE = ReplacingMergeTree
+ORDER BY (pool_id);
@@ -0,0 +1,77 @@
+-- 0002: hot-path tables written by the block processor
+--
+-- ohlcv_1m is a plain MergeTree on purpose: core/ohlcv.js flushes partial
+-- candles per batch, so one (pool_id, bucket_start) can have several rows
+-- and readers aggregate them (min/max/sum, argMin/argMax for open/close).
+
+CREATE TABLE IF NOT EXISTS trades (
+  pool_id                     UInt64,
+  pair_contract               String,
+  action                      LowCardinality(String),
+  direction                   LowCardinality(String),
+  offer_asset_denom           String,
+  offer_amount_base           Decimal(38, 0),
+  ask_asset_denom             String,
+  ask_amount_base             Decimal(38, 0),
+  return_amount_base          Decimal(38, 0),
+  is_router                   UInt8 DEFAULT 0,
+  reserve_asset1_denom        String,
+  reserve_asset1_amount_base  Decimal(38, 0),
+  reserve_asset2_denom        String,
+  reserve_asset2_amount_base  Decimal(38, 0),
+  height                      UInt64,
+  tx_hash                     String,
+  signer                      String,
+  msg_index                   UInt32,
+  created_at                  DateTime,
+  INDEX idx_signer signer TYPE bloom_filter GRANULARITY 4,
+  INDEX idx_tx_hash tx_hash TYPE bloom_filter GRANULARITY 4,
+  INDEX idx_height height TYPE minmax GRANULARITY 1
+)
+ENGINE = MergeTree
+PARTITION BY toYYYYMM(created_at)
+ORDER BY (pool_id, created_at, tx_hash, msg_index);
+
+CREATE TABLE IF NOT EXISTS prices (
+  token_id        UInt64,
+  pool_id         UInt64,
+  price_in_zig    Float64,
+  is_pair_native  UInt8,
+  updated_at      DateTime
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (token_id, pool_id);
+
+CREATE TABLE IF NOT EXISTS price_ticks (
+  pool_id       UInt64,
+  token_id      UInt64,
+  price_in_zig  Float64,
+  ts            DateTime DEFAULT now()
+)
+ENGINE = MergeTree
+PARTITION BY toYYYYMM(ts)
+ORDER BY (pool_id, ts);
+
+CREATE TABLE IF NOT EXISTS ohlcv_1m (
+  pool_id        UInt64,
+  bucket_start   DateTime,
+  open           Decimal(38, 18),
+  high           Decimal(38, 18),
+  low            Decimal(38, 18),
+  close          Decimal(38, 18),
+  volume_zig     Decimal(38, 8) DEFAULT 0,
+  trade_count    Int32 DEFAULT 0,
+  liquidity_zig  Decimal(38, 8) DEFAULT 0
+)
+ENGINE = MergeTree
+PARTITION BY toYYYYMM(bucket_start)
+ORDER BY (pool_id, bucket_start);
+
+CREATE TABLE IF NOT EXISTS pool_state (
+  pool_id             UInt64,
+  reserve_base_base   Decimal(38, 0),
+  reserve_quote_base  Decimal(38, 0),
+  updated_at          DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (pool_id);
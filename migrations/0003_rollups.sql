@@ -0,0 +1,58 @@
+-- 0003: rollup tables rewritten by jobs/matrix-rollups.js and jobs/leaderboards.js
+--
+-- Every loop inserts a fresh row per key; ReplacingMergeTree(updated_at)
+-- collapses them to the latest one in the background.
+
+CREATE TABLE IF NOT EXISTS pool_matrix (
+  pool_id             UInt64,
+  bucket              LowCardinality(String),
+  vol_buy_quote       Float64 DEFAULT 0,
+  vol_sell_quote      Float64 DEFAULT 0,
+  vol_buy_zig         Float64 DEFAULT 0,
+  vol_sell_zig        Float64 DEFAULT 0,
+  tx_buy              UInt64 DEFAULT 0,
+  tx_sell             UInt64 DEFAULT 0,
+  unique_traders      UInt64 DEFAULT 0,
+  tvl_zig             Nullable(Float64),
+  reserve_base_disp   Nullable(Float64),
+  reserve_quote_disp  Nullable(Float64),
+  updated_at          DateTime
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (pool_id, bucket);
+
+CREATE TABLE IF NOT EXISTS token_matrix (
+  token_id      UInt64,
+  bucket        LowCardinality(String),
+  price_in_zig  Nullable(Float64),
+  mcap_zig      Nullable(Float64),
+  fdv_zig       Nullable(Float64),
+  holders       UInt64 DEFAULT 0,
+  updated_at    DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (token_id, bucket);
+
+CREATE TABLE IF NOT EXISTS leaderboard_traders (
+  bucket         LowCardinality(String),
+  address        String,
+  trades_count   UInt64,
+  volume_zig     Float64,
+  gross_pnl_zig  Float64,
+  updated_at     DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (bucket, address);
+
+CREATE TABLE IF NOT EXISTS large_trades (
+  bucket       LowCardinality(String),
+  pool_id      UInt64,
+  tx_hash      String,
+  signer       String,
+  direction    LowCardinality(String),
+  value_zig    Float64,
+  created_at   DateTime,
+  inserted_at  DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree(inserted_at)
+ORDER BY (bucket, tx_hash, pool_id, direction);
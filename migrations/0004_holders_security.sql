@@ -0,0 +1,76 @@
+-- 0004: holder snapshots, security scan and token socials
+--
+-- holders is replaced wholesale per token by jobs/holders-refresher.js
+-- (ALTER ... DELETE + INSERT); token_security is versioned by checked_at.
+
+CREATE TABLE IF NOT EXISTS holders (
+  token_id          UInt64,
+  address           String,
+  balance_base      Decimal(38, 0),
+  updated_at        DateTime,
+  last_seen_height  Nullable(UInt64)
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (token_id, address);
+
+CREATE TABLE IF NOT EXISTS token_holders_stats (
+  token_id       UInt64,
+  holders_count  Nullable(UInt64),
+  updated_at     DateTime
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (token_id);
+
+CREATE TABLE IF NOT EXISTS token_security (
+  token_id               UInt64,
+  denom                  String,
+  is_mintable            UInt8,
+  can_change_minting_cap UInt8,
+  max_supply_base        Decimal(38, 0),
+  total_supply_base      Decimal(38, 0),
+  creator_address        String,
+  creator_balance_base   Decimal(38, 0),
+  creator_pct_of_max     Float64,
+  top10_pct_of_max       Float64,
+  holders_count          UInt64,
+  first_seen_at          DateTime,
+  risk_flags             String,
+  checked_at             DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree(checked_at)
+PRIMARY KEY (token_id)
+ORDER BY (token_id);
+
+CREATE TABLE IF NOT EXISTS token_twitter (
+  token_id             UInt64,
+  handle               String,
+  user_id              Nullable(String),
+  profile_url          Nullable(String),
+  name                 Nullable(String),
+  is_blue_verified     Nullable(UInt8),
+  verified_type        Nullable(String),
+  profile_picture      Nullable(String),
+  cover_picture        Nullable(String),
+  description          Nullable(String),
+  location             Nullable(String),
+  followers            Nullable(UInt64),
+  following            Nullable(UInt64),
+  favourites_count     Nullable(UInt64),
+  statuses_count       Nullable(UInt64),
+  media_count          Nullable(UInt64),
+  can_dm               Nullable(UInt8),
+  created_at_twitter   Nullable(DateTime),
+  possibly_sensitive   Nullable(UInt8),
+  is_automated         Nullable(UInt8),
+  automated_by         Nullable(String),
+  pinned_tweet_ids     Array(String),
+  unavailable          Nullable(UInt8),
+  unavailable_message  Nullable(String),
+  unavailable_reason   Nullable(String),
+  raw                  Nullable(String),
+  last_refreshed       DateTime DEFAULT now(),
+  last_error           Nullable(String),
+  last_error_at        Nullable(DateTime)
+)
+ENGINE = ReplacingMergeTree(last_refreshed)
+ORDER BY (token_id);
@@ -0,0 +1,19 @@
+-- 0005: FX rates and indexer progress
+--
+-- index_state keeps every checkpoint write; core/checkpoint.js reads the
+-- newest row per id, so updated_at carries millisecond precision.
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  ts       DateTime,
+  zig_usd  Float64
+)
+ENGINE = ReplacingMergeTree
+ORDER BY (ts);
+
+CREATE TABLE IF NOT EXISTS index_state (
+  id           String,
+  last_height  UInt64,
+  updated_at   DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (id);
@@ -0,0 +1,47 @@
+-- 0006: wallets, watchlist and alerts (phase 3)
+
+CREATE TABLE IF NOT EXISTS wallets (
+  wallet_id     UInt64,
+  address       String,
+  display_name  Nullable(String),
+  created_at    DateTime DEFAULT now(),
+  last_seen     Nullable(DateTime),
+  last_seen_at  Nullable(DateTime)
+)
+ENGINE = ReplacingMergeTree
+ORDER BY (wallet_id);
+
+CREATE TABLE IF NOT EXISTS watchlist (
+  id          UInt64,
+  wallet_id   UInt64,
+  token_id    Nullable(UInt64),
+  pool_id     Nullable(UInt64),
+  note        Nullable(String),
+  created_at  DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree
+ORDER BY (wallet_id, id);
+
+CREATE TABLE IF NOT EXISTS alerts (
+  alert_id        UInt64,
+  wallet_id       UInt64,
+  alert_type      LowCardinality(String),
+  params          String,
+  is_active       UInt8 DEFAULT 1,
+  throttle_sec    UInt32 DEFAULT 300,
+  last_triggered  Nullable(DateTime),
+  created_at      DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree
+ORDER BY (alert_id);
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id            UUID DEFAULT generateUUIDv4(),
+  alert_id      UInt64,
+  wallet_id     UInt64,
+  kind          LowCardinality(String),
+  payload       String,
+  triggered_at  DateTime DEFAULT now()
+)
+ENGINE = MergeTree
+ORDER BY (alert_id, triggered_at);
@@ -0,0 +1,16 @@
+-- 0007: processed block headers for reorg detection
+--
+-- bin/start-indexer.js records hash + parent hash for every committed height
+-- and checks that the next block's last_block_id links to it. On a mismatch
+-- core/reorg.js walks back to the common ancestor and rolls rows above it
+-- out of trades / ohlcv_1m / pool_state / prices.
+
+CREATE TABLE IF NOT EXISTS blocks (
+  height       UInt64,
+  hash         String,
+  parent_hash  String,
+  block_time   DateTime,
+  indexed_at   DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = ReplacingMergeTree(indexed_at)
+ORDER BY (height);
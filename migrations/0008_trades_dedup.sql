@@ -0,0 +1,57 @@
+-- 0008: idempotent trades
+--
+-- The guard against duplicate trades is the height-scoped seen-set in
+-- core/trades.js: replayed heights seed it with a single read of `trades`
+-- instead of the block processor reading before every insert. On top of
+-- that, trades becomes a ReplacingMergeTree keyed on (pool_id, tx_hash,
+-- msg_index). That only collapses duplicates when parts merge, and readers
+-- don't use FINAL, so it is a backstop: duplicates are only written when two
+-- processes index the same height at once, and stay visible until merged.
+--
+-- Rebuilt via copy + EXCHANGE (needs an Atomic database, the default).
+-- Stop the indexer (and any backfill) first: trades written between the
+-- copy and the EXCHANGE would be lost. Every step is guarded on the engine
+-- of `trades`, so a run that failed half-way can simply be repeated: before
+-- the swap the copy starts over, after it only the old table is dropped.
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'trades' AND engine = 'MergeTree'
+CREATE TABLE IF NOT EXISTS trades_dedup (
+  pool_id                     UInt64,
+  pair_contract               String,
+  action                      LowCardinality(String),
+  direction                   LowCardinality(String),
+  offer_asset_denom           String,
+  offer_amount_base           Decimal(38, 0),
+  ask_asset_denom             String,
+  ask_amount_base             Decimal(38, 0),
+  return_amount_base          Decimal(38, 0),
+  is_router                   UInt8 DEFAULT 0,
+  reserve_asset1_denom        String,
+  reserve_asset1_amount_base  Decimal(38, 0),
+  reserve_asset2_denom        String,
+  reserve_asset2_amount_base  Decimal(38, 0),
+  height                      UInt64,
+  tx_hash                     String,
+  signer                      String,
+  msg_index                   UInt32,
+  created_at                  DateTime,
+  INDEX idx_signer signer TYPE bloom_filter GRANULARITY 4,
+  INDEX idx_tx_hash tx_hash TYPE bloom_filter GRANULARITY 4,
+  INDEX idx_height height TYPE minmax GRANULARITY 1,
+  INDEX idx_created_at created_at TYPE minmax GRANULARITY 1
+)
+ENGINE = ReplacingMergeTree
+PARTITION BY toYYYYMM(created_at)
+ORDER BY (pool_id, tx_hash, msg_index);
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'trades' AND engine = 'MergeTree'
+TRUNCATE TABLE trades_dedup;
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'trades' AND engine = 'MergeTree'
+INSERT INTO trades_dedup SELECT * FROM trades;
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'trades' AND engine = 'MergeTree'
+EXCHANGE TABLES trades AND trades_dedup;
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'trades' AND engine = 'ReplacingMergeTree'
+DROP TABLE IF EXISTS trades_dedup;
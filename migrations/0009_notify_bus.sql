@@ -0,0 +1,42 @@
+-- 0009: cross-process event bus (lib/pg_notify.js, NOTIFY_TRANSPORT=clickhouse)
+--
+-- Producers append to notify_events; each listener polls its channel past
+-- the (created_at, id) cursor it stored in notify_offsets and advances the
+-- cursor only after its handler finished (at-least-once). An event whose
+-- handler kept failing for NOTIFY_MAX_ATTEMPTS deliveries is copied to
+-- notify_dead_letters before the cursor moves past it, so it can be
+-- inspected and re-published instead of being dropped.
+
+CREATE TABLE IF NOT EXISTS notify_events (
+  channel     LowCardinality(String),
+  id          String,
+  payload     String,
+  created_at  DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = MergeTree
+PARTITION BY toYYYYMMDD(created_at)
+ORDER BY (channel, created_at, id)
+TTL toDateTime(created_at) + INTERVAL 7 DAY;
+
+CREATE TABLE IF NOT EXISTS notify_offsets (
+  consumer    String,
+  channel     LowCardinality(String),
+  last_ts     DateTime64(3),
+  last_id     String,
+  updated_at  DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (consumer, channel);
+
+CREATE TABLE IF NOT EXISTS notify_dead_letters (
+  consumer    String,
+  channel     LowCardinality(String),
+  id          String,
+  payload     String,
+  attempts    UInt16,
+  last_error  String,
+  failed_at   DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = MergeTree
+PARTITION BY toYYYYMM(failed_at)
+ORDER BY (channel, consumer, failed_at);
@@ -0,0 +1,10 @@
+-- 0010: on-chain fees per pool
+--
+-- jobs/pool-fees.js reads each pair's config/pair_type via lcdSmart (on
+-- pair_created and periodically) and fills these. Fractions of the swap
+-- amount, e.g. 0.003 = 0.3%; protocol_fee is the maker share of total_fee.
+-- NULL means not discovered yet (readers fall back to pairFee()).
+
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS total_fee      Nullable(Float64);
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS protocol_fee   Nullable(Float64);
+ALTER TABLE pools ADD COLUMN IF NOT EXISTS fee_updated_at Nullable(DateTime);
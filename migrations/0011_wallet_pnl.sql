@@ -0,0 +1,33 @@
+-- 0011: wallet positions / PnL (jobs/wallet-pnl.js, core/pnl.js)
+--
+-- Both come from replaying each active wallet's swaps from `trades` in
+-- height order. Amounts are in display units, values in ZIG.
+
+-- per leaderboard bucket: FIFO PnL realized inside the window plus
+-- unrealized PnL on lots bought inside it (marked at the latest price)
+CREATE TABLE IF NOT EXISTS wallet_pnl (
+  bucket              LowCardinality(String),
+  address             String,
+  realized_pnl_zig    Float64,
+  unrealized_pnl_zig  Float64,
+  updated_at          DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (bucket, address);
+
+-- replay state per wallet: its positions (FIFO lots, average cost, realized
+-- totals, recent realized events) as JSON and the last (height, msg_index)
+-- folded into them. Each run only replays swaps after that cursor, up to the
+-- indexer checkpoint; GET /wallets/:address/pnl replays the rest. A reorg
+-- rollback deletes the states whose cursor is above the common ancestor
+-- (core/reorg.js), so those wallets replay in full. After backfilling
+-- heights below existing cursors, TRUNCATE this table.
+CREATE TABLE IF NOT EXISTS wallet_pnl_state (
+  address         String,
+  last_height     UInt64,
+  last_msg_index  UInt32,
+  positions       String,
+  updated_at      DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (address);
@@ -0,0 +1,24 @@
+-- 0012: LP yield per pool (jobs/pool-yield.js)
+--
+-- fee_apr is the LP share of the pool fee (total_fee − protocol_fee) on the
+-- 24h pool_matrix volume, annualised over its TVL. il_* compare an LP
+-- position opened 7d / 30d ago against holding the two assets, from
+-- ohlcv_1m closes (constant-product formula; NULL without price history).
+
+CREATE TABLE IF NOT EXISTS pool_yield (
+  pool_id        UInt64,
+  fee            Float64,
+  lp_fee         Float64,
+  volume_24h_zig Float64,
+  fees_24h_zig   Float64,
+  tvl_zig        Nullable(Float64),
+  fee_apr_pct    Nullable(Float64),
+  price_now      Nullable(Float64),
+  price_7d       Nullable(Float64),
+  price_30d      Nullable(Float64),
+  il_7d_pct      Nullable(Float64),
+  il_30d_pct     Nullable(Float64),
+  updated_at     DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (pool_id);
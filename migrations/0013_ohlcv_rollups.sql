@@ -0,0 +1,265 @@
+-- 0013: pre-aggregated candles over ohlcv_1m
+--
+-- One AggregatingMergeTree per timeframe, fed by a materialized view on
+-- every insert into ohlcv_1m. Buckets are epoch-aligned (INTERVAL n SECOND,
+-- i.e. UTC) like getCandleSeries(). open/close keep argMin/argMax state
+-- keyed by the 1m bucket_start, so several rows of one bucket merge into
+-- the same candle; readers use argMinMerge/argMaxMerge and max/min/sum.
+--
+-- Materialized views don't see ALTER ... DELETE: core/reorg.js rebuilds the
+-- rolled-back range with rebuildOhlcvRollups() (core/ohlcv.js).
+--
+-- Existing history is backfilled before the views are created, so no minute
+-- is counted by both. Stop the indexer while this runs: minutes inserted
+-- between the backfill and the view would be missing from the rollups.
+-- Each backfill only runs into an empty table, so a failed run can be
+-- repeated.
+
+CREATE TABLE IF NOT EXISTS ohlcv_5m (
+  pool_id       UInt64,
+  bucket_start  DateTime,
+  open          AggregateFunction(argMin, Decimal(38, 18), DateTime),
+  high          SimpleAggregateFunction(max, Decimal(38, 18)),
+  low           SimpleAggregateFunction(min, Decimal(38, 18)),
+  close         AggregateFunction(argMax, Decimal(38, 18), DateTime),
+  volume_zig    SimpleAggregateFunction(sum, Decimal(38, 8)),
+  trade_count   SimpleAggregateFunction(sum, Int64)
+)
+ENGINE = AggregatingMergeTree
+PARTITION BY toYYYYMM(bucket_start)
+ORDER BY (pool_id, bucket_start);
+
+CREATE TABLE IF NOT EXISTS ohlcv_15m (
+  pool_id       UInt64,
+  bucket_start  DateTime,
+  open          AggregateFunction(argMin, Decimal(38, 18), DateTime),
+  high          SimpleAggregateFunction(max, Decimal(38, 18)),
+  low           SimpleAggregateFunction(min, Decimal(38, 18)),
+  close         AggregateFunction(argMax, Decimal(38, 18), DateTime),
+  volume_zig    SimpleAggregateFunction(sum, Decimal(38, 8)),
+  trade_count   SimpleAggregateFunction(sum, Int64)
+)
+ENGINE = AggregatingMergeTree
+PARTITION BY toYYYYMM(bucket_start)
+ORDER BY (pool_id, bucket_start);
+
+CREATE TABLE IF NOT EXISTS ohlcv_1h (
+  pool_id       UInt64,
+  bucket_start  DateTime,
+  open          AggregateFunction(argMin, Decimal(38, 18), DateTime),
+  high          SimpleAggregateFunction(max, Decimal(38, 18)),
+  low           SimpleAggregateFunction(min, Decimal(38, 18)),
+  close         AggregateFunction(argMax, Decimal(38, 18), DateTime),
+  volume_zig    SimpleAggregateFunction(sum, Decimal(38, 8)),
+  trade_count   SimpleAggregateFunction(sum, Int64)
+)
+ENGINE = AggregatingMergeTree
+PARTITION BY toYYYYMM(bucket_start)
+ORDER BY (pool_id, bucket_start);
+
+CREATE TABLE IF NOT EXISTS ohlcv_4h (
+  pool_id       UInt64,
+  bucket_start  DateTime,
+  open          AggregateFunction(argMin, Decimal(38, 18), DateTime),
+  high          SimpleAggregateFunction(max, Decimal(38, 18)),
+  low           SimpleAggregateFunction(min, Decimal(38, 18)),
+  close         AggregateFunction(argMax, Decimal(38, 18), DateTime),
+  volume_zig    SimpleAggregateFunction(sum, Decimal(38, 8)),
+  trade_count   SimpleAggregateFunction(sum, Int64)
+)
+ENGINE = AggregatingMergeTree
+PARTITION BY toYYYYMM(bucket_start)
+ORDER BY (pool_id, bucket_start);
+
+CREATE TABLE IF NOT EXISTS ohlcv_1d (
+  pool_id       UInt64,
+  bucket_start  DateTime,
+  open          AggregateFunction(argMin, Decimal(38, 18), DateTime),
+  high          SimpleAggregateFunction(max, Decimal(38, 18)),
+  low           SimpleAggregateFunction(min, Decimal(38, 18)),
+  close         AggregateFunction(argMax, Decimal(38, 18), DateTime),
+  volume_zig    SimpleAggregateFunction(sum, Decimal(38, 8)),
+  trade_count   SimpleAggregateFunction(sum, Int64)
+)
+ENGINE = AggregatingMergeTree
+PARTITION BY toYYYYMM(bucket_start)
+ORDER BY (pool_id, bucket_start);
+
+-- backfill (before the views exist, so nothing is counted twice)
+
+-- @if SELECT count() = 0 AS n FROM ohlcv_5m
+INSERT INTO ohlcv_5m
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 300 SECOND) AS bucket_start,
+  argMinState(o, ts),
+  max(h),
+  min(l),
+  argMaxState(c, ts),
+  sum(v),
+  sum(n)
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
+
+-- @if SELECT count() = 0 AS n FROM ohlcv_15m
+INSERT INTO ohlcv_15m
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 900 SECOND) AS bucket_start,
+  argMinState(o, ts),
+  max(h),
+  min(l),
+  argMaxState(c, ts),
+  sum(v),
+  sum(n)
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
+
+-- @if SELECT count() = 0 AS n FROM ohlcv_1h
+INSERT INTO ohlcv_1h
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 3600 SECOND) AS bucket_start,
+  argMinState(o, ts),
+  max(h),
+  min(l),
+  argMaxState(c, ts),
+  sum(v),
+  sum(n)
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
+
+-- @if SELECT count() = 0 AS n FROM ohlcv_4h
+INSERT INTO ohlcv_4h
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 14400 SECOND) AS bucket_start,
+  argMinState(o, ts),
+  max(h),
+  min(l),
+  argMaxState(c, ts),
+  sum(v),
+  sum(n)
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
+
+-- @if SELECT count() = 0 AS n FROM ohlcv_1d
+INSERT INTO ohlcv_1d
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 86400 SECOND) AS bucket_start,
+  argMinState(o, ts),
+  max(h),
+  min(l),
+  argMaxState(c, ts),
+  sum(v),
+  sum(n)
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
+
+-- from here on every ohlcv_1m insert feeds the rollups
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS ohlcv_5m_mv TO ohlcv_5m AS
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 300 SECOND) AS bucket_start,
+  argMinState(o, ts)  AS open,
+  max(h)              AS high,
+  min(l)              AS low,
+  argMaxState(c, ts)  AS close,
+  sum(v)              AS volume_zig,
+  sum(n)              AS trade_count
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS ohlcv_15m_mv TO ohlcv_15m AS
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 900 SECOND) AS bucket_start,
+  argMinState(o, ts)  AS open,
+  max(h)              AS high,
+  min(l)              AS low,
+  argMaxState(c, ts)  AS close,
+  sum(v)              AS volume_zig,
+  sum(n)              AS trade_count
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS ohlcv_1h_mv TO ohlcv_1h AS
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 3600 SECOND) AS bucket_start,
+  argMinState(o, ts)  AS open,
+  max(h)              AS high,
+  min(l)              AS low,
+  argMaxState(c, ts)  AS close,
+  sum(v)              AS volume_zig,
+  sum(n)              AS trade_count
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS ohlcv_4h_mv TO ohlcv_4h AS
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 14400 SECOND) AS bucket_start,
+  argMinState(o, ts)  AS open,
+  max(h)              AS high,
+  min(l)              AS low,
+  argMaxState(c, ts)  AS close,
+  sum(v)              AS volume_zig,
+  sum(n)              AS trade_count
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS ohlcv_1d_mv TO ohlcv_1d AS
+SELECT
+  pool_id,
+  toStartOfInterval(ts, INTERVAL 86400 SECOND) AS bucket_start,
+  argMinState(o, ts)  AS open,
+  max(h)              AS high,
+  min(l)              AS low,
+  argMaxState(c, ts)  AS close,
+  sum(v)              AS volume_zig,
+  sum(n)              AS trade_count
+FROM (
+  SELECT pool_id, bucket_start AS ts, open AS o, high AS h, low AS l, close AS c,
+         volume_zig AS v, toInt64(trade_count) AS n
+  FROM ohlcv_1m
+)
+GROUP BY pool_id, bucket_start;
@@ -0,0 +1,25 @@
+-- 0014: token-level 1m candles across all pools (jobs/token-ohlcv.js)
+--
+-- Each minute's price is a weighted mean over every pool whose base is the
+-- token, in ZIG per display unit (non-ZIG quotes converted with the quote's
+-- price tick as of the trade). weighting = 'tvl' (pool liquidity, last
+-- known state carried into minutes it didn't trade) or 'volume' (ZIG
+-- volume of the pools that traded that minute). Recomputed over a
+-- trailing window, so rows are replaced by (token_id, weighting, minute).
+
+CREATE TABLE IF NOT EXISTS token_ohlcv_1m (
+  token_id      UInt64,
+  weighting     LowCardinality(String),
+  bucket_start  DateTime,
+  open          Float64,
+  high          Float64,
+  low           Float64,
+  close         Float64,
+  volume_zig    Float64,
+  trade_count   UInt32,
+  pools         UInt16,
+  updated_at    DateTime DEFAULT now()
+)
+ENGINE = ReplacingMergeTree(updated_at)
+PARTITION BY toYYYYMM(bucket_start)
+ORDER BY (token_id, weighting, bucket_start);
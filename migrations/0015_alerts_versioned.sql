@@ -0,0 +1,65 @@
+-- 0015: alerts on append-only rows (core/alerts.js)
+--
+-- Nothing in the alert subsystem is updated in place any more. Editing or
+-- deleting an alert appends a new `alerts` row with the next version
+-- (is_deleted = 1 for deletes); every trigger appends an `alert_state` row.
+--
+-- `alerts` becomes a plain MergeTree ordered by (alert_id, version,
+-- updated_at): every version is kept, readers take the newest per alert_id.
+-- Two edits racing on the same alert both write the same version; readers
+-- order by (version, updated_at), so the later write wins. Existing alerts
+-- become version 1; last_triggered is kept for those rows only, its values
+-- move to alert_state.
+--
+-- The table is rebuilt via copy + EXCHANGE like 0008 (needs an Atomic
+-- database, the default). Stop the API and the alerts engine first: edits
+-- made between the copy and the EXCHANGE would be lost. Every step is
+-- guarded on the engine of `alerts`, so a failed run can be repeated.
+
+CREATE TABLE IF NOT EXISTS alert_state (
+  alert_id        UInt64,
+  last_triggered  Nullable(DateTime),
+  trigger_count   UInt64 DEFAULT 0,
+  updated_at      DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (alert_id);
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'alerts' AND engine = 'ReplacingMergeTree'
+INSERT INTO alert_state (alert_id, last_triggered, trigger_count, updated_at)
+SELECT alert_id, max(last_triggered), 0, now64(3)
+FROM alerts
+WHERE last_triggered IS NOT NULL
+GROUP BY alert_id;
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'alerts' AND engine = 'ReplacingMergeTree'
+CREATE TABLE IF NOT EXISTS alerts_versioned (
+  alert_id        UInt64,
+  wallet_id       UInt64,
+  alert_type      LowCardinality(String),
+  params          String,
+  is_active       UInt8 DEFAULT 1,
+  is_deleted      UInt8 DEFAULT 0,
+  throttle_sec    UInt32 DEFAULT 300,
+  last_triggered  Nullable(DateTime),
+  version         UInt32 DEFAULT 1,
+  created_at      DateTime DEFAULT now(),
+  updated_at      DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = MergeTree
+ORDER BY (alert_id, version, updated_at);
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'alerts' AND engine = 'ReplacingMergeTree'
+TRUNCATE TABLE alerts_versioned;
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'alerts' AND engine = 'ReplacingMergeTree'
+INSERT INTO alerts_versioned
+  (alert_id, wallet_id, alert_type, params, is_active, is_deleted, throttle_sec, last_triggered, version, created_at, updated_at)
+SELECT alert_id, wallet_id, alert_type, params, is_active, 0, throttle_sec, last_triggered, 1, created_at, now64(3)
+FROM alerts FINAL;
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'alerts' AND engine = 'ReplacingMergeTree'
+EXCHANGE TABLES alerts AND alerts_versioned;
+
+-- @if SELECT count() AS n FROM system.tables WHERE database = currentDatabase() AND name = 'alerts' AND engine = 'MergeTree'
+DROP TABLE IF EXISTS alerts_versioned;
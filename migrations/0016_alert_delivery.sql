@@ -0,0 +1,63 @@
+-- 0016: alert delivery (core/alert-delivery.js, jobs/alert-delivery.js)
+--
+-- alerts.channels holds the per-alert channel list (JSON array, validated
+-- by core/alert-rules.js). Each trigger enqueues one alert_deliveries row per
+-- channel; every attempt appends the next state of that delivery (pending →
+-- sent, or pending with a later next_attempt_at), newest updated_at wins.
+-- Rows only reference their channel: `target` is its readable address and
+-- `config` the channel with credentials masked. The sender finds the channel
+-- on the alert by (channel, target) when it sends, so a delivery whose
+-- channel was removed or whose alert was deleted meanwhile is dead-lettered
+-- instead of sent. Deliveries that run out of attempts are copied to
+-- alert_dead_letters.
+--
+-- Email and Telegram channels without their own bot_token are sent with the
+-- operator's SMTP account and TELEGRAM_BOT_TOKEN. A wallet may only use them
+-- once the operator has enabled operator_channels for it in
+-- wallet_alert_settings (`node bin/alert-access.js allow <walletId>`); the API
+-- refuses such channels otherwise and the sender dead-letters them. Newest
+-- updated_at wins per wallet_id.
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS channels String DEFAULT '[]';
+
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+  delivery_id      String,
+  event_id         String,
+  alert_id         UInt64,
+  channel          LowCardinality(String),
+  target           String,
+  config           String,
+  message          String,
+  status           LowCardinality(String),
+  attempts         UInt16,
+  next_attempt_at  DateTime,
+  last_error       String DEFAULT '',
+  created_at       DateTime,
+  updated_at       DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = ReplacingMergeTree(updated_at)
+PARTITION BY toYYYYMM(created_at)
+ORDER BY (delivery_id);
+
+CREATE TABLE IF NOT EXISTS alert_dead_letters (
+  delivery_id  String,
+  event_id     String,
+  alert_id     UInt64,
+  channel      LowCardinality(String),
+  target       String,
+  message      String,
+  attempts     UInt16,
+  last_error   String,
+  failed_at    DateTime DEFAULT now()
+)
+ENGINE = MergeTree
+PARTITION BY toYYYYMM(failed_at)
+ORDER BY (alert_id, failed_at);
+
+CREATE TABLE IF NOT EXISTS wallet_alert_settings (
+  wallet_id          UInt64,
+  operator_channels  UInt8 DEFAULT 0,
+  updated_at         DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (wallet_id);
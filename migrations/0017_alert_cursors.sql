@@ -0,0 +1,16 @@
+-- 0017: per-alert trade cursors (jobs/alerts.js)
+--
+-- Trade-driven alerts (wallet_trade, large_trade, tvl_change) are evaluated
+-- over the heights between their cursor and the newest committed height, then
+-- the cursor moves forward, so each trade is looked at once per alert.
+-- last_trade is the "tx_hash:msg_index" of the newest matching trade at the
+-- last trigger (informational). Newest updated_at wins per alert_id.
+
+CREATE TABLE IF NOT EXISTS alert_cursors (
+  alert_id     UInt64,
+  last_height  UInt64,
+  last_trade   String DEFAULT '',
+  updated_at   DateTime64(3) DEFAULT now64(3)
+)
+ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (alert_id);
@@ -0,0 +1,7 @@
+-- 0018: evaluator state on alert_cursors (jobs/alerts.js)
+--
+-- Alerts that fire on a change rather than a level (holder_concentration
+-- crossing its threshold, security_change flag flips) keep what they saw
+-- last as JSON in `state`; the next evaluation compares against it.
+
+ALTER TABLE alert_cursors ADD COLUMN IF NOT EXISTS state String DEFAULT '';
@@ -0,0 +1,27 @@
+// test/alert-delivery.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deliveryChannel } from '../core/alert-delivery.js';
+
+const alert = {
+  alert_id: '1',
+  wallet_id: '2',
+  channels: [
+    { type: 'webhook', url: 'https://example.com/a', secret: 's' },
+    { type: 'telegram', chat_id: '42', bot_token: '1:abc' },
+  ],
+};
+
+test('deliveryChannel finds the queued channel with its credentials', () => {
+  assert.deepEqual(
+    deliveryChannel(alert, { channel: 'webhook', target: 'https://example.com/a' }),
+    { type: 'webhook', url: 'https://example.com/a', secret: 's' },
+  );
+  assert.equal(deliveryChannel(alert, { channel: 'telegram', target: '42' }).bot_token, '1:abc');
+});
+
+test('deliveryChannel is null once the channel or the alert is gone', () => {
+  assert.equal(deliveryChannel(alert, { channel: 'webhook', target: 'https://example.com/b' }), null);
+  assert.equal(deliveryChannel(alert, { channel: 'email', target: 'https://example.com/a' }), null);
+  assert.equal(deliveryChannel(null, { channel: 'webhook', target: 'https://example.com/a' }), null);
+});
@@ -0,0 +1,305 @@
+// test/alert-evaluators.test.js
+// Evaluators against fixture rows: DB.query is replaced by a queue of the
+// rows each query would return, so these cover the decision logic on top of
+// the SQL, not the SQL itself.
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DB } from '../lib/db.js';
+import { validateRule } from '../core/alert-rules.js';
+import { EVALUATORS, evalAlert, evaluateTrades } from '../jobs/alerts.js';
+
+/** Answer the next DB.query calls with `results` (row arrays), in order. */
+function withRows(...results) {
+  return mock.method(DB, 'query', async () => ({ rows: results.shift() ?? [] }));
+}
+
+function rule(type, params) {
+  const { rule: r, errors } = validateRule(type, params);
+  assert.deepEqual(errors, []);
+  return r;
+}
+
+const run = (type, params, ctx = {}) => EVALUATORS[type](rule(type, params), ctx);
+const range = { fromHeight: 100, toHeight: 110 };
+
+afterEach(() => mock.restoreAll());
+
+describe('price_cross', () => {
+  const prices = [
+    { pool_id: '3', token_id: '7', price_in_zig: 0.8, is_pair_native: true },
+    { pool_id: '4', token_id: '7', price_in_zig: 2, is_pair_native: false },
+  ];
+
+  test('fires on the announced price of the pool', async () => {
+    const res = await run('price_cross', { pool_id: 4, above: 1.5 }, { prices });
+    assert.equal(res.kind, 'price_cross');
+    assert.deepEqual([res.payload.price_in_zig, res.payload.side], [2, 'above']);
+  });
+
+  test('uses the uzig-quoted pool for a token and stays quiet inside the band', async () => {
+    assert.equal(await run('price_cross', { token_id: 7, above: 1, below: 0.5 }, { prices }), null);
+    const res = await run('price_cross', { token_id: 7, below: 0.9 }, { prices });
+    assert.deepEqual([res.payload.price_in_zig, res.payload.side], [0.8, 'below']);
+  });
+
+  test('reads the latest stored price on a sweep', async () => {
+    const q = withRows([{ px: '0.25' }]);
+    const res = await run('price_cross', { pool_id: 3, below: 0.3 });
+    assert.equal(res.payload.price_in_zig, 0.25);
+    assert.deepEqual(q.mock.calls[0].arguments[1], ['3']);
+  });
+
+  test('ignores pools without a price', async () => {
+    withRows([{ px: 0 }]);
+    assert.equal(await run('price_cross', { pool_id: 3, below: 1 }), null);
+  });
+});
+
+describe('wallet_trade', () => {
+  const ADDR = 'zig1qyqszqgpqyqszqgpqyqszqgpqyqszqgpjnp7du';
+
+  test('counts the wallet trades in the height range', async () => {
+    const q = withRows([{ c: '2', last_at: '2026-01-01 00:00:00', last_trade: 'AB:1' }]);
+    const res = await run('wallet_trade', { address: ADDR, direction: 'sell' }, { range });
+    assert.deepEqual(
+      [res.kind, res.payload.count, res.payload.last_trade],
+      ['wallet_trade', 2, 'AB:1'],
+    );
+    assert.deepEqual(q.mock.calls[0].arguments[1], [ADDR, 110, 100, 'sell']);
+  });
+
+  test('bounds a first evaluation by since_min', async () => {
+    const q = withRows([{ c: 0 }]);
+    const res = await run('wallet_trade', { address: ADDR, since_min: 30 }, { range: { fromHeight: null, toHeight: 110 } });
+    assert.equal(res, null);
+    assert.deepEqual(q.mock.calls[0].arguments[1], [ADDR, 110, 30]);
+  });
+});
+
+describe('large_trade', () => {
+  test('fires with the largest trade', async () => {
+    const q = withRows([{ c: 3, max_zig: '12500.5', top_trade: 'CD:0' }]);
+    const res = await run('large_trade', { pool_id: 2, min_zig: 10000 }, { range });
+    assert.deepEqual([res.payload.count, res.payload.max_zig, res.payload.last_trade], [3, 12500.5, 'CD:0']);
+    assert.equal(q.mock.calls[0].arguments[1].at(-1), 10000);
+  });
+
+  test('stays quiet without matching swaps', async () => {
+    withRows([{ c: 0, max_zig: 0, top_trade: '' }]);
+    assert.equal(await run('large_trade', {}, { range }), null);
+  });
+});
+
+describe('tvl_change', () => {
+  test('fires when liquidity moved by delta_pct', async () => {
+    withRows([{ tvl_now: 80, tvl_past: 100, n_past: 4 }]);
+    const res = await run('tvl_change', { pool_id: 9, delta_pct: 15 }, { range });
+    assert.equal(res.payload.delta_pct, -20);
+  });
+
+  test('stays quiet below delta_pct or without history', async () => {
+    withRows([{ tvl_now: 105, tvl_past: 100, n_past: 4 }], [{ tvl_now: 500, tvl_past: 0, n_past: 0 }]);
+    assert.equal(await run('tvl_change', { pool_id: 9 }, { range }), null);
+    assert.equal(await run('tvl_change', { pool_id: 9 }, { range }), null);
+  });
+
+  test('takes reserves from swaps only, within a bounded lookback', async () => {
+    // pool trades, oldest first; provide/withdraw rows carry the LP's own amounts
+    const trades = [
+      { action: 'swap', min_ago: 120, quote: 1000 },
+      { action: 'swap', min_ago: 30, quote: 1020 },
+      { action: 'provide', min_ago: 5, quote: 50 },
+      { action: 'withdraw', min_ago: 1, quote: 3000 },
+    ];
+    // the aggregate of the query over the rows its WHERE keeps
+    const q = mock.method(DB, 'query', async (sql, [, windowMin]) => {
+      const kept = /t\.action = 'swap'/.test(sql) ? trades.filter(t => t.action === 'swap') : trades;
+      const past = kept.filter(t => t.min_ago >= windowMin);
+      return { rows: [{ tvl_now: 2 * kept.at(-1).quote, tvl_past: 2 * (past.at(-1)?.quote ?? 0), n_past: past.length }] };
+    });
+
+    assert.equal(await run('tvl_change', { pool_id: 9 }, { range }), null);
+    assert.match(q.mock.calls[0].arguments[0], /t\.created_at >= now\(\) - toIntervalMinute\(toUInt32\(\$2\) \+ 1440\)/);
+  });
+});
+
+describe('liquidity_withdraw', () => {
+  test('reports withdrawals once each, largest first', async () => {
+    const w = (tx, pct) => ({
+      pool_id: 5, tx_hash: tx, msg_index: 0, signer: 'zig1lp', pct, withdrawn_quote_base: pct * 10, reserve_quote_base: 1000,
+    });
+    withRows([w('AA', 60), w('BB', 35), w('AA', 60)]);
+    const res = await run('liquidity_withdraw', { pool_id: 5, min_pct: 30 }, { range });
+    assert.equal(res.payload.count, 2);
+    assert.equal(res.payload.max_pct, 60);
+    assert.deepEqual(res.payload.withdrawals.map(x => x.tx_hash), ['AA', 'BB']);
+    assert.equal(res.payload.last_trade, 'AA:0');
+  });
+
+  test('stays quiet without withdrawals', async () => {
+    withRows([]);
+    assert.equal(await run('liquidity_withdraw', { token_id: 4 }, { range }), null);
+  });
+});
+
+describe('new_pool', () => {
+  test('lists the new pools and remembers the last creation tx', async () => {
+    const q = withRows([
+      { pool_id: 10, pair_contract: 'zig1pairA', base_token_id: 12, quote_token_id: 1, created_height: 101, created_tx_hash: 'T1', creator: 'zig1me' },
+      { pool_id: 11, pair_contract: 'zig1pairB', base_token_id: 3, quote_token_id: 12, created_height: 108, created_tx_hash: 'T2', creator: 'zig1me' },
+    ]);
+    const res = await run('new_pool', { token_id: 12 }, { range });
+    assert.equal(res.payload.count, 2);
+    assert.deepEqual(res.payload.pools.map(p => p.pool_id), ['10', '11']);
+    assert.equal(res.payload.last_trade, 'T2');
+    assert.deepEqual(q.mock.calls[0].arguments[1], ['12', 110, 100]);
+  });
+
+  test('stays quiet without new pools', async () => {
+    withRows([]);
+    assert.equal(await run('new_pool', { token_id: 12 }, { range }), null);
+  });
+});
+
+describe('holder_concentration', () => {
+  const rows = (top10) => [{ top10_base: top10, supply_base: 1000 }];
+
+  test('first evaluation only records the side', async () => {
+    withRows(rows(600));
+    const res = await run('holder_concentration', { token_id: 2 }, { state: null });
+    assert.deepEqual(res, { triggered: false, state: { side: 'above', top10_pct: 60 } });
+  });
+
+  test('fires when crossing in the watched direction', async () => {
+    withRows(rows(600), rows(300));
+    const up = await run('holder_concentration', { token_id: 2 }, { state: { side: 'below', top10_pct: 40 } });
+    assert.equal(up.triggered, true);
+    assert.deepEqual([up.payload.side, up.payload.prev_top10_pct], ['above', 40]);
+
+    const down = await run('holder_concentration', { token_id: 2 }, { state: { side: 'above', top10_pct: 60 } });
+    assert.deepEqual(down, { triggered: false, state: { side: 'below', top10_pct: 30 } });
+  });
+});
+
+describe('security_change', () => {
+  const rows = (flags) => [{ flags: JSON.stringify(flags), checked: '2026-01-01 00:00:00' }];
+
+  test('first evaluation only records the flags', async () => {
+    withRows(rows({ mintable: true }));
+    const res = await run('security_change', { token_id: 5 }, { state: null });
+    assert.deepEqual(res, { triggered: false, state: { flags: { mintable: true } } });
+  });
+
+  test('fires on flipped flags', async () => {
+    withRows(rows({ mintable: false, blacklist: true }), rows({ mintable: true }));
+    const res = await run('security_change', { token_id: 5 }, { state: { flags: { mintable: true } } });
+    assert.deepEqual(res.payload.changes, [
+      { flag: 'mintable', from: true, to: false },
+      { flag: 'blacklist', from: false, to: true },
+    ]);
+    assert.equal(
+      (await run('security_change', { token_id: 5 }, { state: { flags: { mintable: true } } })).triggered,
+      false,
+    );
+  });
+});
+
+describe('price_change_pct', () => {
+  const rows = (then, now) => [{ px_then: then, n_then: 1, px_now: now }];
+
+  test('fires once, then re-arms after the move clears', async () => {
+    withRows(rows(1, 1.2), rows(1, 1.25), rows(1, 1.05), rows(1, 1.3));
+    const p = { pool_id: 3, change_pct: 10, direction: 'up' };
+
+    const first = await run('price_change_pct', p, { state: null });
+    assert.deepEqual([first.triggered, first.payload.change_pct, first.state], [true, 20, { armed: false }]);
+    assert.deepEqual(await run('price_change_pct', p, { state: first.state }), { triggered: false, state: { armed: false } });
+    assert.deepEqual(await run('price_change_pct', p, { state: first.state }), { triggered: false, state: { armed: true } });
+    assert.equal((await run('price_change_pct', p, { state: { armed: true } })).triggered, true);
+  });
+
+  test('honours direction', async () => {
+    withRows(rows(1, 0.8));
+    assert.equal((await run('price_change_pct', { pool_id: 3, direction: 'up' }, { state: null })).triggered, false);
+  });
+
+  test('needs a close before the window', async () => {
+    withRows([{ px_then: 0, n_then: 0, px_now: 1 }]);
+    assert.equal(await run('price_change_pct', { token_id: 3 }, { state: null }), null);
+  });
+});
+
+describe('volume_spike', () => {
+  test('fires on a multiple of the baseline average, then re-arms', async () => {
+    // 60m window, 1440m baseline: average window = vol_base / 24
+    withRows([{ vol_now: 400, vol_base: 2400 }], [{ vol_now: 150, vol_base: 2400 }]);
+    const p = { pool_id: 6, multiple: 3 };
+    const res = await run('volume_spike', p, { state: null });
+    assert.deepEqual([res.triggered, res.payload.ratio, res.payload.baseline_avg_zig], [true, 4, 100]);
+    assert.deepEqual(await run('volume_spike', p, { state: res.state }), { triggered: false, state: { armed: true } });
+  });
+
+  test('respects min_volume_zig and keeps state without a baseline', async () => {
+    withRows([{ vol_now: 40, vol_base: 240 }], [{ vol_now: 40, vol_base: 0 }]);
+    assert.equal((await run('volume_spike', { pool_id: 6, min_volume_zig: 100 }, { state: null })).triggered, false);
+    assert.deepEqual(await run('volume_spike', { pool_id: 6 }, { state: { armed: false } }), { triggered: false, state: { armed: false } });
+  });
+});
+
+describe('evalAlert', () => {
+  const alert = (over = {}) => ({
+    alert_id: '1', alert_type: 'tvl_change', params: { pool_id: '9' }, throttle_sec: 300, last_triggered: null, ...over,
+  });
+
+  test('evaluates with the re-validated rule', async () => {
+    withRows([{ tvl_now: 150, tvl_past: 100, n_past: 1 }]);
+    assert.equal((await evalAlert(alert(), { range })).payload.params.delta_pct, 10);
+  });
+
+  test('skips rows with invalid params', async () => {
+    const q = withRows();
+    assert.equal(await evalAlert(alert({ params: { pool_id: 'x' } }), { range }), null);
+    assert.equal(q.mock.callCount(), 0);
+  });
+
+  test('keeps evaluating while throttled and only drops the trigger', async () => {
+    const spike = alert({
+      alert_type: 'volume_spike',
+      params: { pool_id: '6', multiple: 3 },
+      last_triggered: new Date(Date.now() - 60_000).toISOString().slice(0, 19).replace('T', ' '),
+    });
+    withRows([{ vol_now: 100, vol_base: 2400 }], [{ vol_now: 400, vol_base: 2400 }], [{ vol_now: 400, vol_base: 2400 }]);
+
+    // cleared inside the throttle window: re-arms
+    const cleared = await evalAlert(spike, { range, state: { armed: false } });
+    assert.deepEqual(cleared, { triggered: false, state: { armed: true } });
+    // recurs inside the window: no trigger, still armed
+    assert.deepEqual(await evalAlert(spike, { range, state: cleared.state }), { triggered: false, state: { armed: true } });
+    // window over: fires
+    assert.equal((await evalAlert({ ...spike, last_triggered: null }, { range, state: cleared.state })).triggered, true);
+  });
+});
+
+describe('evaluateTrades', () => {
+  const row = (id, type, params) => ({
+    alert_id: id, wallet_id: '2', alert_type: type, params: JSON.stringify(params), channels: '[]',
+    is_active: 1, is_deleted: 0, throttle_sec: 0, created_at: '2026-01-01 00:00:00', latest_version: 1,
+    last_triggered: null, trigger_count: 0,
+  });
+
+  test('writes the cursor of a fired alert before evaluating the next one', async () => {
+    const log = [];
+    mock.method(DB, 'query', async (sql, args) => {
+      if (/FROM alerts AS a/.test(sql)) return { rows: [row('1', 'large_trade', {}), row('2', 'tvl_change', { pool_id: 9 })] };
+      if (/FROM alert_cursors/.test(sql)) return { rows: [] };
+      if (/INSERT INTO (\w+)/.test(sql)) { log.push([sql.match(/INSERT INTO (\w+)/)[1], args]); return { rows: [] }; }
+      if (/value_zig/.test(sql)) return { rows: [{ c: 1, max_zig: 5000, top_trade: 'EF:2' }] };
+      log.push(['tvl query']);
+      throw new Error('boom');
+    });
+
+    assert.equal(await evaluateTrades({ toHeight: 110 }), 1);
+    assert.deepEqual(log.map(x => x[0]), ['alert_events', 'alert_state', 'alert_cursors', 'tvl query']);
+    assert.deepEqual(log[2][1].slice(0, 3), ['1', 110, 'EF:2']);
+  });
+});
@@ -0,0 +1,159 @@
+// test/alert-rules.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ALERT_TYPES, validateRule, validateChannels, redactChannels, usesOperatorCredentials,
+} from '../core/alert-rules.js';
+
+const ADDR = 'zig1qyqszqgpqyqszqgpqyqszqgpqyqszqgpjnp7du';
+
+// per type: a minimal valid rule with the normalized result, and invalid params
+const CASES = {
+  price_cross: {
+    valid: [[{ token_id: 7, above: '0.5' }, { token_id: '7', above: 0.5 }]],
+    invalid: [
+      [{ above: 1 }, 'token_id or pool_id is required'],
+      [{ pool_id: '3' }, 'above or below is required'],
+      [{ pool_id: 'abc', below: 1 }, 'pool_id: must be a numeric id'],
+      [{ pool_id: 3, below: -1 }, 'below: must be >= 0'],
+    ],
+  },
+  wallet_trade: {
+    valid: [[{ address: ADDR, direction: 'BUY' }, { address: ADDR, direction: 'buy', since_min: 10 }]],
+    invalid: [
+      [{}, 'address: required'],
+      [{ address: 'not-an-address' }, 'address: must be an account address'],
+      [{ address: ADDR, direction: 'hodl' }, 'direction: must be one of buy, sell, provide, withdraw'],
+      [{ address: ADDR, since_min: 1441 }, 'since_min: must be <= 1440'],
+    ],
+  },
+  large_trade: {
+    valid: [[{ pool_id: 1, min_zig: 5000 }, { pool_id: '1', min_zig: 5000, since_min: 10 }]],
+    invalid: [
+      [{ min_zig: 'lots' }, 'min_zig: must be a number'],
+      [{ since_min: 2.5 }, 'since_min: must be an integer'],
+    ],
+  },
+  tvl_change: {
+    valid: [[{ pool_id: 9 }, { pool_id: '9', window_min: 60, delta_pct: 10 }]],
+    invalid: [
+      [{ delta_pct: 5 }, 'pool_id: required'],
+      [{ pool_id: 9, delta_pct: 0 }, 'delta_pct: must be >= 0.01'],
+    ],
+  },
+  liquidity_withdraw: {
+    valid: [[{ token_id: 4, min_pct: 50 }, { token_id: '4', min_pct: 50, since_min: 10 }]],
+    invalid: [
+      [{ min_pct: 50 }, 'token_id or pool_id is required'],
+      [{ pool_id: 4, min_pct: 101 }, 'min_pct: must be <= 100'],
+    ],
+  },
+  new_pool: {
+    valid: [[{ token_id: '12' }, { token_id: '12', since_min: 60 }]],
+    invalid: [[{}, 'token_id: required']],
+  },
+  holder_concentration: {
+    valid: [[{ token_id: 2, threshold_pct: 40 }, { token_id: '2', threshold_pct: 40, direction: 'up' }]],
+    invalid: [
+      [{ token_id: 2, direction: 'sideways' }, 'direction: must be one of up, down, both'],
+      [{ token_id: 2, threshold_pct: true }, 'threshold_pct: must be a number'],
+    ],
+  },
+  security_change: {
+    valid: [[{ token_id: 5 }, { token_id: '5' }]],
+    invalid: [[{ token_id: 5, flags: ['mint'] }, 'flags: unknown field for security_change']],
+  },
+  price_change_pct: {
+    valid: [[
+      { pool_id: 3, change_pct: 15 },
+      { pool_id: '3', window_min: 60, change_pct: 15, direction: 'both' },
+    ]],
+    invalid: [
+      [{ change_pct: 15 }, 'token_id or pool_id is required'],
+      [{ pool_id: 3, window_min: 0 }, 'window_min: must be >= 1'],
+    ],
+  },
+  volume_spike: {
+    valid: [[
+      { token_id: 8, multiple: 4 },
+      { token_id: '8', window_min: 60, baseline_min: 1440, multiple: 4, min_volume_zig: 0 },
+    ]],
+    invalid: [
+      [{ token_id: 8, window_min: 120, baseline_min: 90 }, 'baseline_min must be >= window_min'],
+      [{ token_id: 8, multiple: 1 }, 'multiple: must be >= 1.1'],
+    ],
+  },
+};
+
+describe('validateRule', () => {
+  test('covers every alert type', () => {
+    assert.deepEqual(Object.keys(CASES).sort(), [...ALERT_TYPES].sort());
+  });
+
+  for (const [type, { valid, invalid }] of Object.entries(CASES)) {
+    test(`${type}: normalizes valid params`, () => {
+      for (const [params, rule] of valid) {
+        assert.deepEqual(validateRule(type, params), { rule, errors: [] });
+        assert.deepEqual(validateRule(type, JSON.stringify(params)).rule, rule);
+      }
+    });
+
+    test(`${type}: rejects invalid params`, () => {
+      for (const [params, error] of invalid) {
+        const res = validateRule(type, params);
+        assert.equal(res.rule, null);
+        assert.ok(res.errors.includes(error), `${JSON.stringify(params)} → ${res.errors.join('; ')}`);
+      }
+    });
+  }
+
+  test('rejects unknown types and non-object params', () => {
+    assert.match(validateRule('moon', {}).errors[0], /unknown alert type 'moon'/);
+    assert.deepEqual(validateRule('new_pool', '[1]').errors, ['params must be a JSON object']);
+    assert.deepEqual(validateRule('new_pool', 'nope').errors, ['params must be a JSON object']);
+  });
+});
+
+describe('validateChannels', () => {
+  test('normalizes each channel type', () => {
+    const { channels, errors } = validateChannels([
+      { type: 'webhook', url: 'https://example.com/hook', secret: 's3cret' },
+      { type: 'telegram', chat_id: ' -100123 ' },
+      { type: 'email', to: 'ops@example.com' },
+    ]);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(channels, [
+      { type: 'webhook', url: 'https://example.com/hook', secret: 's3cret' },
+      { type: 'telegram', chat_id: '-100123' },
+      { type: 'email', to: 'ops@example.com' },
+    ]);
+  });
+
+  test('reports invalid channels by index', () => {
+    const { channels, errors } = validateChannels([
+      { type: 'webhook', url: 'ftp://example.com' },
+      { type: 'telegram', chat_id: 'me' },
+      { type: 'sms', to: '123' },
+    ]);
+    assert.equal(channels, null);
+    assert.deepEqual(errors, [
+      'channels[0]: url must be an http(s) URL',
+      'channels[1]: chat_id must be a numeric id or @channel',
+      'channels[2]: type must be one of webhook, telegram, email',
+    ]);
+  });
+
+  test('flags channels sent with operator credentials', () => {
+    assert.equal(usesOperatorCredentials({ type: 'email', to: 'ops@example.com' }), true);
+    assert.equal(usesOperatorCredentials({ type: 'telegram', chat_id: '1' }), true);
+    assert.equal(usesOperatorCredentials({ type: 'telegram', chat_id: '1', bot_token: '1:x' }), false);
+    assert.equal(usesOperatorCredentials({ type: 'webhook', url: 'https://example.com' }), false);
+  });
+
+  test('redacts credentials', () => {
+    assert.deepEqual(
+      redactChannels([{ type: 'webhook', url: 'https://example.com', secret: 'x' }]),
+      [{ type: 'webhook', url: 'https://example.com', secret: '***' }],
+    );
+  });
+});
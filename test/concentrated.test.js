@@ -0,0 +1,70 @@
+// test/concentrated.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulatePCL } from '../core/concentrated.js';
+import { simulatePool, simulateXYK } from '../core/swap-sim.js';
+
+const params = {
+  assets: ['uzig', 'coin.tkn'],
+  amp: 10,
+  gamma: 0.000145,
+  midFee: 0.0026,
+  outFee: 0.0045,
+  feeGamma: 0.00023,
+  priceScale: 1,
+};
+
+const close = (a, b, rel = 1e-6) => assert.ok(Math.abs(a - b) <= Math.abs(b) * rel, `${a} ≉ ${b}`);
+
+test('simulatePCL charges mid_fee on a small swap in a balanced pool', () => {
+  const r = simulatePCL({ amountIn: 1, reserveIn: 1e6, reserveOut: 1e6, inIndex: 0, params });
+  close(r.mid, 1);
+  close(r.fee, params.midFee, 1e-3);
+  close(r.out, 1 - params.midFee, 1e-3);
+  assert.ok(r.impact > 0 && r.impact < 0.01);
+});
+
+test('simulatePCL impact and fee grow with size, output stays below the reserve', () => {
+  const run = (amountIn) => simulatePCL({ amountIn, reserveIn: 1e6, reserveOut: 1e6, inIndex: 0, params });
+  const small = run(1e3);
+  const large = run(5e5);
+  assert.ok(large.impact > small.impact);
+  assert.ok(large.fee > small.fee && large.fee <= params.outFee);
+  assert.ok(large.out < 1e6);
+  assert.ok(large.exec < small.exec);
+});
+
+test('simulatePCL is symmetric in the asset order and applies price_scale', () => {
+  const a = simulatePCL({ amountIn: 100, reserveIn: 1e6, reserveOut: 1e6, inIndex: 0, params });
+  const b = simulatePCL({ amountIn: 100, reserveIn: 1e6, reserveOut: 1e6, inIndex: 1, params });
+  close(a.out, b.out, 1e-9);
+
+  // token worth 2 ZIG: balanced at 2e6 ZIG vs 1e6 tokens
+  const scaled = { ...params, priceScale: 2 };
+  const buy = simulatePCL({ amountIn: 2, reserveIn: 2e6, reserveOut: 1e6, inIndex: 0, params: scaled });
+  close(buy.mid, 0.5, 1e-5);
+});
+
+test('simulatePCL returns zeros without reserves, input or params', () => {
+  const zero = { out: 0, feeAmount: 0, fee: 0, mid: 0, exec: 0, impact: 0 };
+  assert.deepEqual(simulatePCL({ amountIn: 1, reserveIn: 0, reserveOut: 1, inIndex: 0, params }), zero);
+  assert.deepEqual(simulatePCL({ amountIn: 0, reserveIn: 1, reserveOut: 1, inIndex: 0, params }), zero);
+  assert.deepEqual(simulatePCL({ amountIn: 1, reserveIn: 1, reserveOut: 1, inIndex: 0, params: null }), zero);
+});
+
+test('simulatePool uses PCL math when params are loaded, XYK otherwise', () => {
+  const pool = { pairType: 'concentrated', baseDenom: 'coin.tkn', zigReserve: 1e6, tokenReserve: 1e6, totalFee: null };
+
+  const pcl = simulatePool({ ...pool, pcl: params }, { fromIsZig: true, amountIn: 1000 });
+  const direct = simulatePCL({ amountIn: 1000, reserveIn: 1e6, reserveOut: 1e6, inIndex: 0, params });
+  assert.equal(pcl.out, direct.out);
+  assert.equal(pcl.fee, direct.fee);
+  close(pcl.price, 1000 / direct.out, 1e-12);
+
+  const xyk = simulatePool({ ...pool, pcl: null }, { fromIsZig: true, amountIn: 1000 });
+  assert.deepEqual(xyk, { ...simulateXYK({ fromIsZig: true, amountIn: 1000, Rz: 1e6, Rt: 1e6, fee: 0.01 }), fee: 0.01 });
+
+  // params for a pair that doesn't hold the offered denom → XYK fallback
+  const other = simulatePool({ ...pool, pcl: { ...params, assets: ['uzig', 'coin.other'] } }, { fromIsZig: false, amountIn: 10 });
+  assert.equal(other.fee, 0.01);
+});
@@ -0,0 +1,123 @@
+// test/pnl.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  replayPositions, positionsToJSON, positionsFromJSON, summarizePosition, windowPnl, afterCursor,
+} from '../core/pnl.js';
+
+const W = 'zig1wallet';
+let seq = 0;
+
+// loadWalletTrades() row; token legs are coin.<id> with token_id <id>
+function swap({ offer, offerQty, ask, askQty, px = null, ts = 1000 }) {
+  seq += 1;
+  return {
+    signer: W, height: seq, msg_index: 0, ts,
+    offer_denom: offer === 'zig' ? 'uzig' : `coin.${offer}`,
+    ask_denom: ask === 'zig' ? 'uzig' : `coin.${ask}`,
+    offer_token_id: offer === 'zig' ? null : offer,
+    ask_token_id: ask === 'zig' ? null : ask,
+    offer_qty: offerQty, ask_qty: askQty, offer_px: px,
+  };
+}
+const buy = (token, qty, zig, ts) => swap({ offer: 'zig', offerQty: zig, ask: token, askQty: qty, ts });
+const sell = (token, qty, zig, ts) => swap({ offer: token, offerQty: qty, ask: 'zig', askQty: zig, ts });
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} ≉ ${b}`);
+const positionsOf = (trades) => replayPositions(trades).get(W);
+
+test('FIFO and average cost realize differently on a partial sell', () => {
+  const pos = positionsOf([
+    buy('1', 10, 10),   // 1 ZIG each
+    buy('1', 10, 30),   // 3 ZIG each
+    sell('1', 15, 60),  // 4 ZIG each
+  ]).get('1');
+
+  // FIFO: 10 @1 + 5 @3 = 25 cost; average: 15 @2 = 30 cost
+  close(pos.realizedFifo, 35);
+  close(pos.realizedAvg, 30);
+  close(pos.qty, 5);
+  assert.deepEqual(pos.lots.map(l => [l.qty, l.cost]), [[5, 3]]);
+
+  const s = summarizePosition(pos, 4);
+  close(s.cost_basis_zig, 15);
+  close(s.unrealized_fifo_zig, 5);
+  close(s.unrealized_avg_zig, 10);
+  assert.equal(s.unmatched_qty, 0);
+  assert.equal(s.trades, 3);
+});
+
+test('selling more than the replayed history holds counts the rest as unmatched', () => {
+  const pos = positionsOf([buy('1', 10, 10), sell('1', 25, 50)]).get('1');
+
+  // only the 10 held realize: 10 × 2 proceeds − 10 cost
+  close(pos.realizedFifo, 10);
+  close(pos.realizedAvg, 10);
+  close(pos.unmatchedQty, 15);
+  assert.equal(pos.qty, 0);
+  assert.deepEqual(pos.lots, []);
+  assert.equal(pos.avgCost, 0);
+});
+
+test('a token/token swap without a price tick carries the cost basis over', () => {
+  const wallet = positionsOf([
+    buy('1', 10, 20),
+    swap({ offer: '1', offerQty: 10, ask: '2', askQty: 40 }),
+  ]);
+  const a = wallet.get('1');
+  const b = wallet.get('2');
+
+  assert.equal(a.qty, 0);
+  assert.equal(a.realizedFifo, 0);
+  assert.deepEqual(a.events, []);
+  close(b.qty, 40);
+  close(b.avgCost, 0.5);
+  assert.deepEqual(b.lots.map(l => [l.qty, l.cost]), [[40, 0.5]]);
+});
+
+test('a token/token swap with a price tick realizes at the tick', () => {
+  const wallet = positionsOf([
+    buy('1', 10, 20),
+    swap({ offer: '1', offerQty: 10, ask: '2', askQty: 40, px: 3 }),
+  ]);
+  close(wallet.get('1').realizedFifo, 10);
+  close(wallet.get('2').avgCost, 0.75);
+});
+
+test('windowPnl only counts sells and lots inside the window', () => {
+  const pos = positionsOf([
+    buy('1', 10, 10, 100),
+    buy('1', 10, 20, 500),
+    sell('1', 5, 15, 200),
+    sell('1', 5, 15, 600),
+  ]).get('1');
+
+  // sells realize 10 each (FIFO @1); the lot bought at 500 is marked at 3
+  assert.deepEqual(windowPnl(pos, 0, 3), { realized: 20, unrealized: 10 });
+  assert.deepEqual(windowPnl(pos, 400, 3), { realized: 10, unrealized: 10 });
+  assert.deepEqual(windowPnl(pos, 700, 3), { realized: 0, unrealized: 0 });
+  assert.deepEqual(windowPnl(pos, 0, null), { realized: 20, unrealized: 0 });
+});
+
+test('replaying from stored positions matches a full replay', () => {
+  const trades = [
+    buy('1', 10, 10, 100),
+    buy('1', 10, 30, 200),
+    sell('1', 12, 48, 300),
+    swap({ offer: '1', offerQty: 8, ask: '2', askQty: 16, ts: 400 }),
+    sell('2', 20, 40, 500),
+  ];
+  const full = replayPositions(trades).get(W);
+
+  const head = replayPositions(trades.slice(0, 2)).get(W);
+  const cursor = { height: trades[1].height, msgIndex: 0 };
+  const restored = positionsFromJSON(positionsToJSON(head));
+  const tail = trades.filter(t => afterCursor(t, cursor));
+  assert.equal(tail.length, 3);
+  const resumed = replayPositions(tail, new Map([[W, restored]])).get(W);
+
+  for (const id of ['1', '2']) {
+    assert.deepEqual(summarizePosition(resumed.get(id), 2), summarizePosition(full.get(id), 2));
+  }
+  close(full.get('2').unmatchedQty, 4);
+});
@@ -0,0 +1,48 @@
+// test/swap-sim.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulatePool, simulatePoolExactOut, pickByExactOut } from '../core/swap-sim.js';
+
+const pcl = {
+  assets: ['uzig', 'coin.tkn'],
+  amp: 10,
+  gamma: 0.000145,
+  midFee: 0.0026,
+  outFee: 0.0045,
+  feeGamma: 0.00023,
+  priceScale: 2,
+};
+
+const xykPool = { poolId: '1', pairType: 'xyk_30', baseDenom: 'coin.tkn', zigReserve: 2e6, tokenReserve: 1e6, totalFee: null, pcl: null };
+const pclPool = { poolId: '2', pairType: 'concentrated', baseDenom: 'coin.tkn', zigReserve: 2e6, tokenReserve: 1e6, totalFee: null, pcl };
+
+const close = (a, b, rel = 1e-9) => assert.ok(Math.abs(a - b) <= Math.abs(b) * rel, `${a} ≉ ${b}`);
+
+for (const pool of [xykPool, pclPool]) {
+  for (const fromIsZig of [true, false]) {
+    test(`${pool.pairType} ${fromIsZig ? 'buy' : 'sell'}: exact-out inverts exact-in`, () => {
+      const amountIn = fromIsZig ? 5000 : 2500;
+      const { out } = simulatePool(pool, { fromIsZig, amountIn });
+
+      const r = simulatePoolExactOut(pool, { fromIsZig, amountOut: out });
+      close(r.amountIn, amountIn, 1e-8);
+      assert.ok(r.sim.out >= out * (1 - 1e-12));
+      close(r.sim.out, out, 1e-8);
+    });
+  }
+}
+
+test('simulatePoolExactOut is null when the pool cannot pay the amount out', () => {
+  assert.equal(simulatePoolExactOut(xykPool, { fromIsZig: true, amountOut: 1e6 }), null);
+  assert.equal(simulatePoolExactOut(pclPool, { fromIsZig: false, amountOut: 3e6 }), null);
+  assert.equal(simulatePoolExactOut(xykPool, { fromIsZig: true, amountOut: 0 }), null);
+  assert.equal(simulatePoolExactOut({ ...xykPool, zigReserve: 0 }, { fromIsZig: true, amountOut: 1 }), null);
+});
+
+test('pickByExactOut picks the pool needing the least input', () => {
+  const deep = { ...xykPool, poolId: '3', zigReserve: 2e7, tokenReserve: 1e7 };
+  const best = pickByExactOut([xykPool, deep, { ...xykPool, poolId: '4', tokenReserve: 10 }], { fromIsZig: true, amountOut: 1000 });
+  assert.equal(best.poolId, '3');
+  close(best.amountIn, simulatePoolExactOut(deep, { fromIsZig: true, amountOut: 1000 }).amountIn);
+  assert.equal(best.fee, 0.003);
+});